@@ -2,7 +2,7 @@
  * Beat Generator - Modular JavaScript Beat Generator for Single-Instrument Tracks
  * 
  * Creates single-instrument beats using NSynth samples following DAW and music theory conventions.
- * Supports multiple genres, time signatures, and BPMs with proper swing and quantization.
+ * Supports multiple genres, simple/compound/odd time signatures, and BPMs with proper swing and quantization.
  * 
  * @author AI Music Backend
  * @version 1.0.0
@@ -10,6 +10,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { WaveFile } = require('wavefile');
 const crypto = require('crypto');
 
@@ -20,28 +21,63 @@ const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator'
 const { InstrumentSelector } = require('../modules/instrumentSelector');
 const { WavExporter } = require('../modules/wavExporter');
 const { PromptInterpreter } = require('../modules/promptInterpreter');
+const { TempoMap } = require('../modules/tempoMap');
+const { GrooveEngine } = require('../modules/grooveEngine');
+const { ArrangementGenerator } = require('../modules/arrangementGenerator');
+const { PatternVariator } = require('../modules/patternVariator');
+const { StepNotation } = require('../modules/stepNotation');
 
 /**
  * Main Beat Generator class
  * Orchestrates the creation of single-instrument beats using modular components
+ * 
+ * Emits 'progress' events ({ jobId, songName, stage, percent, ... }) as each
+ * generation stage completes so callers can report render progress.
  */
-class BeatGenerator {
+class BeatGenerator extends EventEmitter {
   constructor() {
+    super();
     this.timingEngine = new TimingEngine();
     this.patternGenerator = new PatternGenerator();
     this.melodicPatternGenerator = new MelodicPatternGenerator();
     this.instrumentSelector = new InstrumentSelector();
     this.wavExporter = new WavExporter();
     this.promptInterpreter = new PromptInterpreter();
+    this.grooveEngine = new GrooveEngine();
+    this.arrangementGenerator = new ArrangementGenerator();
+    this.patternVariator = new PatternVariator();
+    this.stepNotation = new StepNotation();
     
     this.defaultOptions = {
       bpm: 120,
       timeSignature: '4/4',
+      subdivision: '16n',
+      grooveStrength: 1,
+      humanize: 1,
       bars: 1,
       keyword: 'default',
       instrument: 'auto',
       outputPath: './generated',
-      seed: null
+      seed: null,
+      energy: null,
+      complexity: null,
+      key: null,
+      scale: null,
+      progression: null,
+      voicing: null,
+      part: null,
+      arp: null,
+      phrasing: null
+    };
+    
+    // Percentage reported when each generation stage completes
+    this.progressStages = {
+      'timing-configured': 10,
+      'pattern-generated': 30,
+      'instruments-selected': 50,
+      'buffer-mixed': 80,
+      'file-written': 95,
+      'completed': 100
     };
   }
 
@@ -50,12 +86,38 @@ class BeatGenerator {
    * @param {Object} options - Configuration object
    * @param {string} options.songName - Required song name for output file
    * @param {number} [options.bpm=120] - Beats per minute (60-200)
-   * @param {string} [options.timeSignature='4/4'] - Time signature ('4/4' or '3/4')
-   * @param {number} [options.bars=1] - Pattern length in bars (1, 2, or 4)
-   * @param {string} [options.keyword='default'] - Style keyword (jazz, funk, house, etc.)
+   * @param {string} [options.timeSignature='4/4'] - Time signature ('2/4', '3/4', '4/4', '5/4', '6/8', '7/8', '9/8', '12/8', ...)
+   * @param {string|Array<number>} [options.beatGrouping] - Beat grouping in note values (e.g. '3+2+2' for 7/8)
+   * @param {string} [options.subdivision='16n'] - Subdivision for drum fills and the melodic rhythm ('16t', '8t', '16q', '32n', ...)
+   * @param {Array<Object>} [options.tempoMap] - Tempo changes as { bar, beat } or { step } points with bpm and ramp ('jump', 'linear', 'curve')
+   * @param {number} [options.swing] - MPC-style swing percentage, 50 (straight) to 75; defaults to the style's swing
+   * @param {string} [options.swingResolution] - Swung note value, '8n' or '16n' (defaults to the style's)
+   * @param {string|Object} [options.groove] - Saved groove name (or inline template) to apply
+   * @param {number} [options.grooveStrength=1] - Amount of groove to apply (0-1)
+   * @param {number} [options.humanize=1] - Humanization amount (0 = quantized, 1 = style default)
+   * @param {number} [options.bars=1] - Length of a generated pattern in bars (1, 2, or 4); notation and arrangement set their own length (up to 256 bars)
+   * @param {string|Object} [options.arrangement] - Song form ('pop', 'edm', 'hip-hop', 'short') or { form, sections, bars, seconds }; sets the length instead of bars
+   * @param {string} [options.keyword='default'] - Style keyword (jazz, funk, house, euclidean, etc.)
+   * @param {string} [options.mode] - Drum pattern mode: 'template' or 'euclidean' (defaults to the style's)
+   * @param {Object} [options.euclidean] - Euclidean lane overrides by name, e.g. { kick: { hits: 5, steps: 16 } }
+   * @param {string} [options.model] - Trained pattern model to sample (a keyword naming a trained model also works)
+   * @param {number|Array<number>} [options.energy] - Drum energy 0-1 (optional hits and fills), or a per-bar curve such as [0.3, 0.6, 1]
+   * @param {number} [options.complexity] - Drum complexity 0-1 (ghost notes and hi-hat subdivision)
+   * @param {Object} [options.pattern] - Drum pattern to render instead of generating one (e.g. from generateVariations)
+   * @param {string} [options.notation] - Drum pattern as step notation ("kick: x...x...x...x..." per line); sets the bars
    * @param {string} [options.instrument='auto'] - Instrument selection
+   * @param {string} [options.key] - Key of melodic instruments ('C', 'F#', 'Bb', ...); defaults to C
+   * @param {string} [options.scale] - Mode of melodic instruments ('major', 'minor', 'dorian', ...); defaults to the style's
+   * @param {string|Array<string>} [options.progression] - Roman numeral progression of melodic instruments (e.g. ['i', 'bVII', 'bVI', 'V7']); defaults to the style's
+   * @param {string} [options.voicing] - Chord voicing of harmonic instruments: 'closed', 'open' or 'drop2' (defaults to the instrument's)
+   * @param {string} [options.part] - Part of melodic instruments: 'melody', 'comp' to play the chords (keyboard, organ, string, guitar),
+   *   'bassline' to lock to the kick (the default for bass) or 'arp' to arpeggiate the chords
+   * @param {Object} [options.arp] - Arpeggio settings { direction, rate, octaves, gate, latch } over the style's; implies part 'arp'
+   * @param {string} [options.phrasing] - Note lengths of melodic instruments: 'legato' (held to the next note) or 'staccato' (detached); defaults to the part's own
    * @param {string} [options.outputPath='./generated'] - Output directory
    * @param {string} [options.seed] - Random seed for reproducibility
+   * @param {string} [options.jobId] - Job id included in emitted progress events
+   * @param {AbortSignal} [options.signal] - Aborts generation between stages and during mixing
    * @returns {Promise<string>} Path to generated WAV file
    */
   async generateBeat(options = {}) {
@@ -72,35 +134,65 @@ class BeatGenerator {
       }
       
       // Step 1: Configure timing engine with music theory rules
-      const timingConfig = this.timingEngine.configure({
-        bpm: config.bpm,
-        timeSignature: config.timeSignature,
-        bars: config.bars,
-        keyword: config.keyword
-      });
+      const timingConfig = this.configureTiming(config);
       
       console.log(`⏰ Timing configured: ${timingConfig.stepsPerBar} steps/bar, ${timingConfig.totalSteps} total steps`);
+      this.emitProgress(config, 'timing-configured', {
+        timing: {
+          bpm: timingConfig.bpm,
+          timeSignature: timingConfig.timeSignature,
+          beatGrouping: timingConfig.beatGrouping,
+          bars: timingConfig.bars,
+          stepsPerBar: timingConfig.stepsPerBar,
+          totalSteps: timingConfig.totalSteps,
+          totalDurationMs: timingConfig.totalDurationMs,
+          swing: timingConfig.swing,
+          tempoMap: timingConfig.tempoMap.toJSON()
+        }
+      });
+      
+      this.throwIfAborted(config.signal);
       
       // Step 2: Generate pattern based on instrument type and style
       let pattern;
+      let patternGrid = null;
+      let notation = null;
       
       // Check if instrument should use melodic patterns instead of drum patterns
-      if (config.instrument !== 'auto' && MelodicPatternGenerator.isMelodicInstrument(config.instrument)) {
+      const isMelodic = config.instrument !== 'auto' && MelodicPatternGenerator.isMelodicInstrument(config.instrument);
+      
+      if (isMelodic) {
         console.log(`🎼 Generating melodic pattern for ${config.instrument}...`);
         
+        // A bassline locks to the kick of the drum pattern it plays with
+        const part = config.part || this.melodicPatternGenerator.getDefaultPart(config.instrument);
+        const drums = part === 'bassline' ? this.generateDrumPattern(config, timingConfig) : null;
+        
         // Generate melodic pattern using music theory
         const melodicResult = this.melodicPatternGenerator.generateMelodicPattern({
           instrument: config.instrument,
           genre: config.keyword,
           bpm: config.bpm,
           bars: config.bars,
-          key: 'C', // Default to C major for now
-          seed: config.seed
+          key: config.key || 'C',
+          mode: config.scale,
+          progression: config.progression,
+          voicing: config.voicing,
+          part,
+          kick: drums ? this.melodicPatternGenerator.basslineGenerator.getKickLane(drums, timingConfig.totalSteps) : null,
+          arp: config.arp,
+          phrasing: config.phrasing,
+          seed: config.seed,
+          meter: {
+            stepsPerBar: timingConfig.stepsPerBar,
+            beatsPerBar: timingConfig.beatsPerBar
+          },
+          subdivision: this.timingEngine.getSubdivision(config.subdivision)
         });
         
         // Convert melodic pattern to compatible format
-        // Calculate total pattern duration in beats (bars * 4 beats per bar)
-        const totalDurationBeats = config.bars * 4;
+        // Calculate total pattern duration in quarter-note beats
+        const totalDurationBeats = config.bars * timingConfig.quarterNotesPerBar;
         
         pattern = {
           events: melodicResult.events.map(event => ({
@@ -109,29 +201,86 @@ class BeatGenerator {
             position: event.time / totalDurationBeats, // Convert time to normalized position (0-1)
             velocity: event.velocity,
             duration: event.duration,
+            subdivision: event.subdivision,
+            chordHit: event.chordHit, // Notes of one comped chord share a hit index
+            onsetDelayMs: event.onsetDelayMs, // Strummed string delay
+            stroke: event.stroke,
+            phrasing: event.phrasing, // Legato or staccato note (shapes its release)
             isMelodicNote: true // Flag to identify melodic notes
           })),
           metadata: melodicResult.metadata
         };
         
+        // Thin and shape the melody section by section (a bassline follows the kick through the sections)
+        if (drums) {
+          pattern.arrangement = drums.arrangement;
+        } else if (config.arrangementPlan) {
+          this.arrangementGenerator.applyToMelody(pattern, timingConfig, config.arrangementPlan, config.seed ? this.randomSeed : null);
+        }
+        
         console.log(`🎵 Melodic pattern generated: ${pattern.events.length} events`);
         console.log(`🎼 Key: ${melodicResult.metadata.key} ${melodicResult.metadata.mode}`);
         console.log(`🎵 Progression: ${melodicResult.metadata.progression.join(' - ')}`);
+        if (melodicResult.metadata.comping) {
+          const { pattern: compPattern, type, strummed } = melodicResult.metadata.comping;
+          console.log(`🎸 Comping: ${compPattern} (${type}${strummed ? ', strummed' : ''})`);
+        }
+        if (melodicResult.metadata.bassline) {
+          const { style, notesOnKick } = melodicResult.metadata.bassline;
+          console.log(`🎸 Bassline: ${style}, ${notesOnKick}/${pattern.events.length} notes on the kick`);
+        }
+        if (melodicResult.metadata.motif) {
+          console.log(`🎶 Motif: ${melodicResult.metadata.motif.plan.join(' → ')}`);
+        }
+        if (melodicResult.metadata.arpeggio) {
+          const { direction, rate, octaves, gate, latch } = melodicResult.metadata.arpeggio;
+          console.log(`🎹 Arpeggio: ${direction} in ${rate} over ${octaves} octave(s), ${Math.round(gate * 100)}% gate${latch ? ', latched' : ''}`);
+        }
+        if (melodicResult.metadata.phrasing) {
+          console.log(`🎻 Phrasing: ${melodicResult.metadata.phrasing} (${melodicResult.metadata.articulation} release)`);
+        }
         
       } else {
         // Generate traditional drum pattern
         console.log(`🥁 Generating drum pattern...`);
         
-        pattern = this.patternGenerator.generate({
-          keyword: config.keyword,
-          timingConfig: timingConfig,
-          seed: config.seed
-        });
+        pattern = this.generateDrumPattern(config, timingConfig);
+        
+        // Notation of the pattern as generated, before groove and humanization move it
+        notation = this.stepNotation.serialize(pattern, timingConfig);
         
         console.log(`🥁 Pattern generated: ${pattern.events.length} events`);
-        this.printPatternGrid(pattern, timingConfig);
       }
       
+      // Apply groove template (timing offsets and velocity feel) if requested
+      if (config.groove) {
+        const groove = this.grooveEngine.resolveGroove(config.groove);
+        this.grooveEngine.applyGroove(pattern, timingConfig, groove, config.grooveStrength);
+        console.log(`🎚️  Groove applied: ${groove.name} at ${Math.round(config.grooveStrength * 100)}%`);
+      }
+      
+      if (!isMelodic) {
+        patternGrid = this.printPatternGrid(pattern, timingConfig);
+      }
+      
+      // Humanize timing and velocity per voice (seeded so renders are reproducible)
+      let humanization = null;
+      if (config.humanize > 0) {
+        humanization = this.timingEngine.humanizePattern(pattern, timingConfig, {
+          seed: config.seed ? this.randomSeed : Date.now(),
+          amount: config.humanize
+        });
+        console.log(`🤲 Humanized: ±${humanization.timingMs.average}ms timing, ±${humanization.velocity.average} velocity, ${humanization.driftMs}ms drift`);
+      }
+      
+      this.emitProgress(config, 'pattern-generated', {
+        totalEvents: pattern.events.length,
+        arrangement: pattern.arrangement || null,
+        grid: patternGrid
+      });
+      
+      this.throwIfAborted(config.signal);
+      
       // Step 3: Select appropriate instrument samples
       const instrumentData = await this.instrumentSelector.select({
         instrument: config.instrument,
@@ -140,6 +289,12 @@ class BeatGenerator {
       });
       
       console.log(`🎹 Instrument selected: ${instrumentData.type} (${instrumentData.samples.length} samples)`);
+      this.emitProgress(config, 'instruments-selected', {
+        instrument: instrumentData.type,
+        sampleCount: instrumentData.samples.length
+      });
+      
+      this.throwIfAborted(config.signal);
       
       // Step 4: Create timing-accurate WAV file
       // Add suffix based on pattern type: DB (Drum-Based) or MB (Melodic-Based)
@@ -156,9 +311,30 @@ class BeatGenerator {
         originalPrompt: config.originalPrompt || null,
         interpretedParams: config.interpretedParams || null,
         spotifyWarnings: config.spotifyWarnings || null,
+        humanization,
+        arrangement: pattern.arrangement || null,
+        notation,
         parameters: {
           bpm: config.bpm,
-          timeSignature: config.timeSignature,
+          timeSignature: timingConfig.timeSignature,
+          beatGrouping: timingConfig.beatGrouping.join('+'),
+          subdivision: config.subdivision,
+          swing: `${timingConfig.swing.amount}% (${timingConfig.swing.resolution})`,
+          groove: pattern.groove || null,
+          humanize: config.humanize,
+          arrangement: pattern.arrangement ? pattern.arrangement.form : null,
+          mode: pattern.mode || null,
+          model: pattern.model || null,
+          energy: config.energy,
+          complexity: config.complexity,
+          key: isMelodic ? pattern.metadata.key : config.key,
+          scale: isMelodic ? pattern.metadata.mode : config.scale,
+          progression: config.progression,
+          voicing: isMelodic ? pattern.metadata.voicing : config.voicing,
+          part: isMelodic ? pattern.metadata.part : config.part,
+          arp: isMelodic ? pattern.metadata.arpeggio : config.arp,
+          phrasing: isMelodic ? pattern.metadata.phrasing : config.phrasing,
+          variation: pattern.variation ? pattern.variation.lineage : null,
           bars: config.bars,
           instrument: config.instrument,
           outputPath: config.outputPath
@@ -177,18 +353,215 @@ class BeatGenerator {
         instrumentData: instrumentData,
         outputPath: outputPath,
         songName: config.songName,
-        generationMetadata: generationMetadata
+        generationMetadata: generationMetadata,
+        onProgress: (stage, data) => this.emitProgress(config, stage, data),
+        signal: config.signal
       });
       
+      this.emitProgress(config, 'completed', { filename: outputFilename });
       console.log(`✅ Beat generated successfully: ${outputPath}`);
       return outputPath;
       
     } catch (error) {
-      console.error(`❌ Beat generation failed:`, error);
+      if (error.name === 'AbortError') {
+        console.log(`🛑 Beat generation aborted: ${options.songName}`);
+      } else {
+        console.error(`❌ Beat generation failed:`, error);
+      }
       throw error;
     }
   }
 
+  /**
+   * Generate seeded variations of a drum pattern ("more like this")
+   * The source is either a pattern plus the generateBeat options it was made
+   * with, or the generation metadata of a seeded render, whose pattern is
+   * rebuilt first. Hits on the primary beats are kept in every variation.
+   * @param {Object} options - Variation options
+   * @param {Object} [options.pattern] - Source drum pattern ({ events })
+   * @param {Object} [options.metadata] - Generation metadata of a previous render ({ style, seed, parameters })
+   * @param {string} [options.notation] - Source pattern as step notation
+   * @param {number} [options.similarity=0.8] - How close variations stay to the source, 0-1
+   * @param {number} [options.count=4] - Number of variations (1-16)
+   * @param {string|number} [options.seed] - Seed for the variations (random if omitted)
+   * @returns {Object} { options, source, variations } - render one with generateBeat({ ...options, songName, pattern })
+   */
+  generateVariations({ pattern = null, metadata = null, similarity = 0.8, count = 4, seed = null, ...options } = {}) {
+    if (!pattern && !metadata && !options.notation) {
+      throw new Error('Variations need a source pattern, notation or the metadata of a previous render');
+    }
+    
+    const sourceOptions = metadata ? this.optionsFromMetadata(metadata) : options;
+    const config = this.validateAndMergeOptions({ songName: 'variations', ...sourceOptions, pattern: pattern || undefined });
+    
+    if (config.instrument !== 'auto' && MelodicPatternGenerator.isMelodicInstrument(config.instrument)) {
+      throw new Error('Variations are only available for drum patterns');
+    }
+    
+    if (config.seed) {
+      this.setSeed(config.seed);
+    }
+    
+    const timingConfig = this.configureTiming(config);
+    let source = this.generateDrumPattern(config, timingConfig);
+    
+    // A rendered variation is rebuilt by replaying its lineage on the original pattern
+    if (metadata && Array.isArray(metadata.parameters.variation)) {
+      metadata.parameters.variation.forEach(step => {
+        source = this.patternVariator.vary(source, timingConfig, step);
+      });
+    }
+    
+    const variationSeed = seed !== null && seed !== undefined ? this.toNumericSeed(seed) : Date.now();
+    const variations = this.patternVariator.createVariations(source, timingConfig, { similarity, count, seed: variationSeed });
+    
+    console.log(`🧬 ${count} variation(s) of ${config.keyword} at ${Math.round(similarity * 100)}% similarity (seed ${variationSeed})`);
+    variations.forEach(variation => {
+      const { index, changes } = variation.variation;
+      console.log(`   ${index + 1}: ${changes.removed} removed, ${changes.added} added, ${changes.ghosts} ghost, ${changes.fills} fill change(s)`);
+    });
+    
+    // Options that render a variation with generateBeat (pattern and songName added by the caller)
+    const renderOptions = { ...sourceOptions };
+    delete renderOptions.pattern;
+    if (renderOptions.notation) {
+      delete renderOptions.notation; // The variation pattern replaces it, at the notation's length
+      renderOptions.bars = config.bars;
+    }
+    
+    return {
+      options: renderOptions,
+      source: { pattern: source, grid: this.buildPatternGrid(source, timingConfig), notation: this.stepNotation.serialize(source, timingConfig) },
+      variations: variations.map(variation => ({
+        index: variation.variation.index,
+        seed: variation.variation.seed,
+        similarity,
+        changes: variation.variation.changes,
+        pattern: variation,
+        grid: this.buildPatternGrid(variation, timingConfig),
+        notation: this.stepNotation.serialize(variation, timingConfig)
+      }))
+    };
+  }
+
+  /**
+   * Configure the timing engine for a validated config
+   * @private
+   */
+  configureTiming(config) {
+    return this.timingEngine.configure({
+      bpm: config.bpm,
+      timeSignature: config.timeSignature,
+      beatGrouping: config.beatGrouping,
+      bars: config.bars,
+      keyword: config.keyword,
+      tempoMap: config.tempoMap,
+      swing: config.swing,
+      swingResolution: config.swingResolution
+    });
+  }
+
+  /**
+   * Build the drum pattern: a supplied pattern, an arrangement or a style loop
+   * @private
+   */
+  generateDrumPattern(config, timingConfig) {
+    if (config.pattern) {
+      console.log(`🥁 Using supplied pattern (${config.pattern.events.length} events)`);
+      return { ...config.pattern, events: config.pattern.events.map(event => ({ ...event })) };
+    }
+    
+    if (config.arrangementPlan) {
+      // Full song form built from the style's groove
+      return this.arrangementGenerator.generate({
+        keyword: config.keyword,
+        timingConfig: timingConfig,
+        plan: config.arrangementPlan,
+        seed: config.seed ? this.randomSeed : null,
+        fillSubdivision: config.subdivision,
+        mode: config.mode,
+        euclidean: config.euclidean,
+        model: config.model,
+        energy: config.energy,
+        complexity: config.complexity
+      });
+    }
+    
+    return this.patternGenerator.generate({
+      keyword: config.keyword,
+      timingConfig: timingConfig,
+      seed: config.seed,
+      fillSubdivision: config.subdivision,
+      mode: config.mode,
+      euclidean: config.euclidean,
+      model: config.model,
+      energy: config.energy,
+      complexity: config.complexity
+    });
+  }
+
+  /**
+   * Rebuild generateBeat options from the generation metadata of a render
+   * @private
+   */
+  optionsFromMetadata(metadata) {
+    const { style, seed, parameters } = metadata || {};
+    
+    if (!style || !parameters) {
+      throw new Error('Render metadata must include style, seed and parameters');
+    }
+    
+    if (seed === undefined || seed === null || seed === 'Random') {
+      throw new Error('Only seeded renders can be varied from metadata - pass the pattern instead');
+    }
+    
+    if (parameters.arrangement === 'custom') {
+      throw new Error('Custom arrangements cannot be rebuilt from metadata - pass the pattern instead');
+    }
+    
+    // Swing is recorded as "62% (16n)"
+    const swing = /^(\d+(?:\.\d+)?)% \((\w+)\)$/.exec(parameters.swing || '');
+    
+    // Renders of a notation pattern are rebuilt from the recorded notation
+    const fromNotation = parameters.mode === 'notation';
+    if (fromNotation && !metadata.notation) {
+      throw new Error('Render metadata of a notation pattern must include its notation');
+    }
+    
+    const options = {
+      keyword: style,
+      seed,
+      bpm: parameters.bpm,
+      timeSignature: parameters.timeSignature,
+      beatGrouping: parameters.beatGrouping,
+      subdivision: parameters.subdivision,
+      swing: swing ? parseFloat(swing[1]) : undefined,
+      swingResolution: swing ? swing[2] : undefined,
+      groove: parameters.groove ? parameters.groove.name : undefined,
+      grooveStrength: parameters.groove ? parameters.groove.strength : undefined,
+      humanize: parameters.humanize,
+      bars: parameters.arrangement || fromNotation ? undefined : parameters.bars,
+      arrangement: parameters.arrangement ? { form: parameters.arrangement, bars: parameters.bars } : undefined,
+      mode: fromNotation ? undefined : parameters.mode || undefined,
+      notation: fromNotation ? metadata.notation : undefined,
+      model: parameters.model || undefined,
+      energy: parameters.energy !== null ? parameters.energy : undefined,
+      complexity: parameters.complexity !== null ? parameters.complexity : undefined,
+      key: parameters.key || undefined,
+      scale: parameters.scale || undefined,
+      progression: parameters.progression || undefined,
+      voicing: parameters.voicing || undefined,
+      part: parameters.part || undefined,
+      arp: parameters.arp || undefined,
+      phrasing: parameters.phrasing || undefined,
+      instrument: parameters.instrument
+    };
+    
+    // Leave missing parameters to the defaults
+    Object.keys(options).forEach(key => options[key] === undefined && delete options[key]);
+    return options;
+  }
+
   /**
    * Validate and merge user options with defaults
    * @private
@@ -205,16 +578,134 @@ class BeatGenerator {
       throw new Error('BPM must be between 60 and 200');
     }
     
-    // Validate time signature
-    if (!['4/4', '3/4'].includes(config.timeSignature)) {
-      throw new Error('Time signature must be 4/4 or 3/4');
+    // Validate time signature and beat grouping (throws with a descriptive message)
+    this.timingEngine.parseTimeSignature(config.timeSignature, config.beatGrouping);
+    
+    // Step notation becomes the supplied pattern; its lanes set the length (any whole number of bars)
+    const fromNotation = config.notation !== undefined && config.notation !== null;
+    if (fromNotation) {
+      if (config.pattern) {
+        throw new Error('Pass either a pattern or notation, not both');
+      }
+      if (config.arrangement) {
+        throw new Error('Notation patterns cannot be arranged - write the bars out instead');
+      }
+      
+      const meter = this.timingEngine.parseTimeSignature(config.timeSignature, config.beatGrouping);
+      config.pattern = this.stepNotation.parse(config.notation, { stepsPerBar: meter.stepsPerBar });
+      
+      if (options.bars !== undefined && options.bars !== config.pattern.bars) {
+        throw new Error(`Notation has ${config.pattern.bars} bar(s) but bars is ${options.bars}`);
+      }
+      if (config.pattern.bars > this.arrangementGenerator.maxBars) {
+        throw new Error(`Notation has ${config.pattern.bars} bars - at most ${this.arrangementGenerator.maxBars} can be rendered`);
+      }
+      config.bars = config.pattern.bars;
     }
     
-    // Validate bars
-    if (![1, 2, 4].includes(config.bars)) {
+    // Arrangements take their length from the song form and notation from its lanes; generated patterns are 1, 2 or 4 bars
+    if (config.arrangement) {
+      const meter = this.timingEngine.parseTimeSignature(config.timeSignature, config.beatGrouping);
+      config.arrangementPlan = this.arrangementGenerator.plan(config.arrangement, {
+        keyword: config.keyword,
+        bpm: config.bpm,
+        quarterNotesPerBar: meter.quarterNotesPerBar
+      });
+      config.bars = config.arrangementPlan.totalBars;
+    } else if (!fromNotation && ![1, 2, 4].includes(config.bars)) {
       throw new Error('Bars must be 1, 2, or 4');
     }
     
+    // Validate subdivision (throws with the list of supported names)
+    this.timingEngine.getSubdivision(config.subdivision);
+    
+    // Validate pattern mode, euclidean lanes and trained model (throw with descriptive messages)
+    if (this.patternGenerator.resolveMode(config.keyword, config.mode, config.model) === 'euclidean') {
+      this.patternGenerator.resolveEuclideanVoices(config.keyword, config.euclidean || null);
+    }
+    
+    // Validate energy (or energy curve) and complexity
+    this.patternGenerator.validateDynamics(config.energy, config.complexity);
+    
+    // Validate key and mode of melodic instruments (throw with the accepted names)
+    if (config.key !== null && config.key !== undefined) {
+      this.melodicPatternGenerator.parseKey(config.key);
+    }
+    if (config.scale !== null && config.scale !== undefined) {
+      this.melodicPatternGenerator.resolveMode(config.scale);
+    }
+    
+    // Validate the chord progression and keep it as a list of chord symbols
+    if (config.progression !== null && config.progression !== undefined) {
+      config.progression = this.melodicPatternGenerator.parseProgression(config.progression).map(chord => chord.symbol);
+    }
+    
+    // Validate the chord voicing style
+    if (config.voicing !== null && config.voicing !== undefined) {
+      this.melodicPatternGenerator.voicingEngine.resolveStyle(config.voicing);
+    }
+    
+    // Arpeggio settings ask for the arp part, and are checked over the style's
+    if (config.arp !== null && config.arp !== undefined) {
+      this.melodicPatternGenerator.arpeggiator.resolveSettings(config.keyword, config.arp);
+      if (config.part && config.part !== 'arp') {
+        throw new Error(`Arp settings only apply to the arp part, not ${config.part}`);
+      }
+      config.part = 'arp';
+    }
+    
+    // Validate the phrasing
+    if (config.phrasing !== null && config.phrasing !== undefined) {
+      this.melodicPatternGenerator.resolvePhrasing(config.phrasing);
+    }
+    
+    // Validate the part (comping needs an instrument that plays chords)
+    if (config.part !== null && config.part !== undefined) {
+      const melodicInstrument = config.instrument !== 'auto' && MelodicPatternGenerator.isMelodicInstrument(config.instrument);
+      this.melodicPatternGenerator.resolvePart(config.part, melodicInstrument ? config.instrument : null);
+    }
+    
+    // Validate a supplied drum pattern
+    if (config.pattern) {
+      const events = config.pattern.events;
+      if (!Array.isArray(events) || events.some(event => !event || typeof event.position !== 'number' || event.position < 0 || event.position >= 1 || !event.note)) {
+        throw new Error('Pattern must have an events array with a position (0-1) and note for every event');
+      }
+      
+      if (config.instrument !== 'auto' && MelodicPatternGenerator.isMelodicInstrument(config.instrument) &&
+          (config.part || this.melodicPatternGenerator.getDefaultPart(config.instrument)) !== 'bassline') {
+        throw new Error('A supplied pattern can only be rendered with drum instruments or a bassline');
+      }
+    }
+    
+    // Validate swing amount and resolution (throws with a descriptive message)
+    this.timingEngine.resolveSwing(this.timingEngine.styleTimingRules.default, config.swing, config.swingResolution);
+    
+    // Validate humanization amount
+    if (typeof config.humanize !== 'number' || config.humanize < 0 || config.humanize > 1) {
+      throw new Error('Humanize amount must be between 0 and 1');
+    }
+    
+    // Validate groove (throws if a named groove has not been saved)
+    if (config.groove) {
+      this.grooveEngine.resolveGroove(config.groove);
+      
+      if (typeof config.grooveStrength !== 'number' || config.grooveStrength < 0 || config.grooveStrength > 1) {
+        throw new Error('Groove strength must be between 0 and 1');
+      }
+    }
+    
+    // Validate tempo map points against the pattern length
+    if (config.tempoMap) {
+      const meter = this.timingEngine.parseTimeSignature(config.timeSignature, config.beatGrouping);
+      new TempoMap({
+        bpm: config.bpm,
+        points: config.tempoMap,
+        stepsPerBar: meter.stepsPerBar,
+        totalSteps: meter.stepsPerBar * config.bars
+      });
+    }
+    
     // Ensure output directory exists
     if (!fs.existsSync(config.outputPath)) {
       fs.mkdirSync(config.outputPath, { recursive: true });
@@ -228,13 +719,7 @@ class BeatGenerator {
    * @private
    */
   setSeed(seed) {
-    if (typeof seed === 'string') {
-      // Convert string to numeric seed
-      const hash = crypto.createHash('md5').update(seed).digest('hex');
-      this.randomSeed = parseInt(hash.substring(0, 8), 16);
-    } else {
-      this.randomSeed = seed;
-    }
+    this.randomSeed = this.toNumericSeed(seed);
     
     // Set seed for all modules
     this.patternGenerator.setSeed(this.randomSeed);
@@ -242,43 +727,142 @@ class BeatGenerator {
   }
 
   /**
-   * Print visual representation of the generated pattern
+   * Convert a string seed to a number (numbers pass through)
    * @private
    */
-  printPatternGrid(pattern, timingConfig) {
+  toNumericSeed(seed) {
+    if (typeof seed === 'string') {
+      const hash = crypto.createHash('md5').update(seed).digest('hex');
+      return parseInt(hash.substring(0, 8), 16);
+    }
+    return seed;
+  }
+
+  /**
+   * Throw an AbortError if generation has been cancelled
+   * @private
+   */
+  throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Beat generation was aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Emit a progress event for the current generation
+   * @private
+   */
+  emitProgress(config, stage, data = {}) {
+    this.emit('progress', {
+      jobId: config.jobId || null,
+      songName: config.songName,
+      stage,
+      percent: this.progressStages[stage],
+      ...data,
+      timestamp: Date.now()
+    });
+  }
+
+  /**
+   * Build structured representation of the pattern grid
+   * @param {Object} pattern - Generated pattern with events
+   * @param {Object} timingConfig - Timing configuration
+   * @returns {Object} Grid with per-bar step symbols and display strings
+   */
+  buildPatternGrid(pattern, timingConfig) {
     const grid = Array(timingConfig.totalSteps).fill('·');
+    const tupletGroups = new Map();
     
     pattern.events.forEach(event => {
-      const stepIndex = Math.floor(event.position * timingConfig.totalSteps);
+      // Grid events (even grooved ones) show on their nearest step; runs on the step they start in
+      const exactStep = event.position * timingConfig.totalSteps;
+      const stepIndex = event.tuplet ? Math.floor(exactStep + 1e-6) : Math.round(exactStep);
+      
+      if (event.tuplet) {
+        // Runs are drawn once on the grid at their first step and spelled out below the bar
+        if (!tupletGroups.has(event.tuplet.group)) {
+          tupletGroups.set(event.tuplet.group, { startStep: stepIndex, event, hits: [] });
+        }
+        tupletGroups.get(event.tuplet.group).hits.push(this.getEventSymbol(event));
+        if (event.tuplet.index > 0) return;
+      }
+      
       if (stepIndex >= 0 && stepIndex < timingConfig.totalSteps) {
         grid[stepIndex] = this.getEventSymbol(event);
       }
     });
     
-    console.log(`📊 Pattern Grid (${timingConfig.stepsPerBar} steps per bar):`);
+    // Add beat markers at the start of every beat of the meter (uneven in 7/8 etc.)
+    const beatStarts = timingConfig.beatStarts;
+    const bars = [];
     
     for (let bar = 0; bar < timingConfig.bars; bar++) {
       const barStart = bar * timingConfig.stepsPerBar;
       const barEnd = barStart + timingConfig.stepsPerBar;
       const barGrid = grid.slice(barStart, barEnd);
       
-      // Add beat markers (every 4 steps in 4/4, every 3 in 3/4)
-      const beatsPerBar = timingConfig.timeSignature === '4/4' ? 4 : 3;
-      const stepsPerBeat = timingConfig.stepsPerBar / beatsPerBar;
-      
       let barDisplay = '';
       for (let i = 0; i < barGrid.length; i++) {
-        if (i % stepsPerBeat === 0) {
+        if (beatStarts.includes(i)) {
           barDisplay += '|';
         }
         barDisplay += barGrid[i];
       }
       barDisplay += '|';
       
-      console.log(`   Bar ${bar + 1}: ${barDisplay}`);
+      // Tuplets and rolls: "16t 3:2 ×6 @13 snare: Xxxxxx"
+      const tuplets = [...tupletGroups.values()]
+        .filter(group => group.startStep >= barStart && group.startStep < barEnd)
+        .map(({ startStep, event, hits }) => ({
+          step: startStep - barStart + 1,
+          note: event.note,
+          subdivision: event.subdivision,
+          ratio: event.tuplet.ratio,
+          count: hits.length,
+          display: `${event.subdivision}${event.tuplet.ratio ? ` ${event.tuplet.ratio}` : ''} ×${hits.length} @${startStep - barStart + 1} ${event.note}: ${hits.join('')}`
+        }));
+      
+      // Arrangements label the first bar of each section
+      const section = pattern.arrangement ? pattern.arrangement.sections.find(marker => marker.startBar === bar + 1) : null;
+      
+      bars.push({ bar: bar + 1, steps: barGrid, display: barDisplay, tuplets, section: section ? section.name : null });
     }
     
+    return {
+      stepsPerBar: timingConfig.stepsPerBar,
+      timeSignature: timingConfig.timeSignature,
+      beatGrouping: timingConfig.beatGrouping,
+      beatSteps: timingConfig.beatSteps,
+      beatsPerBar: timingConfig.beatsPerBar,
+      bars,
+      legend: { 'X': 'accent', 'x': 'normal', 'g': 'ghost', '·': 'rest' }
+    };
+  }
+
+  /**
+   * Print visual representation of the generated pattern
+   * @private
+   * @returns {Object} Structured grid from buildPatternGrid
+   */
+  printPatternGrid(pattern, timingConfig) {
+    const grid = this.buildPatternGrid(pattern, timingConfig);
+    
+    console.log(`📊 Pattern Grid (${grid.timeSignature}, ${grid.stepsPerBar} steps per bar):`);
+    
+    grid.bars.forEach(bar => {
+      if (bar.section) {
+        console.log(`   [${bar.section}]`);
+      }
+      console.log(`   Bar ${bar.bar}: ${bar.display}`);
+      bar.tuplets.forEach(tuplet => {
+        console.log(`          ↳ ${tuplet.display}`);
+      });
+    });
+    
     console.log(`   Legend: X=accent, x=normal, g=ghost, ·=rest`);
+    return grid;
   }
 
   /**
@@ -286,9 +870,7 @@ class BeatGenerator {
    * @private
    */
   getEventSymbol(event) {
-    if (event.velocity >= 0.8) return 'X'; // Accent
-    if (event.velocity <= 0.3) return 'g'; // Ghost note
-    return 'x'; // Normal hit
+    return this.stepNotation.getSymbol(event); // X accent, x normal, g ghost
   }
 
   /**
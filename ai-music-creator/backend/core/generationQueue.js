@@ -0,0 +1,454 @@
+/**
+ * Generation Queue - Persistent queue for asynchronous beat generation jobs
+ *
+ * Accepts generation requests from the HTTP API and renders them in the
+ * background so requests return immediately with a job id:
+ * - Structured jobs call BeatGenerator.generateBeat
+ * - Prompt jobs call PromptBeatGenerator.generateFromPrompt
+ * - Renders run in worker threads (see generationWorker.js) so CPU-bound
+ *   mixing never blocks the server event loop
+ * - Jobs are persisted to a JSON file and resumed after a restart
+ * - Running jobs can be cancelled; transient failures are retried
+ *
+ * Emits 'progress' (generator stage events tagged with jobId) and 'status'
+ * (public job snapshot whenever a job changes state).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { Worker } = require('worker_threads');
+const { v4: uuidv4 } = require('uuid');
+const { BeatGenerator } = require('./beatGenerator');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Filesystem/resource errors worth retrying - anything else is a real failure
+const TRANSIENT_ERROR_CODES = ['EMFILE', 'ENFILE', 'EBUSY', 'EAGAIN', 'ENOMEM', 'ETIMEDOUT', 'ERR_WORKER_OUT_OF_MEMORY'];
+
+class GenerationQueue extends EventEmitter {
+  /**
+   * @param {Object} [config] - Queue configuration
+   * @param {string} [config.outputPath='./generated'] - Directory rendered files are written to
+   * @param {string} [config.publicPath='/generated'] - URL prefix the output directory is served under
+   * @param {string} [config.storePath='./data/generation-jobs.json'] - JSON file jobs are persisted to
+   * @param {number} [config.concurrency=1] - Maximum number of jobs rendering at once
+   * @param {number} [config.maxRetries=2] - Retries allowed for transient failures
+   * @param {number} [config.retryDelayMs=1000] - Base delay before a retry (multiplied by attempt)
+   * @param {number} [config.cancelGraceMs=2000] - Time a cancelled worker gets before being terminated
+   * @param {number} [config.maxHistory=500] - Finished jobs kept in the store
+   */
+  constructor({
+    outputPath = './generated',
+    publicPath = '/generated',
+    storePath = './data/generation-jobs.json',
+    concurrency = 1,
+    maxRetries = 2,
+    retryDelayMs = 1000,
+    cancelGraceMs = 2000,
+    maxHistory = 500
+  } = {}) {
+    super();
+    this.outputPath = outputPath;
+    this.publicPath = publicPath;
+    this.storePath = storePath;
+    this.concurrency = Math.max(1, concurrency);
+    this.maxRetries = Math.max(0, maxRetries);
+    this.retryDelayMs = retryDelayMs;
+    this.cancelGraceMs = cancelGraceMs;
+    this.maxHistory = maxHistory;
+    this.workerScript = path.join(__dirname, 'generationWorker.js');
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.active = new Map(); // jobId -> { worker, settled, cancelTimer }
+    this.retryTimers = new Map();
+
+    // Used on the main thread only to validate parameters before queueing
+    this.validator = new BeatGenerator();
+
+    this.loadJobs();
+    setImmediate(() => this.processNext());
+  }
+
+  /**
+   * Enqueue a structured generation job
+   * @param {Object} options - generateBeat options (outputPath is always overridden)
+   * @returns {Object} Public job snapshot
+   */
+  enqueueBeat(options = {}) {
+    const { id, params } = this.prepareBeat(options);
+    return this.addJob(id, 'beat', params);
+  }
+
+  /**
+   * Enqueue several structured generation jobs, all or none
+   * Every job is validated before any is queued, so an invalid one fails the
+   * request without leaving the others rendering.
+   * @param {Object[]} optionsList - generateBeat options for each job
+   * @returns {Object[]} Public job snapshots, in order
+   */
+  enqueueBeats(optionsList) {
+    const prepared = optionsList.map(options => this.prepareBeat(options));
+    return prepared.map(({ id, params }) => this.addJob(id, 'beat', params));
+  }
+
+  /**
+   * Enqueue a natural language generation job
+   * @param {string} prompt - Natural language description
+   * @param {Object} [overrides] - Optional generateBeat overrides (validated before queueing)
+   * @returns {Object} Public job snapshot
+   */
+  enqueuePrompt(prompt, overrides = {}) {
+    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
+      throw new Error('prompt must be a non-empty string');
+    }
+
+    // Reject invalid overrides up front, as enqueueBeat does (the prompt fills in the rest when the job runs)
+    this.validator.validateAndMergeOptions({ ...overrides, songName: 'prompt' });
+
+    const id = uuidv4();
+    const params = { prompt: prompt.trim(), overrides: { ...overrides, outputPath: this.outputPath, jobId: id } };
+    return this.addJob(id, 'prompt', params);
+  }
+
+  /**
+   * Get public snapshot of a job
+   * @param {string} id - Job id
+   * @returns {Object|null} Job snapshot or null if unknown
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toPublicJob(job) : null;
+  }
+
+  /**
+   * Cancel a queued or running job
+   * Queued jobs are cancelled immediately; running jobs are signalled to abort
+   * and terminated if they do not stop within the grace period.
+   * @param {string} id - Job id
+   * @returns {Object|null} Job snapshot or null if unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (TERMINAL_STATUSES.includes(job.status) || job.status === 'cancelling') {
+      return this.toPublicJob(job);
+    }
+
+    const entry = this.active.get(id);
+
+    if (!entry) {
+      // Not rendering yet - drop it from the queue (or its pending retry)
+      this.pending = this.pending.filter(pendingId => pendingId !== id);
+      clearTimeout(this.retryTimers.get(id));
+      this.retryTimers.delete(id);
+
+      job.status = 'cancelled';
+      job.completedAt = new Date().toISOString();
+      console.log(`🛑 Cancelled queued job ${id}`);
+      this.saveJob(job);
+      return this.toPublicJob(job);
+    }
+
+    console.log(`🛑 Cancelling running job ${id}`);
+    job.status = 'cancelling';
+    entry.worker.postMessage({ type: 'cancel' });
+    entry.cancelTimer = setTimeout(() => {
+      console.warn(`⚠️  Job ${id} did not stop within ${this.cancelGraceMs}ms, terminating worker`);
+      entry.worker.terminate();
+    }, this.cancelGraceMs);
+
+    this.saveJob(job);
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Check whether a job has finished (completed, failed or cancelled)
+   * @param {Object} job - Public job snapshot
+   * @returns {boolean} True if the job can no longer change
+   */
+  static isTerminal(job) {
+    return TERMINAL_STATUSES.includes(job.status);
+  }
+
+  /**
+   * Check whether a failed render is worth retrying
+   * @param {Error} error - Error thrown by the render or its worker
+   * @returns {boolean} True if the error is flagged transient or has a transient error code
+   */
+  static isTransientError(error) {
+    return Boolean(error) && (error.transient === true || TRANSIENT_ERROR_CODES.includes(error.code));
+  }
+
+  /**
+   * Assign a job id and validate structured generation parameters
+   * @private
+   */
+  prepareBeat(options) {
+    const id = uuidv4();
+    const songName = this.sanitizeSongName(options.songName) || `beat_${id.substring(0, 8)}`;
+    const params = { ...options, songName, outputPath: this.outputPath, jobId: id };
+
+    // Reject invalid parameters up front instead of failing the job later
+    this.validator.validateAndMergeOptions(params);
+
+    return { id, params };
+  }
+
+  /**
+   * Register a job and kick off processing
+   * @private
+   */
+  addJob(id, type, params) {
+    const job = {
+      id,
+      type,
+      params,
+      status: 'queued',
+      attempts: 0,
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null
+    };
+
+    this.jobs.set(id, job);
+    this.pending.push(id);
+    this.persist();
+    console.log(`📥 Queued ${type} job ${id} (${this.pending.length} pending)`);
+
+    // Process on the next tick so the HTTP response is not delayed
+    setImmediate(() => this.processNext());
+
+    return this.toPublicJob(job);
+  }
+
+  /**
+   * Start queued jobs up to the concurrency limit
+   * @private
+   */
+  processNext() {
+    while (this.active.size < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job && job.status === 'queued') {
+        this.startJob(job);
+      }
+    }
+  }
+
+  /**
+   * Render a job in a dedicated worker thread
+   * @private
+   */
+  startJob(job) {
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    console.log(`🎬 Running ${job.type} job ${job.id} (attempt ${job.attempts}/${this.maxRetries + 1})`);
+    this.saveJob(job);
+
+    const worker = new Worker(this.workerScript, {
+      workerData: { type: job.type, params: job.params }
+    });
+    const entry = { worker, settled: false, cancelTimer: null };
+    this.active.set(job.id, entry);
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        this.emit('progress', message.event);
+      } else if (message.type === 'result') {
+        this.finishJob(job, entry, { outputPath: message.outputPath });
+      } else if (message.type === 'error') {
+        this.finishJob(job, entry, message);
+      }
+    });
+
+    worker.on('error', error => {
+      this.finishJob(job, entry, { error: error.message, transient: GenerationQueue.isTransientError(error) });
+    });
+
+    worker.on('exit', code => {
+      // A worker that exits without reporting crashed or was terminated - with no error code it is not retried
+      this.finishJob(job, entry, { error: `Generation worker exited with code ${code}` });
+    });
+  }
+
+  /**
+   * Record the outcome of a worker run, scheduling a retry if appropriate
+   * @private
+   */
+  finishJob(job, entry, { outputPath, error, aborted = false, transient = false }) {
+    if (entry.settled) return;
+    entry.settled = true;
+
+    clearTimeout(entry.cancelTimer);
+    this.active.delete(job.id);
+    entry.worker.terminate();
+
+    if (outputPath) {
+      job.result = this.buildResult(outputPath);
+      job.error = null;
+      job.status = 'completed';
+      console.log(`✅ Job ${job.id} completed: ${job.result.filename}`);
+    } else if (job.status === 'cancelling' || aborted) {
+      job.status = 'cancelled';
+      console.log(`🛑 Job ${job.id} cancelled`);
+    } else if (transient && job.attempts <= this.maxRetries) {
+      job.error = error;
+      job.status = 'queued';
+      this.scheduleRetry(job);
+    } else {
+      job.error = error;
+      job.status = 'failed';
+      console.error(`❌ Job ${job.id} failed:`, error);
+    }
+
+    if (TERMINAL_STATUSES.includes(job.status)) {
+      job.completedAt = new Date().toISOString();
+    }
+
+    this.saveJob(job);
+    setImmediate(() => this.processNext());
+  }
+
+  /**
+   * Requeue a job after a transient failure with linear backoff
+   * @private
+   */
+  scheduleRetry(job) {
+    const delay = this.retryDelayMs * job.attempts;
+    console.warn(`🔁 Job ${job.id} hit a transient failure (${job.error}), retrying in ${delay}ms`);
+
+    this.retryTimers.set(job.id, setTimeout(() => {
+      this.retryTimers.delete(job.id);
+      if (job.status === 'queued') {
+        this.pending.push(job.id);
+        this.processNext();
+      }
+    }, delay));
+  }
+
+  /**
+   * Persist a job change and notify listeners
+   * @private
+   */
+  saveJob(job) {
+    this.persist();
+    this.emit('status', this.toPublicJob(job));
+  }
+
+  /**
+   * Load persisted jobs, requeueing anything interrupted by a restart
+   * @private
+   */
+  loadJobs() {
+    if (!fs.existsSync(this.storePath)) return;
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      let resumed = 0;
+
+      (stored.jobs || []).forEach(job => {
+        if (job.status === 'cancelling') {
+          job.status = 'cancelled';
+          job.completedAt = job.completedAt || new Date().toISOString();
+        } else if (!TERMINAL_STATUSES.includes(job.status)) {
+          job.status = 'queued';
+          this.pending.push(job.id);
+          resumed++;
+        }
+
+        this.jobs.set(job.id, job);
+      });
+
+      console.log(`📂 Loaded ${this.jobs.size} generation jobs (${resumed} resumed)`);
+    } catch (error) {
+      console.error(`⚠️  Failed to load generation jobs from ${this.storePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Write all jobs to the store file, pruning old finished jobs
+   * @private
+   */
+  persist() {
+    this.pruneHistory();
+
+    try {
+      const storeDir = path.dirname(this.storePath);
+      if (!fs.existsSync(storeDir)) {
+        fs.mkdirSync(storeDir, { recursive: true });
+      }
+
+      // Write to a temporary file first so a crash never leaves a truncated store
+      const tempPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ jobs: [...this.jobs.values()] }, null, 2));
+      fs.renameSync(tempPath, this.storePath);
+    } catch (error) {
+      console.error(`⚠️  Failed to persist generation jobs:`, error.message);
+    }
+  }
+
+  /**
+   * Drop the oldest finished jobs once the history limit is exceeded
+   * @private
+   */
+  pruneHistory() {
+    const finished = [...this.jobs.values()]
+      .filter(job => TERMINAL_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    while (finished.length > this.maxHistory) {
+      this.jobs.delete(finished.shift().id);
+    }
+  }
+
+  /**
+   * Build public URLs for a rendered WAV and its metadata file
+   * @private
+   */
+  buildResult(outputPath) {
+    const filename = path.basename(outputPath);
+    const metadataFilename = filename.replace('.wav', '.md');
+
+    return {
+      filename,
+      wavUrl: `${this.publicPath}/${encodeURIComponent(filename)}`,
+      metadataUrl: `${this.publicPath}/${encodeURIComponent(metadataFilename)}`
+    };
+  }
+
+  /**
+   * Restrict song names to characters that are safe in a filename
+   * @private
+   */
+  sanitizeSongName(songName) {
+    if (typeof songName !== 'string') return null;
+    const clean = songName.replace(/[^\w-]/g, '_').substring(0, 64);
+    return clean.length > 0 ? clean : null;
+  }
+
+  /**
+   * Strip internal fields from a job for API responses
+   * @private
+   */
+  toPublicJob(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      attempts: job.attempts,
+      result: job.result,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      position: job.status === 'queued' && this.pending.includes(job.id) ? this.pending.indexOf(job.id) + 1 : null
+    };
+  }
+}
+
+module.exports = { GenerationQueue };
@@ -0,0 +1,48 @@
+/**
+ * Generation Worker - Renders a single generation job off the main thread
+ *
+ * Spawned by GenerationQueue with workerData { type, params }. Reports back
+ * to the parent through messages:
+ * - { type: 'progress', event } for each BeatGenerator progress event
+ * - { type: 'result', outputPath } when the WAV file has been written
+ * - { type: 'error', error, aborted, transient } when generation fails
+ *
+ * A { type: 'cancel' } message from the parent aborts the render.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { PromptBeatGenerator } = require('./promptBeatGenerator');
+const { GenerationQueue } = require('./generationQueue');
+
+async function runJob({ type, params }) {
+  const controller = new AbortController();
+  const onMessage = message => {
+    if (message.type === 'cancel') {
+      controller.abort();
+    }
+  };
+  parentPort.on('message', onMessage);
+
+  const generator = new PromptBeatGenerator();
+  generator.on('progress', event => parentPort.postMessage({ type: 'progress', event }));
+
+  try {
+    const outputPath = type === 'prompt' ?
+      await generator.generateFromPrompt(params.prompt, { ...params.overrides, signal: controller.signal }) :
+      await generator.generateBeat({ ...params, signal: controller.signal });
+
+    parentPort.postMessage({ type: 'result', outputPath });
+  } catch (error) {
+    parentPort.postMessage({
+      type: 'error',
+      error: error.message,
+      aborted: error.name === 'AbortError',
+      transient: GenerationQueue.isTransientError(error)
+    });
+  } finally {
+    // Release the port so the worker can exit
+    parentPort.off('message', onMessage);
+  }
+}
+
+runJob(workerData);
@@ -10,6 +10,15 @@ const socketIo = require('socket.io');
 // Import NSynth dataset downloader
 const { NSynthDownloader } = require('../integrations/nsynth-downloader');
 
+// Import beat generation job queue
+const { GenerationQueue } = require('./generationQueue');
+
+// Import groove template extraction
+const { GrooveEngine } = require('../modules/grooveEngine');
+
+// Import beat generator for synchronous pattern variations
+const { BeatGenerator } = require('./beatGenerator');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 const server = http.createServer(app);
@@ -39,6 +48,20 @@ const upload = multer({
   }
 });
 
+// Groove source upload: drum loops (WAV) and MIDI files, kept in memory for extraction
+const grooveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 }, // 20MB limit
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (['.wav', '.mid', '.midi'].includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only WAV drum loops and MIDI files are allowed'), false);
+    }
+  }
+});
+
 // Static file serving
 app.use('/uploads', express.static('uploads'));
 app.use('/generated', express.static('generated', {
@@ -61,16 +84,125 @@ app.use('/cache', express.static('cache'));
 // Initialize NSynth dataset downloader
 const nsynthDownloader = new NSynthDownloader();
 
+// Initialize persistent beat generation job queue (renders into the served 'generated' directory;
+// the job store holds prompts and params, so it lives in the unserved 'data' directory)
+const generationQueue = new GenerationQueue({
+  outputPath: 'generated',
+  publicPath: '/generated',
+  storePath: path.join('data', 'generation-jobs.json'),
+  concurrency: parseInt(process.env.GENERATION_CONCURRENCY) || 1,
+  maxRetries: process.env.GENERATION_MAX_RETRIES !== undefined ? parseInt(process.env.GENERATION_MAX_RETRIES) : 2
+});
+
+// Forward generation progress to clients subscribed to each job
+generationQueue.on('progress', event => {
+  if (event.jobId) {
+    io.to(`job:${event.jobId}`).emit('generation-progress', event);
+  }
+});
+
+generationQueue.on('status', job => {
+  io.to(`job:${job.id}`).emit('generation-status', job);
+});
+
+// Initialize groove template store (data/grooves - read through the groove routes only)
+const grooveEngine = new GrooveEngine({ groovePath: path.join('data', 'grooves') });
+
+// Pattern variations are computed in-process (no audio), rendering goes through the queue
+const variationGenerator = new BeatGenerator();
+
 // Basic API endpoints
 app.get('/api/status', (req, res) => {
   res.json({ 
     status: 'running',
     message: 'AI Music Backend Server',
-    features: ['NSynth isolated notes', 'File uploads', 'WebSocket support'],
+    features: ['NSynth isolated notes', 'File uploads', 'WebSocket support', 'Beat generation jobs', 'Groove templates', 'Pattern variations'],
     uptime: process.uptime()
   });
 });
 
+// Beat generation endpoints
+app.post('/api/generate', (req, res) => {
+  try {
+    const job = generationQueue.enqueueBeat(req.body || {});
+    res.status(202).json({ 
+      jobId: job.id, 
+      status: job.status, 
+      statusUrl: `/api/jobs/${job.id}` 
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.post('/api/generate/prompt', (req, res) => {
+  try {
+    const { prompt, ...overrides } = req.body || {};
+    const job = generationQueue.enqueuePrompt(prompt, overrides);
+    res.status(202).json({ 
+      jobId: job.id, 
+      status: job.status, 
+      statusUrl: `/api/jobs/${job.id}` 
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Pattern variations ("more like this"): returns seeded variations with their grids,
+// and queues a render job for each one when `render` is true
+app.post('/api/variations', (req, res) => {
+  try {
+    const { render = false, songName, ...options } = req.body || {};
+    const result = variationGenerator.generateVariations(options);
+    
+    if (!render) {
+      return res.json({ options: result.options, source: result.source, variations: result.variations });
+    }
+    
+    // Queued together: one invalid variation fails the request before any job starts
+    const jobs = generationQueue.enqueueBeats(result.variations.map(variation => ({
+      ...result.options,
+      songName: `${songName || 'variation'}_${variation.index + 1}`,
+      pattern: variation.pattern
+    })));
+    const variations = result.variations.map((variation, index) => ({
+      ...variation,
+      jobId: jobs[index].id,
+      statusUrl: `/api/jobs/${jobs[index].id}`
+    }));
+    
+    res.status(202).json({ options: result.options, source: result.source, variations });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = generationQueue.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  res.json({ job });
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const existing = generationQueue.getJob(req.params.id);
+  
+  if (!existing) {
+    return res.status(404).json({ error: `Job not found: ${req.params.id}` });
+  }
+  
+  if (GenerationQueue.isTerminal(existing)) {
+    return res.status(409).json({ error: `Job already ${existing.status}`, job: existing });
+  }
+  
+  const job = generationQueue.cancel(req.params.id);
+  res.status(202).json({ job });
+});
+
 // File upload endpoint
 app.post('/api/upload', upload.single('audio'), (req, res) => {
   try {
@@ -95,6 +227,54 @@ app.post('/api/upload', upload.single('audio'), (req, res) => {
   }
 });
 
+// Groove template endpoints
+app.post('/api/grooves', grooveUpload.single('file'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No drum loop or MIDI file uploaded' });
+    }
+    
+    const name = req.body.name || path.parse(req.file.originalname).name.replace(/[^a-z0-9_-]/gi, '-');
+    const isMidi = /\.midi?$/i.test(req.file.originalname);
+    const groove = isMidi ?
+      grooveEngine.extractFromMidi(req.file.buffer, { name, channel: parseInt(req.body.channel) || null }) :
+      grooveEngine.extractFromAudio(req.file.buffer, { name, bpm: parseFloat(req.body.bpm) || null });
+    
+    grooveEngine.saveGroove(groove);
+    console.log(`🎚️  Groove extracted from ${req.file.originalname}: ${groove.name}`);
+    res.status(201).json({ groove });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/grooves', (req, res) => {
+  try {
+    res.json({ grooves: grooveEngine.listGrooves() });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/grooves/:name', (req, res) => {
+  try {
+    res.json({ groove: grooveEngine.loadGroove(req.params.name) });
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+app.delete('/api/grooves/:name', (req, res) => {
+  try {
+    if (!grooveEngine.deleteGroove(req.params.name)) {
+      return res.status(404).json({ error: `Groove "${req.params.name}" not found` });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 // File download endpoint
 app.get('/api/download/:filename', (req, res) => {
   const { filename } = req.params;
@@ -268,7 +448,7 @@ io.on('connection', (socket) => {
   
   socket.emit('welcome', { 
     message: 'Connected to AI Music Backend',
-    features: ['NSynth integration', 'File uploads', 'Real-time updates']
+    features: ['NSynth integration', 'File uploads', 'Real-time updates', 'Generation progress']
   });
   
   socket.on('disconnect', () => {
@@ -278,6 +458,23 @@ io.on('connection', (socket) => {
   socket.on('ping', () => {
     socket.emit('pong', { timestamp: Date.now() });
   });
+  
+  // Subscribe to progress events for a generation job
+  socket.on('subscribe-job', (jobId) => {
+    const job = generationQueue.getJob(jobId);
+    
+    if (!job) {
+      socket.emit('generation-error', { jobId, error: `Job not found: ${jobId}` });
+      return;
+    }
+    
+    socket.join(`job:${jobId}`);
+    socket.emit('generation-status', job);
+  });
+  
+  socket.on('unsubscribe-job', (jobId) => {
+    socket.leave(`job:${jobId}`);
+  });
 });
 
 // Error handling middleware
@@ -295,6 +492,15 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     availableEndpoints: [
       'GET /api/status',
+      'POST /api/generate',
+      'POST /api/generate/prompt',
+      'POST /api/variations',
+      'GET /api/jobs/:id',
+      'DELETE /api/jobs/:id',
+      'POST /api/grooves',
+      'GET /api/grooves',
+      'GET /api/grooves/:name',
+      'DELETE /api/grooves/:name',
       'POST /api/upload',
       'GET /api/download/:filename',
       'GET /api/files/uploads',
@@ -308,30 +514,34 @@ app.use((req, res) => {
   });
 });
 
-// Start server
-server.listen(PORT, async () => {
-  console.log(`🎵 AI Music Backend Server running on http://localhost:${PORT}`);
-  console.log(`📁 Upload directory: ${path.resolve('uploads')}`);
-  console.log(`🎼 Generated directory: ${path.resolve('generated')}`);
-  console.log(`🔌 WebSocket server ready for real-time updates`);
-  console.log(`🎹 NSynth dataset integration ready - isolated instrument notes available`);
-  console.log(`🚀 Features: File uploads, NSynth isolated notes, WebSocket support`);
-  console.log(`📊 Server is clean and minimal - ready for AI model testing!`);
-});
+// Start server (when run directly - tests require the app and listen themselves)
+if (require.main === module) {
+  server.listen(PORT, async () => {
+    console.log(`🎵 AI Music Backend Server running on http://localhost:${PORT}`);
+    console.log(`📁 Upload directory: ${path.resolve('uploads')}`);
+    console.log(`🎼 Generated directory: ${path.resolve('generated')}`);
+    console.log(`🔌 WebSocket server ready for real-time updates`);
+    console.log(`🎹 NSynth dataset integration ready - isolated instrument notes available`);
+    console.log(`🚀 Features: File uploads, NSynth isolated notes, WebSocket support, beat generation jobs`);
+    console.log(`📊 Server is clean and minimal - ready for AI model testing!`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 Received SIGTERM, shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server shutdown complete');
-    process.exit(0);
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('🛑 Received SIGTERM, shutting down gracefully...');
+    server.close(() => {
+      console.log('✅ Server shutdown complete');
+      process.exit(0);
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
-  server.close(() => {
-    console.log('✅ Server shutdown complete');
-    process.exit(0);
+  process.on('SIGINT', () => {
+    console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+    server.close(() => {
+      console.log('✅ Server shutdown complete');
+      process.exit(0);
+    });
   });
-});
\ No newline at end of file
+}
+
+module.exports = { app, server, generationQueue };
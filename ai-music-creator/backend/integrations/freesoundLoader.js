@@ -5,12 +5,14 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DrumKit } = require('../modules/drumKit');
 
 class FreesoundLoader {
   constructor() {
     this.samplesDir = './freesound-data';
     this.sampleCache = new Map();
     this.instrumentFolders = this.initializeInstrumentFolders();
+    this.drumKit = new DrumKit();
   }
 
   /**
@@ -89,32 +91,28 @@ class FreesoundLoader {
     const notes = this.getInstrumentNotes(instrumentFamily);
     if (notes.length === 0) return null;
     
-    // For drums, map note types to MIDI note ranges
+    // For drums, map the drum voice to its General MIDI notes, trying related
+    // voices when the kit has none (e.g. side stick -> rimshot -> snare)
     if (instrumentFamily === 'drums') {
-      const drumMidiMap = {
-        'kick': [35, 36], // B1, C2
-        'snare': [38, 40], // D2, E2  
-        'hihat': [42, 44, 46], // F#2, G#2, A#2
-        'tom': [41, 43, 45, 47, 48, 50], // F2-D3
-        'ride': [51, 53, 59], // D#3, F3, B3
-        'crash': [49, 52, 55, 57] // C#3, E3, G3, A3
-      };
+      for (const voice of this.drumKit.getFallbackChain(noteType)) {
+        const targetMidiNotes = this.drumKit.getNotes(voice);
       
-      const targetMidiNotes = drumMidiMap[noteType];
-      if (targetMidiNotes) {
         // Find samples with matching MIDI notes
         const matchingSamples = notes.filter(note => 
           targetMidiNotes.includes(note.pitch)
         );
         
         if (matchingSamples.length > 0) {
-          // Return highest velocity sample
-          const bestSample = matchingSamples.sort((a, b) => b.velocity - a.velocity)[0];
+          // Preferred note of the voice first, then highest velocity
+          const bestSample = matchingSamples.sort((a, b) =>
+            targetMidiNotes.indexOf(a.pitch) - targetMidiNotes.indexOf(b.pitch) || b.velocity - a.velocity
+          )[0];
           return {
             path: bestSample.path,
             name: path.basename(bestSample.path, path.extname(bestSample.path)),
             instrumentFamily: instrumentFamily,
             noteType: noteType,
+            voice: voice,
             pitch: bestSample.pitch,
             velocity: bestSample.velocity
           };
@@ -247,7 +245,7 @@ class FreesoundLoader {
     
     // For drums, map by drum type
     if (instrumentFamily === 'drums') {
-      const drumTypes = ['kick', 'snare', 'hihat', 'tom', 'ride', 'crash'];
+      const drumTypes = this.drumKit.getVoiceNames();
       drumTypes.forEach(drumType => {
         const sample = this.getSampleForNote(instrumentFamily, drumType);
         if (sample) {
@@ -0,0 +1,217 @@
+/**
+ * Arpeggiator - Chord progressions played one note at a time
+ *
+ * Each chord of the progression is broken into a run of single notes at a
+ * steady rate, spread over one or more octaves. The settings follow a
+ * hardware arpeggiator:
+ * - direction: 'up', 'down', 'up-down' (without repeating the turning notes),
+ *   'random' or 'as-played' (the order the chord is spelled: root, third, fifth, ...)
+ * - rate: '8n', '16n', '8t' (eighth triplets) or '16t' (16th triplets)
+ * - octaves: how many octaves the run climbs (1-4)
+ * - gate: how much of each step a note sounds (0.05-1)
+ * - latch: keep the run's place when the chord changes; unlatched, each
+ *   chord restarts the run from its first note
+ * Notes on the beat are accented.
+ */
+
+class Arpeggiator {
+  constructor() {
+    this.DIRECTIONS = ['up', 'down', 'up-down', 'random', 'as-played'];
+    
+    // Rates as 16th note steps (tuplets are tagged on their notes)
+    this.RATES = {
+      '8n': { steps: 2 },
+      '16n': { steps: 1 },
+      '8t': { steps: 4 / 3, tuplet: true },
+      '16t': { steps: 2 / 3, tuplet: true }
+    };
+    
+    // Arpeggio settings per genre
+    this.GENRE_SETTINGS = {
+      'house': { direction: 'up', rate: '16n', octaves: 2, gate: 0.5, latch: true },
+      'trance': { direction: 'up-down', rate: '16n', octaves: 3, gate: 0.35, latch: true },
+      'lo-fi': { direction: 'as-played', rate: '8t', octaves: 1, gate: 0.9, latch: false },
+      'jazz': { direction: 'up-down', rate: '8t', octaves: 2, gate: 0.8, latch: false },
+      'funk': { direction: 'random', rate: '16n', octaves: 1, gate: 0.3, latch: true },
+      'default': { direction: 'up', rate: '8n', octaves: 1, gate: 0.75, latch: false }
+    };
+    
+    // Velocity of notes on the beat and between beats
+    this.accent = [0.85, 0.95];
+    this.unaccented = [0.65, 0.8];
+  }
+
+  /**
+   * Validate arpeggio settings over the genre's defaults
+   * @param {string} genre - Genre (supplies the defaults)
+   * @param {Object} [settings] - Any of { direction, rate, octaves, gate, latch }
+   * @returns {Object} Complete settings
+   */
+  resolveSettings(genre, settings = null) {
+    if (settings !== null && (typeof settings !== 'object' || Array.isArray(settings))) {
+      throw new Error('Arp settings must be an object of direction, rate, octaves, gate and latch');
+    }
+    
+    const defaults = this.GENRE_SETTINGS[genre] || this.GENRE_SETTINGS.default;
+    const resolved = { ...defaults };
+    
+    Object.entries(settings || {}).forEach(([name, value]) => {
+      if (!(name in defaults)) {
+        throw new Error(`Unknown arp setting: ${name} - use ${Object.keys(defaults).join(', ')}`);
+      }
+      if (value !== null && value !== undefined) {
+        resolved[name] = value;
+      }
+    });
+    
+    if (!this.DIRECTIONS.includes(resolved.direction)) {
+      throw new Error(`Unknown arp direction: ${resolved.direction} - use ${this.DIRECTIONS.join(', ')}`);
+    }
+    if (!this.RATES[resolved.rate]) {
+      throw new Error(`Unknown arp rate: ${resolved.rate} - use ${Object.keys(this.RATES).join(', ')}`);
+    }
+    if (!Number.isInteger(resolved.octaves) || resolved.octaves < 1 || resolved.octaves > 4) {
+      throw new Error('Arp octaves must be a whole number from 1 to 4');
+    }
+    if (typeof resolved.gate !== 'number' || resolved.gate < 0.05 || resolved.gate > 1) {
+      throw new Error('Arp gate must be between 0.05 and 1');
+    }
+    if (typeof resolved.latch !== 'boolean') {
+      throw new Error('Arp latch must be true or false');
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Arpeggiate a chord progression
+   * @param {Array<Object>} harmony - Chords as { tones, bass } pitch classes (tones in spelling order)
+   * @param {Object} options
+   * @param {Array<Array<number>>} [options.chords] - Voiced chords (ascending MIDI notes); chords are stacked from the root without them
+   * @param {string} options.genre - Genre (supplies the default settings)
+   * @param {Object} [options.settings] - Settings over the genre's defaults (see resolveSettings)
+   * @param {number} options.bars - Number of bars
+   * @param {number} [options.stepsPerBar=16] - 16th note steps per bar
+   * @param {Array<number>} options.changes - Steps where each chord starts (see MelodicPatternGenerator.getChordChanges)
+   * @param {Object} options.instrumentSpec - Instrument range and sweet spot
+   * @param {Function} options.random - Seeded random number generator (0-1)
+   * @returns {Object} { settings, events }
+   */
+  arpeggiate(harmony, { chords = null, genre, settings = null, bars, stepsPerBar = 16, changes, instrumentSpec, random }) {
+    const resolved = this.resolveSettings(genre, settings);
+    const rate = this.RATES[resolved.rate];
+    const totalSteps = bars * stepsPerBar;
+    
+    // The run over each chord change
+    const runs = changes.map((start, index) => {
+      const chord = harmony[index % harmony.length];
+      const notes = chords ? chords[index % chords.length] : this.stackChord(chord, instrumentSpec);
+      return this.buildRun(notes, chord, resolved, instrumentSpec.range);
+    });
+    
+    const events = [];
+    const count = Math.round(totalSteps / rate.steps);
+    let runIndex = -1;
+    let position = 0;
+    let previous = null;
+    
+    for (let i = 0; i < count; i++) {
+      const step = i * rate.steps;
+      const changeIndex = changes.filter(change => change <= step + 1e-6).length - 1;
+      
+      // Unlatched, a new chord restarts the run
+      if (changeIndex !== runIndex) {
+        runIndex = changeIndex;
+        if (!resolved.latch) position = 0;
+      }
+      
+      // Random runs never strike the same note twice in a row
+      const run = runs[changeIndex];
+      const choices = run.length > 1 ? run.filter(candidate => candidate !== previous) : run;
+      const note = resolved.direction === 'random' ?
+        choices[Math.floor(random() * choices.length)] :
+        run[position % run.length];
+      position++;
+      previous = note;
+      
+      const onBeat = Math.abs(step / 4 - Math.round(step / 4)) < 1e-6;
+      const [low, high] = onBeat ? this.accent : this.unaccented;
+      
+      const event = {
+        note,
+        time: step / 4, // Beats (16th note steps)
+        velocity: low + random() * (high - low),
+        duration: rate.steps * resolved.gate / 4
+      };
+      
+      if (rate.tuplet) {
+        event.subdivision = resolved.rate;
+      }
+      
+      events.push(event);
+    }
+    
+    return { settings: resolved, events };
+  }
+
+  /**
+   * Notes of one chord's run in the arpeggio's direction and octave span
+   * @private
+   */
+  buildRun(notes, chord, settings, range) {
+    // As played: in the order the chord is spelled, whatever the voicing
+    const asPlayed = settings.direction === 'as-played';
+    const spelled = asPlayed ?
+      [...notes].sort((a, b) => this.spellingIndex(a, chord) - this.spellingIndex(b, chord)) :
+      [...notes].sort((a, b) => a - b);
+    
+    // Add an octave at a time while the instrument reaches
+    let climb = [];
+    for (let octave = 0; octave < settings.octaves; octave++) {
+      const transposed = spelled.map(note => note + octave * 12);
+      if (octave > 0 && transposed.some(note => note > range[1])) break;
+      climb.push(...transposed);
+    }
+    
+    // Voicings wider than an octave overlap their transposition: merge them into one climb
+    if (!asPlayed) {
+      climb = [...new Set(climb)].sort((a, b) => a - b);
+    }
+    
+    switch (settings.direction) {
+      case 'down':
+        return climb.reverse();
+      case 'up-down':
+        return climb.length > 2 ? [...climb, ...climb.slice(1, -1).reverse()] : climb;
+      default:
+        return climb;
+    }
+  }
+
+  /**
+   * Position of a note's pitch class in the chord's spelling
+   * @private
+   */
+  spellingIndex(note, chord) {
+    const index = chord.tones.indexOf(((note % 12) + 12) % 12);
+    return index === -1 ? chord.tones.length : index;
+  }
+
+  /**
+   * Close-position chord stacked up from the root at the bottom of the sweet spot
+   * @private
+   */
+  stackChord(chord, instrumentSpec) {
+    const [low] = instrumentSpec.sweetSpot;
+    const root = low + ((chord.tones[0] - low) % 12 + 12) % 12;
+    
+    let previous = root;
+    return chord.tones.map((tone, index) => {
+      if (index === 0) return root;
+      previous = previous + ((tone - previous) % 12 + 12) % 12;
+      return previous;
+    });
+  }
+}
+
+module.exports = { Arpeggiator };
@@ -0,0 +1,535 @@
+/**
+ * Arrangement Generator - Builds full song forms from a base drum groove
+ *
+ * Sits above PatternGenerator: the style's groove is generated once as a
+ * two-bar phrase and every section of the song plays a variation of it:
+ * - Per-section density and dynamics (sparse intro, full chorus, thin breakdown),
+ *   scaled bar by bar by an optional energy value or curve over the song
+ * - Variations derived from the base groove (8th note cymbals in the chorus,
+ *   half-time backbeat in the bridge, building pre-chorus, fading outro)
+ * - Fills leading into every new section and crashes on its downbeat
+ * - Total length in bars or seconds; preset forms stretch or shrink to fit
+ *
+ * Section markers (1-based bar numbers and start times) travel with the
+ * pattern as `pattern.arrangement` and end up in the render metadata.
+ */
+
+const { PatternGenerator } = require('./patternGenerator');
+const { DrumKit } = require('./drumKit');
+
+class ArrangementGenerator {
+  constructor() {
+    this.patternGenerator = new PatternGenerator();
+    this.drumKit = new DrumKit();
+    this.randomSeed = Date.now();
+    this.randomIndex = 0;
+    this.phraseBars = 2; // Length of the base groove
+    this.maxBars = 256;
+    
+    // How each section type plays the base groove
+    // mute lists drum groups (see DrumKit); fillBeats is the length of the fill leading into the section
+    this.sectionProfiles = {
+      intro: { density: 0.5, velocity: 0.8, mute: ['snare', 'tom'], variation: null, crash: false, fillBeats: 1 },
+      verse: { density: 0.8, velocity: 0.9, mute: [], variation: null, crash: true, fillBeats: 1 },
+      'pre-chorus': { density: 0.9, velocity: 0.85, mute: [], variation: 'build', crash: true, fillBeats: 1 },
+      chorus: { density: 1.0, velocity: 1.0, mute: [], variation: 'lift', crash: true, fillBeats: 2 },
+      bridge: { density: 0.7, velocity: 0.85, mute: [], variation: 'half-time', crash: true, fillBeats: 1 },
+      breakdown: { density: 0.35, velocity: 0.75, mute: ['kick'], variation: null, crash: true, fillBeats: 2 },
+      outro: { density: 0.6, velocity: 0.85, mute: [], variation: 'fade', crash: true, fillBeats: 1 }
+    };
+    
+    // Preset song forms as [section type, bars]
+    this.forms = {
+      pop: [['intro', 4], ['verse', 8], ['pre-chorus', 4], ['chorus', 8], ['verse', 8], ['pre-chorus', 4], ['chorus', 8], ['bridge', 8], ['chorus', 8], ['outro', 4]],
+      edm: [['intro', 8], ['verse', 8], ['pre-chorus', 8], ['chorus', 16], ['breakdown', 8], ['pre-chorus', 8], ['chorus', 16], ['outro', 8]],
+      'hip-hop': [['intro', 4], ['verse', 16], ['chorus', 8], ['verse', 16], ['chorus', 8], ['outro', 4]],
+      short: [['intro', 2], ['verse', 4], ['chorus', 4], ['outro', 2]]
+    };
+    
+    // Default form per style (others use 'pop')
+    this.styleForms = {
+      house: 'edm',
+      'lo-fi': 'hip-hop'
+    };
+    
+    // Sections that give or take bars first when a form is fitted to a length
+    this.fitPriority = ['chorus', 'verse', 'breakdown', 'bridge', 'pre-chorus', 'outro', 'intro'];
+  }
+
+  /**
+   * Set random seed for reproducible arrangements
+   * @param {number} seed - Random seed
+   */
+  setSeed(seed) {
+    this.randomSeed = seed;
+    this.randomIndex = 0;
+  }
+
+  /**
+   * Seeded random number generator
+   * @returns {number} Random number between 0 and 1
+   */
+  seededRandom() {
+    const x = Math.sin(this.randomSeed + this.randomIndex++) * 10000;
+    return x - Math.floor(x);
+  }
+
+  /**
+   * Plan the song form: section order, names and bar counts
+   * @param {string|Object} arrangement - Form name, or { form, sections, bars, seconds }
+   * @param {Object} context - Song context
+   * @param {string} context.keyword - Style keyword (picks the default form)
+   * @param {number} context.bpm - Tempo used to turn seconds into bars
+   * @param {number} context.quarterNotesPerBar - Bar length in quarter notes
+   * @returns {Object} Plan with form, sections ({ type, name, bars, density }) and totalBars
+   */
+  plan(arrangement, { keyword, bpm, quarterNotesPerBar }) {
+    const options = typeof arrangement === 'string' ? { form: arrangement } : arrangement;
+    
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Arrangement must be a form name or an object with form, sections, bars or seconds');
+    }
+    
+    let form;
+    let sections;
+    
+    if (options.sections) {
+      form = 'custom';
+      sections = this.normalizeSections(options.sections);
+    } else {
+      form = options.form || this.styleForms[keyword] || 'pop';
+      
+      if (!this.forms[form]) {
+        throw new Error(`Unknown arrangement form "${form}": use one of ${Object.keys(this.forms).join(', ')}`);
+      }
+      sections = this.forms[form].map(([type, bars]) => ({ type, bars, density: null }));
+    }
+    
+    // Fit to the requested length (seconds count at the starting tempo)
+    let targetBars = null;
+    if (options.bars !== undefined) {
+      targetBars = options.bars;
+    } else if (options.seconds !== undefined) {
+      if (typeof options.seconds !== 'number' || !(options.seconds > 0)) {
+        throw new Error('Arrangement length in seconds must be a positive number');
+      }
+      targetBars = Math.max(1, Math.round(options.seconds / (quarterNotesPerBar * 60 / bpm)));
+    }
+    
+    if (targetBars !== null) {
+      if (!Number.isInteger(targetBars) || targetBars < sections.length || targetBars > this.maxBars) {
+        throw new Error(`Arrangement length must be ${sections.length}-${this.maxBars} bars for this form (got ${targetBars})`);
+      }
+      sections = this.fitSections(sections, targetBars);
+    }
+    
+    const totalBars = sections.reduce((sum, section) => sum + section.bars, 0);
+    if (totalBars > this.maxBars) {
+      throw new Error(`Arrangement is ${totalBars} bars long; the maximum is ${this.maxBars}`);
+    }
+    
+    return { form, sections: this.nameSections(sections), totalBars };
+  }
+
+  /**
+   * Validate custom sections such as [{ type: 'verse', bars: 8, density: 0.7 }]
+   * @private
+   */
+  normalizeSections(sections) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw new Error('Arrangement sections must be a non-empty array');
+    }
+    
+    return sections.map((section, index) => {
+      const type = section && section.type;
+      
+      if (!this.sectionProfiles[type]) {
+        throw new Error(`Unknown section type "${type}" at position ${index + 1}: use one of ${Object.keys(this.sectionProfiles).join(', ')}`);
+      }
+      if (!Number.isInteger(section.bars) || section.bars < 1) {
+        throw new Error(`Section ${index + 1} (${type}) needs a whole number of bars`);
+      }
+      if (section.density !== undefined && (typeof section.density !== 'number' || section.density < 0 || section.density > 1)) {
+        throw new Error(`Section ${index + 1} (${type}) density must be between 0 and 1`);
+      }
+      
+      return { type, bars: section.bars, density: section.density === undefined ? null : section.density, name: section.name || null };
+    });
+  }
+
+  /**
+   * Scale section lengths to a total, keeping even bar counts where possible
+   * @private
+   */
+  fitSections(sections, targetBars) {
+    const currentBars = sections.reduce((sum, section) => sum + section.bars, 0);
+    const scale = targetBars / currentBars;
+    const fitted = sections.map(section => ({
+      ...section,
+      bars: Math.max(1, 2 * Math.round(section.bars * scale / 2))
+    }));
+    
+    // Hand out (or take back) the remainder, favouring choruses and verses
+    const order = fitted
+      .map((section, index) => index)
+      .sort((a, b) => this.fitPriority.indexOf(fitted[a].type) - this.fitPriority.indexOf(fitted[b].type) || a - b);
+    
+    let remaining = targetBars - fitted.reduce((sum, section) => sum + section.bars, 0);
+    let cursor = 0;
+    
+    while (remaining !== 0) {
+      const section = fitted[order[cursor % order.length]];
+      const change = Math.sign(remaining) * Math.min(2, Math.abs(remaining));
+      
+      if (section.bars + change >= 1) {
+        section.bars += change;
+        remaining -= change;
+      } else if (change === -2 && section.bars > 1) {
+        section.bars -= 1;
+        remaining += 1;
+      }
+      cursor++;
+    }
+    
+    return fitted;
+  }
+
+  /**
+   * Give sections display names, numbering repeated types ("Verse 1", "Verse 2")
+   * @private
+   */
+  nameSections(sections) {
+    const totals = {};
+    const counts = {};
+    sections.forEach(section => {
+      totals[section.type] = (totals[section.type] || 0) + 1;
+    });
+    
+    return sections.map(section => {
+      counts[section.type] = (counts[section.type] || 0) + 1;
+      const label = section.type.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join('-');
+      
+      return {
+        ...section,
+        name: section.name || (totals[section.type] > 1 ? `${label} ${counts[section.type]}` : label)
+      };
+    });
+  }
+
+  /**
+   * Generate a drum arrangement over the whole song
+   * @param {Object} config - Arrangement configuration
+   * @param {string} config.keyword - Style keyword
+   * @param {Object} config.timingConfig - Timing configuration covering every bar of the plan
+   * @param {Object} config.plan - Plan from plan()
+   * @param {number} [config.seed] - Random seed for reproducible arrangements
+   * @param {string} [config.fillSubdivision='16n'] - Note subdivision for section fills
+   * @param {string} [config.mode] - Base groove mode ('template' or 'euclidean')
+   * @param {Object} [config.euclidean] - Euclidean lane overrides for the base groove
+   * @param {string} [config.model] - Trained pattern model for the base groove
+   * @param {number|Array<number>} [config.energy] - Energy 0-1 or a curve across the song, scaling each section's density
+   * @param {number} [config.complexity] - Complexity 0-1 of the base groove
+   * @returns {Object} Pattern with events and arrangement section markers
+   */
+  generate({ keyword, timingConfig, plan, seed, fillSubdivision = '16n', mode = null, euclidean = null, model = null, energy = null, complexity = null }) {
+    if (seed) this.setSeed(seed);
+    
+    const { stepsPerBar, totalSteps } = timingConfig;
+    
+    // Base groove: one phrase of the style, without its own fills
+    const phraseBars = Math.min(this.phraseBars, timingConfig.bars);
+    const phraseConfig = { ...timingConfig, bars: phraseBars, totalSteps: stepsPerBar * phraseBars };
+    const base = this.patternGenerator.generate({ keyword, timingConfig: phraseConfig, seed, fillSubdivision, mode, euclidean, model, complexity });
+    const phrase = this.splitIntoBars(base.events.filter(event => !event.fill), phraseConfig);
+    const cymbal = base.events.some(event => event.note === 'ride') ? 'ride' : 'hihat';
+    
+    console.log(`🗂️  Arranging ${plan.form} form: ${plan.sections.map(section => `${section.name} (${section.bars})`).join(' → ')}`);
+    
+    const events = [];
+    let startBar = 0;
+    
+    plan.sections.forEach((section, sectionIndex) => {
+      const profile = this.sectionProfiles[section.type];
+      const density = section.density !== null ? section.density : profile.density;
+      
+      for (let barInSection = 0; barInSection < section.bars; barInSection++) {
+        const bar = startBar + barInSection;
+        const progress = barInSection / section.bars;
+        const barDensity = this.patternGenerator.scaleDensity(density, this.patternGenerator.energyAt(energy, bar, plan.totalBars));
+        
+        phrase[bar % phraseBars].forEach(({ offset, event }) => {
+          if (profile.mute.includes(this.drumKit.getGroup(event.note) || event.note)) return;
+          if (!this.keepEvent(event, offset, barDensity, profile, timingConfig)) return;
+          
+          const copy = {
+            ...event,
+            position: (bar * stepsPerBar + offset) / totalSteps,
+            velocity: this.scaleVelocity(event.velocity, profile, progress),
+            bar,
+            section: sectionIndex
+          };
+          
+          // Runs are copied per bar, so their groups need their own ids
+          if (event.tuplet) {
+            copy.tuplet = { ...event.tuplet, group: `${bar}:${event.tuplet.group}` };
+          }
+          
+          events.push(copy);
+        });
+        
+        events.push(...this.createVariationEvents(profile, bar, progress, cymbal, events, sectionIndex, timingConfig));
+      }
+      
+      startBar += section.bars;
+    });
+    
+    // Transitions: fills at the end of each section, crashes on the next downbeat
+    this.addTransitions(events, plan, timingConfig, fillSubdivision);
+    
+    events.sort((a, b) => a.position - b.position);
+    
+    console.log(`🎵 Arranged ${events.length} events over ${plan.totalBars} bars`);
+    
+    return {
+      style: keyword,
+      mode: base.mode,
+      model: base.model,
+      events,
+      density: base.density,
+      swingFeel: base.swingFeel,
+      arrangement: this.describe(plan, timingConfig)
+    };
+  }
+
+  /**
+   * Shape a melodic pattern to the arrangement (density and dynamics per section)
+   * @param {Object} pattern - Melodic pattern covering every bar of the plan
+   * @param {Object} timingConfig - Timing configuration
+   * @param {Object} plan - Plan from plan()
+   * @param {number} [seed] - Random seed for reproducible thinning
+   * @returns {Object} The same pattern with `arrangement` section markers
+   */
+  applyToMelody(pattern, timingConfig, plan, seed) {
+    if (seed) this.setSeed(seed);
+    
+    const sectionBars = this.getSectionStarts(plan);
+    const chordHits = new Map(); // Comped chords are kept or dropped whole
+    
+    pattern.events = pattern.events.filter(event => {
+      const exactStep = event.position * timingConfig.totalSteps;
+      const bar = Math.floor(exactStep / timingConfig.stepsPerBar + 1e-6);
+      const sectionIndex = this.findSection(sectionBars, bar);
+      const section = plan.sections[sectionIndex];
+      const profile = this.sectionProfiles[section.type];
+      const density = section.density !== null ? section.density : profile.density;
+      const offset = exactStep - bar * timingConfig.stepsPerBar;
+      
+      let keep;
+      if (event.chordHit !== undefined && chordHits.has(event.chordHit)) {
+        keep = chordHits.get(event.chordHit);
+      } else {
+        keep = this.keepEvent(event, offset, density, profile, timingConfig);
+        if (event.chordHit !== undefined) chordHits.set(event.chordHit, keep);
+      }
+      if (!keep) return false;
+      
+      event.velocity = this.scaleVelocity(event.velocity, profile, (bar - sectionBars[sectionIndex]) / section.bars);
+      event.section = sectionIndex;
+      return true;
+    });
+    
+    pattern.arrangement = this.describe(plan, timingConfig);
+    return pattern;
+  }
+
+  /**
+   * Group base groove events by bar with their step offset inside the bar
+   * @private
+   */
+  splitIntoBars(events, phraseConfig) {
+    const bars = Array.from({ length: phraseConfig.bars }, () => []);
+    
+    events.forEach(event => {
+      const exactStep = event.position * phraseConfig.totalSteps;
+      const bar = Math.min(phraseConfig.bars - 1, Math.floor(exactStep / phraseConfig.stepsPerBar + 1e-6));
+      bars[bar].push({ offset: exactStep - bar * phraseConfig.stepsPerBar, event });
+    });
+    
+    return bars;
+  }
+
+  /**
+   * Beat hits always play; other hits are thinned by the section density
+   * Runs are kept whole and half-time sections drop the regular backbeat.
+   * @private
+   */
+  keepEvent(event, offset, density, profile, timingConfig) {
+    const onBeat = timingConfig.beatStarts.some(beatStart => Math.abs(beatStart - offset) < 1e-6);
+    
+    if (profile.variation === 'half-time' && this.drumKit.getGroup(event.note) === 'snare' && onBeat && offset > 0) return false;
+    if (event.tuplet || onBeat) return true;
+    
+    return this.seededRandom() < density;
+  }
+
+  /**
+   * Section dynamics: base level, rising in builds and falling in fades
+   * @private
+   */
+  scaleVelocity(velocity, profile, progress) {
+    let scale = profile.velocity;
+    
+    if (profile.variation === 'build') scale *= 0.85 + 0.15 * progress;
+    if (profile.variation === 'fade') scale *= 1 - 0.5 * progress;
+    
+    return Math.max(0.1, Math.min(1.0, velocity * scale));
+  }
+
+  /**
+   * Extra hits a section adds on top of the base groove
+   * - lift: the groove's cymbal on every 8th note that is still empty
+   * - half-time: one backbeat in the middle of the bar
+   * @private
+   */
+  createVariationEvents(profile, bar, progress, cymbal, events, sectionIndex, timingConfig) {
+    const { stepsPerBar, totalSteps, beatStarts } = timingConfig;
+    const barStart = bar * stepsPerBar;
+    const added = [];
+    
+    if (profile.variation === 'lift') {
+      const taken = new Set(events
+        .filter(event => event.bar === bar && event.note === cymbal)
+        .map(event => Math.round(event.position * totalSteps)));
+      
+      for (let offset = 0; offset < stepsPerBar; offset += 2) {
+        if (taken.has(barStart + offset)) continue;
+        
+        added.push({
+          position: (barStart + offset) / totalSteps,
+          velocity: this.scaleVelocity(offset % 4 === 0 ? 0.55 : 0.45, profile, progress),
+          note: cymbal,
+          ghost: false,
+          variation: true,
+          bar,
+          step: offset + 1,
+          section: sectionIndex
+        });
+      }
+    }
+    
+    if (profile.variation === 'half-time' && beatStarts.length > 1) {
+      const backbeat = beatStarts[Math.floor(beatStarts.length / 2)];
+      
+      added.push({
+        position: (barStart + backbeat) / totalSteps,
+        velocity: this.scaleVelocity(0.8, profile, progress),
+        note: 'snare',
+        ghost: false,
+        variation: true,
+        bar,
+        step: backbeat + 1,
+        section: sectionIndex
+      });
+    }
+    
+    return added;
+  }
+
+  /**
+   * Add a fill at the end of every section and a crash where the next one starts
+   * Hits under the fill (except the kick) make way for it.
+   * @private
+   */
+  addTransitions(events, plan, timingConfig, fillSubdivision) {
+    const { stepsPerBar, totalSteps, beatSteps } = timingConfig;
+    const sectionBars = this.getSectionStarts(plan);
+    
+    for (let index = 1; index < plan.sections.length; index++) {
+      const profile = this.sectionProfiles[plan.sections[index].type];
+      const boundary = sectionBars[index] * stepsPerBar;
+      const fillSteps = beatSteps.slice(-profile.fillBeats).reduce((sum, steps) => sum + steps, 0);
+      const fillStart = boundary - Math.min(fillSteps, plan.sections[index - 1].bars * stepsPerBar);
+      
+      // Clear the fill window and the crash position
+      for (let i = events.length - 1; i >= 0; i--) {
+        const step = events[i].position * totalSteps;
+        const underFill = step >= fillStart - 1e-6 && step < boundary - 1e-6 && events[i].note !== 'kick';
+        const underCrash = profile.crash && Math.abs(step - boundary) < 1e-6 && (this.drumKit.getGroup(events[i].note) === 'hihat' || events[i].note === 'ride');
+        
+        if (underFill || underCrash) {
+          events.splice(i, 1);
+        }
+      }
+      
+      this.patternGenerator.createFill(fillStart, boundary - fillStart, timingConfig, fillSubdivision).forEach(event => {
+        events.push({ ...event, bar: sectionBars[index] - 1, section: index - 1 });
+      });
+      
+      if (profile.crash) {
+        events.push({
+          position: boundary / totalSteps,
+          velocity: 0.9,
+          note: 'crash',
+          ghost: false,
+          crash: true,
+          bar: sectionBars[index],
+          step: 1,
+          section: index
+        });
+      }
+    }
+  }
+
+  /**
+   * First bar (0-based) of every section
+   * @private
+   */
+  getSectionStarts(plan) {
+    const starts = [];
+    let bar = 0;
+    
+    plan.sections.forEach(section => {
+      starts.push(bar);
+      bar += section.bars;
+    });
+    
+    return starts;
+  }
+
+  /**
+   * Index of the section containing a bar
+   * @private
+   */
+  findSection(sectionBars, bar) {
+    let index = 0;
+    while (index + 1 < sectionBars.length && sectionBars[index + 1] <= bar) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Section markers with 1-based bar numbers and start times
+   * @private
+   */
+  describe(plan, timingConfig) {
+    const sectionBars = this.getSectionStarts(plan);
+    const toSeconds = bar => Math.round(timingConfig.tempoMap.stepToSeconds(bar * timingConfig.stepsPerBar) * 1000) / 1000;
+    
+    return {
+      form: plan.form,
+      totalBars: plan.totalBars,
+      totalSeconds: toSeconds(plan.totalBars),
+      sections: plan.sections.map((section, index) => ({
+        name: section.name,
+        type: section.type,
+        startBar: sectionBars[index] + 1,
+        endBar: sectionBars[index] + section.bars,
+        bars: section.bars,
+        startSeconds: toSeconds(sectionBars[index])
+      }))
+    };
+  }
+}
+
+module.exports = { ArrangementGenerator };
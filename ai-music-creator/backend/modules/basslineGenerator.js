@@ -0,0 +1,287 @@
+/**
+ * Bassline Generator - Bass lines locked to the kick drum
+ *
+ * Lines are written from the kick lane of a drum pattern and the chord
+ * progression: the root on every chord change, fifths, octaves and chord tones
+ * in between, and approach notes (a half step or scale step away) leading into
+ * the next chord. Each style follows a genre idiom:
+ * - 'walking' (jazz): a note on every beat, walking through chord tones to an approach note
+ * - 'octave' (funk): roots on the kick with octave pops on the offbeat after it
+ * - 'offbeat' (house): eighth-note offbeats between four-on-the-floor kicks
+ * - 'bubble' (reggae): roots on the kick, bouncing root, fifth and octave offbeats
+ * - 'root-fifth' (bossa): root and the fifth below on the kick
+ * - 'driving' (upbeat): pumping eighth-note roots
+ * - 'root' (pop, lo-fi and others): roots on the kick, held to the next note
+ * Notes on a kick hit take the kick's velocity, so the bass follows the drums'
+ * dynamics.
+ */
+
+const { DrumKit } = require('./drumKit');
+
+class BasslineGenerator {
+  constructor() {
+    this.drumKit = new DrumKit();
+    
+    // Bass styles
+    // grid: extra note steps in a 16-step bar ('beats' for every beat, 'pops' for the offbeat after each kick)
+    // onKick: whether every kick hit plays a note
+    // kickTones / gridTones: tones cycled through after the chord's root
+    // length: note length in steps, or 'legato' to hold to the next note
+    // approach: chance of an approach note into the next chord
+    this.STYLES = {
+      walking: { grid: 'beats', onKick: false, gridTones: 'walk', length: 'legato', approach: 1 },
+      octave: { grid: 'pops', onKick: true, kickTones: ['root', 'root', 'fifth'], gridTones: ['octave'], length: 1, approach: 0.3 },
+      offbeat: { grid: [2, 6, 10, 14], onKick: false, gridTones: ['root', 'root', 'octave', 'root'], length: 2, approach: 0 },
+      bubble: { grid: [2, 6, 10, 14], onKick: true, kickTones: ['root'], gridTones: ['root', 'fifth', 'octave'], length: 1, approach: 0.3 },
+      'root-fifth': { grid: [], onKick: true, kickTones: ['root', 'fifth-below'], length: 'legato', approach: 0.3 },
+      driving: { grid: [0, 2, 4, 6, 8, 10, 12, 14], onKick: true, kickTones: ['root'], gridTones: ['root'], length: 2, approach: 0.3 },
+      root: { grid: [], onKick: true, kickTones: ['root', 'root', 'fifth'], length: 'legato', approach: 0.5 }
+    };
+    
+    // Style for each genre
+    this.GENRE_STYLES = {
+      'jazz': 'walking',
+      'funk': 'octave',
+      'house': 'offbeat',
+      'reggae': 'bubble',
+      'bossa': 'root-fifth',
+      'upbeat': 'driving',
+      'default': 'root'
+    };
+  }
+
+  /**
+   * Kick lane of a drum pattern
+   * @param {Object} pattern - Drum pattern with events
+   * @param {number} totalSteps - Steps in the pattern
+   * @returns {Array<Object>} Kick hits as { step, velocity }, in order
+   */
+  getKickLane(pattern, totalSteps) {
+    const hits = new Map();
+    pattern.events
+      .filter(event => this.drumKit.getGroup(event.note) === 'kick' && !event.ghost)
+      .forEach(event => {
+        const step = Math.round(event.position * totalSteps);
+        if (step < totalSteps) {
+          hits.set(step, Math.max(hits.get(step) || 0, event.velocity));
+        }
+      });
+    
+    return [...hits.entries()].sort((a, b) => a[0] - b[0]).map(([step, velocity]) => ({ step, velocity }));
+  }
+
+  /**
+   * Write a bassline over a chord progression
+   * @param {Array<Object>} harmony - Chords as { tones, bass } pitch classes
+   * @param {Object} options
+   * @param {string} options.genre - Genre (selects the style)
+   * @param {Array<number>} options.scale - Scale notes (pitch classes are used for approach notes)
+   * @param {Array<Object|number>} [options.kick] - Kick lane as { step, velocity } hits or steps; defaults to every beat
+   * @param {number} options.bars - Number of bars
+   * @param {number} [options.stepsPerBar=16] - 16th note steps per bar
+   * @param {Array<number>} options.changes - Steps where each chord starts
+   * @param {Array<number>} options.range - Instrument range (MIDI notes); the line stays in its lowest two octaves
+   * @param {Function} options.random - Seeded random number generator (0-1)
+   * @returns {Object} { style, kickHits, notesOnKick, events }
+   */
+  generate(harmony, { genre, scale, kick = null, bars, stepsPerBar = 16, changes, range, random }) {
+    const styleName = this.GENRE_STYLES[genre] || this.GENRE_STYLES.default;
+    const style = this.STYLES[styleName];
+    const totalSteps = bars * stepsPerBar;
+    const register = [range[0], Math.min(range[1], range[0] + 24)];
+    
+    const lane = this.normalizeKickLane(kick, totalSteps);
+    const kickVelocities = new Map(lane.map(hit => [hit.step, hit.velocity]));
+    const steps = this.getNoteSteps(style, lane, changes, bars, stepsPerBar);
+    
+    // Chord spans: the notes played over each chord change
+    const spans = changes.map((start, index) => ({
+      chord: harmony[index % harmony.length],
+      start,
+      steps: []
+    }));
+    steps.forEach(step => {
+      const span = spans.filter(candidate => candidate.start <= step).pop();
+      if (span) span.steps.push(step);
+    });
+    
+    const events = [];
+    let previous = null;
+    let previousRoot = null;
+    
+    spans.forEach((span, spanIndex) => {
+      if (span.steps.length === 0) return;
+      
+      // The root, in the octave nearest the previous root (octave pops and fifths don't move the line)
+      const root = this.placeNear(span.chord.bass, previousRoot !== null ? previousRoot : register[0] + 12, register);
+      previousRoot = root;
+      const next = spans[spanIndex + 1] || spans[0];
+      const target = this.placeNear(next.chord.bass, root, register);
+      const approach = span.steps.length > 1 && next.chord.bass !== span.chord.bass && random() < style.approach;
+      
+      let kickIndex = 0;
+      let gridIndex = 0;
+      
+      span.steps.forEach((step, index) => {
+        const onKick = kickVelocities.has(step);
+        let note;
+        
+        if (index === 0) {
+          note = root;
+        } else if (approach && index === span.steps.length - 1) {
+          note = this.getApproachNote(target, scale, register, random);
+        } else if (style.gridTones === 'walk') {
+          note = this.walk(previous, target, span.chord, register, random);
+        } else {
+          const tones = onKick ? style.kickTones || style.gridTones : style.gridTones || style.kickTones;
+          const tone = tones[(onKick ? kickIndex++ : gridIndex++) % tones.length];
+          note = this.getTone(tone, root, register);
+        }
+        
+        const nextStep = steps[steps.indexOf(step) + 1];
+        const gap = (nextStep !== undefined ? nextStep : totalSteps) - step;
+        const length = style.length === 'legato' ? gap : Math.min(style.length, gap);
+        
+        // Kick hits set the bass dynamics; octave pops are played harder
+        let velocity = onKick ? Math.max(0.6, Math.min(1, kickVelocities.get(step))) : 0.65 + random() * 0.2;
+        if (!onKick && note === root + 12) velocity = Math.min(1, velocity + 0.1);
+        
+        events.push({
+          note,
+          time: step / 4, // Beats (16th note steps)
+          velocity,
+          duration: length / 4
+        });
+        previous = note;
+      });
+    });
+    
+    return {
+      style: styleName,
+      kickHits: lane.length,
+      notesOnKick: events.filter(event => kickVelocities.has(Math.round(event.time * 4))).length,
+      events
+    };
+  }
+
+  /**
+   * Kick hits inside the pattern as { step, velocity }; every beat without a kick lane
+   * @private
+   */
+  normalizeKickLane(kick, totalSteps) {
+    const lane = kick ?
+      kick.map(hit => (typeof hit === 'number' ? { step: hit, velocity: 0.9 } : hit)) :
+      Array.from({ length: Math.ceil(totalSteps / 4) }, (_, beat) => ({ step: beat * 4, velocity: 0.9 }));
+    
+    return lane
+      .filter(hit => Number.isInteger(hit.step) && hit.step >= 0 && hit.step < totalSteps)
+      .sort((a, b) => a.step - b.step);
+  }
+
+  /**
+   * Steps that play a note: kick hits, the style's grid and the chord changes
+   * The 16-step grid is fitted to the bar like melodic rhythms.
+   * @private
+   */
+  getNoteSteps(style, lane, changes, bars, stepsPerBar) {
+    const steps = new Set(changes); // Every chord's root is heard
+    const kickSteps = new Set(lane.map(hit => hit.step));
+    
+    if (style.onKick) {
+      kickSteps.forEach(step => steps.add(step));
+    }
+    
+    for (let bar = 0; bar < bars; bar++) {
+      const barStart = bar * stepsPerBar;
+      
+      if (style.grid === 'beats') {
+        for (let step = 0; step < stepsPerBar; step += 4) steps.add(barStart + step);
+      } else if (style.grid === 'pops') {
+        // An octave pop an eighth after each kick, unless another kick is there
+        kickSteps.forEach(step => {
+          if (step >= barStart && step + 2 < barStart + stepsPerBar && !kickSteps.has(step + 1) && !kickSteps.has(step + 2)) {
+            steps.add(step + 2);
+          }
+        });
+      } else {
+        for (let offset = 0; offset < stepsPerBar; offset += 16) {
+          style.grid.forEach(step => {
+            if (offset + step < stepsPerBar) steps.add(barStart + offset + step);
+          });
+        }
+      }
+    }
+    
+    return [...steps].sort((a, b) => a - b);
+  }
+
+  /**
+   * Pitch of a chord tone relative to the placed root
+   * @private
+   */
+  getTone(tone, root, register) {
+    const [low, high] = register;
+    switch (tone) {
+      case 'octave':
+        return root + 12 <= high ? root + 12 : root;
+      case 'fifth':
+        return root + 7 <= high ? root + 7 : root - 5;
+      case 'fifth-below':
+        return root - 5 >= low ? root - 5 : root + 7;
+      default:
+        return root;
+    }
+  }
+
+  /**
+   * Walking bass step: a chord tone (or scale step) moving towards the next chord's root
+   * @private
+   */
+  walk(from, target, chord, register, random) {
+    const [low, high] = register;
+    const direction = target > from ? 1 : target < from ? -1 : (from - low < high - from ? 1 : -1);
+    
+    const candidates = [];
+    for (let interval = 1; interval <= 5; interval++) {
+      const note = from + direction * interval;
+      if (note >= low && note <= high && note !== target && chord.tones.includes(((note % 12) + 12) % 12)) {
+        candidates.push(note);
+      }
+    }
+    
+    // No chord tone on the way: a whole step towards the target
+    if (candidates.length === 0) {
+      const step = from + direction * 2;
+      return step >= low && step <= high ? step : from - direction * 2;
+    }
+    
+    return candidates[Math.floor(random() * candidates.length)];
+  }
+
+  /**
+   * Approach note into a target: a half step below or above, or the scale step below
+   * @private
+   */
+  getApproachNote(target, scale, register, random) {
+    const scalePitches = scale.map(note => ((note % 12) + 12) % 12);
+    let scaleStep = target - 1;
+    while (!scalePitches.includes(((scaleStep % 12) + 12) % 12) && scaleStep > target - 3) scaleStep--;
+    
+    const options = [target - 1, target + 1, scaleStep].filter(note => note >= register[0] && note <= register[1]);
+    return options.length > 0 ? options[Math.floor(random() * options.length)] : target;
+  }
+
+  /**
+   * Pitch class in the register, in the octave nearest a reference note
+   * @private
+   */
+  placeNear(pitchClass, reference, register) {
+    const [low, high] = register;
+    let note = reference + ((pitchClass - reference) % 12 + 18) % 12 - 6;
+    while (note < low) note += 12;
+    while (note > high) note -= 12;
+    return Math.max(low, note);
+  }
+}
+
+module.exports = { BasslineGenerator };
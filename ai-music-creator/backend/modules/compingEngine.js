@@ -0,0 +1,197 @@
+/**
+ * Comping Engine - Chord accompaniment rhythms and guitar strums
+ *
+ * Comping plays the voiced chords of a progression as simultaneous notes in a
+ * rhythm chosen for the genre. Each rhythm has a type:
+ * - 'stab': short accented chords (house organ stabs, funk chops)
+ * - 'pad': chords held until the next chord change
+ * - 'skank': short off-beat chops (ska and reggae)
+ * A hit held across a chord change is struck again on the new chord.
+ *
+ * Guitar chords are strummed: each string starts a few milliseconds after the
+ * one before, down strokes (on the beat) run from the low string up, up strokes
+ * (between beats) run from the top string down over the top strings only, and
+ * the strings get a little softer through the stroke.
+ */
+
+class CompingEngine {
+  constructor() {
+    // Comping rhythms per genre as [step, length] hits in a 16-step bar
+    this.PATTERNS = {
+      'pop': [
+        { name: 'pads', type: 'pad', hits: [[0, 16]] },
+        { name: 'pushed eighths', type: 'stab', hits: [[0, 3], [3, 3], [6, 2], [8, 3], [11, 3], [14, 2]] },
+        { name: 'backbeat skank', type: 'skank', hits: [[4, 2], [12, 2]] }
+      ],
+      'jazz': [
+        { name: 'charleston', type: 'stab', hits: [[0, 3], [6, 2]] },
+        { name: 'anticipations', type: 'stab', hits: [[0, 2], [6, 4], [14, 2]] },
+        { name: 'four to the bar', type: 'stab', hits: [[0, 2], [4, 2], [8, 2], [12, 2]] }
+      ],
+      'funk': [
+        { name: 'sixteenth chops', type: 'stab', hits: [[0, 1], [3, 1], [6, 1], [7, 1], [10, 1], [12, 1], [15, 1]] },
+        { name: 'offbeat chops', type: 'skank', hits: [[2, 1], [6, 1], [10, 1], [14, 1]] },
+        { name: 'stabs', type: 'stab', hits: [[0, 2], [3, 1], [10, 2]] }
+      ],
+      'house': [
+        { name: 'offbeat stabs', type: 'stab', hits: [[2, 1], [6, 1], [10, 1], [14, 1]] },
+        { name: 'organ stabs', type: 'stab', hits: [[0, 2], [3, 2], [6, 2], [10, 2]] },
+        { name: 'pads', type: 'pad', hits: [[0, 16]] }
+      ],
+      'lo-fi': [
+        { name: 'pads', type: 'pad', hits: [[0, 16]] },
+        { name: 'lazy pushes', type: 'pad', hits: [[0, 10], [10, 6]] },
+        { name: 'soft stabs', type: 'stab', hits: [[0, 4], [7, 3]] }
+      ],
+      'bossa': [
+        { name: 'bossa comp', type: 'stab', hits: [[0, 2], [3, 2], [6, 3], [10, 2], [12, 3]] },
+        { name: 'pads', type: 'pad', hits: [[0, 16]] }
+      ],
+      'upbeat': [
+        { name: 'ska skank', type: 'skank', hits: [[2, 1], [6, 1], [10, 1], [14, 1]] },
+        { name: 'driving eighths', type: 'stab', hits: [[0, 2], [2, 2], [4, 2], [6, 2], [8, 2], [10, 2], [12, 2], [14, 2]] },
+        { name: 'backbeat skank', type: 'skank', hits: [[4, 2], [12, 2]] }
+      ],
+      'default': [
+        { name: 'pads', type: 'pad', hits: [[0, 16]] },
+        { name: 'quarters', type: 'stab', hits: [[0, 4], [4, 4], [8, 4], [12, 4]] },
+        { name: 'backbeat skank', type: 'skank', hits: [[4, 2], [12, 2]] }
+      ]
+    };
+    
+    // Velocity range and strum speed (milliseconds between strings) per hit type
+    this.TYPES = {
+      stab: { velocity: [0.8, 1.0], strokeMs: 6 },
+      pad: { velocity: [0.55, 0.7], strokeMs: 18 },
+      skank: { velocity: [0.7, 0.85], strokeMs: 4 }
+    };
+    
+    // Strummed instruments and how strokes are played
+    this.strum = {
+      instruments: ['guitar'],
+      taper: 0.25,          // Velocity lost from the first to the last string of a stroke
+      upstrokeScale: 0.85,  // Up strokes are lighter
+      upstrokeStrings: 3    // Up strokes catch the top strings only
+    };
+  }
+
+  /**
+   * Comp a voiced chord progression
+   * @param {Array<Array<number>>} chords - Voiced chords (ascending MIDI notes)
+   * @param {Object} options
+   * @param {string} options.genre - Genre (selects the rhythm)
+   * @param {string} options.instrument - Instrument (guitar chords are strummed)
+   * @param {number} options.bars - Number of bars
+   * @param {number} [options.stepsPerBar=16] - 16th note steps per bar
+   * @param {Array<number>} options.changes - Steps where each chord starts (see MelodicPatternGenerator.getChordChanges)
+   * @param {Object} [options.subdivision] - Rhythmic grid from TimingEngine.getSubdivision
+   * @param {Function} options.random - Seeded random number generator (0-1)
+   * @returns {Object} { pattern, type, strummed, events } - events share a chordHit index per chord
+   */
+  comp(chords, { genre, instrument, bars, stepsPerBar = 16, changes, subdivision = null, random }) {
+    const patterns = this.PATTERNS[genre] || this.PATTERNS.default;
+    const pattern = patterns[Math.floor(random() * patterns.length)];
+    const type = this.TYPES[pattern.type];
+    const strummed = this.strum.instruments.includes(instrument);
+    
+    // Sixteenth-note patterns are strummed with the hand moving in 16ths
+    const sixteenthStrokes = pattern.hits.some(([step]) => step % 2 === 1);
+    const stepsPerBeat = 4;
+    
+    const events = [];
+    this.getHits(pattern, bars, stepsPerBar, subdivision, changes, chords.length).forEach((hit, chordHit) => {
+      const velocity = type.velocity[0] + random() * (type.velocity[1] - type.velocity[0]);
+      const notes = strummed ?
+        this.strumChord(chords[hit.chordIndex], hit.step, velocity, type.strokeMs, sixteenthStrokes) :
+        chords[hit.chordIndex].map(note => ({ note, velocity }));
+      
+      notes.forEach(note => {
+        const event = {
+          ...note,
+          time: hit.step / stepsPerBeat,
+          duration: hit.length / stepsPerBeat,
+          chordHit
+        };
+        
+        if (subdivision && subdivision.tuplet) {
+          event.subdivision = subdivision.name;
+        }
+        
+        events.push(event);
+      });
+    });
+    
+    return { pattern: pattern.name, type: pattern.type, strummed, events };
+  }
+
+  /**
+   * Hits of a comping pattern over the whole length, each with the chord it plays
+   * The 16-step pattern is fitted to the bar like melodic rhythms, and held hits
+   * are split at the chord changes.
+   * @private
+   */
+  getHits(pattern, bars, stepsPerBar, subdivision, changes, chordCount) {
+    // Fit the 16-step pattern to the bar length of the meter
+    let barHits = [];
+    for (let offset = 0; offset < stepsPerBar; offset += 16) {
+      pattern.hits.forEach(([step, length]) => {
+        if (offset + step < stepsPerBar) {
+          barHits.push([offset + step, Math.min(length, stepsPerBar - offset - step)]);
+        }
+      });
+    }
+    
+    // Snap onto the subdivision grid, dropping hits that land on the same spot
+    if (subdivision && subdivision.steps !== 1) {
+      const snapped = new Map();
+      barHits.forEach(([step, length]) => {
+        const snappedStep = Math.round(step / subdivision.steps) * subdivision.steps;
+        if (snappedStep < stepsPerBar && !snapped.has(snappedStep)) {
+          snapped.set(snappedStep, Math.min(length, stepsPerBar - snappedStep));
+        }
+      });
+      barHits = [...snapped.entries()];
+    }
+    
+    const chordAt = step => changes.filter(change => change <= step + 1e-6).length - 1;
+    
+    const hits = [];
+    for (let bar = 0; bar < bars; bar++) {
+      barHits.forEach(([step, length]) => {
+        let start = bar * stepsPerBar + step;
+        const end = start + length;
+        
+        // Strike the chord again where a held hit crosses a chord change
+        while (start < end - 1e-6) {
+          const changeIndex = chordAt(start);
+          const segmentEnd = Math.min(end, changeIndex + 1 < changes.length ? changes[changeIndex + 1] : end);
+          hits.push({ step: start, length: segmentEnd - start, chordIndex: changeIndex % chordCount });
+          start = segmentEnd;
+        }
+      });
+    }
+    
+    return hits;
+  }
+
+  /**
+   * Strum a chord: string order, onset delays and velocity taper of one stroke
+   * @private
+   */
+  strumChord(notes, step, velocity, strokeMs, sixteenthStrokes) {
+    // The hand moves down on the beat (or 16th) and up between
+    const cycle = sixteenthStrokes ? 2 : 4;
+    const down = Math.round(step) % cycle < cycle / 2;
+    const strings = down ? notes : [...notes].reverse().slice(0, this.strum.upstrokeStrings);
+    const strokeVelocity = velocity * (down ? 1 : this.strum.upstrokeScale);
+    
+    return strings.map((note, index) => ({
+      note,
+      velocity: strokeVelocity * (1 - this.strum.taper * index / Math.max(1, strings.length - 1)),
+      onsetDelayMs: index * strokeMs,
+      stroke: down ? 'down' : 'up'
+    }));
+  }
+}
+
+module.exports = { CompingEngine };
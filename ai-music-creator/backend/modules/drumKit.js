@@ -0,0 +1,102 @@
+/**
+ * Drum Kit - The drum voices patterns can play and their General MIDI notes
+ *
+ * One table shared by pattern generation, sample selection, MIDI training
+ * and the Freesound sample tools:
+ * - Voice names used as event notes ('kick', 'hihat-open', 'side-stick', ...)
+ * - General MIDI percussion notes (channel 10) for each voice, preferred first
+ * - Groups (kick, snare, hihat, tom, cymbal, percussion) for rules that apply
+ *   to a whole family, e.g. muting every snare-like voice in an intro
+ * - Fallback voices used when a kit has no sample for a voice
+ *
+ * The generic 'tom' voice covers every tom note and is listed after the
+ * specific toms, so a MIDI note maps to the most specific voice.
+ */
+
+class DrumKit {
+  constructor() {
+    this.voices = {
+      kick: { name: 'Bass Drum', group: 'kick', notes: [36, 35] },
+      snare: { name: 'Acoustic Snare', group: 'snare', notes: [38] },
+      rimshot: { name: 'Rimshot', group: 'snare', notes: [40], fallback: 'snare' }, // Electric snare note, used for rim shots by most kits
+      'side-stick': { name: 'Side Stick', group: 'snare', notes: [37], fallback: 'rimshot' },
+      clap: { name: 'Hand Clap', group: 'snare', notes: [39], fallback: 'snare' },
+      hihat: { name: 'Closed Hi-Hat', group: 'hihat', notes: [42] },
+      'hihat-pedal': { name: 'Pedal Hi-Hat', group: 'hihat', notes: [44], fallback: 'hihat' },
+      'hihat-open': { name: 'Open Hi-Hat', group: 'hihat', notes: [46], fallback: 'hihat' },
+      'tom-low': { name: 'Low Floor Tom', group: 'tom', notes: [41, 43], fallback: 'tom' },
+      'tom-mid': { name: 'Low-Mid Tom', group: 'tom', notes: [45, 47], fallback: 'tom' },
+      'tom-high': { name: 'High Tom', group: 'tom', notes: [50, 48], fallback: 'tom' },
+      tom: { name: 'Tom', group: 'tom', notes: [45, 47, 43, 48, 41, 50] },
+      ride: { name: 'Ride Cymbal', group: 'cymbal', notes: [51, 59, 53] },
+      crash: { name: 'Crash Cymbal', group: 'cymbal', notes: [49, 57] },
+      china: { name: 'Chinese Cymbal', group: 'cymbal', notes: [52], fallback: 'crash' },
+      splash: { name: 'Splash Cymbal', group: 'cymbal', notes: [55], fallback: 'crash' },
+      cowbell: { name: 'Cowbell', group: 'percussion', notes: [56], fallback: 'ride' },
+      tambourine: { name: 'Tambourine', group: 'percussion', notes: [54], fallback: 'hihat-open' },
+      shaker: { name: 'Shaker', group: 'percussion', notes: [82, 70], fallback: 'hihat' } // GM2 shaker, GM maracas
+    };
+  }
+
+  /**
+   * Names of every drum voice
+   * @returns {Array<string>}
+   */
+  getVoiceNames() {
+    return Object.keys(this.voices);
+  }
+
+  /**
+   * Whether a drum voice exists
+   * @param {string} voice - Voice name
+   * @returns {boolean}
+   */
+  hasVoice(voice) {
+    return Object.prototype.hasOwnProperty.call(this.voices, voice);
+  }
+
+  /**
+   * General MIDI notes of a voice, preferred note first
+   * @param {string} voice - Voice name
+   * @returns {Array<number>} Notes (empty for unknown voices)
+   */
+  getNotes(voice) {
+    return this.hasVoice(voice) ? this.voices[voice].notes : [];
+  }
+
+  /**
+   * Group of a voice (kick, snare, hihat, tom, cymbal or percussion)
+   * @param {string} voice - Voice name
+   * @returns {string|null}
+   */
+  getGroup(voice) {
+    return this.hasVoice(voice) ? this.voices[voice].group : null;
+  }
+
+  /**
+   * Drum voice for a General MIDI note number
+   * @param {number} note - MIDI note
+   * @returns {string|null} Most specific voice playing the note, null if none
+   */
+  getVoiceForNote(note) {
+    return this.getVoiceNames().find(voice => this.voices[voice].notes.includes(note)) || null;
+  }
+
+  /**
+   * A voice followed by the voices to try when a kit has no sample for it
+   * e.g. 'side-stick' -> ['side-stick', 'rimshot', 'snare']
+   * @param {string} voice - Voice name
+   * @returns {Array<string>}
+   */
+  getFallbackChain(voice) {
+    const chain = [];
+    
+    for (let current = voice; current && this.hasVoice(current) && !chain.includes(current); current = this.voices[current].fallback) {
+      chain.push(current);
+    }
+    
+    return chain;
+  }
+}
+
+module.exports = { DrumKit };
@@ -0,0 +1,447 @@
+/**
+ * Groove Engine - Extracts groove templates from drum loops and MIDI files
+ * and applies them to generated patterns
+ *
+ * A groove template (like MPC/Ableton grooves) describes one 4/4 bar of 16th
+ * steps with, for every step:
+ * - timing: offset from the grid in steps (-0.5 to 0.5, positive = late)
+ * - velocity: scaling relative to the average hit (1 = unchanged)
+ *
+ * Templates are saved as JSON by name and applied with a strength amount
+ * (0 = straight, 1 = full groove). Grooved events are moved off the grid, so
+ * style swing is not added on top of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+
+class GrooveEngine {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.groovePath='./data/grooves'] - Directory where named grooves are stored
+   */
+  constructor({ groovePath = './data/grooves' } = {}) {
+    this.groovePath = groovePath;
+    this.templateSteps = 16; // One 4/4 bar of 16th notes
+    
+    // Onset detection parameters for audio loops
+    this.onsetSettings = {
+      frameSize: 512,
+      hopSize: 256, // ~5.8ms at 44.1kHz
+      sensitivity: 1.5, // Standard deviations above the mean energy rise
+      minGapMs: 60, // Ignore retriggers closer than this
+      attackThreshold: 0.3 // Onset = first sample above 30% of the local peak
+    };
+    
+    // Velocity scaling limits when a groove is applied
+    this.velocityLimits = [0.1, 1.0];
+  }
+
+  /**
+   * Extract a groove template from a Standard MIDI File
+   * @param {Buffer} buffer - MIDI file contents
+   * @param {Object} [options]
+   * @param {string} [options.name] - Groove name
+   * @param {number} [options.channel] - Only use this MIDI channel (1-16); defaults to channel 10 if it has notes
+   * @returns {Object} Groove template
+   */
+  extractFromMidi(buffer, { name = 'midi-groove', channel = null } = {}) {
+    const midi = this.parseMidi(buffer);
+    let notes = midi.notes;
+    
+    if (channel) {
+      notes = notes.filter(note => note.channel === channel - 1);
+    } else if (notes.some(note => note.channel === 9)) {
+      notes = notes.filter(note => note.channel === 9); // General MIDI drums
+    }
+    
+    if (notes.length === 0) {
+      throw new Error('MIDI file contains no note-on events to extract a groove from');
+    }
+    
+    const ticksPerStep = midi.ticksPerQuarter / 4;
+    const hits = notes.map(note => ({
+      step: note.tick / ticksPerStep,
+      level: note.velocity / 127
+    }));
+    
+    const bpm = midi.tempo ? Math.round((60000000 / midi.tempo) * 100) / 100 : null;
+    return this.buildTemplate(hits, { name, source: 'midi', bpm });
+  }
+
+  /**
+   * Extract a groove template from a WAV drum loop
+   * The loop is assumed to start on the downbeat. Without a BPM, the tempo is
+   * estimated by assuming the loop is a whole number of 4/4 bars.
+   * @param {Buffer} buffer - WAV file contents
+   * @param {Object} [options]
+   * @param {string} [options.name] - Groove name
+   * @param {number} [options.bpm] - Loop tempo
+   * @returns {Object} Groove template
+   */
+  extractFromAudio(buffer, { name = 'audio-groove', bpm = null } = {}) {
+    const { samples, sampleRate } = this.decodeWav(buffer);
+    const duration = samples.length / sampleRate;
+    const tempo = bpm || this.estimateLoopTempo(duration);
+    const onsets = this.detectOnsets(samples, sampleRate);
+    
+    if (onsets.length === 0) {
+      throw new Error('No drum hits detected in audio loop');
+    }
+    
+    const stepSeconds = 15 / tempo; // One 16th note
+    const peak = Math.max(...onsets.map(onset => onset.level));
+    const hits = onsets.map(onset => ({
+      step: onset.time / stepSeconds,
+      level: onset.level / peak
+    }));
+    
+    return this.buildTemplate(hits, { name, source: 'audio', bpm: tempo });
+  }
+
+  /**
+   * Average hit offsets and levels per template step
+   * @private
+   */
+  buildTemplate(hits, { name, source, bpm }) {
+    const steps = this.templateSteps;
+    const offsets = Array.from({ length: steps }, () => []);
+    const levels = Array.from({ length: steps }, () => []);
+    
+    hits.forEach(hit => {
+      const gridStep = Math.round(hit.step);
+      const templateStep = gridStep % steps;
+      
+      offsets[templateStep].push(hit.step - gridStep);
+      levels[templateStep].push(hit.level);
+    });
+    
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const allLevels = levels.flat();
+    const meanLevel = average(allLevels) || 1;
+    const round = value => Math.round(value * 1000) / 1000;
+    
+    return {
+      name: this.validateName(name),
+      source,
+      bpm,
+      steps,
+      timing: offsets.map(values => (values.length > 0 ? round(average(values)) : 0)),
+      velocity: levels.map(values => (values.length > 0 ? round(average(values) / meanLevel) : 1)),
+      hits: offsets.map(values => values.length),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Apply a groove template to a pattern (in place)
+   * Events between grid steps (tuplets and rolls) keep their timing but still
+   * take the velocity feel of the step they start in.
+   * @param {Object} pattern - Pattern with normalized event positions
+   * @param {Object} timingConfig - Timing configuration from TimingEngine
+   * @param {Object} groove - Groove template
+   * @param {number} [strength=1] - Amount of groove to apply (0-1)
+   * @returns {Object} The pattern
+   */
+  applyGroove(pattern, timingConfig, groove, strength = 1) {
+    const { totalSteps, stepsPerBar } = timingConfig;
+    
+    pattern.events.forEach(event => {
+      const exactStep = event.position * totalSteps;
+      const gridStep = Math.round(exactStep);
+      const onGrid = Math.abs(exactStep - gridStep) < 1e-6 && !event.subdivision;
+      const templateStep = (Math.floor(exactStep + 1e-6) % stepsPerBar) % groove.steps;
+      
+      const velocityScale = 1 + (groove.velocity[templateStep] - 1) * strength;
+      event.velocity = Math.max(this.velocityLimits[0], Math.min(this.velocityLimits[1], event.velocity * velocityScale));
+      
+      if (onGrid) {
+        const offset = groove.timing[templateStep] * strength;
+        event.position = Math.max(0, Math.min(1, (gridStep + offset) / totalSteps));
+        event.groove = groove.name;
+      }
+    });
+    
+    pattern.events.sort((a, b) => a.position - b.position);
+    pattern.groove = { name: groove.name, strength };
+    
+    return pattern;
+  }
+
+  /**
+   * Save a groove template under its name
+   * @param {Object} groove - Groove template
+   * @returns {string} Path of the saved file
+   */
+  saveGroove(groove) {
+    const filePath = this.getGrooveFile(groove.name);
+    
+    fs.mkdirSync(this.groovePath, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(groove, null, 2));
+    
+    console.log(`💾 Groove saved: ${groove.name}`);
+    return filePath;
+  }
+
+  /**
+   * Load a saved groove template
+   * @param {string} name - Groove name
+   * @returns {Object} Groove template
+   */
+  loadGroove(name) {
+    const filePath = this.getGrooveFile(name);
+    
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Groove "${name}" not found`);
+    }
+    
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * List saved groove templates
+   * @returns {Array<Object>} Groove summaries
+   */
+  listGrooves() {
+    if (!fs.existsSync(this.groovePath)) return [];
+    
+    return fs.readdirSync(this.groovePath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const { name, source, bpm, createdAt } = JSON.parse(fs.readFileSync(path.join(this.groovePath, file), 'utf8'));
+        return { name, source, bpm, createdAt };
+      });
+  }
+
+  /**
+   * Delete a saved groove template
+   * @param {string} name - Groove name
+   * @returns {boolean} Whether a groove was deleted
+   */
+  deleteGroove(name) {
+    const filePath = this.getGrooveFile(name);
+    
+    if (!fs.existsSync(filePath)) return false;
+    
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * Resolve a groove option: a saved name or an inline template
+   * @param {string|Object} groove - Groove name or template
+   * @returns {Object} Groove template
+   */
+  resolveGroove(groove) {
+    if (typeof groove === 'string') {
+      return this.loadGroove(groove);
+    }
+    
+    const steps = groove && groove.steps;
+    if (!steps || !Array.isArray(groove.timing) || !Array.isArray(groove.velocity) ||
+        groove.timing.length !== steps || groove.velocity.length !== steps) {
+      throw new Error('Groove must be a saved groove name or a template with steps, timing and velocity arrays');
+    }
+    
+    return { name: 'inline', ...groove };
+  }
+
+  /**
+   * Check a groove name is safe to use as a file name
+   * @private
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(name)) {
+      throw new Error('Groove name must be 1-64 letters, numbers, dashes or underscores');
+    }
+    return name;
+  }
+
+  /**
+   * Path of a groove's JSON file
+   * @private
+   */
+  getGrooveFile(name) {
+    return path.join(this.groovePath, `${this.validateName(name)}.json`);
+  }
+
+  /**
+   * Guess a loop tempo by assuming it is 1, 2, 4 or 8 bars of 4/4
+   * Picks the bar count whose tempo is closest to 110 BPM.
+   * @private
+   */
+  estimateLoopTempo(durationSeconds) {
+    const candidates = [1, 2, 4, 8].map(bars => (bars * 4 * 60) / durationSeconds);
+    const best = candidates.reduce((closest, bpm) => (Math.abs(bpm - 110) < Math.abs(closest - 110) ? bpm : closest));
+    return Math.round(best * 100) / 100;
+  }
+
+  /**
+   * Decode a WAV buffer to mono float samples
+   * @private
+   */
+  decodeWav(buffer) {
+    const wav = new WaveFile();
+    
+    try {
+      wav.fromBuffer(buffer);
+    } catch (error) {
+      throw new Error(`Audio loop must be a WAV file: ${error.message}`);
+    }
+    
+    wav.toBitDepth('32f');
+    const channels = wav.getSamples(false, Float64Array);
+    const channelData = wav.fmt.numChannels > 1 ? channels : [channels];
+    const length = channelData[0].length;
+    const samples = new Float32Array(length);
+    
+    channelData.forEach(channel => {
+      for (let i = 0; i < length; i++) {
+        samples[i] += channel[i] / channelData.length;
+      }
+    });
+    
+    return { samples, sampleRate: wav.fmt.sampleRate };
+  }
+
+  /**
+   * Detect drum hits from rises in short-time energy
+   * @private
+   */
+  detectOnsets(samples, sampleRate) {
+    const { frameSize, hopSize, sensitivity, minGapMs, attackThreshold } = this.onsetSettings;
+    const frames = Math.max(0, Math.floor((samples.length - frameSize) / hopSize) + 1);
+    const energy = new Float32Array(frames);
+    
+    for (let frame = 0; frame < frames; frame++) {
+      let sum = 0;
+      for (let i = frame * hopSize; i < frame * hopSize + frameSize; i++) {
+        sum += samples[i] * samples[i];
+      }
+      energy[frame] = Math.sqrt(sum / frameSize);
+    }
+    
+    // Positive energy change (onset strength) with an adaptive threshold
+    const rise = Array.from(energy, (value, frame) => (frame === 0 ? value : Math.max(0, value - energy[frame - 1])));
+    const mean = rise.reduce((sum, value) => sum + value, 0) / (rise.length || 1);
+    const std = Math.sqrt(rise.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (rise.length || 1));
+    const threshold = mean + sensitivity * std;
+    
+    const onsets = [];
+    const minGapSamples = (minGapMs / 1000) * sampleRate;
+    
+    for (let frame = 0; frame < rise.length; frame++) {
+      const isPeak = rise[frame] > threshold &&
+        rise[frame] >= (rise[frame - 1] || 0) &&
+        rise[frame] > (rise[frame + 1] || 0);
+      if (!isPeak) continue;
+      
+      // Refine to the first sample of the attack within the frame
+      const searchStart = Math.max(0, (frame - 1) * hopSize);
+      const searchEnd = Math.min(samples.length, frame * hopSize + frameSize * 2);
+      let localPeak = 0;
+      for (let i = searchStart; i < searchEnd; i++) {
+        localPeak = Math.max(localPeak, Math.abs(samples[i]));
+      }
+      
+      let attack = searchStart;
+      while (attack < searchEnd && Math.abs(samples[attack]) < localPeak * attackThreshold) {
+        attack++;
+      }
+      
+      const previous = onsets[onsets.length - 1];
+      if (previous && attack - previous.sample < minGapSamples) continue;
+      
+      onsets.push({ sample: attack, time: attack / sampleRate, level: localPeak });
+    }
+    
+    return onsets;
+  }
+
+  /**
+   * Minimal Standard MIDI File parser: note-on events, the first tempo and time signature
+   * Also used by the pattern trainer to read drum loops.
+   * @param {Buffer} buffer - MIDI file contents
+   * @returns {Object} { ticksPerQuarter, tempo, timeSignature, notes: [{ tick, channel, note, velocity }] }
+   */
+  parseMidi(buffer) {
+    if (buffer.length < 14 || buffer.toString('ascii', 0, 4) !== 'MThd') {
+      throw new Error('Not a Standard MIDI File');
+    }
+    
+    const division = buffer.readUInt16BE(12);
+    if (division & 0x8000) {
+      throw new Error('SMPTE time division MIDI files are not supported');
+    }
+    
+    const notes = [];
+    let tempo = null;
+    let timeSignature = null;
+    let offset = 8 + buffer.readUInt32BE(4);
+    
+    while (offset + 8 <= buffer.length) {
+      const chunkType = buffer.toString('ascii', offset, offset + 4);
+      const chunkLength = buffer.readUInt32BE(offset + 4);
+      const end = Math.min(buffer.length, offset + 8 + chunkLength);
+      let position = offset + 8;
+      
+      if (chunkType === 'MTrk') {
+        let tick = 0;
+        let runningStatus = null;
+        
+        const readVarLen = () => {
+          let value = 0;
+          let byte;
+          do {
+            byte = buffer[position++];
+            value = (value << 7) | (byte & 0x7f);
+          } while (byte & 0x80 && position < end);
+          return value;
+        };
+        
+        while (position < end) {
+          tick += readVarLen();
+          let status = buffer[position];
+          
+          if (status & 0x80) {
+            position++;
+          } else {
+            status = runningStatus; // Running status reuses the previous status byte
+          }
+          
+          if (status === 0xff) {
+            const type = buffer[position++];
+            const length = readVarLen();
+            if (type === 0x51 && length === 3 && tempo === null) {
+              tempo = buffer.readUIntBE(position, 3); // Microseconds per quarter note
+            }
+            if (type === 0x58 && length >= 2 && timeSignature === null) {
+              timeSignature = `${buffer[position]}/${2 ** buffer[position + 1]}`;
+            }
+            position += length;
+          } else if (status === 0xf0 || status === 0xf7) {
+            position += readVarLen();
+          } else if (status !== null) {
+            runningStatus = status;
+            const type = status & 0xf0;
+            const dataBytes = type === 0xc0 || type === 0xd0 ? 1 : 2;
+            
+            if (type === 0x90 && buffer[position + 1] > 0) {
+              notes.push({ tick, channel: status & 0x0f, note: buffer[position], velocity: buffer[position + 1] });
+            }
+            position += dataBytes;
+          } else {
+            throw new Error('Malformed MIDI track data');
+          }
+        }
+      }
+      
+      offset = end;
+    }
+    
+    return { ticksPerQuarter: division, tempo, timeSignature, notes: notes.sort((a, b) => a.tick - b.tick) };
+  }
+}
+
+module.exports = { GrooveEngine };
@@ -6,17 +6,21 @@
  * - Handles "auto" instrument selection with style-appropriate choices
  * - Manages sample loading and caching for performance
  * - Maps musical note names to MIDI pitch values for NSynth samples
+ * - Plays melodic notes missing from the library from the nearest pitch,
+ *   shifted to the note when rendered (see PitchShifter)
  */
 
 const path = require('path');
 const fs = require('fs');
 const { NSynthDownloader } = require('../integrations/nsynth-downloader');
 const { FreesoundLoader } = require('../integrations/freesoundLoader');
+const { DrumKit } = require('./drumKit');
 
 class InstrumentSelector {
   constructor() {
     this.nsynthDownloader = new NSynthDownloader();
     this.freesoundLoader = new FreesoundLoader();
+    this.drumKit = new DrumKit(); // General MIDI notes of each drum voice
     this.randomSeed = Date.now();
     this.randomIndex = 0;
     this.sampleCache = new Map();
@@ -24,7 +28,8 @@ class InstrumentSelector {
     console.log('🎵 Initializing instrument selector with NSynth + Freesound support');
     this.logAvailableInstruments();
     
-    // Map drum note names to NSynth instrument families and MIDI pitches
+    // Map drum voices (see DrumKit) to NSynth instrument families and MIDI pitches
+    // The 'drums' family is sampled by General MIDI note instead
     this.drumMapping = {
       kick: {
         instruments: ['bass', 'keyboard', 'mallet'], // Low-pitched instruments for kick
@@ -38,12 +43,42 @@ class InstrumentSelector {
         preferredPitch: 60, // C4 - middle C
         velocity: [80, 120]
       },
+      rimshot: {
+        instruments: ['mallet', 'keyboard'], // Hard, woody crack
+        pitchRange: [62, 74], // D4 to D5
+        preferredPitch: 67, // G4
+        velocity: [90, 127]
+      },
+      'side-stick': {
+        instruments: ['mallet', 'keyboard'], // Dry click
+        pitchRange: [64, 76], // E4 to E5
+        preferredPitch: 69, // A4
+        velocity: [60, 100]
+      },
+      clap: {
+        instruments: ['synth_lead', 'brass', 'mallet'], // Noisy, bright attack
+        pitchRange: [60, 72], // C4 to C5
+        preferredPitch: 64, // E4
+        velocity: [90, 127]
+      },
       hihat: {
         instruments: ['brass', 'string', 'synth_lead'], // Bright, metallic sounds
         pitchRange: [72, 84], // C5 to C6 - high pitched
         preferredPitch: 76, // E5
         velocity: [60, 100]
       },
+      'hihat-pedal': {
+        instruments: ['brass', 'string', 'synth_lead'], // Short, soft chick
+        pitchRange: [70, 82], // A#4 to A#5
+        preferredPitch: 74, // D5
+        velocity: [40, 80]
+      },
+      'hihat-open': {
+        instruments: ['brass', 'string', 'synth_lead'], // Sustained, sizzling
+        pitchRange: [74, 86], // D5 to D6
+        preferredPitch: 79, // G5
+        velocity: [70, 110]
+      },
       ride: {
         instruments: ['brass', 'string', 'mallet'], // Sustained metallic sounds
         pitchRange: [69, 81], // A4 to A5 - mid-high range
@@ -56,11 +91,59 @@ class InstrumentSelector {
         preferredPitch: 55, // G3
         velocity: [80, 120]
       },
+      'tom-low': {
+        instruments: ['mallet', 'keyboard', 'bass'], // Deep floor tom
+        pitchRange: [43, 52], // G2 to E3
+        preferredPitch: 45, // A2
+        velocity: [80, 120]
+      },
+      'tom-mid': {
+        instruments: ['mallet', 'keyboard', 'string'],
+        pitchRange: [50, 59], // D3 to B3
+        preferredPitch: 52, // E3
+        velocity: [80, 120]
+      },
+      'tom-high': {
+        instruments: ['mallet', 'keyboard', 'string'],
+        pitchRange: [57, 67], // A3 to G4
+        preferredPitch: 59, // B3
+        velocity: [80, 120]
+      },
       crash: {
         instruments: ['brass', 'string'], // Bright, explosive sounds
         pitchRange: [79, 91], // G5 to G6 - very high
         preferredPitch: 84, // C6
         velocity: [90, 127]
+      },
+      china: {
+        instruments: ['brass', 'string'], // Trashy, explosive
+        pitchRange: [76, 88], // E5 to E6
+        preferredPitch: 82, // A#5
+        velocity: [90, 127]
+      },
+      splash: {
+        instruments: ['brass', 'string', 'synth_lead'], // Short, bright burst
+        pitchRange: [84, 96], // C6 to C7
+        preferredPitch: 88, // E6
+        velocity: [70, 110]
+      },
+      cowbell: {
+        instruments: ['mallet', 'brass'], // Pitched metallic knock
+        pitchRange: [67, 79], // G4 to G5
+        preferredPitch: 71, // B4
+        velocity: [80, 115]
+      },
+      tambourine: {
+        instruments: ['mallet', 'synth_lead', 'string'], // Jingles
+        pitchRange: [81, 93], // A5 to A6
+        preferredPitch: 86, // D6
+        velocity: [60, 100]
+      },
+      shaker: {
+        instruments: ['synth_lead', 'string'], // Soft, airy noise
+        pitchRange: [84, 96], // C6 to C7
+        preferredPitch: 91, // G6
+        velocity: [40, 80]
       }
     };
     
@@ -90,6 +173,12 @@ class InstrumentSelector {
         velocityModifier: 0.7, // Softer, more subdued
         sampleSelection: 'vintage' // Warmer, softer samples
       },
+      bossa: {
+        preferredInstruments: ['mallet', 'string', 'keyboard'],
+        avoidInstruments: ['synth_lead'],
+        velocityModifier: 0.75, // Light touch
+        sampleSelection: 'warm'
+      },
       pop: {
         preferredInstruments: ['mallet', 'bass', 'brass'],
         avoidInstruments: [],
@@ -102,6 +191,12 @@ class InstrumentSelector {
         velocityModifier: 0.95, // Energetic
         sampleSelection: 'bright' // Cutting through the mix
       },
+      trap: {
+        preferredInstruments: ['synth_lead', 'bass', 'keyboard'],
+        avoidInstruments: ['flute', 'brass'],
+        velocityModifier: 1.0, // Hard-hitting
+        sampleSelection: 'electronic'
+      },
       default: {
         preferredInstruments: ['mallet', 'bass', 'string'],
         avoidInstruments: [],
@@ -422,14 +517,15 @@ class InstrumentSelector {
     let selectedNote = availableNotes.find(note => note.pitch === midiNote);
     
     if (!selectedNote) {
-      // If no exact match, find closest pitch
+      // If no exact match, find closest pitch (the exporter shifts it to the note)
       selectedNote = availableNotes.reduce((closest, note) => {
         const currentDiff = Math.abs(note.pitch - midiNote);
         const closestDiff = Math.abs(closest.pitch - midiNote);
         return currentDiff < closestDiff ? note : closest;
       });
       
-      console.log(`🔄 Using closest match: MIDI ${selectedNote.pitch} for requested ${midiNote}`);
+      const shift = midiNote - selectedNote.pitch;
+      console.log(`🔄 Shifting MIDI ${selectedNote.pitch} ${shift > 0 ? 'up' : 'down'} ${Math.abs(shift)} semitone(s) for requested ${midiNote}`);
     }
     
     // Prefer higher velocities for melodic instruments (better sound quality)
@@ -454,6 +550,7 @@ class InstrumentSelector {
       midiNote: midiNote,
       instrumentFamily: instrumentFamily,
       pitch: selectedNote.pitch,
+      pitchShift: midiNote - selectedNote.pitch, // Semitones from the sample's pitch to the note
       velocity: selectedNote.velocity,
       path: selectedNote.path,
       audioData: sampleData,
@@ -495,6 +592,11 @@ class InstrumentSelector {
       return null;
     }
     
+    // Drum kits are stored by General MIDI note: use the voice's notes (or its fallbacks)
+    if (instrumentFamily === 'drums') {
+      return await this.loadDrumKitSample(noteType, availableNotes, drumSpec, stylePrefs);
+    }
+    
     // Find samples in the appropriate pitch range
     const suitableNotes = availableNotes.filter(note => 
       note.pitch >= drumSpec.pitchRange[0] && note.pitch <= drumSpec.pitchRange[1]
@@ -532,6 +634,49 @@ class InstrumentSelector {
     };
   }
 
+  /**
+   * Load a drum kit sample by General MIDI note, falling back to related voices
+   * (an open hi-hat uses the closed one if the kit has no open hat)
+   * @private
+   */
+  async loadDrumKitSample(noteType, availableNotes, drumSpec, stylePrefs) {
+    for (const voice of this.drumKit.getFallbackChain(noteType)) {
+      const notes = this.drumKit.getNotes(voice);
+      const matches = availableNotes.filter(note => notes.includes(note.pitch));
+      
+      if (matches.length === 0) continue;
+      
+      // Preferred General MIDI note first, then the velocity that suits the style
+      const pitch = notes.find(midiNote => matches.some(note => note.pitch === midiNote));
+      const preferredVelocity = this.getPreferredVelocity(drumSpec, stylePrefs);
+      const selectedNote = matches
+        .filter(note => note.pitch === pitch)
+        .reduce((best, note) => (Math.abs(note.velocity - preferredVelocity) < Math.abs(best.velocity - preferredVelocity) ? note : best));
+      
+      if (voice !== noteType) {
+        console.log(`🔄 No ${noteType} in the drum kit, using ${voice}`);
+      }
+      
+      const sampleData = await this.loadSampleFile(selectedNote.path);
+      
+      return {
+        noteType: noteType,
+        instrumentFamily: 'drums',
+        pitch: selectedNote.pitch,
+        velocity: selectedNote.velocity,
+        nsynthNote: `${selectedNote.pitch}-${selectedNote.velocity}`,
+        sampleFile: path.basename(selectedNote.path),
+        path: selectedNote.path,
+        audioData: sampleData,
+        drumSpec: drumSpec,
+        source: 'NSynth'
+      };
+    }
+    
+    console.warn(`⚠️  No General MIDI note for ${noteType} in the drum kit`);
+    return null;
+  }
+
   /**
    * Select the best sample from available options
    * @private
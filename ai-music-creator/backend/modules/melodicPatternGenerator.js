@@ -3,13 +3,44 @@
  * 
  * Based on music theory principles including:
  * - Common chord progressions (I-V-vi-IV, ii-V-I, etc.)
+ * - Roman numeral progressions with borrowed, extended and secondary chords
  * - Modal scales (Ionian, Dorian, Mixolydian, etc.)
  * - Genre-specific melodic patterns
  * - Instrument-appropriate ranges and characteristics
+ * - Voice-led chord voicings (VoicingEngine) for harmonic instruments
+ * - Comping (CompingEngine): chords played together in genre rhythms, strummed on guitar
+ * - Basslines (BasslineGenerator) locked to the kick drum
+ * - Arpeggios (Arpeggiator) of the progression's chords
+ * - Melodies developed from a motif (MotifEngine) over antecedent and consequent phrases
+ * - Legato or staccato phrasing of any part
  */
 
+const { RomanNumeralParser } = require('./romanNumeralParser');
+const { VoicingEngine } = require('./voicingEngine');
+const { CompingEngine } = require('./compingEngine');
+const { BasslineGenerator } = require('./basslineGenerator');
+const { Arpeggiator } = require('./arpeggiator');
+const { MotifEngine } = require('./motifEngine');
+
 class MelodicPatternGenerator {
   constructor() {
+    this.romanNumerals = new RomanNumeralParser();
+    this.voicingEngine = new VoicingEngine();
+    this.compingEngine = new CompingEngine();
+    this.basslineGenerator = new BasslineGenerator();
+    this.arpeggiator = new Arpeggiator();
+    this.motifEngine = new MotifEngine();
+    
+    // Parts an instrument can play: a melodic line, comping on the chords, a bassline or arpeggios
+    this.PARTS = ['melody', 'comp', 'bassline', 'arp'];
+    this.DEFAULT_PARTS = { bass: 'bassline' };
+    
+    // Phrasing over the part's own note lengths: legato holds each note to the
+    // next, staccato plays the written length shortened (at most an eighth note)
+    this.PHRASINGS = ['legato', 'staccato'];
+    this.staccatoLength = 0.5; // Share of the written length
+    this.staccatoMaxBeats = 0.5;
+    
     // Music theory constants
     this.NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
     
@@ -69,6 +100,12 @@ class MelodicPatternGenerator {
       aeolian:    [0, 2, 3, 5, 7, 8, 10], // Natural minor (sad, introspective)
       locrian:    [0, 1, 3, 5, 6, 8, 10]  // Diminished (rarely used, unstable)
     };
+    
+    // Everyday names for the modes
+    this.MODE_ALIASES = {
+      major: 'ionian',
+      minor: 'aeolian'
+    };
 
     // Genre-specific mode preferences
     this.GENRE_MODES = {
@@ -227,11 +264,24 @@ class MelodicPatternGenerator {
    * @param {string} config.genre - Musical genre/style
    * @param {number} config.bpm - Beats per minute
    * @param {number} config.bars - Number of bars
-   * @param {string} config.key - Musical key (default: 'C')
+   * @param {string} config.key - Musical key, with or without an accidental ('C', 'F#', 'Bb'; default: 'C')
+   * @param {string} [config.mode] - Mode ('major', 'minor', 'dorian', ...); defaults to one chosen for the genre
+   * @param {string|Array<string>} [config.progression] - Roman numeral progression (e.g. ['i', 'bVII', 'bVI', 'V7']); defaults to one chosen for the genre
+   * @param {string} [config.voicing] - Chord voicing style ('closed', 'open', 'drop2'); defaults to the instrument's
+   * @param {string} [config.part] - 'melody' for a melodic line, 'comp' for chords in the genre's comping rhythm,
+   *   'bassline' for a bassline locked to the kick or 'arp' for arpeggiated chords
+   *   (default: 'arp' with arp settings, 'bassline' for bass, 'melody' otherwise)
+   * @param {Array<Object|number>} [config.kick] - Kick lane the bassline locks to, as { step, velocity } hits or steps (default: every beat)
+   * @param {Object} [config.arp] - Arpeggio settings { direction, rate, octaves, gate, latch } over the genre's (see Arpeggiator)
+   * @param {string} [config.phrasing] - 'legato' or 'staccato' note lengths (default: the part's own)
    * @param {number} config.seed - Random seed for reproducibility
+   * @param {Object} [config.meter] - Bar structure from TimingEngine
+   * @param {number} [config.meter.stepsPerBar=16] - 16th note steps per bar
+   * @param {number} [config.meter.beatsPerBar=4] - Beats (pulses) per bar
+   * @param {Object} [config.subdivision] - Rhythmic grid from TimingEngine.getSubdivision (e.g. '8t' for a triplet feel)
    * @returns {Object} Generated melodic pattern
    */
-  generateMelodicPattern({ instrument, genre, bpm, bars, key = 'C', seed }) {
+  generateMelodicPattern({ instrument, genre, bpm, bars, key = 'C', mode = null, progression = null, voicing = null, part = null, kick = null, arp = null, phrasing = null, seed, meter = { stepsPerBar: 16, beatsPerBar: 4 }, subdivision = null }) {
     this.setSeed(seed);
     
     const instrumentSpec = this.INSTRUMENT_SPECS[instrument];
@@ -239,33 +289,111 @@ class MelodicPatternGenerator {
       throw new Error(`Unknown instrument: ${instrument}`);
     }
 
+    const tonic = this.parseKey(key);
+    
     // Select appropriate chord progression and mode
-    const progression = this.selectChordProgression(genre);
-    const mode = this.selectMode(genre);
-    const scale = this.generateScale(key, mode);
+    // (the genre's choices are always drawn so a requested mode or progression keeps the same melody shape)
+    const degrees = this.selectChordProgression(genre);
+    const genreMode = this.selectMode(genre);
+    const scaleMode = mode ? this.resolveMode(mode) : progression ? this.fitModeToProgression(genreMode, progression) : genreMode;
+    const scale = this.generateScale(tonic.name, scaleMode);
+    
+    // Chord tones of a given progression, or the genre progression's diatonic triads
+    const harmony = progression
+      ? this.parseProgression(progression, scaleMode).map(chord => this.romanNumerals.toPitchClasses(chord, tonic.index))
+      : degrees.map(degree => this.getDiatonicTriad(degree, scale));
     
     // Generate chord voicings based on progression
-    const chords = this.generateChordVoicings(progression, scale, instrumentSpec);
+    const voiced = this.generateChordVoicings(harmony, instrument, instrumentSpec, voicing);
+    const chords = voiced.chords;
+    
+    const resolvedPart = this.resolvePart(part || (arp ? 'arp' : this.getDefaultPart(instrument)), instrument);
+    const changes = this.getChordChanges(harmony.length, bars, meter.stepsPerBar);
+    let timedEvents;
+    let comping = null;
+    let bassline = null;
+    let arpeggio = null;
+    let melody = null;
     
-    // Create melodic line
-    const melody = this.generateMelodyLine(chords, scale, instrumentSpec, genre, bars);
+    if (resolvedPart === 'comp') {
+      // Play the chords together in the genre's comping rhythm
+      comping = this.compingEngine.comp(chords, {
+        genre,
+        instrument,
+        bars,
+        stepsPerBar: meter.stepsPerBar,
+        changes,
+        subdivision,
+        random: () => this.seededRandom()
+      });
+      timedEvents = comping.events;
+    } else if (resolvedPart === 'bassline') {
+      // Roots, fifths, octaves and approach notes on the kick drum
+      bassline = this.basslineGenerator.generate(harmony, {
+        genre,
+        scale,
+        kick,
+        bars,
+        stepsPerBar: meter.stepsPerBar,
+        changes,
+        range: instrumentSpec.range,
+        random: () => this.seededRandom()
+      });
+      timedEvents = bassline.events;
+    } else if (resolvedPart === 'arp') {
+      // The chords one note at a time (voiced on harmonic instruments)
+      arpeggio = this.arpeggiator.arpeggiate(harmony, {
+        chords: this.canPlayChords(instrument) ? chords : null,
+        genre,
+        settings: arp,
+        bars,
+        stepsPerBar: meter.stepsPerBar,
+        changes,
+        instrumentSpec,
+        random: () => this.seededRandom()
+      });
+      timedEvents = arpeggio.events;
+    } else {
+      // A motif in the genre's rhythm, developed over a call and response
+      melody = this.motifEngine.develop(harmony, {
+        scale,
+        instrumentSpec,
+        bars,
+        stepsPerBar: meter.stepsPerBar,
+        changes,
+        rhythm: this.fitRhythm(this.selectRhythmPattern(genre), meter.stepsPerBar, subdivision),
+        subdivision,
+        random: () => this.seededRandom()
+      });
+      timedEvents = melody.events;
+    }
     
-    // Apply rhythmic pattern
-    const rhythmPattern = this.selectRhythmPattern(genre);
-    const timedEvents = this.applyRhythm(melody, rhythmPattern, bpm, bars);
+    if (phrasing) {
+      this.applyPhrasing(timedEvents, this.resolvePhrasing(phrasing), bars * meter.stepsPerBar);
+    }
     
     return {
       events: timedEvents,
       metadata: {
         instrument,
         genre,
-        key,
-        mode,
-        progression: progression.map(degree => this.degreeToRoman(degree)),
+        key: tonic.name,
+        mode: scaleMode,
+        progression: progression ? this.romanNumerals.split(progression) : degrees.map(degree => this.degreeToRoman(degree)),
         scale: scale.map(note => this.noteToString(note)),
         chords: chords.map(chord => chord.map(note => this.noteToString(note))),
+        voicing: voiced.style,
+        part: resolvedPart,
+        articulation: instrumentSpec.articulation,
+        phrasing: phrasing || null,
+        comping: comping ? { pattern: comping.pattern, type: comping.type, strummed: comping.strummed } : null,
+        bassline: bassline ? { style: bassline.style, kickHits: bassline.kickHits, notesOnKick: bassline.notesOnKick } : null,
+        arpeggio: arpeggio ? arpeggio.settings : null,
+        motif: melody ? { ...melody.motif, plan: melody.plan, phrases: melody.phrases } : null,
         bpm,
         bars,
+        stepsPerBar: meter.stepsPerBar,
+        subdivision: subdivision ? subdivision.name : '16n',
         totalEvents: timedEvents.length,
         characteristics: instrumentSpec.characteristics
       }
@@ -315,107 +443,220 @@ class MelodicPatternGenerator {
     return modes[index];
   }
 
+  /**
+   * Parse a key name such as 'C', 'f#', 'Bb', 'E♭' or 'C sharp'
+   * @param {string} key - Note letter with an optional accidental
+   * @returns {Object} { name, index } - Name as written ('F#', 'Bb') and pitch class (0-11)
+   */
+  parseKey(key) {
+    const match = /^\s*([A-G])\s*(#|♯|b|♭|-?sharp|-?flat)?\s*$/i.exec(typeof key === 'string' ? key : '');
+    if (!match) {
+      throw new Error(`Invalid key: ${key} - use a note name such as C, F# or Bb`);
+    }
+    
+    const letter = match[1].toUpperCase();
+    const accidental = (match[2] || '').toLowerCase();
+    const sharp = ['#', '♯', 'sharp', '-sharp'].includes(accidental);
+    const flat = ['b', '♭', 'flat', '-flat'].includes(accidental);
+    const offset = sharp ? 1 : flat ? -1 : 0;
+    
+    return {
+      name: `${letter}${sharp ? '#' : flat ? 'b' : ''}`,
+      index: (this.NOTES.indexOf(letter) + offset + 12) % 12
+    };
+  }
+
+  /**
+   * Resolve a mode name ('major' and 'minor' are Ionian and Aeolian)
+   * @param {string} mode - Mode name
+   * @returns {string} Key of MODES
+   */
+  resolveMode(mode) {
+    const name = typeof mode === 'string' ? mode.trim().toLowerCase() : '';
+    const resolved = this.MODE_ALIASES[name] || name;
+    
+    if (!this.MODES[resolved]) {
+      throw new Error(`Unknown mode: ${mode} - use major, minor, ${Object.keys(this.MODES).join(', ')}`);
+    }
+    
+    return resolved;
+  }
+
+  /**
+   * Parse a Roman numeral progression
+   * @param {string|Array<string>} progression - Roman numerals, e.g. ['i', 'bVII', 'bVI', 'V7/V'] or "ii7-V7-Imaj7"
+   * @param {string} [mode='ionian'] - Mode whose scale degrees the plain numerals name
+   * @returns {Array<Object>} Chords from RomanNumeralParser.parse
+   */
+  parseProgression(progression, mode = 'ionian') {
+    return this.romanNumerals.parseProgression(progression, this.MODES[this.resolveMode(mode)]);
+  }
+
+  /**
+   * Keep the genre's mode if its third matches the progression's tonic chord,
+   * otherwise use major or natural minor (so 'i-bVI-bVII' is not played over a major scale)
+   * @private
+   */
+  fitModeToProgression(genreMode, progression) {
+    const tonicChord = this.parseProgression(progression).find(chord => chord.root === 0 && chord.bass === null);
+    if (!tonicChord) {
+      return genreMode;
+    }
+    
+    const minorTonic = tonicChord.intervals[1] === 3;
+    const minorMode = this.MODES[genreMode][2] === 3;
+    if (minorTonic === minorMode) {
+      return genreMode;
+    }
+    
+    return minorTonic ? 'aeolian' : 'ionian';
+  }
+
   /**
    * Generate scale notes from key and mode
    */
   generateScale(key, mode) {
-    const keyIndex = this.NOTES.indexOf(key);
-    if (keyIndex === -1) {
-      throw new Error(`Invalid key: ${key}`);
-    }
+    const keyIndex = this.parseKey(key).index;
     
     const intervals = this.MODES[mode];
     return intervals.map(interval => (keyIndex + interval) % 12);
   }
 
   /**
-   * Generate chord voicings for the progression
+   * Build the triad on a scale degree
+   * @returns {Object} { tones, bass } - Pitch classes from the root up, and the bass
    */
-  generateChordVoicings(progression, scale, instrumentSpec) {
-    return progression.map(degree => {
-      // Build triad from scale degree
-      const root = scale[degree % scale.length];
-      const third = scale[(degree + 2) % scale.length];
-      const fifth = scale[(degree + 4) % scale.length];
-      
-      // Map to appropriate octave for instrument
-      const baseOctave = 4; // Start from middle octave
-      const rootNote = root + (baseOctave * 12);
-      
-      // Ensure notes are in instrument range
-      const adjustedRoot = this.constrainToRange(rootNote, instrumentSpec.range);
-      const adjustedThird = this.constrainToRange(third + (baseOctave * 12), instrumentSpec.range);
-      const adjustedFifth = this.constrainToRange(fifth + (baseOctave * 12), instrumentSpec.range);
-      
-      if (instrumentSpec.voicing === 'chord') {
-        // Return full chord for harmonic instruments
-        return [adjustedRoot, adjustedThird, adjustedFifth];
-      } else {
-        // Return single note (root) for melodic instruments
-        return [adjustedRoot];
-      }
-    });
+  getDiatonicTriad(degree, scale) {
+    const root = scale[degree % scale.length];
+    const third = scale[(degree + 2) % scale.length];
+    const fifth = scale[(degree + 4) % scale.length];
+    return { tones: [root, third, fifth], bass: root };
   }
 
   /**
-   * Generate melody line based on chords and instrument characteristics
+   * Generate chord voicings for the progression
+   * @param {Array<Object>} harmony - Chords as { tones, bass } pitch classes
+   * @param {string} instrument - Instrument type
+   * @param {Object} instrumentSpec - Instrument characteristics
+   * @param {string} [voicing] - Voicing style for chord instruments ('closed', 'open', 'drop2')
+   * @returns {Object} { style, chords } - style is null for single-note instruments
    */
-  generateMelodyLine(chords, scale, instrumentSpec, genre, bars) {
-    const melody = [];
-    const notesPerBar = 4; // Assume 4/4 time
-    const totalNotes = bars * notesPerBar;
-    
-    let currentOctave = 4; // Middle octave
-    let lastNote = scale[0] + (currentOctave * 12); // Start on tonic
-    
-    for (let i = 0; i < totalNotes; i++) {
-      const chordIndex = i % chords.length;
-      const chord = chords[chordIndex];
-      
-      // Select note from current chord or scale
-      let targetNote;
-      if (this.seededRandom() > 0.3) {
-        // 70% chance to use chord tone
-        targetNote = chord[Math.floor(this.seededRandom() * chord.length)];
-      } else {
-        // 30% chance to use scale tone
-        const scaleNote = scale[Math.floor(this.seededRandom() * scale.length)];
-        targetNote = scaleNote + (currentOctave * 12);
-      }
-      
-      // Apply melodic motion principles
-      targetNote = this.applyMelodicMotion(lastNote, targetNote, instrumentSpec);
-      
-      // Constrain to instrument range
-      targetNote = this.constrainToRange(targetNote, instrumentSpec.range);
-      
-      melody.push(targetNote);
-      lastNote = targetNote;
+  generateChordVoicings(harmony, instrument, instrumentSpec, voicing = null) {
+    // Harmonic instruments get voice-led chords
+    if (this.canPlayChords(instrument)) {
+      return this.voicingEngine.voice(harmony, instrument, instrumentSpec, { style: voicing });
     }
     
-    return melody;
+    // Single note (root, or a slash chord's bass) for melodic instruments
+    const baseOctave = 4; // Start from middle octave
+    return {
+      style: null,
+      chords: harmony.map(({ bass }) => [this.constrainToRange(bass + (baseOctave * 12), instrumentSpec.range)])
+    };
   }
 
   /**
-   * Apply melodic motion principles (prefer steps over leaps)
+   * Check whether an instrument plays chords (and so can comp)
+   * @param {string} instrument - Instrument type
+   * @returns {boolean}
    */
-  applyMelodicMotion(fromNote, toNote, instrumentSpec) {
-    const interval = Math.abs(toNote - fromNote);
+  canPlayChords(instrument) {
+    const instrumentSpec = this.INSTRUMENT_SPECS[instrument];
+    return Boolean(instrumentSpec) && (this.voicingEngine.hasRules(instrument) || instrumentSpec.voicing === 'chord');
+  }
+
+  /**
+   * Check whether an instrument reaches low enough for a bassline (E2)
+   * @param {string} instrument - Instrument type
+   * @returns {boolean}
+   */
+  canPlayBass(instrument) {
+    const instrumentSpec = this.INSTRUMENT_SPECS[instrument];
+    return Boolean(instrumentSpec) && instrumentSpec.range[0] <= 40;
+  }
+
+  /**
+   * Part an instrument plays when none is requested
+   * @param {string} instrument - Instrument type
+   * @returns {string} 'bassline' for bass, 'melody' otherwise
+   */
+  getDefaultPart(instrument) {
+    return this.DEFAULT_PARTS[instrument] || 'melody';
+  }
+
+  /**
+   * Validate the part an instrument plays
+   * @param {string} part - 'melody', 'comp', 'bassline' or 'arp'
+   * @param {string} [instrument] - Instrument type (comping needs one that plays chords, a bassline one that reaches E2)
+   * @returns {string} The part
+   */
+  resolvePart(part, instrument = null) {
+    if (!this.PARTS.includes(part)) {
+      throw new Error(`Unknown part: ${part} - use ${this.PARTS.join(', ')}`);
+    }
     
-    // If leap is too large (> octave), bring it closer
-    if (interval > 12) {
-      const direction = toNote > fromNote ? 1 : -1;
-      toNote = fromNote + (direction * Math.floor(this.seededRandom() * 7 + 1)); // Max 7 semitones
+    if (part === 'comp' && instrument && !this.canPlayChords(instrument)) {
+      const chordInstruments = MelodicPatternGenerator.getMelodicInstruments().filter(name => this.canPlayChords(name));
+      throw new Error(`Comping needs an instrument that plays chords: ${chordInstruments.join(', ')}`);
     }
     
-    // Occasionally add ornamental notes for expressive instruments
-    if (instrumentSpec.characteristics.includes('expressive') && this.seededRandom() > 0.8) {
-      // Add passing tone
-      const passingTone = fromNote + (toNote > fromNote ? 1 : -1);
-      return passingTone;
+    if (part === 'bassline' && instrument && !this.canPlayBass(instrument)) {
+      const bassInstruments = MelodicPatternGenerator.getMelodicInstruments().filter(name => this.canPlayBass(name));
+      throw new Error(`A bassline needs an instrument that reaches down to E2: ${bassInstruments.join(', ')}`);
     }
     
-    return toNote;
+    return part;
+  }
+
+  /**
+   * Validate a phrasing
+   * @param {string} phrasing - 'legato' or 'staccato'
+   * @returns {string} The phrasing
+   */
+  resolvePhrasing(phrasing) {
+    if (!this.PHRASINGS.includes(phrasing)) {
+      throw new Error(`Unknown phrasing: ${phrasing} - use ${this.PHRASINGS.join(', ')}`);
+    }
+    return phrasing;
+  }
+
+  /**
+   * Set note lengths to a phrasing and tag each note with it
+   * Legato notes (and chords) sound until the next onset, the last one to the
+   * end of the pattern; staccato notes keep a share of their written length.
+   * @param {Array<Object>} events - Timed events (time and duration in beats)
+   * @param {string} phrasing - 'legato' or 'staccato'
+   * @param {number} totalSteps - Pattern length in 16th note steps
+   * @private
+   */
+  applyPhrasing(events, phrasing, totalSteps) {
+    const onsets = [...new Set(events.map(event => event.time))].sort((a, b) => a - b);
+    
+    events.forEach(event => {
+      const next = onsets.find(onset => onset > event.time + 1e-6);
+      const gap = (next !== undefined ? next : totalSteps / 4) - event.time;
+      
+      event.duration = phrasing === 'legato' ?
+        gap :
+        Math.min(event.duration * this.staccatoLength, gap, this.staccatoMaxBeats);
+      event.phrasing = phrasing;
+    });
+  }
+
+  /**
+   * Steps where each chord of the progression starts (the harmonic rhythm)
+   * A chord per bar, or the progression spread evenly over patterns with fewer
+   * bars than chords.
+   * @param {number} chordCount - Chords in the progression
+   * @param {number} bars - Number of bars
+   * @param {number} stepsPerBar - 16th note steps per bar
+   * @returns {Array<number>} Start steps, one per chord played
+   */
+  getChordChanges(chordCount, bars, stepsPerBar) {
+    const totalSteps = bars * stepsPerBar;
+    return chordCount > bars ?
+      Array.from({ length: chordCount }, (_, index) => Math.round(index * totalSteps / chordCount)) :
+      Array.from({ length: bars }, (_, bar) => bar * stepsPerBar);
   }
 
   /**
@@ -435,43 +676,35 @@ class MelodicPatternGenerator {
   }
 
   /**
-   * Apply rhythm pattern to melody
+   * Note steps of a genre rhythm in one bar of the meter
+   * Rhythm patterns describe a 16-step bar; shorter meters drop steps past the
+   * bar line and longer meters repeat the pattern to fill the bar. A coarser or
+   * tuplet subdivision moves each step to the nearest note of that grid.
+   * @param {Array<number>} rhythmPattern - Steps of a 16-step bar
+   * @param {number} [stepsPerBar=16] - 16th note steps per bar
+   * @param {Object} [subdivision] - Rhythmic grid from TimingEngine.getSubdivision
+   * @returns {Array<number>} Ascending (possibly fractional) steps
    */
-  applyRhythm(melody, rhythmPattern, bpm, bars) {
-    const events = [];
-    const beatsPerBar = 4; // 4/4 time
-    const stepsPerBeat = 16; // 16th note resolution
-    const totalSteps = bars * beatsPerBar * stepsPerBeat;
-    
-    let melodyIndex = 0;
+  fitRhythm(rhythmPattern, stepsPerBar = 16, subdivision = null) {
+    // Fit the 16-step pattern to the bar length of the meter
+    const barSteps = [];
+    for (let offset = 0; offset < stepsPerBar; offset += 16) {
+      rhythmPattern.forEach(patternStep => {
+        if (offset + patternStep < stepsPerBar) {
+          barSteps.push(offset + patternStep);
+        }
+      });
+    }
     
-    for (let bar = 0; bar < bars; bar++) {
-      for (let patternStep of rhythmPattern) {
-        if (melodyIndex >= melody.length) break;
-        
-        const stepPosition = bar * (beatsPerBar * stepsPerBeat) + patternStep;
-        const timePosition = stepPosition / stepsPerBeat; // Convert to beat position
-        
-        events.push({
-          note: melody[melodyIndex],
-          time: timePosition,
-          velocity: this.generateVelocity(),
-          duration: 0.25 // Quarter note duration
-        });
-        
-        melodyIndex++;
-      }
+    // Snap onto the subdivision grid, dropping notes that land on the same spot
+    if (subdivision && subdivision.steps !== 1) {
+      const snapped = barSteps
+        .map(step => Math.round(step / subdivision.steps) * subdivision.steps)
+        .filter(step => step < stepsPerBar);
+      return [...new Set(snapped)].sort((a, b) => a - b);
     }
     
-    return events;
-  }
-
-  /**
-   * Generate velocity based on musical expression
-   */
-  generateVelocity() {
-    // Vary velocity for musical expression (0.6 to 1.0 range)
-    return 0.6 + (this.seededRandom() * 0.4);
+    return barSteps.sort((a, b) => a - b);
   }
 
   /**
@@ -495,7 +728,7 @@ class MelodicPatternGenerator {
    * Get suggested instruments for melodic patterns
    */
   static getMelodicInstruments() {
-    return ['guitar', 'keyboard', 'organ', 'flute', 'string', 'brass', 'reed', 'vocal', 'synth_lead'];
+    return ['bass', 'guitar', 'keyboard', 'organ', 'flute', 'string', 'brass', 'reed', 'vocal', 'synth_lead'];
   }
 
   /**
@@ -0,0 +1,252 @@
+/**
+ * Motif Engine - Melodies developed from a seed motif
+ *
+ * A melody is a period of two phrases built from one short motif:
+ * - the motif: a bar of the genre's rhythm (half a bar in one-bar patterns)
+ *   with a mostly stepwise contour, in scale degrees
+ * - the antecedent (call) states the motif and develops it, ending on a
+ *   half cadence (a chord tone other than the tonic)
+ * - the consequent (response) answers with the motif's contour inverted,
+ *   develops it the way the antecedent did and ends on the tonic
+ * Developments repeat the motif, move it up or down the scale (sequence),
+ * invert its contour or double its note lengths (augmentation). Notes that
+ * start a unit or fall on a chord change move to the nearest chord tone.
+ */
+
+class MotifEngine {
+  constructor() {
+    // Ways a unit develops the motif
+    this.TECHNIQUES = ['repetition', 'sequence', 'inversion', 'augmentation'];
+    
+    // Contour intervals in scale steps, weighted towards steps over leaps
+    this.INTERVALS = [[1, 3], [-1, 3], [2, 2], [-2, 2], [0, 1], [3, 1], [-3, 1], [4, 0.5], [-4, 0.5]];
+    this.maxSpan = 5;      // Scale steps the motif may move from its first note
+    this.maxNoteSteps = 4; // Longest note in 16th note steps (cadences hold longer)
+    
+    // Velocity of notes on the beat and between beats
+    this.strong = [0.8, 0.95];
+    this.weak = [0.62, 0.8];
+  }
+
+  /**
+   * Develop a melody over a chord progression
+   * @param {Array<Object>} harmony - Chords as { tones, bass } pitch classes
+   * @param {Object} options
+   * @param {Array<number>} options.scale - Scale pitch classes, tonic first
+   * @param {Object} options.instrumentSpec - Instrument range and sweet spot
+   * @param {number} options.bars - Number of bars
+   * @param {number} [options.stepsPerBar=16] - 16th note steps per bar
+   * @param {Array<number>} options.changes - Steps where each chord starts (see MelodicPatternGenerator.getChordChanges)
+   * @param {Array<number>} options.rhythm - Note steps of one bar (see MelodicPatternGenerator.fitRhythm)
+   * @param {Object} [options.subdivision] - Rhythmic grid from TimingEngine.getSubdivision
+   * @param {Function} options.random - Seeded random number generator (0-1)
+   * @returns {Object} { motif, plan, phrases, events }
+   */
+  develop(harmony, { scale, instrumentSpec, bars, stepsPerBar = 16, changes, rhythm, subdivision = null, random }) {
+    const totalSteps = bars * stepsPerBar;
+    const unitSteps = bars > 1 ? stepsPerBar : Math.max(1, Math.round(stepsPerBar / 2));
+    const units = Math.ceil(totalSteps / unitSteps);
+    const ladder = this.buildLadder(scale, instrumentSpec.range);
+    const chordAt = step => harmony[(changes.filter(change => change <= step + 1e-6).length - 1) % harmony.length];
+    
+    const motif = this.createMotif(rhythm, unitSteps, random);
+    const plan = this.planPhrases(units, random);
+    const antecedent = Math.ceil(units / 2);
+    
+    // The motif starts on a chord tone near the middle of the sweet spot
+    const center = this.nearestIndex(ladder, (instrumentSpec.sweetSpot[0] + instrumentSpec.sweetSpot[1]) / 2);
+    const statementAnchor = this.nearestChordTone(ladder, center, chordAt(0).tones);
+    let anchor = statementAnchor;
+    
+    const events = [];
+    plan.forEach((technique, unit) => {
+      const start = unit * unitSteps;
+      const length = Math.min(unitSteps, totalSteps - start);
+      let notes = this.transform(motif, technique, unitSteps);
+      
+      if (technique === 'statement' || technique === 'response') {
+        anchor = statementAnchor;
+      } else if (technique === 'sequence') {
+        // Move towards the middle of the range when the line has drifted
+        const direction = anchor > center + 3 ? -1 : anchor < center - 3 ? 1 : (random() < 0.5 ? -1 : 1);
+        anchor += direction * (random() < 0.6 ? 1 : 2);
+      }
+      
+      // Move the unit so its first note is a chord tone (keeping the motif's shape)
+      notes = notes.filter(note => note.offset < length - 1e-6);
+      anchor = this.nearestChordTone(ladder, anchor + notes[0].degree, chordAt(start).tones) - notes[0].degree;
+      
+      // Keep it in range by whole octaves
+      let indices = notes.map(note => anchor + note.degree);
+      const shift = this.octaveShift(indices, ladder.length, scale.length);
+      anchor += shift;
+      indices = indices.map(index => Math.max(0, Math.min(ladder.length - 1, index + shift)));
+      
+      // Notes on a later chord change land on that chord
+      notes.forEach((note, index) => {
+        const step = start + note.offset;
+        if (index > 0 && changes.some(change => Math.abs(change - step) < 1e-6)) {
+          indices[index] = this.nearestChordTone(ladder, indices[index], chordAt(step).tones);
+        }
+      });
+      
+      // Cadences: a half cadence at the end of the antecedent, the tonic at the end
+      const lastUnitOfPhrase = unit === antecedent - 1 || unit === units - 1;
+      if (lastUnitOfPhrase && notes.length > 0) {
+        const last = notes.length - 1;
+        const chord = chordAt(start + notes[last].offset);
+        const tonic = scale[0] % 12;
+        const final = unit === units - 1;
+        const targets = final ?
+          (chord.tones.includes(tonic) ? [tonic] : [chord.tones[0]]) :
+          (chord.tones.some(tone => tone !== tonic) ? chord.tones.filter(tone => tone !== tonic) : chord.tones);
+        indices[last] = this.nearestChordTone(ladder, indices[last], targets);
+        notes[last] = { ...notes[last], length: length - notes[last].offset, cadence: true };
+      }
+      
+      notes.forEach((note, index) => {
+        const step = start + note.offset;
+        const onBeat = Math.abs(step / 4 - Math.round(step / 4)) < 1e-6;
+        const [low, high] = onBeat || note.cadence ? this.strong : this.weak;
+        
+        const event = {
+          note: ladder[indices[index]],
+          time: step / 4, // Beats (16th note steps)
+          velocity: low + random() * (high - low),
+          duration: Math.min(note.length, length - note.offset) / 4
+        };
+        
+        if (subdivision && subdivision.tuplet) {
+          event.subdivision = subdivision.name;
+        }
+        
+        events.push(event);
+      });
+    });
+    
+    return {
+      motif: {
+        contour: motif.map(note => note.degree),
+        rhythm: motif.map(note => note.offset),
+        beats: unitSteps / 4
+      },
+      plan,
+      phrases: { antecedent, consequent: units - antecedent },
+      events
+    };
+  }
+
+  /**
+   * Seed motif: the first unit of the rhythm with a stepwise contour in scale steps
+   * @private
+   */
+  createMotif(rhythm, unitSteps, random) {
+    const offsets = rhythm.filter(step => step < unitSteps - 1e-6);
+    if (offsets.length < 2) {
+      // Too few notes to carry a shape: add one halfway through the unit
+      [0, Math.round(unitSteps / 2)].forEach(step => {
+        if (!offsets.some(offset => Math.abs(offset - step) < 1e-6)) offsets.push(step);
+      });
+      offsets.sort((a, b) => a - b);
+    }
+    
+    const totalWeight = this.INTERVALS.reduce((sum, [, weight]) => sum + weight, 0);
+    let degree = 0;
+    
+    return offsets.map((offset, index) => {
+      if (index > 0) {
+        let pick = random() * totalWeight;
+        const [interval] = this.INTERVALS.find(([, weight]) => (pick -= weight) < 0) || this.INTERVALS[0];
+        degree = Math.abs(degree + interval) > this.maxSpan ? degree - interval : degree + interval;
+      }
+      
+      const next = index + 1 < offsets.length ? offsets[index + 1] : unitSteps;
+      return { offset, length: Math.min(next - offset, this.maxNoteSteps), degree };
+    });
+  }
+
+  /**
+   * Technique of each unit: the antecedent states and develops the motif, the
+   * consequent answers it and develops it the same way
+   * @private
+   */
+  planPhrases(units, random) {
+    const antecedent = ['statement'];
+    for (let unit = 1; unit < Math.ceil(units / 2); unit++) {
+      const choices = this.TECHNIQUES.filter(technique => technique !== antecedent[unit - 1]);
+      antecedent.push(choices[Math.floor(random() * choices.length)]);
+    }
+    
+    const consequent = antecedent.slice(0, units - antecedent.length).map((technique, unit) => (unit === 0 ? 'response' : technique));
+    return [...antecedent, ...consequent];
+  }
+
+  /**
+   * Motif notes as played by a technique
+   * @private
+   */
+  transform(motif, technique, unitSteps) {
+    switch (technique) {
+      case 'inversion':
+      case 'response':
+        return motif.map(note => ({ ...note, degree: -note.degree }));
+      case 'augmentation':
+        return motif
+          .map(note => ({ ...note, offset: note.offset * 2, length: note.length * 2 }))
+          .filter(note => note.offset < unitSteps - 1e-6)
+          .map(note => ({ ...note, length: Math.min(note.length, unitSteps - note.offset) }));
+      default:
+        return motif.map(note => ({ ...note }));
+    }
+  }
+
+  /**
+   * Scale notes within the instrument range, ascending
+   * @private
+   */
+  buildLadder(scale, range) {
+    const pitchClasses = scale.map(note => ((note % 12) + 12) % 12);
+    const ladder = [];
+    for (let note = range[0]; note <= range[1]; note++) {
+      if (pitchClasses.includes(note % 12)) ladder.push(note);
+    }
+    return ladder;
+  }
+
+  /**
+   * Whole octaves (in ladder steps) that bring a unit's notes into the ladder
+   * @private
+   */
+  octaveShift(indices, ladderLength, octaveSteps) {
+    let shift = 0;
+    while (Math.min(...indices) + shift < 0) shift += octaveSteps;
+    while (Math.max(...indices) + shift > ladderLength - 1 && Math.min(...indices) + shift - octaveSteps >= 0) shift -= octaveSteps;
+    return shift;
+  }
+
+  /**
+   * Ladder index of the note closest to a pitch
+   * @private
+   */
+  nearestIndex(ladder, pitch) {
+    return ladder.reduce((best, note, index) => (Math.abs(note - pitch) < Math.abs(ladder[best] - pitch) ? index : best), 0);
+  }
+
+  /**
+   * Ladder index of the nearest note whose pitch class is one of the tones
+   * @private
+   */
+  nearestChordTone(ladder, index, tones) {
+    const clamped = Math.max(0, Math.min(ladder.length - 1, index));
+    for (let distance = 0; distance < ladder.length; distance++) {
+      for (const candidate of [clamped - distance, clamped + distance]) {
+        if (candidate >= 0 && candidate < ladder.length && tones.includes(ladder[candidate] % 12)) {
+          return candidate;
+        }
+      }
+    }
+    return clamped;
+  }
+}
+
+module.exports = { MotifEngine };
@@ -7,10 +7,51 @@
  * - House: Four-on-the-floor, swung hi-hats, steady groove
  * - Lo-fi: Sparse patterns, off-beat elements, relaxed feel
  * - Pop/Upbeat: Strong downbeats, predictable patterns
+ * - Trap: Half-time snare, 16th triplet hi-hats and 32nd hi-hat rolls
+ * 
+ * Style templates are written as one 4/4 bar of 16th steps. Other meters
+ * reuse each template beat by role (downbeat, backbeat, mid-bar, final beat),
+ * so 6/8 keeps a kick on 1 and a backbeat on 4 and 7/8 follows its grouping.
+ * 
+ * A template event may carry `subdivision` and `count` to play a run of notes
+ * from its step (e.g. a 32nd hi-hat roll or a 16th triplet). Such events get
+ * `subdivision` and `tuplet: { group, index, count, ratio }` fields and sit at
+ * fractional step positions.
+ * 
+ * Besides the templates there is an algorithmic mode (`mode: 'euclidean'`,
+ * or a style with `mode: 'euclidean'`) that builds every voice from lanes:
+ * - Euclidean rhythms: `hits` spread as evenly as possible over `steps`,
+ *   shifted by `rotation` (E(3,8) is the tresillo, E(5,16) a bossa kick)
+ * - Probability lanes: chance per step (one number or a cycled list)
+ * - Accent masks: 'X' marks accented steps, cycled along the lane
+ * Lanes shorter or longer than the bar cycle across bar lines (polymeter).
+ * 
+ * A third mode (`mode: 'trained'`) samples a model learned from MIDI loops by
+ * PatternTrainer: each voice walks a Markov chain of bar states. It is used
+ * when a `model` is named, or when the style keyword is a trained model.
+ * 
+ * Two controls shape any mode, 0.5 leaving the style as written:
+ * - `energy` (0-1, or a per-bar curve such as [0.3, 1]): how many optional
+ *   hits play and how often (and how long) phrase fills are
+ * - `complexity` (0-1): ghost notes and hi-hat subdivision, from quarter and
+ *   8th hats at 0 to filled-in 16ths and 32nd rolls at 1
+ * 
+ * All modes produce the same event format. Event notes are DrumKit voices:
+ * the General MIDI kit from kick, snare and closed/pedal/open hi-hats to
+ * clap, rimshot, side stick, three toms, cymbals and hand percussion.
  */
 
+const { PatternTrainer } = require('./patternTrainer');
+const { DrumKit } = require('./drumKit');
+
 class PatternGenerator {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.modelPath='./data/pattern-models'] - Directory of trained pattern models
+   */
+  constructor({ modelPath = './data/pattern-models' } = {}) {
+    this.patternTrainer = new PatternTrainer({ modelPath });
+    this.drumKit = new DrumKit();
     this.randomSeed = Date.now();
     this.randomIndex = 0;
     
@@ -35,6 +76,10 @@ class PatternGenerator {
           variations: [
             { step: 6, velocity: 0.2, note: 'snare', ghost: true },
             { step: 14, velocity: 0.2, note: 'snare', ghost: true }
+          ],
+          feet: [
+            { step: 5, velocity: 0.4, note: 'hihat-pedal' }, // Hi-hat foot on 2 and 4
+            { step: 13, velocity: 0.4, note: 'hihat-pedal' }
           ]
         }
       },
@@ -59,6 +104,12 @@ class PatternGenerator {
             { step: 10, velocity: 0.3, note: 'snare', ghost: true },
             { step: 12, velocity: 0.4, note: 'kick' },
             { step: 14, velocity: 0.3, note: 'snare', ghost: true }
+          ],
+          hiHats: [
+            { step: 3, velocity: 0.5, note: 'hihat' },
+            { step: 7, velocity: 0.5, note: 'hihat' },
+            { step: 11, velocity: 0.5, note: 'hihat' },
+            { step: 15, velocity: 0.6, note: 'hihat-open' } // Open hat into the next bar
           ]
         }
       },
@@ -68,7 +119,7 @@ class PatternGenerator {
         density: 0.5,
         swingFeel: false,
         patterns: {
-          // House: Four-on-the-floor kick with swung hi-hats
+          // House: Four-on-the-floor kick, claps on 2 and 4, open hats on the off-beats
           primary: [
             { step: 1, velocity: 0.8, note: 'kick' },     // Four-on-the-floor
             { step: 5, velocity: 0.8, note: 'kick' },
@@ -76,14 +127,14 @@ class PatternGenerator {
             { step: 13, velocity: 0.8, note: 'kick' }
           ],
           hiHats: [
-            { step: 3, velocity: 0.6, note: 'hihat' },    // Off-beat hi-hats
-            { step: 7, velocity: 0.5, note: 'hihat' },
-            { step: 11, velocity: 0.6, note: 'hihat' },
-            { step: 15, velocity: 0.5, note: 'hihat' }
+            { step: 3, velocity: 0.6, note: 'hihat-open' }, // Off-beat open hats
+            { step: 7, velocity: 0.5, note: 'hihat-open' },
+            { step: 11, velocity: 0.6, note: 'hihat-open' },
+            { step: 15, velocity: 0.5, note: 'hihat-open' }
           ],
           accents: [
-            { step: 5, velocity: 0.7, note: 'snare' },    // Occasional snare
-            { step: 13, velocity: 0.7, note: 'snare' }
+            { step: 5, velocity: 0.7, note: 'clap' },     // Claps on the backbeat
+            { step: 13, velocity: 0.7, note: 'clap' }
           ]
         }
       },
@@ -125,6 +176,10 @@ class PatternGenerator {
             { step: 7, velocity: 0.4, note: 'hihat' },
             { step: 11, velocity: 0.4, note: 'hihat' },
             { step: 15, velocity: 0.4, note: 'hihat' }
+          ],
+          percussion: [
+            { step: 5, velocity: 0.5, note: 'tambourine' }, // Tambourine doubling the backbeat
+            { step: 13, velocity: 0.5, note: 'tambourine' }
           ]
         }
       },
@@ -150,10 +205,85 @@ class PatternGenerator {
             { step: 12, velocity: 0.4, note: 'hihat' },
             { step: 14, velocity: 0.4, note: 'hihat' },
             { step: 16, velocity: 0.4, note: 'hihat' }
+          ],
+          claps: [
+            { step: 5, velocity: 0.6, note: 'clap' },     // Clap layered on the snare
+            { step: 13, velocity: 0.6, note: 'clap' }
+          ]
+        }
+      },
+      
+      bossa: {
+        bpmRange: [110, 140],
+        density: 0.7,
+        swingFeel: false,
+        patterns: {
+          // Bossa nova: surdo-style kick, rim clicks on the bossa clave, shaker 8ths
+          primary: [
+            { step: 1, velocity: 0.7, note: 'kick' },
+            { step: 4, velocity: 0.5, note: 'kick' },
+            { step: 5, velocity: 0.7, note: 'kick' },
+            { step: 8, velocity: 0.5, note: 'kick' },
+            { step: 9, velocity: 0.7, note: 'kick' },
+            { step: 12, velocity: 0.5, note: 'kick' },
+            { step: 13, velocity: 0.7, note: 'kick' },
+            { step: 16, velocity: 0.5, note: 'kick' }
+          ],
+          clave: [
+            { step: 1, velocity: 0.6, note: 'side-stick' }, // Rim clicks
+            { step: 4, velocity: 0.6, note: 'side-stick' },
+            { step: 7, velocity: 0.6, note: 'side-stick' },
+            { step: 11, velocity: 0.6, note: 'side-stick' },
+            { step: 14, velocity: 0.6, note: 'side-stick' }
+          ],
+          shaker: [
+            { step: 1, velocity: 0.4, note: 'shaker' },
+            { step: 3, velocity: 0.25, note: 'shaker' },
+            { step: 5, velocity: 0.4, note: 'shaker' },
+            { step: 7, velocity: 0.25, note: 'shaker' },
+            { step: 9, velocity: 0.4, note: 'shaker' },
+            { step: 11, velocity: 0.25, note: 'shaker' },
+            { step: 13, velocity: 0.4, note: 'shaker' },
+            { step: 15, velocity: 0.25, note: 'shaker' }
+          ]
+        }
+      },
+      
+      trap: {
+        bpmRange: [130, 160],
+        density: 0.6,
+        swingFeel: false,
+        patterns: {
+          // Trap: half-time snare on beat 3, hi-hats switching between 8ths, triplets and rolls
+          primary: [
+            { step: 1, velocity: 0.95, note: 'kick' },    // 808 downbeat
+            { step: 9, velocity: 0.9, note: 'snare' },    // Half-time backbeat
+            { step: 9, velocity: 0.7, note: 'clap' }
+          ],
+          kicks: [
+            { step: 4, velocity: 0.6, note: 'kick' },
+            { step: 11, velocity: 0.85, note: 'kick' }
+          ],
+          hiHats: [
+            { step: 1, velocity: 0.5, note: 'hihat' },
+            { step: 3, velocity: 0.4, note: 'hihat' },
+            { step: 5, velocity: 0.5, note: 'hihat' },
+            { step: 7, velocity: 0.4, note: 'hihat' },
+            { step: 9, velocity: 0.45, note: 'hihat', subdivision: '16t', count: 6 }, // Triplet hats across beat 3
+            { step: 13, velocity: 0.5, note: 'hihat' },
+            { step: 15, velocity: 0.35, note: 'hihat', subdivision: '32n', count: 4 }  // Roll into the next bar
           ]
         }
       },
       
+      euclidean: {
+        bpmRange: [90, 130],
+        density: 1.0, // Lanes decide every hit
+        swingFeel: false,
+        mode: 'euclidean', // Algorithmic style - see euclideanPresets
+        patterns: {}
+      },
+      
       default: {
         bpmRange: [100, 120],
         density: 0.6,
@@ -169,6 +299,67 @@ class PatternGenerator {
         }
       }
     };
+    
+    this.patternModes = ['template', 'euclidean', 'trained'];
+    this.laneNotes = this.drumKit.getVoiceNames();
+    this.fillToms = ['tom-high', 'tom-mid', 'tom-low']; // Fills travel down the kit
+    this.timekeepers = ['hihat', 'ride']; // Voices complexity subdivides
+    this.fillChance = 0.4; // Chance of a fill per phrase at neutral energy
+    this.variationChance = 0.3; // Chance of each template variation at neutral complexity
+    
+    // Euclidean mode lanes per style: { note, hits, steps, rotation, probability, accents, velocity }
+    // Steps default to the bar length; lane names default to the note
+    this.euclideanPresets = {
+      jazz: {
+        ride: { hits: 6, steps: 16, velocity: 0.5, accents: 'X...' },
+        kick: { hits: 2, steps: 16, rotation: 3, velocity: 0.5, probability: 0.6 },
+        ghosts: { note: 'snare', probability: [0, 0.1, 0.2, 0.3], velocity: 0.25, ghost: true },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.5 }
+      },
+      funk: {
+        kick: { hits: 5, steps: 16, velocity: 0.85 },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.85 },
+        ghosts: { note: 'snare', probability: [0, 0.3, 0.1, 0.4], velocity: 0.2, ghost: true },
+        hihat: { hits: 12, steps: 16, velocity: 0.45, accents: 'X.x.' }
+      },
+      house: {
+        kick: { hits: 4, steps: 16, velocity: 0.95 },
+        clap: { hits: 2, steps: 16, rotation: 4, velocity: 0.8 },
+        'hihat-open': { hits: 4, steps: 16, rotation: 2, velocity: 0.65 },
+        shaker: { probability: [0, 0.4, 0, 0.5], velocity: 0.3 }
+      },
+      'lo-fi': {
+        kick: { hits: 3, steps: 16, velocity: 0.6 },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.5 },
+        hihat: { probability: [0.8, 0.2, 0.6, 0.3], velocity: 0.3, accents: 'X...' }
+      },
+      pop: {
+        kick: { hits: 3, steps: 16, velocity: 0.8 },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.75 },
+        hihat: { hits: 8, steps: 16, velocity: 0.45, accents: 'X.' }
+      },
+      upbeat: {
+        kick: { hits: 4, steps: 16, velocity: 0.9 },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.8 },
+        hihat: { hits: 16, steps: 16, velocity: 0.4, accents: 'x.X.' }
+      },
+      bossa: {
+        kick: { steps: 4, probability: [1, 0, 0, 1], velocity: 0.6, accents: 'X..x' }, // Dotted quarter + 8th
+        'side-stick': { hits: 5, steps: 16, rotation: 6, velocity: 0.6 }, // Bossa clave
+        shaker: { hits: 8, steps: 16, velocity: 0.3, accents: 'X.x.' }
+      },
+      euclidean: {
+        kick: { hits: 3, steps: 8, velocity: 0.85 },              // Tresillo
+        snare: { hits: 5, steps: 16, rotation: 2, velocity: 0.6, accents: '....X...' },
+        hihat: { hits: 7, steps: 12, velocity: 0.45, accents: 'X..' }, // 12-step lane against the bar
+        tom: { hits: 2, steps: 5, rotation: 1, velocity: 0.5, probability: 0.5 }
+      },
+      default: {
+        kick: { hits: 4, steps: 16, velocity: 0.8 },
+        snare: { hits: 2, steps: 16, rotation: 4, velocity: 0.7 },
+        hihat: { hits: 8, steps: 16, velocity: 0.45, probability: 0.9 }
+      }
+    };
   }
 
   /**
@@ -195,14 +386,32 @@ class PatternGenerator {
    * @param {string} config.keyword - Style keyword
    * @param {Object} config.timingConfig - Timing configuration from TimingEngine
    * @param {string} [config.seed] - Random seed for reproducible patterns
+   * @param {string} [config.fillSubdivision='16n'] - Note subdivision for fills ('16t', '16q', '32n', ...)
+   * @param {string} [config.mode] - 'template', 'euclidean' or 'trained' (defaults to the style's mode, else 'template')
+   * @param {Object} [config.euclidean] - Lane overrides for euclidean mode, merged by lane name (null removes a lane)
+   * @param {string} [config.model] - Trained model to sample (defaults to the model named like the style)
+   * @param {number|Array<number>} [config.energy] - Energy 0-1, or a curve of 0-1 values across the bars (0.5 = the style as written)
+   * @param {number} [config.complexity] - Complexity 0-1 (0.5 = the style as written)
    * @returns {Object} Generated pattern with events array
    */
-  generate({ keyword, timingConfig, seed }) {
+  generate({ keyword, timingConfig, seed, fillSubdivision = '16n', mode = null, euclidean = null, model = null, energy = null, complexity = null }) {
     if (seed) this.setSeed(seed);
     
+    this.validateDynamics(energy, complexity);
+    
     const styleConfig = this.stylePatterns[keyword] || this.stylePatterns.default;
+    const patternMode = this.resolveMode(keyword, mode, model);
+    const dynamics = { energy, complexity };
+    
+    if (patternMode === 'euclidean') {
+      return this.generateEuclidean({ keyword, styleConfig, timingConfig, fillSubdivision, overrides: euclidean, dynamics });
+    }
+    
+    if (patternMode === 'trained') {
+      return this.generateTrained({ keyword, styleConfig, timingConfig, fillSubdivision, modelName: model || keyword, dynamics });
+    }
     
-    console.log(`🥁 Generating ${keyword} pattern with ${styleConfig.density * 100}% density`);
+    console.log(`🥁 Generating ${keyword} pattern with ${styleConfig.density * 100}% density${this.describeDynamics(dynamics)}`);
     
     // Validate BPM against style recommendations
     if (timingConfig.bpm < styleConfig.bpmRange[0] || timingConfig.bpm > styleConfig.bpmRange[1]) {
@@ -211,18 +420,21 @@ class PatternGenerator {
     
     const pattern = {
       style: keyword,
+      mode: patternMode,
       events: [],
       density: styleConfig.density,
-      swingFeel: styleConfig.swingFeel
+      swingFeel: styleConfig.swingFeel,
+      energy,
+      complexity
     };
     
     // Generate events for each bar
     for (let bar = 0; bar < timingConfig.bars; bar++) {
-      this.generateBarEvents(pattern, styleConfig, timingConfig, bar);
+      this.generateBarEvents(pattern, styleConfig, timingConfig, bar, dynamics);
     }
     
-    // Apply variations and fills
-    this.applyVariations(pattern, styleConfig, timingConfig);
+    // Apply variations, hi-hat subdivision and fills
+    this.applyVariations(pattern, styleConfig, timingConfig, fillSubdivision, dynamics);
     
     // Sort events by position
     pattern.events.sort((a, b) => a.position - b.position);
@@ -232,112 +444,686 @@ class PatternGenerator {
     return pattern;
   }
 
+  /**
+   * Pick the generation mode requested, or the style's own
+   * A named model, or a keyword that is a trained model rather than a built-in
+   * style, selects 'trained'.
+   * @param {string} keyword - Style keyword
+   * @param {string} [mode] - Requested mode
+   * @param {string} [model] - Requested trained model
+   * @returns {string} 'template', 'euclidean' or 'trained'
+   */
+  resolveMode(keyword, mode = null, model = null) {
+    const styleConfig = this.stylePatterns[keyword] || this.stylePatterns.default;
+    const trainedStyle = !this.stylePatterns[keyword] && this.patternTrainer.hasModel(keyword);
+    const patternMode = mode || (model || trainedStyle ? 'trained' : null) || styleConfig.mode || 'template';
+    
+    if (!this.patternModes.includes(patternMode)) {
+      throw new Error(`Unknown pattern mode "${patternMode}": use one of ${this.patternModes.join(', ')}`);
+    }
+    
+    if (patternMode === 'trained' && !this.patternTrainer.hasModel(model || keyword)) {
+      throw new Error(`No trained pattern model named "${model || keyword}"`);
+    }
+    
+    return patternMode;
+  }
+
+  /**
+   * Sample a pattern from a trained model
+   * Each voice starts from the model's bar states and then follows its Markov
+   * chain bar by bar; 4/4 model steps map onto other meters like templates.
+   * @private
+   */
+  generateTrained({ keyword, styleConfig, timingConfig, fillSubdivision, modelName, dynamics }) {
+    const model = this.patternTrainer.loadModel(modelName);
+    
+    console.log(`🥁 Generating ${keyword} pattern from trained model "${model.name}" (${model.corpus.bars} bars, ${Object.keys(model.voices).join(', ')})${this.describeDynamics(dynamics)}`);
+    
+    const pattern = {
+      style: keyword,
+      mode: 'trained',
+      model: model.name,
+      events: [],
+      density: styleConfig.density,
+      swingFeel: styleConfig.swingFeel,
+      energy: dynamics.energy,
+      complexity: dynamics.complexity
+    };
+    
+    Object.entries(model.voices).forEach(([note, voice]) => {
+      let state = null;
+      
+      for (let bar = 0; bar < timingConfig.bars; bar++) {
+        state = this.sampleBarState(voice, state);
+        
+        [...state].forEach((symbol, modelStep) => {
+          if (symbol !== 'x') return;
+          
+          this.mapTemplateStep(modelStep + 1, timingConfig).forEach(barStep => {
+            const globalStep = bar * timingConfig.stepsPerBar + barStep;
+            const velocity = voice.velocity[modelStep] || 0.7;
+            
+            pattern.events.push({
+              position: globalStep / timingConfig.totalSteps,
+              velocity: this.applyVelocityVariation(velocity),
+              note,
+              ghost: velocity <= 0.3,
+              bar,
+              step: barStep + 1
+            });
+          });
+        });
+      }
+    });
+    
+    this.thinOptionalHits(pattern, timingConfig, dynamics);
+    this.shapeHiHats(pattern, timingConfig, dynamics.complexity);
+    
+    if (timingConfig.bars > 1) {
+      this.addFills(pattern, timingConfig, fillSubdivision, dynamics.energy);
+    }
+    
+    pattern.events.sort((a, b) => a.position - b.position);
+    
+    console.log(`🎵 Generated ${pattern.events.length} events for ${timingConfig.bars} bars`);
+    
+    return pattern;
+  }
+
+  /**
+   * Draw the next bar state of a voice: from the chain after the previous bar,
+   * or from all bar states when there is no previous bar (or it never continued)
+   * @private
+   */
+  sampleBarState(voice, previous) {
+    const choices = (previous && voice.transitions[previous]) || voice.states;
+    const entries = Object.entries(choices);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    
+    let threshold = this.seededRandom() * total;
+    for (const [state, count] of entries) {
+      threshold -= count;
+      if (threshold < 0) return state;
+    }
+    
+    return entries[entries.length - 1][0];
+  }
+
+  /**
+   * Build euclidean lanes from the style preset and user overrides
+   * @param {string} keyword - Style keyword
+   * @param {Object} [overrides] - Lanes merged over the preset by name; null removes a lane
+   * @returns {Object} Validated lanes by name
+   */
+  resolveEuclideanVoices(keyword, overrides = null) {
+    const voices = { ...(this.euclideanPresets[keyword] || this.euclideanPresets.default) };
+    
+    if (overrides !== null && (typeof overrides !== 'object' || Array.isArray(overrides))) {
+      throw new Error('Euclidean lanes must be an object keyed by lane name');
+    }
+    
+    Object.entries(overrides || {}).forEach(([name, voice]) => {
+      if (voice === null) {
+        delete voices[name];
+      } else {
+        voices[name] = { ...(voices[name] || {}), ...voice };
+      }
+    });
+    
+    Object.entries(voices).forEach(([name, voice]) => this.validateVoice(name, voice));
+    
+    if (Object.keys(voices).length === 0) {
+      throw new Error('Euclidean mode needs at least one lane');
+    }
+    
+    return voices;
+  }
+
+  /**
+   * Check a euclidean lane definition
+   * @private
+   */
+  validateVoice(name, voice) {
+    const steps = voice.steps === undefined ? null : voice.steps;
+    const inRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+    
+    if (!this.laneNotes.includes(voice.note || name)) {
+      throw new Error(`Lane "${name}" plays an unknown drum "${voice.note || name}": set note to one of ${this.laneNotes.join(', ')}`);
+    }
+    if (steps !== null && (!Number.isInteger(steps) || steps < 1 || steps > 64)) {
+      throw new Error(`Lane "${name}": steps must be a whole number from 1 to 64`);
+    }
+    if (voice.hits !== undefined && (!Number.isInteger(voice.hits) || voice.hits < 0 || (steps !== null && voice.hits > steps))) {
+      throw new Error(`Lane "${name}": hits must be a whole number from 0 to the lane's steps`);
+    }
+    if (voice.rotation !== undefined && !Number.isInteger(voice.rotation)) {
+      throw new Error(`Lane "${name}": rotation must be a whole number of steps`);
+    }
+    if (voice.hits === undefined && voice.probability === undefined) {
+      throw new Error(`Lane "${name}" needs hits (euclidean) or probability (per-step lane)`);
+    }
+    if (voice.probability !== undefined &&
+        !(inRange(voice.probability) || (Array.isArray(voice.probability) && voice.probability.length > 0 && voice.probability.every(inRange)))) {
+      throw new Error(`Lane "${name}": probability must be 0-1 or a list of 0-1 values`);
+    }
+    if (voice.velocity !== undefined && !(inRange(voice.velocity) && voice.velocity > 0)) {
+      throw new Error(`Lane "${name}": velocity must be between 0 and 1`);
+    }
+    if (voice.accents !== undefined && !((typeof voice.accents === 'string' || Array.isArray(voice.accents)) && voice.accents.length > 0)) {
+      throw new Error(`Lane "${name}": accents must be a mask such as "X..." or a list of 0/1`);
+    }
+  }
+
+  /**
+   * Distribute hits as evenly as possible over steps (Bjorklund/Bresenham)
+   * @param {number} hits - Number of onsets
+   * @param {number} steps - Lane length
+   * @param {number} [rotation=0] - Steps to shift the rhythm later
+   * @returns {Array<boolean>} Onset per step
+   */
+  euclideanRhythm(hits, steps, rotation = 0) {
+    const base = Array.from({ length: steps }, (_, step) => (step * hits) % steps < hits);
+    return base.map((_, step) => base[(((step - rotation) % steps) + steps) % steps]);
+  }
+
+  /**
+   * Generate a pattern from euclidean, probability and accent lanes
+   * @private
+   */
+  generateEuclidean({ keyword, styleConfig, timingConfig, fillSubdivision, overrides, dynamics }) {
+    const voices = this.resolveEuclideanVoices(keyword, overrides);
+    
+    console.log(`🥁 Generating ${keyword} pattern from lanes: ${Object.entries(voices).map(([name, voice]) => this.describeVoice(name, voice, timingConfig)).join(', ')}${this.describeDynamics(dynamics)}`);
+    
+    const pattern = {
+      style: keyword,
+      mode: 'euclidean',
+      events: [],
+      density: styleConfig.density,
+      swingFeel: styleConfig.swingFeel,
+      energy: dynamics.energy,
+      complexity: dynamics.complexity
+    };
+    
+    for (let bar = 0; bar < timingConfig.bars; bar++) {
+      Object.entries(voices).forEach(([name, voice]) => {
+        this.generateLaneEvents(pattern, name, voice, timingConfig, bar);
+      });
+    }
+    
+    // Lanes replace the template variations; energy, complexity and phrase fills still apply
+    this.thinOptionalHits(pattern, timingConfig, dynamics);
+    this.shapeHiHats(pattern, timingConfig, dynamics.complexity);
+    
+    if (timingConfig.bars > 1) {
+      this.addFills(pattern, timingConfig, fillSubdivision, dynamics.energy);
+    }
+    
+    pattern.events.sort((a, b) => a.position - b.position);
+    
+    console.log(`🎵 Generated ${pattern.events.length} events for ${timingConfig.bars} bars`);
+    
+    return pattern;
+  }
+
+  /**
+   * Events of one lane for a single bar
+   * Lanes count steps from the start of the pattern, so a 12-step lane in a
+   * 16-step bar starts in a different place every bar.
+   * @private
+   */
+  generateLaneEvents(pattern, name, voice, timingConfig, barIndex) {
+    const steps = voice.steps || timingConfig.stepsPerBar;
+    const rhythm = voice.hits !== undefined ? this.euclideanRhythm(voice.hits, steps, voice.rotation || 0) : null;
+    const velocity = voice.velocity || 0.7;
+    const accentVelocity = Math.min(1.0, velocity + 0.25);
+    
+    for (let barStep = 0; barStep < timingConfig.stepsPerBar; barStep++) {
+      const globalStep = barIndex * timingConfig.stepsPerBar + barStep;
+      const laneStep = globalStep % steps;
+      
+      if (rhythm && !rhythm[laneStep]) continue;
+      
+      const probability = Array.isArray(voice.probability) ?
+        voice.probability[laneStep % voice.probability.length] :
+        (voice.probability === undefined ? 1 : voice.probability);
+      
+      if (probability < 1 && this.seededRandom() >= probability) continue;
+      
+      const accented = voice.accents ? ['X', 1, true].includes(voice.accents[laneStep % voice.accents.length]) : false;
+      
+      pattern.events.push({
+        position: globalStep / timingConfig.totalSteps,
+        velocity: this.applyVelocityVariation(accented ? accentVelocity : velocity),
+        note: voice.note || name,
+        ghost: voice.ghost || false,
+        bar: barIndex,
+        step: barStep + 1
+      });
+    }
+  }
+
+  /**
+   * Short lane description for logs, e.g. "kick E(3,8)" or "hihat p[0.8,0.2]"
+   * @private
+   */
+  describeVoice(name, voice, timingConfig) {
+    const steps = voice.steps || timingConfig.stepsPerBar;
+    const rhythm = voice.hits !== undefined ? ` E(${voice.hits},${steps}${voice.rotation ? `,+${voice.rotation}` : ''})` : '';
+    const probability = voice.probability !== undefined ? ` p${Array.isArray(voice.probability) ? `[${voice.probability.join(',')}]` : voice.probability}` : '';
+    return `${name}${rhythm}${probability}`;
+  }
+
   /**
    * Generate events for a single bar
    * @private
    */
-  generateBarEvents(pattern, styleConfig, timingConfig, barIndex) {
-    const barOffset = barIndex / timingConfig.bars;
+  generateBarEvents(pattern, styleConfig, timingConfig, barIndex, dynamics = {}) {
     const stepScale = 1 / timingConfig.totalSteps;
+    const energy = this.energyAt(dynamics.energy, barIndex, timingConfig.bars);
+    const complexity = dynamics.complexity === undefined ? null : dynamics.complexity;
     
     // Add primary pattern elements
     Object.values(styleConfig.patterns).forEach(patternGroup => {
       patternGroup.forEach(event => {
-        if (this.shouldIncludeEvent(event, styleConfig)) {
-          const globalStep = barIndex * timingConfig.stepsPerBar + (event.step - 1);
-          const position = globalStep * stepScale;
-          
-          pattern.events.push({
-            position: position,
-            velocity: this.applyVelocityVariation(event.velocity),
-            note: event.note,
-            ghost: event.ghost || false,
-            bar: barIndex,
-            step: event.step
-          });
-        }
+        this.mapTemplateStep(event.step, timingConfig).forEach(barStep => {
+          if (this.shouldIncludeEvent(event, styleConfig, barStep, timingConfig, event.ghost ? complexity : energy)) {
+            const globalStep = barIndex * timingConfig.stepsPerBar + barStep;
+            
+            if (event.subdivision) {
+              pattern.events.push(...this.createRunEvents(event, globalStep, timingConfig, barIndex, barStep));
+              return;
+            }
+            
+            const position = globalStep * stepScale;
+            
+            pattern.events.push({
+              position: position,
+              velocity: this.applyVelocityVariation(event.velocity),
+              note: event.note,
+              ghost: event.ghost || false,
+              bar: barIndex,
+              step: barStep + 1
+            });
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Expand a template event with `subdivision` and `count` into a run of notes
+   * @private
+   */
+  createRunEvents(event, globalStep, timingConfig, barIndex, barStep) {
+    const subdivision = timingConfig.subdivisions[event.subdivision];
+    
+    if (!subdivision) {
+      throw new Error(`Unknown subdivision "${event.subdivision}" in ${event.note} template`);
+    }
+    
+    const count = event.count || 1;
+    const group = `${barIndex}:${barStep}:${event.note}`;
+    const events = [];
+    
+    for (let i = 0; i < count; i++) {
+      const step = globalStep + i * subdivision.steps;
+      if (step >= timingConfig.totalSteps) break;
+      
+      events.push({
+        position: step / timingConfig.totalSteps,
+        velocity: this.applyVelocityVariation(event.velocity),
+        note: event.note,
+        ghost: event.ghost || false,
+        bar: barIndex,
+        step: barStep + 1,
+        subdivision: event.subdivision,
+        tuplet: { group, index: i, count, ratio: subdivision.tuplet ? subdivision.tuplet.join(':') : null }
       });
+    }
+    
+    return events;
+  }
+
+  /**
+   * Map a 1-based 4/4 template step onto 0-based steps of the current meter
+   * A template beat may be used by several beats of the meter, or by none.
+   * @private
+   */
+  mapTemplateStep(templateStep, timingConfig) {
+    const sourceBeat = Math.floor((templateStep - 1) / 4);
+    const offset = (templateStep - 1) % 4;
+    const barSteps = [];
+    
+    timingConfig.beatStarts.forEach((beatStart, beatIndex) => {
+      if (this.getTemplateBeat(beatIndex, timingConfig.beatsPerBar) !== sourceBeat) return;
+      
+      // Half-note beats stretch the 16th offsets, dotted beats keep them
+      const beatLength = timingConfig.beatSteps[beatIndex];
+      const scaledOffset = beatLength % 4 === 0 ? offset * (beatLength / 4) : offset;
+      
+      if (scaledOffset < beatLength) {
+        barSteps.push(beatStart + scaledOffset);
+      }
     });
+    
+    return barSteps;
+  }
+
+  /**
+   * Choose which 4/4 template beat (0-3) plays the role of a beat in the current meter
+   * Downbeat -> beat 1, final beat -> beat 4, others alternate backbeat (2) and mid-bar (3).
+   * @private
+   */
+  getTemplateBeat(beatIndex, beatsPerBar) {
+    if (beatIndex === 0) return 0;
+    if (beatsPerBar >= 3 && beatIndex === beatsPerBar - 1) return 3;
+    return beatIndex % 2 === 1 ? 1 : 2;
   }
 
   /**
    * Apply pattern variations and fills
    * @private
    */
-  applyVariations(pattern, styleConfig, timingConfig) {
-    // Add style-specific variations
+  applyVariations(pattern, styleConfig, timingConfig, fillSubdivision = '16n', dynamics = {}) {
+    const complexity = dynamics.complexity === undefined ? null : dynamics.complexity;
+    
+    // Add style-specific variations (mostly ghost notes, so complexity sets their chance)
     if (styleConfig.patterns.variations) {
-      const variationChance = 0.3; // 30% chance for variations
+      const variationChance = this.scaleDensity(this.variationChance, complexity);
       
       styleConfig.patterns.variations.forEach(variation => {
         if (this.seededRandom() < variationChance) {
+          const barSteps = this.mapTemplateStep(variation.step, timingConfig);
+          
           for (let bar = 0; bar < timingConfig.bars; bar++) {
-            const globalStep = bar * timingConfig.stepsPerBar + (variation.step - 1);
-            const position = globalStep / timingConfig.totalSteps;
-            
-            pattern.events.push({
-              position: position,
-              velocity: this.applyVelocityVariation(variation.velocity),
-              note: variation.note,
-              ghost: variation.ghost || false,
-              variation: true,
-              bar: bar,
-              step: variation.step
+            barSteps.forEach(barStep => {
+              const globalStep = bar * timingConfig.stepsPerBar + barStep;
+              const position = globalStep / timingConfig.totalSteps;
+              
+              pattern.events.push({
+                position: position,
+                velocity: this.applyVelocityVariation(variation.velocity),
+                note: variation.note,
+                ghost: variation.ghost || false,
+                variation: true,
+                bar: bar,
+                step: barStep + 1
+              });
             });
           }
         }
       });
     }
     
+    this.shapeHiHats(pattern, timingConfig, complexity);
+    
     // Add fills for longer patterns
     if (timingConfig.bars > 1) {
-      this.addFills(pattern, timingConfig);
+      this.addFills(pattern, timingConfig, fillSubdivision, dynamics.energy);
     }
   }
 
   /**
    * Add drum fills for longer patterns
+   * Fills cover the last four 16th steps of a phrase in the given subdivision
+   * (4 notes for 16ths, 6 for 16th triplets, 5 for quintuplets, 8 for 32nds).
+   * Energy raises the chance of a fill, and high-energy bars get two-beat fills.
    * @private
    */
-  addFills(pattern, timingConfig) {
-    const fillPositions = [];
+  addFills(pattern, timingConfig, fillSubdivision = '16n', energy = null) {
+    const fills = [];
     
     // Add fills at the end of phrases (every 2 or 4 bars)
     for (let bar = 1; bar < timingConfig.bars; bar += 2) {
-      if (this.seededRandom() < 0.4) { // 40% chance for fills
-        const fillStart = ((bar + 1) * timingConfig.stepsPerBar - 4) / timingConfig.totalSteps;
-        fillPositions.push(fillStart);
+      const barEnergy = this.energyAt(energy, bar, timingConfig.bars);
+      
+      if (this.seededRandom() < this.scaleDensity(this.fillChance, barEnergy)) { // 40% chance at neutral energy
+        const lengthSteps = Math.min(barEnergy !== null && barEnergy >= 0.8 ? 8 : 4, timingConfig.stepsPerBar);
+        fills.push({ startStep: (bar + 1) * timingConfig.stepsPerBar - lengthSteps, lengthSteps });
       }
     }
     
     // Generate simple tom/snare fills
-    fillPositions.forEach(fillPos => {
-      for (let i = 0; i < 4; i++) {
-        const stepOffset = i / timingConfig.totalSteps;
-        const noteType = i % 2 === 0 ? 'snare' : 'tom';
-        const velocity = 0.6 + (i * 0.1); // Building intensity
-        
-        pattern.events.push({
-          position: fillPos + stepOffset,
-          velocity: velocity,
-          note: noteType,
-          ghost: false,
-          fill: true
-        });
-      }
+    fills.forEach(({ startStep, lengthSteps }) => {
+      pattern.events.push(...this.createFill(startStep, lengthSteps, timingConfig, fillSubdivision));
     });
   }
 
+  /**
+   * Create a snare/tom fill building in intensity, moving down the toms
+   * @param {number} startStep - Absolute 16th step the fill starts on
+   * @param {number} lengthSteps - Fill length in 16th steps
+   * @param {Object} timingConfig - Timing configuration
+   * @param {string} [fillSubdivision='16n'] - Note subdivision of the fill
+   * @returns {Array<Object>} Fill events (marked `fill: true`)
+   */
+  createFill(startStep, lengthSteps, timingConfig, fillSubdivision = '16n') {
+    const subdivision = timingConfig.subdivisions[fillSubdivision];
+    
+    if (!subdivision) {
+      throw new Error(`Unknown fill subdivision "${fillSubdivision}"`);
+    }
+    
+    const noteCount = Math.round(lengthSteps / subdivision.steps);
+    const fillPos = startStep / timingConfig.totalSteps;
+    const group = `fill:${startStep}`;
+    const events = [];
+    
+    const tomCount = Math.floor(noteCount / 2);
+    
+    for (let i = 0; i < noteCount; i++) {
+      const stepOffset = (i * subdivision.steps) / timingConfig.totalSteps;
+      // Snare on even notes, toms on odd notes running from the high to the floor tom
+      const tomIndex = Math.round((Math.floor(i / 2) * (this.fillToms.length - 1)) / Math.max(1, tomCount - 1));
+      const noteType = i % 2 === 0 ? 'snare' : this.fillToms[tomIndex];
+      const velocity = 0.6 + (i * (0.4 / noteCount)); // Building intensity
+      
+      const event = {
+        position: fillPos + stepOffset,
+        velocity: velocity,
+        note: noteType,
+        ghost: false,
+        fill: true
+      };
+      
+      // Plain 16th fills stay on the grid; anything else is marked as a run
+      if (fillSubdivision !== '16n') {
+        event.subdivision = fillSubdivision;
+        event.tuplet = { group, index: i, count: noteCount, ratio: subdivision.tuplet ? subdivision.tuplet.join(':') : null };
+      }
+      
+      events.push(event);
+    }
+    
+    return events;
+  }
+
   /**
    * Determine if an event should be included based on pattern density
+   * @param {number} [amount] - Energy (or complexity, for ghost notes) scaling the style density
    * @private
    */
-  shouldIncludeEvent(event, styleConfig) {
-    // Always include primary beats
-    if ([1, 5, 9, 13].includes(event.step)) return true;
+  shouldIncludeEvent(event, styleConfig, barStep, timingConfig, amount = null) {
+    // Always include primary beats (events landing on a beat of the meter)
+    if (this.isPrimaryStep(barStep, timingConfig)) return true;
     
     // Apply density-based filtering for other events
-    return this.seededRandom() < styleConfig.density;
+    return this.seededRandom() < this.scaleDensity(styleConfig.density, amount);
+  }
+
+  /**
+   * Check energy and complexity values
+   * @param {number|Array<number>} [energy] - Energy 0-1 or a curve of 0-1 values
+   * @param {number} [complexity] - Complexity 0-1
+   */
+  validateDynamics(energy = null, complexity = null) {
+    const inRange = value => typeof value === 'number' && value >= 0 && value <= 1;
+    
+    if (energy !== null && !(inRange(energy) || (Array.isArray(energy) && energy.length > 0 && energy.every(inRange)))) {
+      throw new Error('Energy must be between 0 and 1, or an energy curve (a list of 0-1 values across the bars)');
+    }
+    if (complexity !== null && !inRange(complexity)) {
+      throw new Error('Complexity must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Energy of a bar: the value itself, or the curve interpolated across the bars
+   * A curve with one value per bar gives each bar its own value; [0.2, 1] ramps up.
+   * @param {number|Array<number>|null} energy - Energy or energy curve
+   * @param {number} bar - 0-based bar
+   * @param {number} bars - Total bars
+   * @returns {number|null} Energy of the bar, null when not set
+   */
+  energyAt(energy, bar, bars) {
+    if (energy === null || energy === undefined) return null;
+    if (!Array.isArray(energy)) return energy;
+    if (energy.length === 1 || bars <= 1) return energy[0];
+    
+    const point = (bar / (bars - 1)) * (energy.length - 1);
+    const index = Math.min(Math.floor(point), energy.length - 2);
+    return energy[index] + (energy[index + 1] - energy[index]) * (point - index);
+  }
+
+  /**
+   * Scale a probability by an energy or complexity amount
+   * 0 -> never, 0.5 (or unset) -> unchanged, 1 -> always
+   * @param {number} probability - Probability at the neutral amount
+   * @param {number|null} amount - Energy or complexity, 0-1
+   * @returns {number}
+   */
+  scaleDensity(probability, amount = null) {
+    if (amount === null || amount === undefined) return probability;
+    if (amount <= 0.5) return probability * amount * 2;
+    return probability + (1 - probability) * (amount - 0.5) * 2;
+  }
+
+  /**
+   * Drop optional hits of lane and trained patterns below neutral energy
+   * (ghost notes below neutral complexity); hits on the beats always stay
+   * @private
+   */
+  thinOptionalHits(pattern, timingConfig, { energy = null, complexity = null }) {
+    if (energy === null && complexity === null) return;
+    
+    const { stepsPerBar, totalSteps } = timingConfig;
+    
+    pattern.events = pattern.events.filter(event => {
+      const step = Math.round(event.position * totalSteps);
+      if (event.fill || this.isPrimaryStep(step % stepsPerBar, timingConfig)) return true;
+      
+      const amount = event.ghost ? complexity : this.energyAt(energy, Math.floor(step / stepsPerBar), timingConfig.bars);
+      if (amount === null || amount >= 0.5) return true;
+      
+      return this.seededRandom() < this.scaleDensity(1, amount);
+    });
+  }
+
+  /**
+   * Subdivide the hi-hat (or ride) by complexity
+   * Below 0.5 off-beat 16ths drop out, then 8ths in beats whose downbeat the
+   * voice also plays (off-beat-only hats keep time); above 0.5 the 16th after
+   * an 8th-note hit fills in, and above 0.75 a bar's last hit may become a
+   * 32nd roll.
+   * @private
+   */
+  shapeHiHats(pattern, timingConfig, complexity = null) {
+    if (complexity === null || complexity === undefined || complexity === 0.5) return;
+    
+    const { stepsPerBar, totalSteps } = timingConfig;
+    const isTimekeeper = event => this.timekeepers.includes(event.note) && !event.fill && !event.tuplet && !event.ghost;
+    const stepOf = event => Math.round(event.position * totalSteps);
+    
+    if (complexity < 0.5) {
+      const drop16ths = (0.5 - complexity) * 2;
+      const drop8ths = Math.max(0, (0.25 - complexity) * 4);
+      const onBeat = new Set(pattern.events.filter(isTimekeeper).map(event => `${stepOf(event)}:${event.note}`));
+      
+      pattern.events = pattern.events.filter(event => {
+        if (!isTimekeeper(event)) return true;
+        
+        const step = stepOf(event);
+        const offset = this.getBeatOffset(step % stepsPerBar, timingConfig);
+        if (offset === 0) return true;
+        if (offset % 2 === 1) return this.seededRandom() >= drop16ths;
+        if (!onBeat.has(`${step - offset}:${event.note}`)) return true;
+        
+        return this.seededRandom() >= drop8ths;
+      });
+      return;
+    }
+    
+    const fill16ths = (complexity - 0.5) * 2;
+    const rollChance = Math.max(0, (complexity - 0.75) * 4);
+    const hits = pattern.events.filter(isTimekeeper).sort((a, b) => a.position - b.position);
+    const occupied = new Set(hits.map(event => `${stepOf(event)}:${event.note}`));
+    
+    // The 16th after an 8th-note hit, within the same beat
+    hits.forEach(event => {
+      const step = stepOf(event);
+      const between = step + 1;
+      
+      if (this.getBeatOffset(step % stepsPerBar, timingConfig) % 2 !== 0) return;
+      if (occupied.has(`${between}:${event.note}`) || this.getBeatOffset(between % stepsPerBar, timingConfig) === 0) return;
+      if (this.seededRandom() >= fill16ths) return;
+      
+      pattern.events.push({
+        position: between / totalSteps,
+        velocity: Math.max(0.1, event.velocity * 0.7),
+        note: event.note,
+        ghost: false,
+        bar: Math.floor(between / stepsPerBar),
+        step: (between % stepsPerBar) + 1
+      });
+      occupied.add(`${between}:${event.note}`);
+    });
+    
+    if (rollChance === 0) return;
+    
+    // A 32nd roll on the last off-beat hit of a bar
+    for (let bar = 0; bar < timingConfig.bars; bar++) {
+      const last = pattern.events
+        .filter(event => isTimekeeper(event) && Math.floor(stepOf(event) / stepsPerBar) === bar && !this.isPrimaryStep(stepOf(event) % stepsPerBar, timingConfig))
+        .sort((a, b) => b.position - a.position)[0];
+      
+      if (!last || this.seededRandom() >= rollChance) continue;
+      
+      const step = stepOf(last);
+      pattern.events.splice(pattern.events.indexOf(last), 1,
+        ...this.createRunEvents({ note: last.note, velocity: last.velocity, subdivision: '32n', count: 2 }, step, timingConfig, bar, step % stepsPerBar));
+    }
+  }
+
+  /**
+   * 16th steps from the start of the beat a bar step falls in
+   * @private
+   */
+  getBeatOffset(barStep, timingConfig) {
+    const beatStart = timingConfig.beatStarts.filter(start => start <= barStep).pop();
+    return barStep - (beatStart === undefined ? 0 : beatStart);
+  }
+
+  /**
+   * Energy and complexity for logs, e.g. " (energy 0.3→1, complexity 0.8)"
+   * @private
+   */
+  describeDynamics({ energy = null, complexity = null }) {
+    const parts = [];
+    if (energy !== null) parts.push(`energy ${Array.isArray(energy) ? energy.join('→') : energy}`);
+    if (complexity !== null) parts.push(`complexity ${complexity}`);
+    return parts.length ? ` (${parts.join(', ')})` : '';
+  }
+
+  /**
+   * Whether a bar step is a primary beat, which density filtering never drops
+   * @param {number} barStep - 0-based step within the bar
+   * @param {Object} timingConfig - Timing configuration
+   * @returns {boolean}
+   */
+  isPrimaryStep(barStep, timingConfig) {
+    return timingConfig.beatStarts.includes(barStep);
   }
 
   /**
@@ -0,0 +1,337 @@
+/**
+ * Pattern Trainer - Learns drum patterns from a corpus of MIDI drum loops
+ *
+ * Every 4/4 file in a directory is quantized to the 16th note grid and cut
+ * into bars. For each drum voice the trainer builds:
+ * - a Markov chain over bar states: which 16-step bar ('x...x...') follows which
+ * - step-conditional hit probabilities and average velocities per step
+ *
+ * Models are stored as JSON by style name and sampled by PatternGenerator
+ * (`mode: 'trained'`), which walks each voice's chain with its seeded random
+ * generator so the same seed always gives the same pattern.
+ *
+ * Usage: node modules/patternTrainer.js <midi-directory> <style-name>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GrooveEngine } = require('./grooveEngine');
+const { DrumKit } = require('./drumKit');
+
+class PatternTrainer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.modelPath='./data/pattern-models'] - Directory where trained models are stored
+   */
+  constructor({ modelPath = './data/pattern-models' } = {}) {
+    this.modelPath = modelPath;
+    this.grooveEngine = new GrooveEngine(); // Shared MIDI parser
+    this.stepsPerBar = 16; // Models describe 4/4 bars of 16th notes
+    this.drumKit = new DrumKit(); // General MIDI drum notes (channel 10) of our drum voices
+  }
+
+  /**
+   * Train a model from every MIDI file in a directory (searched recursively)
+   * @param {string} directory - Directory of .mid/.midi drum loops
+   * @param {Object} options
+   * @param {string} options.name - Style name to store the model under
+   * @param {number} [options.channel] - Only read this MIDI channel (1-16); defaults to channel 10 if it has notes
+   * @returns {Object} Trained model (also saved)
+   */
+  trainFromDirectory(directory, { name, channel = null }) {
+    if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+      throw new Error(`MIDI directory not found: ${directory}`);
+    }
+    
+    const files = this.findMidiFiles(directory);
+    if (files.length === 0) {
+      throw new Error(`No .mid or .midi files found in ${directory}`);
+    }
+    
+    console.log(`🎓 Training "${name}" from ${files.length} MIDI file(s) in ${directory}`);
+    
+    const model = this.train(files.map(file => ({ name: path.relative(directory, file), buffer: fs.readFileSync(file) })), { name, channel });
+    this.saveModel(model);
+    
+    return model;
+  }
+
+  /**
+   * Train a model from MIDI file contents
+   * Files that are not 4/4 or cannot be parsed are skipped with a warning.
+   * @param {Array<Object>} files - { name, buffer } for each MIDI file
+   * @param {Object} options
+   * @param {string} options.name - Style name of the model
+   * @param {number} [options.channel] - Only read this MIDI channel (1-16)
+   * @returns {Object} Trained model
+   */
+  train(files, { name, channel = null }) {
+    const voices = {};
+    const skipped = [];
+    let trainedFiles = 0;
+    let totalBars = 0;
+    
+    files.forEach(file => {
+      let bars;
+      
+      try {
+        bars = this.extractBars(file.buffer, channel);
+      } catch (error) {
+        skipped.push(`${file.name} (${error.message})`);
+        return;
+      }
+      
+      // Count bar states and transitions voice by voice
+      Object.entries(bars.voices).forEach(([voice, states]) => {
+        const model = voices[voice] || (voices[voice] = this.createVoiceModel());
+        
+        states.forEach((state, barIndex) => {
+          model.states[state] = (model.states[state] || 0) + 1;
+          
+          if (barIndex > 0) {
+            const previous = states[barIndex - 1];
+            model.transitions[previous] = model.transitions[previous] || {};
+            model.transitions[previous][state] = (model.transitions[previous][state] || 0) + 1;
+          }
+        });
+        
+        bars.velocities[voice].forEach((velocities, step) => {
+          model.hitCounts[step] += velocities.length;
+          model.velocitySums[step] += velocities.reduce((sum, velocity) => sum + velocity, 0);
+        });
+      });
+      
+      trainedFiles++;
+      totalBars += bars.count;
+    });
+    
+    skipped.forEach(file => console.warn(`⚠️  Skipped ${file}`));
+    
+    if (totalBars === 0) {
+      throw new Error('No usable 4/4 drum bars found in the MIDI files');
+    }
+    
+    const round = value => Math.round(value * 1000) / 1000;
+    const model = {
+      name: this.validateName(name),
+      steps: this.stepsPerBar,
+      corpus: { files: trainedFiles, skipped: skipped.length, bars: totalBars },
+      voices: {},
+      createdAt: new Date().toISOString()
+    };
+    
+    Object.entries(voices).forEach(([voice, counts]) => {
+      model.voices[voice] = {
+        probability: counts.hitCounts.map(hits => round(hits / totalBars)),
+        velocity: counts.hitCounts.map((hits, step) => (hits > 0 ? round(counts.velocitySums[step] / hits) : 0)),
+        states: counts.states,
+        transitions: counts.transitions
+      };
+    });
+    
+    console.log(`✅ Trained "${model.name}": ${totalBars} bars from ${trainedFiles} file(s), voices: ${Object.keys(model.voices).join(', ')}`);
+    return model;
+  }
+
+  /**
+   * Quantize one MIDI file into per-voice bar states ('x' = hit, '.' = rest)
+   * @private
+   */
+  extractBars(buffer, channel) {
+    const midi = this.grooveEngine.parseMidi(buffer);
+    
+    if (midi.timeSignature && midi.timeSignature !== '4/4') {
+      throw new Error(`time signature ${midi.timeSignature}, only 4/4 is supported`);
+    }
+    
+    let notes = midi.notes;
+    if (channel) {
+      notes = notes.filter(note => note.channel === channel - 1);
+    } else if (notes.some(note => note.channel === 9)) {
+      notes = notes.filter(note => note.channel === 9); // General MIDI drums
+    }
+    
+    const ticksPerStep = midi.ticksPerQuarter / 4;
+    const hits = notes
+      .map(note => ({ voice: this.drumKit.getVoiceForNote(note.note), step: Math.round(note.tick / ticksPerStep), velocity: note.velocity / 127 }))
+      .filter(hit => hit.voice);
+    
+    if (hits.length === 0) {
+      throw new Error('no General MIDI drum notes');
+    }
+    
+    const count = Math.floor(Math.max(...hits.map(hit => hit.step)) / this.stepsPerBar) + 1;
+    const voices = {};
+    const velocities = {};
+    
+    hits.forEach(hit => {
+      if (!voices[hit.voice]) {
+        voices[hit.voice] = Array.from({ length: count }, () => Array(this.stepsPerBar).fill('.'));
+        velocities[hit.voice] = Array.from({ length: this.stepsPerBar }, () => []);
+      }
+      
+      const bar = Math.floor(hit.step / this.stepsPerBar);
+      const step = hit.step % this.stepsPerBar;
+      
+      // Hits quantized onto the same step count once, at the louder velocity
+      if (voices[hit.voice][bar][step] === 'x') {
+        const stepVelocities = velocities[hit.voice][step];
+        stepVelocities[stepVelocities.length - 1] = Math.max(stepVelocities[stepVelocities.length - 1], hit.velocity);
+        return;
+      }
+      
+      voices[hit.voice][bar][step] = 'x';
+      velocities[hit.voice][step].push(hit.velocity);
+    });
+    
+    Object.keys(voices).forEach(voice => {
+      voices[voice] = voices[voice].map(bar => bar.join(''));
+    });
+    
+    return { count, voices, velocities };
+  }
+
+  /**
+   * Empty counters for one voice
+   * @private
+   */
+  createVoiceModel() {
+    return {
+      states: {},
+      transitions: {},
+      hitCounts: Array(this.stepsPerBar).fill(0),
+      velocitySums: Array(this.stepsPerBar).fill(0)
+    };
+  }
+
+  /**
+   * MIDI files in a directory and its subdirectories, sorted by path
+   * @private
+   */
+  findMidiFiles(directory) {
+    const files = [];
+    
+    fs.readdirSync(directory, { withFileTypes: true }).forEach(entry => {
+      const entryPath = path.join(directory, entry.name);
+      
+      if (entry.isDirectory()) {
+        files.push(...this.findMidiFiles(entryPath));
+      } else if (/\.midi?$/i.test(entry.name)) {
+        files.push(entryPath);
+      }
+    });
+    
+    return files.sort();
+  }
+
+  /**
+   * Save a trained model under its name
+   * @param {Object} model - Trained model
+   * @returns {string} Path of the saved file
+   */
+  saveModel(model) {
+    const filePath = this.getModelFile(model.name);
+    
+    fs.mkdirSync(this.modelPath, { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(model, null, 2));
+    
+    console.log(`💾 Pattern model saved: ${model.name}`);
+    return filePath;
+  }
+
+  /**
+   * Load a trained model
+   * @param {string} name - Model (style) name
+   * @returns {Object} Trained model
+   */
+  loadModel(name) {
+    const filePath = this.getModelFile(name);
+    
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No trained pattern model named "${name}"`);
+    }
+    
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Whether a model has been trained under a name
+   * @param {string} name - Model (style) name
+   * @returns {boolean}
+   */
+  hasModel(name) {
+    try {
+      return fs.existsSync(this.getModelFile(name));
+    } catch (error) {
+      return false; // Not a valid model name
+    }
+  }
+
+  /**
+   * List trained models
+   * @returns {Array<Object>} Model summaries
+   */
+  listModels() {
+    if (!fs.existsSync(this.modelPath)) return [];
+    
+    return fs.readdirSync(this.modelPath)
+      .filter(file => file.endsWith('.json'))
+      .map(file => {
+        const { name, corpus, voices, createdAt } = JSON.parse(fs.readFileSync(path.join(this.modelPath, file), 'utf8'));
+        return { name, corpus, voices: Object.keys(voices), createdAt };
+      });
+  }
+
+  /**
+   * Delete a trained model
+   * @param {string} name - Model (style) name
+   * @returns {boolean} Whether a model was deleted
+   */
+  deleteModel(name) {
+    const filePath = this.getModelFile(name);
+    
+    if (!fs.existsSync(filePath)) return false;
+    
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  /**
+   * Check a model name is safe to use as a file name
+   * @private
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,63}$/i.test(name)) {
+      throw new Error('Model name must be 1-64 letters, numbers, dashes or underscores');
+    }
+    return name;
+  }
+
+  /**
+   * Path of a model's JSON file
+   * @private
+   */
+  getModelFile(name) {
+    return path.join(this.modelPath, `${this.validateName(name)}.json`);
+  }
+}
+
+module.exports = { PatternTrainer };
+
+// Train from the command line
+if (require.main === module) {
+  const [directory, name] = process.argv.slice(2);
+  
+  if (!directory || !name) {
+    console.log('Usage: node modules/patternTrainer.js <midi-directory> <style-name>');
+    process.exit(1);
+  }
+  
+  try {
+    const model = new PatternTrainer().trainFromDirectory(directory, { name });
+    console.log(`🎯 Use it with generateBeat({ keyword: "${model.name}" }) or { model: "${model.name}" }`);
+  } catch (error) {
+    console.error(`❌ Training failed: ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,266 @@
+/**
+ * Pattern Variator - Seeded "more like this" variations of a drum pattern
+ *
+ * Mutates a copy of an existing pattern, scaled by a similarity amount
+ * (1 = identical, 0 = loosely related):
+ * - Hits: off-beat hits drop out and new ones appear on voices the pattern uses
+ * - Velocities: non-anchor hits are pushed louder or softer
+ * - Ghost notes: existing ghosts drop out, new ghost snares are added
+ * - Fills: re-voiced in another subdivision, dropped, or added at the end
+ *
+ * Hits on the primary beats of the meter (the ones PatternGenerator always
+ * keeps whatever the density) are the anchors of the groove and are never
+ * touched, and runs keep their notes. Each variation records the seed and
+ * similarity it was made with, so it can be rebuilt from its source.
+ */
+
+const { PatternGenerator } = require('./patternGenerator');
+
+class PatternVariator {
+  constructor() {
+    this.patternGenerator = new PatternGenerator(); // Primary beat rule and fill builder
+    this.randomSeed = Date.now();
+    this.randomIndex = 0;
+    this.maxVariations = 16;
+    this.velocityRange = 0.3; // Largest velocity change, at similarity 0
+    this.fillSubdivisions = ['16n', '16t', '16q', '32n'];
+  }
+
+  /**
+   * Set random seed for reproducible variations
+   * @param {number} seed - Random seed
+   */
+  setSeed(seed) {
+    this.randomSeed = seed;
+    this.randomIndex = 0;
+  }
+
+  /**
+   * Seeded random number generator
+   * @returns {number} Random number between 0 and 1
+   */
+  seededRandom() {
+    const x = Math.sin(this.randomSeed + this.randomIndex++) * 10000;
+    return x - Math.floor(x);
+  }
+
+  /**
+   * Create seeded variations of a drum pattern
+   * @param {Object} pattern - Source drum pattern ({ events, ... })
+   * @param {Object} timingConfig - Timing configuration the pattern was made for
+   * @param {Object} [options]
+   * @param {number} [options.similarity=0.8] - 0 (loosely related) to 1 (identical)
+   * @param {number} [options.count=4] - Number of variations (1-16)
+   * @param {number} [options.seed] - Random seed; variation i uses seed + i
+   * @returns {Array<Object>} Variation patterns
+   */
+  createVariations(pattern, timingConfig, { similarity = 0.8, count = 4, seed = Date.now() } = {}) {
+    if (!Number.isInteger(count) || count < 1 || count > this.maxVariations) {
+      throw new Error(`Variation count must be 1-${this.maxVariations}`);
+    }
+    
+    return Array.from({ length: count }, (_, index) => this.vary(pattern, timingConfig, { similarity, seed: seed + index, index }));
+  }
+
+  /**
+   * Create one variation of a drum pattern
+   * The result carries `variation: { index, seed, similarity, changes, lineage }`;
+   * replaying the lineage on the original pattern rebuilds it.
+   * @param {Object} pattern - Source drum pattern
+   * @param {Object} timingConfig - Timing configuration the pattern was made for
+   * @param {Object} options
+   * @param {number} options.similarity - 0 (loosely related) to 1 (identical)
+   * @param {number} options.seed - Random seed
+   * @param {number} [options.index=0] - Position in a set of variations
+   * @returns {Object} Varied pattern
+   */
+  vary(pattern, timingConfig, { similarity, seed, index = 0 }) {
+    this.validate(pattern, similarity, seed);
+    this.setSeed(seed);
+    
+    const change = 1 - similarity;
+    const changes = { removed: 0, added: 0, velocities: 0, ghosts: 0, fills: 0 };
+    const events = [];
+    
+    // Existing hits: anchors stay, the rest may drop out or change velocity
+    pattern.events.filter(event => !event.fill).forEach(event => {
+      if (this.isAnchor(event, timingConfig) || event.tuplet) {
+        events.push({ ...event });
+        return;
+      }
+      
+      if (this.seededRandom() < change * (event.ghost ? 0.5 : 0.4)) {
+        changes[event.ghost ? 'ghosts' : 'removed']++;
+        return;
+      }
+      
+      const copy = { ...event };
+      if (!event.ghost && change > 0) {
+        copy.velocity = this.clampVelocity(event.velocity + (this.seededRandom() - 0.5) * this.velocityRange * change);
+        changes.velocities++;
+      }
+      events.push(copy);
+    });
+    
+    this.addHits(events, pattern, timingConfig, change, changes);
+    this.varyFills(events, pattern, timingConfig, change, changes);
+    
+    events.sort((a, b) => a.position - b.position);
+    
+    const lineage = [...(pattern.variation ? pattern.variation.lineage : []), { seed, similarity }];
+    return { ...pattern, events, variation: { index, seed, similarity, changes, lineage } };
+  }
+
+  /**
+   * Whether an event is a groove anchor: a single hit on a primary beat
+   * @param {Object} event - Pattern event
+   * @param {Object} timingConfig - Timing configuration
+   * @returns {boolean}
+   */
+  isAnchor(event, timingConfig) {
+    if (event.fill || event.tuplet) return false;
+    
+    const step = event.position * timingConfig.totalSteps;
+    if (Math.abs(step - Math.round(step)) > 1e-6) return false;
+    
+    return this.patternGenerator.isPrimaryStep(Math.round(step) % timingConfig.stepsPerBar, timingConfig);
+  }
+
+  /**
+   * Add off-beat hits on the voices the pattern already uses, plus ghost snares
+   * @private
+   */
+  addHits(events, pattern, timingConfig, change, changes) {
+    const { stepsPerBar, totalSteps } = timingConfig;
+    const drumKit = this.patternGenerator.drumKit;
+    const isCrash = note => drumKit.getGroup(note) === 'cymbal' && note !== 'ride'; // Crashes, chinas and splashes mark sections
+    const sourceHits = pattern.events.filter(event => !event.fill && !event.tuplet && !event.ghost && !isCrash(event.note));
+    const voices = {};
+    
+    sourceHits.forEach(event => {
+      const voice = voices[event.note] || (voices[event.note] = { hits: 0, velocity: 0 });
+      voice.hits++;
+      voice.velocity += event.velocity;
+    });
+    
+    const occupied = new Set(events.map(event => `${Math.round(event.position * totalSteps)}:${event.note}`));
+    
+    for (let step = 0; step < totalSteps; step++) {
+      const barStep = step % stepsPerBar;
+      if (this.patternGenerator.isPrimaryStep(barStep, timingConfig)) continue;
+      
+      const hit = (note, velocity, ghost) => {
+        events.push({ position: step / totalSteps, velocity, note, ghost, bar: Math.floor(step / stepsPerBar), step: barStep + 1 });
+        occupied.add(`${step}:${note}`);
+      };
+      
+      Object.entries(voices).forEach(([note, voice]) => {
+        // Busy voices gain hits more often than sparse ones
+        if (occupied.has(`${step}:${note}`) || this.seededRandom() >= change * 0.5 * (voice.hits / totalSteps)) return;
+        
+        hit(note, this.clampVelocity(voice.velocity / voice.hits + (this.seededRandom() - 0.5) * this.velocityRange * change), false);
+        changes.added++;
+      });
+      
+      if (voices.snare && !occupied.has(`${step}:snare`) && this.seededRandom() < change * 0.15) {
+        hit('snare', 0.2, true);
+        changes.ghosts++;
+      }
+    }
+  }
+
+  /**
+   * Re-voice or drop existing fills, or add one at the end of the pattern
+   * @private
+   */
+  varyFills(events, pattern, timingConfig, change, changes) {
+    const fills = this.findFills(pattern.events, timingConfig);
+    
+    fills.forEach(fill => {
+      const roll = this.seededRandom();
+      
+      if (roll < change * 0.3) {
+        changes.fills++;
+      } else if (roll < change) {
+        const choices = this.fillSubdivisions.filter(name => name !== fill.subdivision);
+        const subdivision = choices[Math.floor(this.seededRandom() * choices.length)];
+        events.push(...this.patternGenerator.createFill(fill.startStep, fill.lengthSteps, timingConfig, subdivision));
+        changes.fills++;
+      } else {
+        events.push(...fill.events.map(event => ({ ...event })));
+      }
+    });
+    
+    // A fill over the last beat, if the pattern doesn't end with one
+    const lastBeatSteps = timingConfig.beatSteps[timingConfig.beatSteps.length - 1];
+    const lastBeatStart = timingConfig.totalSteps - lastBeatSteps;
+    const endsWithFill = fills.some(fill => fill.startStep + fill.lengthSteps >= timingConfig.totalSteps);
+    
+    if (!endsWithFill && this.seededRandom() < change * 0.5) {
+      const subdivision = this.fillSubdivisions[Math.floor(this.seededRandom() * this.fillSubdivisions.length)];
+      events.push(...this.patternGenerator.createFill(lastBeatStart, lastBeatSteps, timingConfig, subdivision));
+      changes.fills++;
+    }
+  }
+
+  /**
+   * Group fill events into fills with their start step, length and subdivision
+   * @private
+   */
+  findFills(events, timingConfig) {
+    const fills = [];
+    let current = null;
+    
+    events.filter(event => event.fill).sort((a, b) => a.position - b.position).forEach(event => {
+      const step = event.position * timingConfig.totalSteps;
+      const group = event.tuplet ? event.tuplet.group : null;
+      
+      if (current && group === current.group && step - current.lastStep <= 1 + 1e-6) {
+        current.events.push(event);
+        current.lastStep = step;
+        return;
+      }
+      
+      current = { group, startStep: Math.round(step), lastStep: step, subdivision: event.subdivision || '16n', events: [event] };
+      fills.push(current);
+    });
+    
+    // Length: last note plus one note's spacing
+    return fills.map(({ startStep, lastStep, subdivision, events: fillEvents }) => {
+      const spacing = timingConfig.subdivisions[subdivision] ? timingConfig.subdivisions[subdivision].steps : 1;
+      return { startStep, lengthSteps: Math.round(lastStep - startStep + spacing), subdivision, events: fillEvents };
+    });
+  }
+
+  /**
+   * Check the source pattern and variation settings
+   * @private
+   */
+  validate(pattern, similarity, seed) {
+    if (!pattern || !Array.isArray(pattern.events)) {
+      throw new Error('Variations need a pattern with an events array');
+    }
+    
+    if (pattern.events.some(event => event.isMelodicNote)) {
+      throw new Error('Variations are only available for drum patterns');
+    }
+    
+    if (typeof similarity !== 'number' || similarity < 0 || similarity > 1) {
+      throw new Error('Similarity must be between 0 and 1');
+    }
+    
+    if (!Number.isFinite(seed)) {
+      throw new Error('Variation seed must be a number');
+    }
+  }
+
+  /**
+   * Keep velocities in the playable range
+   * @private
+   */
+  clampVelocity(velocity) {
+    return Math.max(0.1, Math.min(1.0, velocity));
+  }
+}
+
+module.exports = { PatternVariator };
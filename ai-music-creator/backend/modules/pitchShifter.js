@@ -0,0 +1,137 @@
+/**
+ * Pitch Shifter - Plays a sample at another pitch
+ *
+ * Samples are shifted by resampling: reading a sample faster raises its pitch
+ * and shortens it, reading it slower lowers and lengthens it. Shifts of a few
+ * semitones keep that length change (the note-off cuts the sample anyway).
+ * Larger shifts are stretched back to the sample's own length so attacks and
+ * decays keep their speed: windowed grains are overlap-added (WSOLA), each
+ * placed where it best lines up with the one before so the waveform joins
+ * without phasing. The correction is formant-agnostic - the whole spectrum,
+ * formants included, moves with the pitch.
+ */
+
+class PitchShifter {
+  constructor() {
+    this.maxResampleSemitones = 3; // Larger shifts are time-corrected
+    
+    // Time correction grains (at 44.1kHz)
+    this.grainSize = 1024;        // 23ms grains, overlapping by half
+    this.searchRange = 256;       // Samples a grain may move to line up with the last
+    this.correlationLength = 256; // Samples compared when lining up
+  }
+
+  /**
+   * How a shift is made
+   * @param {number} semitones - Shift in semitones
+   * @returns {string} 'none', 'resample' or 'resample + time correction'
+   */
+  getMethod(semitones) {
+    if (!semitones) return 'none';
+    return Math.abs(semitones) <= this.maxResampleSemitones ? 'resample' : 'resample + time correction';
+  }
+
+  /**
+   * Shift a sample's pitch
+   * @param {Float32Array} samples - Mono audio
+   * @param {number} semitones - Shift in semitones (positive is up)
+   * @returns {Float32Array} Shifted audio (the same length after time correction)
+   */
+  shift(samples, semitones) {
+    if (!semitones || samples.length < 4) return samples;
+    
+    const resampled = this.resample(samples, Math.pow(2, semitones / 12));
+    return this.getMethod(semitones) === 'resample' ? resampled : this.stretch(resampled, samples.length);
+  }
+
+  /**
+   * Read a sample at a rate ratio with cubic (Hermite) interpolation
+   * NSynth notes carry nothing above 8kHz, so an octave up still stays below
+   * the Nyquist frequency without filtering.
+   * @private
+   */
+  resample(samples, ratio) {
+    const length = Math.max(1, Math.floor((samples.length - 1) / ratio) + 1);
+    const output = new Float32Array(length);
+    const at = index => samples[Math.max(0, Math.min(samples.length - 1, index))];
+    
+    for (let i = 0; i < length; i++) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const t = position - index;
+      
+      const y0 = at(index - 1);
+      const y1 = at(index);
+      const y2 = at(index + 1);
+      const y3 = at(index + 2);
+      
+      const c1 = 0.5 * (y2 - y0);
+      const c2 = y0 - 2.5 * y1 + 2 * y2 - 0.5 * y3;
+      const c3 = 0.5 * (y3 - y0) + 1.5 * (y1 - y2);
+      output[i] = ((c3 * t + c2) * t + c1) * t + y1;
+    }
+    
+    return output;
+  }
+
+  /**
+   * Change a sample's length without changing its pitch (WSOLA)
+   * @private
+   */
+  stretch(samples, length) {
+    const grain = Math.min(this.grainSize, samples.length);
+    const hop = Math.max(1, Math.floor(grain / 2));
+    const speed = samples.length / length;
+    const lastStart = samples.length - grain;
+    
+    // Hann window; the sum of overlapping windows is divided out at the end
+    const window = Float32Array.from({ length: grain }, (_, n) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / grain));
+    const output = new Float32Array(length + grain);
+    const weights = new Float32Array(length + grain);
+    
+    let previous = 0;
+    for (let outputStart = 0; outputStart < length; outputStart += hop) {
+      const nominal = Math.min(lastStart, Math.round(outputStart * speed));
+      const start = outputStart === 0 ? 0 : this.alignGrain(samples, nominal, previous + hop, lastStart, Math.min(this.correlationLength, grain));
+      
+      for (let n = 0; n < grain; n++) {
+        output[outputStart + n] += samples[start + n] * window[n];
+        weights[outputStart + n] += window[n];
+      }
+      previous = start;
+    }
+    
+    const stretched = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      stretched[i] = weights[i] > 1e-3 ? output[i] / weights[i] : output[i];
+    }
+    return stretched;
+  }
+
+  /**
+   * Start near a nominal position whose waveform best continues the last grain
+   * @private
+   */
+  alignGrain(samples, nominal, continuation, lastStart, compared) {
+    let best = nominal;
+    let bestScore = -Infinity;
+    
+    for (let offset = -this.searchRange; offset <= this.searchRange; offset++) {
+      const candidate = nominal + offset;
+      if (candidate < 0 || candidate > lastStart) continue;
+      
+      let score = 0;
+      for (let n = 0; n < compared; n++) {
+        score += samples[candidate + n] * (samples[continuation + n] || 0);
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    }
+    
+    return best;
+  }
+}
+
+module.exports = { PitchShifter };
@@ -49,6 +49,30 @@ class PromptInterpreter {
       'aeolian': ['minor'],
       'phrygian': ['minor']
     };
+    
+    // Mode names and their short forms (tokens like 'min' only count right after a key)
+    this.modeNames = {
+      'major': 'major', 'maj': 'major', 'minor': 'minor', 'min': 'minor',
+      'ionian': 'ionian', 'dorian': 'dorian', 'phrygian': 'phrygian', 'lydian': 'lydian',
+      'mixolydian': 'mixolydian', 'aeolian': 'aeolian', 'locrian': 'locrian', 'blues': 'blues'
+    };
+    
+    // Words asking for chords rather than a melody, and the instruments that can comp
+    this.compingWords = ['comp', 'comping', 'chords', 'chordal', 'stab', 'stabs', 'pad', 'pads', 'strum', 'strummed', 'strumming', 'skank', 'skanking'];
+    this.compingInstruments = ['keyboard', 'organ', 'string', 'guitar'];
+    
+    // Words asking for arpeggios (any melodic instrument can arpeggiate)
+    this.arpWords = ['arp', 'arps', 'arpeggio', 'arpeggios', 'arpeggiated', 'arpeggiator'];
+    
+    // Drum complexity (ghost notes, hi-hat subdivision) for each rhythm feel
+    // Feels not listed leave the style's own complexity
+    this.rhythmComplexity = {
+      'sparse': 0.15, 'largo': 0.2, 'peaceful': 0.25, 'floating': 0.25, 'gentle': 0.25, 'soft': 0.3,
+      'tender': 0.3, 'slow': 0.3, 'laid-back': 0.35, 'relaxed': 0.35, 'flowing': 0.4, 'straight': 0.5,
+      'four-on-floor': 0.5, 'mechanical': 0.5, 'moderato': 0.5, 'driving': 0.6, 'crisp': 0.6, 'heavy': 0.6,
+      'boom-bap': 0.6, 'shuffle': 0.65, 'allegro': 0.65, 'full': 0.7, 'bouncy': 0.7, 'intense': 0.75,
+      'vivace': 0.75, 'dense': 0.8, 'trap': 0.8, 'presto': 0.8, 'brutal': 0.85
+    };
   }
   
   /**
@@ -106,7 +130,7 @@ class PromptInterpreter {
     const tokens = this.tokenizePrompt(prompt);
     const adjectives = this.extractAdjectives(tokens);
     const instruments = this.extractInstruments(tokens);
-    const specificParams = this.extractSpecificParams(tokens);
+    const specificParams = this.extractSpecificParams(tokens, prompt);
     
     console.log(`📝 Found adjectives: ${adjectives.join(', ')}`);
     console.log(`🎹 Found instruments: ${instruments.join(', ')}`);
@@ -209,7 +233,7 @@ class PromptInterpreter {
   /**
    * Extract specific parameters (BPM, key, etc.)
    */
-  extractSpecificParams(tokens) {
+  extractSpecificParams(tokens, prompt = '') {
     const params = {};
     
     // Extract BPM
@@ -227,25 +251,68 @@ class PromptInterpreter {
       }
     }
     
-    // Extract keys
-    const keys = ['c', 'd', 'e', 'f', 'g', 'a', 'b'];
-    const modes = ['major', 'minor', 'blues', 'dorian', 'mixolydian', 'lydian'];
-    
-    for (let i = 0; i < tokens.length; i++) {
-      const token = tokens[i];
-      if (keys.includes(token)) {
-        params.key = token.toUpperCase();
-        // Check for mode after key
-        if (i + 1 < tokens.length && modes.includes(tokens[i + 1])) {
-          params.scale = tokens[i + 1];
-        }
-      } else if (modes.includes(token)) {
-        params.scale = token;
+    // Extract a mode named on its own ("dreamy lydian pads")
+    for (const token of tokens) {
+      if (this.modeNames[token] && !['maj', 'min'].includes(token)) {
+        params.scale = this.modeNames[token];
       }
     }
     
+    // Extract key and mode from the raw prompt (tokens lose '#' and single letters)
+    Object.assign(params, this.extractKey(prompt));
+    
+    // Chords instead of a melody ("strummed guitar", "house organ stabs")
+    if (tokens.some(token => this.compingWords.includes(token))) {
+      params.part = 'comp';
+    }
+    
+    // Arpeggios win over chords ("arpeggiated chords")
+    if (tokens.some(token => this.arpWords.includes(token))) {
+      params.part = 'arp';
+    }
+    
     return params;
   }
+
+  /**
+   * Extract a key such as "F# minor", "in Bb", "E flat dorian" or "key of A"
+   * @returns {Object} { key, scale } for the parts found ('F#', 'Bb', ...)
+   */
+  extractKey(prompt) {
+    const accidental = '(#|♯|b|♭|[\\s-]sharp|[\\s-]flat)?';
+    const modes = Object.keys(this.modeNames).join('|');
+    
+    // A key needs context: an accidental, a mode after it, or "in"/"key of" before it
+    const patterns = [
+      new RegExp(`\\b([A-Ga-g])${accidental}\\s*\\b(${modes})\\b`, 'gi'),
+      new RegExp(`\\bkey\\s+of\\s+([A-Ga-g])${accidental}(?![\\w#♯♭])`, 'gi'),
+      new RegExp(`\\b([A-G])(#|♯|b|♭|-sharp|-flat|\\s+sharp|\\s+flat)(?![\\w#♯♭])`, 'g'),
+      new RegExp(`\\b[Ii]n\\s+([A-G])${accidental}(?![\\w#♯♭'])`, 'g')
+    ];
+    
+    // "a minor" is usually the article, unless it follows "in" ("in a minor")
+    const isArticle = match => match[1] === 'a' && !match[2] && match[3] && !/\bin\s+$/i.test(prompt.slice(0, match.index));
+    
+    for (const pattern of patterns) {
+      const match = [...prompt.matchAll(pattern)].find(candidate => !isArticle(candidate));
+      if (!match) continue;
+      
+      const accidentalText = (match[2] || '').trim().toLowerCase().replace(/^-/, '');
+      const sign = ['#', '♯', 'sharp'].includes(accidentalText) ? '#' : ['b', '♭', 'flat'].includes(accidentalText) ? 'b' : '';
+      const found = { key: `${match[1].toUpperCase()}${sign}` };
+      
+      // The mode right after the key ("F# min", "Bb dorian")
+      const rest = prompt.slice(match.index + match[0].length);
+      const mode = match[3] || (new RegExp(`^\\s*(${modes})\\b`, 'i').exec(rest) || [])[1];
+      if (mode) {
+        found.scale = this.modeNames[mode.toLowerCase()];
+      }
+      
+      return found;
+    }
+    
+    return {};
+  }
   
   /**
    * Get parameters for a single adjective (with similarity fallback)
@@ -459,11 +526,34 @@ class PromptInterpreter {
     const instrument = interpretedParams.instruments && interpretedParams.instruments.length > 0 ?
       interpretedParams.instruments[0] : 'auto';
     
+    // Energy drives the drums' optional hits and fills, the rhythm feel their complexity
+    const clamp = value => Math.round(Math.max(0, Math.min(1, value)) * 100) / 100;
+    const energy = typeof interpretedParams.energy === 'number' ? clamp(interpretedParams.energy) : null;
+    const complexity = this.rhythmComplexity[interpretedParams.rhythm] !== undefined ? this.rhythmComplexity[interpretedParams.rhythm] : null;
+    
+    // Key and mode of melodic instruments ('blues' only picks the style)
+    const key = typeof interpretedParams.key === 'string' ? interpretedParams.key : null;
+    const scale = interpretedParams.scale && interpretedParams.scale !== 'blues' ? interpretedParams.scale : null;
+    
+    // The adjectives' (or Spotify's) Roman numeral progression drives the chords
+    const progression = Array.isArray(interpretedParams.progression) && interpretedParams.progression.length > 0 ? interpretedParams.progression : null;
+    
+    // Comping only on instruments that play chords, arpeggios on any melodic instrument
+    const melodic = instrument !== 'auto' && instrument !== 'drums';
+    const part = interpretedParams.part === 'comp' && this.compingInstruments.includes(instrument) ? 'comp' :
+      interpretedParams.part === 'arp' && melodic ? 'arp' : null;
+    
     return {
       bpm: bpm,
       keyword: keyword,
       instrument: instrument,
       bars: interpretedParams.energy > 0.7 ? 2 : 1, // More bars for high energy
+      energy: energy,
+      complexity: complexity,
+      key: key,
+      scale: scale,
+      progression: progression,
+      part: part,
       originalPrompt: interpretedParams,
       interpretedParams: interpretedParams
     };
@@ -0,0 +1,179 @@
+/**
+ * Roman Numeral Parser - Chord progressions written as Roman numerals
+ *
+ *   ['i', 'bVII', 'bVI', 'V7/V', 'ii7', 'V9', 'Imaj7', 'IV/1']
+ *
+ * - Case sets the quality: 'V' major, 'vi' minor; '°' (or 'o', 'dim') is
+ *   diminished, '+' (or 'aug') augmented and 'ø' half-diminished (with its 7th)
+ * - Plain numerals are degrees of the mode's scale, so in minor 'VI' is the
+ *   flat sixth. Numerals with 'b' or '#' are measured from the major scale, the
+ *   way borrowed chords are written ('bVII' in major borrows from minor)
+ * - Extensions: '7' (minor 7th, diminished 7th on '°'), 'maj7' ('M7', 'Δ'),
+ *   '9' (7th and 9th), 'maj9' and 'add9'
+ * - Secondary chords: 'V/V', 'vii°7/ii' - the chord in the key of the numeral
+ *   after the slash (major for an upper-case target, minor for lower-case)
+ * - Slash chords: 'IV/1', 'I/3', 'V/b7' - a scale degree after the slash is the bass
+ *
+ * Chords are returned relative to the tonic (semitones 0-11), ready to be
+ * placed in any key.
+ */
+
+class RomanNumeralParser {
+  constructor() {
+    this.numerals = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII'];
+    this.majorSteps = [0, 2, 4, 5, 7, 9, 11];
+    this.minorSteps = [0, 2, 3, 5, 7, 8, 10]; // Natural minor, the key of lower-case secondary targets
+    
+    // Triads by quality (semitones above the root)
+    this.triads = {
+      major: [0, 4, 7],
+      minor: [0, 3, 7],
+      diminished: [0, 3, 6],
+      augmented: [0, 4, 8],
+      'half-diminished': [0, 3, 6]
+    };
+    
+    this.accidentals = { 'b': -1, '♭': -1, 'bb': -2, '#': 1, '♯': 1 };
+    
+    // Longest numerals first so 'VII' is not read as 'V' + 'II'
+    this.pattern = /^(bb|b|♭|#|♯)?(VII|VI|IV|V|III|II|I|vii|vi|iv|v|iii|ii|i)(°|o|dim|\+|aug|ø)?(maj7|maj9|M7|M9|Δ7|Δ|add9|7|9)?$/;
+  }
+
+  /**
+   * Split a progression into chord symbols
+   * @param {string|Array<string>} progression - Symbols as a list or text ("I-V-vi-IV", "ii7 V7 Imaj7")
+   * @returns {Array<string>} Chord symbols
+   */
+  split(progression) {
+    const symbols = typeof progression === 'string' ? progression.split(/[\s,–—-]+/) : progression;
+    
+    if (!Array.isArray(symbols) || symbols.some(symbol => typeof symbol !== 'string')) {
+      throw new Error('Progression must be a list of Roman numerals such as ["I", "V", "vi", "IV"] or text like "I-V-vi-IV"');
+    }
+    
+    const cleaned = symbols.map(symbol => symbol.trim()).filter(Boolean);
+    if (cleaned.length === 0) {
+      throw new Error('Progression has no chords');
+    }
+    
+    return cleaned;
+  }
+
+  /**
+   * Parse a progression
+   * @param {string|Array<string>} progression - Roman numerals (see split)
+   * @param {Array<number>} [scaleSteps] - Semitones of the mode's scale degrees (default: major)
+   * @returns {Array<Object>} Chords (see parse)
+   */
+  parseProgression(progression, scaleSteps = this.majorSteps) {
+    return this.split(progression).map(symbol => this.parse(symbol, scaleSteps));
+  }
+
+  /**
+   * Parse one chord symbol
+   * @param {string} symbol - Roman numeral, e.g. 'bVII', 'ii7', 'V7/V', 'IV/1'
+   * @param {Array<number>} [scaleSteps] - Semitones of the mode's scale degrees (default: major)
+   * @returns {Object} { symbol, degree, root, quality, intervals, bass } - root and bass in semitones above the tonic
+   */
+  parse(symbol, scaleSteps = this.majorSteps) {
+    const text = typeof symbol === 'string' ? symbol.trim() : '';
+    const slash = text.indexOf('/');
+    const head = slash === -1 ? text : text.slice(0, slash);
+    const tail = slash === -1 ? null : text.slice(slash + 1);
+    
+    // After the slash: a bass scale degree ('IV/1') or the key of a secondary chord ('V/V')
+    let bass = null;
+    let steps = scaleSteps;
+    let offset = 0;
+    
+    const error = new Error(`Unknown chord symbol: "${symbol}" - use Roman numerals such as I, ii7, bVII, vii°, V/V or IV/1`);
+    
+    if (tail !== null) {
+      const bassDegree = /^(bb|b|♭|#|♯)?([1-7])$/.exec(tail);
+      if (bassDegree) {
+        bass = this.degreeToSemitones(parseInt(bassDegree[2]) - 1, bassDegree[1], scaleSteps);
+      } else {
+        if (!this.pattern.test(tail.split('/')[0])) {
+          throw error;
+        }
+        const target = this.parse(tail, scaleSteps);
+        offset = target.root;
+        steps = ['major', 'augmented'].includes(target.quality) ? this.majorSteps : this.minorSteps;
+      }
+    }
+    
+    const match = this.pattern.exec(head);
+    if (!match) {
+      throw error;
+    }
+    
+    const [, accidental, numeral, qualitySymbol, extension] = match;
+    const degree = this.numerals.indexOf(numeral.toUpperCase());
+    const quality = this.getQuality(numeral, qualitySymbol);
+    const root = (offset + this.degreeToSemitones(degree, accidental, steps)) % 12;
+    
+    return {
+      symbol: text,
+      degree,
+      root,
+      quality,
+      intervals: this.getIntervals(quality, extension),
+      bass
+    };
+  }
+
+  /**
+   * Pitch classes of a parsed chord in a key
+   * @param {Object} chord - Parsed chord
+   * @param {number} tonic - Pitch class of the key (0 = C)
+   * @returns {Object} { tones, bass } - Chord tones from the root up, and the bass pitch class
+   */
+  toPitchClasses(chord, tonic) {
+    const tones = chord.intervals.map(interval => (tonic + chord.root + interval) % 12);
+    const bass = chord.bass === null ? tones[0] : (tonic + chord.bass) % 12;
+    return { tones, bass };
+  }
+
+  /**
+   * Semitones above the tonic of a scale degree; accidentals count from the major scale
+   * @private
+   */
+  degreeToSemitones(degree, accidental, scaleSteps) {
+    if (!accidental) {
+      return scaleSteps[degree];
+    }
+    return (this.majorSteps[degree] + this.accidentals[accidental] + 12) % 12;
+  }
+
+  /**
+   * Chord quality from the numeral's case and quality symbol
+   * @private
+   */
+  getQuality(numeral, qualitySymbol) {
+    if (['°', 'o', 'dim'].includes(qualitySymbol)) return 'diminished';
+    if (['+', 'aug'].includes(qualitySymbol)) return 'augmented';
+    if (qualitySymbol === 'ø') return 'half-diminished';
+    return numeral === numeral.toUpperCase() ? 'major' : 'minor';
+  }
+
+  /**
+   * Chord intervals for a quality and extension
+   * @private
+   */
+  getIntervals(quality, extension) {
+    const intervals = [...this.triads[quality]];
+    const majorSeventh = ['maj7', 'maj9', 'M7', 'M9', 'Δ7', 'Δ'].includes(extension);
+    const hasSeventh = majorSeventh || ['7', '9'].includes(extension) || quality === 'half-diminished';
+    
+    if (hasSeventh) {
+      intervals.push(majorSeventh ? 11 : quality === 'diminished' ? 9 : 10);
+    }
+    if (['9', 'maj9', 'M9', 'add9'].includes(extension)) {
+      intervals.push(14);
+    }
+    
+    return intervals;
+  }
+}
+
+module.exports = { RomanNumeralParser };
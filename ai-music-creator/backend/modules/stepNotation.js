@@ -0,0 +1,163 @@
+/**
+ * Step Notation - Drum patterns as text, one step-sequencer lane per voice
+ *
+ *   kick:  X...x...x...x...
+ *   snare: ....X.......X..g
+ *   hihat: x.x.x.x.x.x.x.x.
+ *
+ * Each character is one 16th step: 'X' accent, 'x' normal hit, 'g' ghost note
+ * (the symbols of the pattern grid) and '.' (or '-', '_', '·') a rest.
+ * Spaces and '|' are only there for reading, e.g. between beats or bars.
+ * - Multi-bar: a lane longer than a bar runs on into the next bars, and a
+ *   voice written on several lines is joined into one lane
+ * - Lanes shorter than the pattern repeat, as long as they are whole bars
+ * - Voices are DrumKit voices ('kick', 'hihat-open', 'side-stick', ...)
+ * - Lines starting with '#' are comments
+ *
+ * Serializing writes one lane per voice in kit order with '|' between bars.
+ * Notes off the 16th grid (tuplet runs and rolls) are written on the step
+ * they fall in, so the text of a pattern with runs is a simplified copy.
+ */
+
+const { DrumKit } = require('./drumKit');
+
+class StepNotation {
+  constructor() {
+    this.drumKit = new DrumKit();
+    this.velocities = { X: 0.9, x: 0.7, g: 0.25 }; // Parsed velocity per hit symbol
+    this.symbolRank = { g: 1, x: 2, X: 3 }; // The loudest hit wins when notes share a step
+    this.restSymbols = ['.', '-', '_', '·'];
+  }
+
+  /**
+   * Display symbol for a pattern event (shared with the pattern grid)
+   * @param {Object} event - Pattern event
+   * @returns {string} 'X' (accent), 'x' (normal) or 'g' (ghost)
+   */
+  getSymbol(event) {
+    if (event.velocity >= 0.8) return 'X'; // Accent
+    if (event.velocity <= 0.3) return 'g'; // Ghost note
+    return 'x'; // Normal hit
+  }
+
+  /**
+   * Parse step notation into a drum pattern
+   * @param {string} text - One "voice: steps" lane per line
+   * @param {Object} [meter]
+   * @param {number} [meter.stepsPerBar=16] - 16th steps per bar of the time signature
+   * @returns {Object} Pattern ({ style, mode: 'notation', events, bars })
+   */
+  parse(text, { stepsPerBar = 16 } = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Notation must be text with one "voice: steps" lane per line, e.g. "kick: x...x...x...x..."');
+    }
+    
+    const lanes = new Map();
+    
+    text.split(/\r?\n/).forEach((line, index) => {
+      const content = line.trim();
+      if (!content || content.startsWith('#')) return;
+      
+      const match = /^([\w-]+)\s*:\s*(.*)$/.exec(content);
+      if (!match) {
+        throw new Error(`Notation line ${index + 1}: expected "voice: steps", e.g. "kick: x...x...x...x..."`);
+      }
+      
+      const voice = match[1].toLowerCase();
+      if (!this.drumKit.hasVoice(voice)) {
+        throw new Error(`Notation line ${index + 1}: unknown drum voice "${match[1]}" - use one of ${this.drumKit.getVoiceNames().join(', ')}`);
+      }
+      
+      const steps = match[2].replace(/[\s|]/g, '');
+      const invalid = [...steps].find(symbol => !this.velocities[symbol] && !this.restSymbols.includes(symbol));
+      if (invalid !== undefined) {
+        throw new Error(`Notation line ${index + 1}: unknown step "${invalid}" - use X (accent), x (hit), g (ghost) or . (rest)`);
+      }
+      
+      lanes.set(voice, (lanes.get(voice) || '') + steps);
+    });
+    
+    if (lanes.size === 0) {
+      throw new Error('Notation has no lanes');
+    }
+    
+    lanes.forEach((steps, voice) => {
+      if (steps.length === 0 || steps.length % stepsPerBar !== 0) {
+        throw new Error(`Notation lane "${voice}" has ${steps.length} steps: lanes must be whole bars of ${stepsPerBar} steps`);
+      }
+    });
+    
+    const bars = Math.max(...[...lanes.values()].map(steps => steps.length / stepsPerBar));
+    const totalSteps = bars * stepsPerBar;
+    const events = [];
+    
+    lanes.forEach((steps, voice) => {
+      const laneBars = steps.length / stepsPerBar;
+      if (bars % laneBars !== 0) {
+        throw new Error(`Notation lane "${voice}" has ${laneBars} bars, which does not repeat evenly over ${bars} bars`);
+      }
+      
+      for (let step = 0; step < totalSteps; step++) {
+        const symbol = steps[step % steps.length];
+        if (!this.velocities[symbol]) continue;
+        
+        events.push({
+          position: step / totalSteps,
+          velocity: this.velocities[symbol],
+          note: voice,
+          ghost: symbol === 'g',
+          bar: Math.floor(step / stepsPerBar),
+          step: (step % stepsPerBar) + 1
+        });
+      }
+    });
+    
+    events.sort((a, b) => a.position - b.position);
+    
+    return { style: 'notation', mode: 'notation', events, bars };
+  }
+
+  /**
+   * Write a drum pattern as step notation
+   * @param {Object} pattern - Drum pattern ({ events })
+   * @param {Object} timingConfig - Timing configuration (stepsPerBar, totalSteps, bars)
+   * @returns {string} One lane per voice, bars separated by '|'
+   */
+  serialize(pattern, timingConfig) {
+    const { stepsPerBar, totalSteps, bars } = timingConfig;
+    const lanes = new Map();
+    
+    pattern.events.forEach(event => {
+      if (event.isMelodicNote) return;
+      
+      // Grid events (even grooved ones) sit on their nearest step; runs on the step they start in
+      const exactStep = event.position * totalSteps;
+      const step = event.tuplet ? Math.floor(exactStep + 1e-6) : Math.round(exactStep);
+      if (step < 0 || step >= totalSteps) return;
+      
+      if (!lanes.has(event.note)) {
+        lanes.set(event.note, Array(totalSteps).fill('.'));
+      }
+      
+      const lane = lanes.get(event.note);
+      const symbol = this.getSymbol(event);
+      if ((this.symbolRank[lane[step]] || 0) < this.symbolRank[symbol]) {
+        lane[step] = symbol;
+      }
+    });
+    
+    // Kit order (kick, snare, hi-hats, toms, cymbals, percussion), anything else after
+    const kitOrder = this.drumKit.getVoiceNames();
+    const voices = [...lanes.keys()].sort((a, b) =>
+      (kitOrder.includes(a) ? kitOrder.indexOf(a) : kitOrder.length) - (kitOrder.includes(b) ? kitOrder.indexOf(b) : kitOrder.length));
+    const width = Math.max(0, ...voices.map(voice => voice.length)) + 1;
+    
+    return voices.map(voice => {
+      const lane = lanes.get(voice);
+      const barText = Array.from({ length: bars }, (_, bar) => lane.slice(bar * stepsPerBar, (bar + 1) * stepsPerBar).join(''));
+      return `${`${voice}:`.padEnd(width)} ${barText.join('|')}`;
+    }).join('\n');
+  }
+}
+
+module.exports = { StepNotation };
@@ -0,0 +1,239 @@
+/**
+ * Tempo Map - Converts musical positions to time under changing tempo
+ *
+ * A tempo map is a list of tempo points on the 16th note grid. Each point
+ * states the tempo reached at its position and how the tempo gets there
+ * from the previous point:
+ * - 'jump': tempo holds, then changes instantly at the point (default)
+ * - 'linear': tempo ramps evenly from the previous point (accelerando/ritardando)
+ * - 'curve': tempo ramps along u^curve - curve > 1 starts slow and rushes at
+ *   the end (into a drop), curve < 1 changes quickly and settles
+ *
+ * Tempo is always counted in quarter notes, so one 16th step lasts 15 / bpm
+ * seconds. Elapsed time is the integral of that over the grid.
+ */
+
+class TempoMap {
+  /**
+   * Create a tempo map
+   * @param {Object} config - Tempo map configuration
+   * @param {number} config.bpm - Starting tempo (quarter notes)
+   * @param {Array<Object>} [config.points=[]] - Tempo points ({ bar, beat } or { step }, bpm, ramp, curve)
+   * @param {number} config.stepsPerBar - 16th note steps per bar
+   * @param {number} config.totalSteps - Pattern length in steps
+   * @param {number} [config.sampleRate=44100] - Output sample rate
+   */
+  constructor({ bpm, points = [], stepsPerBar, totalSteps, sampleRate = 44100 }) {
+    this.sampleRate = sampleRate;
+    this.totalSteps = totalSteps;
+    this.minBpm = 20;
+    this.maxBpm = 400;
+    this.integrationSlices = 64; // Simpson slices for curved ramps
+    
+    this.points = [
+      { step: 0, bpm, ramp: 'jump', curve: 1 },
+      ...TempoMap.normalizePoints(points, stepsPerBar, totalSteps)
+    ];
+    
+    this.points.forEach(point => {
+      if (!(point.bpm >= this.minBpm && point.bpm <= this.maxBpm)) {
+        throw new Error(`Tempo map BPM must be between ${this.minBpm} and ${this.maxBpm} (got ${point.bpm})`);
+      }
+    });
+    
+    this.segments = this.buildSegments();
+    this.totalSeconds = this.stepToSeconds(totalSteps);
+    this.totalSamples = Math.round(this.totalSeconds * sampleRate);
+  }
+
+  /**
+   * Normalize tempo points to absolute 16th note steps
+   * Points must be listed in order, each after the one before, so a ramp
+   * always runs forward from the previous point.
+   * @param {Array<Object>} points - Tempo points with { step } or { bar, beat } (1-based, beats are quarter notes)
+   * @param {number} stepsPerBar - 16th note steps per bar
+   * @param {number} totalSteps - Pattern length in steps
+   * @returns {Array<Object>} Points as { step, bpm, ramp, curve }
+   */
+  static normalizePoints(points, stepsPerBar, totalSteps) {
+    if (!Array.isArray(points)) {
+      throw new Error('Tempo map must be an array of tempo points');
+    }
+    
+    let previousStep = -Infinity;
+    
+    return points.map(point => {
+      const step = point.step !== undefined ?
+        Number(point.step) :
+        (Number(point.bar) - 1) * stepsPerBar + ((point.beat !== undefined ? Number(point.beat) : 1) - 1) * 4;
+      const ramp = point.ramp || 'jump';
+      const curve = point.curve !== undefined ? Number(point.curve) : (ramp === 'curve' ? 2 : 1);
+      
+      if (!Number.isFinite(step) || step < 0 || step > totalSteps) {
+        throw new Error(`Tempo point ${JSON.stringify(point)} is outside the pattern (0-${totalSteps} steps)`);
+      }
+      if (!['jump', 'linear', 'curve'].includes(ramp)) {
+        throw new Error(`Tempo point ramp must be 'jump', 'linear' or 'curve' (got "${ramp}")`);
+      }
+      if (!(curve > 0)) {
+        throw new Error(`Tempo point curve must be a positive number (got ${point.curve})`);
+      }
+      if (step <= previousStep) {
+        throw new Error(`Tempo points must be in order, each after the one before (${JSON.stringify(point)} is at step ${step}, the previous point at ${previousStep})`);
+      }
+      previousStep = step;
+      
+      return { step, bpm: Number(point.bpm), ramp, curve };
+    });
+  }
+
+  /**
+   * Build tempo segments between consecutive points with their start times
+   * @private
+   */
+  buildSegments() {
+    const segments = [];
+    let startSeconds = 0;
+    
+    for (let i = 0; i < this.points.length; i++) {
+      const from = this.points[i];
+      const to = this.points[i + 1];
+      const segment = to ? {
+        startStep: from.step,
+        endStep: to.step,
+        startBpm: from.bpm,
+        // A jump holds the previous tempo until the next point
+        endBpm: to.ramp === 'jump' ? from.bpm : to.bpm,
+        curve: to.ramp === 'linear' ? 1 : to.curve,
+        startSeconds
+      } : {
+        startStep: from.step,
+        endStep: Infinity,
+        startBpm: from.bpm,
+        endBpm: from.bpm,
+        curve: 1,
+        startSeconds
+      };
+      
+      segments.push(segment);
+      
+      if (to) {
+        startSeconds += this.segmentSeconds(segment, to.step);
+      }
+    }
+    
+    return segments;
+  }
+
+  /**
+   * Tempo within a segment at an absolute step
+   * @private
+   */
+  segmentTempo(segment, step) {
+    if (segment.startBpm === segment.endBpm) return segment.startBpm;
+    
+    const progress = (step - segment.startStep) / (segment.endStep - segment.startStep);
+    return segment.startBpm + (segment.endBpm - segment.startBpm) * Math.pow(progress, segment.curve);
+  }
+
+  /**
+   * Seconds elapsed from the start of a segment to an absolute step
+   * @private
+   */
+  segmentSeconds(segment, step) {
+    const steps = step - segment.startStep;
+    if (steps <= 0) return 0;
+    
+    // Constant tempo: every 16th lasts 15 / bpm seconds
+    if (segment.startBpm === segment.endBpm) {
+      return (15 * steps) / segment.startBpm;
+    }
+    
+    // Linear ramp has a closed form: integral of 15 / bpm(s) ds
+    if (segment.curve === 1) {
+      const length = segment.endStep - segment.startStep;
+      const slope = (segment.endBpm - segment.startBpm) / length;
+      return (15 / slope) * Math.log(this.segmentTempo(segment, step) / segment.startBpm);
+    }
+    
+    // Curved ramps are integrated numerically (Simpson's rule)
+    const slices = this.integrationSlices;
+    const width = steps / slices;
+    let sum = 0;
+    
+    for (let i = 0; i <= slices; i++) {
+      const weight = i === 0 || i === slices ? 1 : (i % 2 === 1 ? 4 : 2);
+      sum += weight * (15 / this.segmentTempo(segment, segment.startStep + i * width));
+    }
+    
+    return (width / 3) * sum;
+  }
+
+  /**
+   * Find the segment containing an absolute step
+   * @private
+   */
+  findSegment(step) {
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      if (step >= this.segments[i].startStep) {
+        return this.segments[i];
+      }
+    }
+    return this.segments[0];
+  }
+
+  /**
+   * Tempo at an absolute step
+   * @param {number} step - Absolute 16th note step (fractional allowed)
+   * @returns {number} Tempo in BPM
+   */
+  tempoAt(step) {
+    return this.segmentTempo(this.findSegment(step), step);
+  }
+
+  /**
+   * Convert an absolute step to seconds from the pattern start
+   * @param {number} step - Absolute 16th note step (fractional allowed)
+   * @returns {number} Time in seconds
+   */
+  stepToSeconds(step) {
+    const segment = this.findSegment(step);
+    return segment.startSeconds + this.segmentSeconds(segment, step);
+  }
+
+  /**
+   * Convert a normalized pattern position (0-1) to milliseconds
+   * @param {number} position - Normalized position
+   * @returns {number} Time in milliseconds
+   */
+  positionToMs(position) {
+    return this.stepToSeconds(position * this.totalSteps) * 1000;
+  }
+
+  /**
+   * Convert a normalized pattern position (0-1) to a sample index
+   * @param {number} position - Normalized position
+   * @returns {number} Sample position
+   */
+  positionToSample(position) {
+    return Math.round(this.stepToSeconds(position * this.totalSteps) * this.sampleRate);
+  }
+
+  /**
+   * Whether the tempo changes anywhere in the pattern
+   * @returns {boolean}
+   */
+  hasTempoChanges() {
+    return this.points.some(point => point.bpm !== this.points[0].bpm);
+  }
+
+  /**
+   * Plain tempo points for metadata and progress events
+   * @returns {Array<Object>}
+   */
+  toJSON() {
+    return this.points.map(({ step, bpm, ramp, curve }) => ({ step, bpm, ramp, curve }));
+  }
+}
+
+module.exports = { TempoMap };
@@ -4,10 +4,24 @@
  * Based on industry DAW standards:
  * - 16th note grid resolution (16 steps per bar in 4/4)
  * - PPQ (Parts Per Quarter) calculations for precise timing
- * - Swing quantization following 2:1 and 3:1 ratios
- * - Support for 4/4 and 3/4 time signatures
+ * - MPC-style swing (50-75%) at 8th or 16th note resolution, shared by drum
+ *   and melodic rendering
+ * - Simple, compound and odd meters (2/4, 3/4, 4/4, 5/4, 6/8, 7/8, 9/8, 12/8, ...)
+ *   with beat grouping (e.g. 7/8 as 3+2+2)
+ * - Per-event subdivisions finer than the grid (32nd/64th) and tuplets
+ *   (triplets, quintuplets, sextuplets) at fractional step positions
+ * - Seeded per-voice humanization with slow tempo drift
+ * 
+ * BPM always counts quarter notes (DAW convention), so a 6/8 bar at 120 BPM
+ * lasts 1.5 seconds. The grid step is always a 16th note.
+ * 
+ * Event positions stay normalized to the grid (0-1 over all steps); the
+ * tempo map turns them into time, so accelerando and ritardando only change
+ * where events land in the audio, not the pattern itself.
  */
 
+const { TempoMap } = require('./tempoMap');
+
 class TimingEngine {
   constructor() {
     this.sampleRate = 44100; // CD quality
@@ -16,84 +30,356 @@ class TimingEngine {
     // Style-specific timing adjustments
     this.styleTimingRules = {
       jazz: { 
-        swing: 0.67, // 2:1 swing ratio
+        swing: 66, // 2:1 triplet feel on 8th notes
+        swingResolution: '8n',
         humanization: 0.05, // ±5% timing variation
         accentPlacement: [1, 5, 9, 13] // Beats 1 and 3 emphasis in 4/4
       },
       funk: {
-        swing: 0.0, // Straight quantization
+        swing: 50, // Straight quantization
         humanization: 0.02, // Tight timing
         accentPlacement: [4, 12], // Strong backbeat (2 and 4)
         ghostNoteTiming: 0.03 // Slight ahead-of-beat for ghost notes
       },
       'lo-fi': {
-        swing: 0.1, // Subtle swing
+        swing: 54, // Subtle lazy 16ths
         humanization: 0.15, // Loose, relaxed timing
         accentPlacement: [1, 9], // Emphasis on 1 and 3
         jitter: 0.08 // Random timing offset ±8%
       },
       house: {
-        swing: 0.0, // Perfect quantization
+        swing: 50, // Perfect quantization
         humanization: 0.01, // Machine-like precision
         accentPlacement: [1, 5, 9, 13], // Four-on-the-floor
         offBeatHiHat: true
       },
+      bossa: {
+        swing: 50, // Straight 16ths, felt in two
+        humanization: 0.03,
+        accentPlacement: [1, 9] // Surdo-style kick on 1 and 3
+      },
       pop: {
-        swing: 0.0, // Straight timing
+        swing: 50, // Straight timing
         humanization: 0.03, // Slight humanization
         accentPlacement: [1, 4, 9, 12] // Kick on 1, snare on 2 and 4
       },
       upbeat: {
-        swing: 0.0,
+        swing: 50,
         humanization: 0.03,
         accentPlacement: [1, 4, 9, 12],
         extraKicks: [3] // Additional kick on beat 3
       },
+      trap: {
+        swing: 50, // Straight - the hi-hat rolls carry the movement
+        humanization: 0.01, // Programmed, machine-tight
+        accentPlacement: [1, 9] // Half-time: kick on 1, snare on 3
+      },
       default: {
-        swing: 0.0,
+        swing: 50,
         humanization: 0.05,
         accentPlacement: [1, 4, 9, 12]
       }
     };
+    
+    // Per-voice humanization scaling: kick anchors the groove, cymbals play looser
+    this.voiceHumanization = {
+      kick: { timing: 0.5, velocity: 0.6 },
+      snare: { timing: 0.8, velocity: 1.0 },
+      hihat: { timing: 1.5, velocity: 1.4 },
+      'hihat-pedal': { timing: 1.0, velocity: 0.8 },
+      'hihat-open': { timing: 1.3, velocity: 1.2 },
+      clap: { timing: 1.0, velocity: 1.0 },
+      rimshot: { timing: 0.8, velocity: 1.0 },
+      'side-stick': { timing: 0.8, velocity: 0.8 },
+      ride: { timing: 1.3, velocity: 1.2 },
+      tom: { timing: 1.0, velocity: 1.0 },
+      'tom-low': { timing: 1.0, velocity: 1.0 },
+      'tom-mid': { timing: 1.0, velocity: 1.0 },
+      'tom-high': { timing: 1.0, velocity: 1.0 },
+      shaker: { timing: 1.6, velocity: 1.5 },
+      tambourine: { timing: 1.4, velocity: 1.3 },
+      melodic: { timing: 1.0, velocity: 0.8 },
+      default: { timing: 1.0, velocity: 1.0 }
+    };
+    
+    // Humanization model shared by all styles
+    this.humanizationModel = {
+      baseVelocitySpread: 0.04, // ± velocity on top of the style humanization
+      driftScale: 2, // Drift amplitude in steps = humanization * driftScale
+      driftPeriodBars: 2, // Slow tempo drift cycles about every two bars
+      correlation: 0.5, // Louder hits rush, softer hits drag (share of timing spread)
+      accentTightness: 0.5, // Accented hits keep half the timing spread
+      accentBoost: 0.05, // Velocity added on style accents
+      ghostNoteTiming: 0.02 // Ghost notes ahead of the beat (steps) unless the style sets it
+    };
+    
+    // Swing resolutions measured in 16th note steps (MPC 8th or 16th swing)
+    // Swing percent is the share of each note pair taken by its first note:
+    // 50% is straight, 66% a triplet feel and 75% a dotted (3:1) feel
+    this.swingResolutions = {
+      '8n': 2,
+      '16n': 1
+    };
+    this.swingRange = [50, 75];
+    
+    // Note subdivisions measured in 16th note steps
+    // Tuplets fit `tuplet[0]` notes in the time of `tuplet[1]` plain notes
+    this.subdivisions = {
+      '4n': { steps: 4 },
+      '8n': { steps: 2 },
+      '16n': { steps: 1 },
+      '32n': { steps: 1 / 2 },
+      '64n': { steps: 1 / 4 },
+      '8t': { steps: 4 / 3, tuplet: [3, 2] },  // Eighth triplets (3 per quarter)
+      '16t': { steps: 2 / 3, tuplet: [3, 2] }, // 16th triplets (6 per quarter)
+      '32t': { steps: 1 / 3, tuplet: [3, 2] }, // 32nd triplets (12 per quarter)
+      '16q': { steps: 4 / 5, tuplet: [5, 4] }, // Quintuplets (5 per quarter)
+      '32q': { steps: 2 / 5, tuplet: [5, 4] }, // 32nd quintuplets (10 per quarter)
+      '16s': { steps: 2 / 3, tuplet: [6, 4] }, // Sextuplets (6 per quarter)
+      '32s': { steps: 1 / 3, tuplet: [6, 4] }  // 32nd sextuplets (12 per quarter)
+    };
+  }
+
+  /**
+   * Look up a note subdivision such as '16n', '32n', '8t' or '16q'
+   * @param {string} name - Subdivision name
+   * @returns {Object} Subdivision with name, length in steps and tuplet ratio (or null)
+   */
+  getSubdivision(name) {
+    const subdivision = this.subdivisions[name];
+    
+    if (!subdivision) {
+      throw new Error(`Unknown subdivision "${name}": use one of ${Object.keys(this.subdivisions).join(', ')}`);
+    }
+    
+    return {
+      name,
+      steps: subdivision.steps,
+      tuplet: subdivision.tuplet || null,
+      ratio: subdivision.tuplet ? subdivision.tuplet.join(':') : null
+    };
+  }
+
+  /**
+   * Step positions of a run of notes in a subdivision
+   * @param {number} startStep - 0-based global step where the run starts
+   * @param {string} subdivision - Subdivision name
+   * @param {number} count - Number of notes
+   * @returns {Array<number>} Fractional 0-based global steps
+   */
+  getSubdivisionSteps(startStep, subdivision, count) {
+    const { steps } = this.getSubdivision(subdivision);
+    return Array.from({ length: count }, (_, i) => startStep + i * steps);
+  }
+
+  /**
+   * Parse a time signature into its beat structure
+   * 
+   * Quarter (and half) note meters count every note value as a beat and use
+   * the grouping for secondary accents (5/4 = 3+2). Eighth and sixteenth note
+   * meters use the grouping to form the beats themselves (6/8 = 3+3 is two
+   * dotted-quarter beats, 7/8 = 3+2+2 is three uneven beats).
+   * 
+   * @param {string} timeSignature - Time signature such as '4/4', '6/8' or '7/8'
+   * @param {string|Array<number>} [beatGrouping] - Grouping in note values, e.g. '3+2+2'
+   * @returns {Object} Meter description (steps are 16th notes)
+   */
+  parseTimeSignature(timeSignature, beatGrouping = null) {
+    const match = /^(\d{1,2})\/(\d{1,2})$/.exec(String(timeSignature).trim());
+    const numerator = match ? parseInt(match[1]) : NaN;
+    const denominator = match ? parseInt(match[2]) : NaN;
+    
+    if (!match || numerator < 1 || numerator > 16 || ![2, 4, 8, 16].includes(denominator)) {
+      throw new Error(`Invalid time signature "${timeSignature}": use N/D with N from 1 to 16 and D of 2, 4, 8 or 16`);
+    }
+    
+    const stepsPerUnit = 16 / denominator; // 16th note steps per note value
+    const grouping = beatGrouping ? this.parseBeatGrouping(beatGrouping, numerator) : this.getDefaultGrouping(numerator);
+    
+    let beatSteps;
+    let accentGroups;
+    
+    if (denominator <= 4) {
+      // Every note value is a beat; the grouping only places secondary accents
+      beatSteps = Array(numerator).fill(stepsPerUnit);
+      accentGroups = grouping;
+    } else {
+      // Groups of eighths (or sixteenths) form the beats
+      beatSteps = grouping.map(units => units * stepsPerUnit);
+      accentGroups = grouping.map(() => 1);
+    }
+    
+    const beatStarts = [];
+    const stepBeatOffsets = [];
+    let step = 0;
+    
+    beatSteps.forEach(length => {
+      beatStarts.push(step);
+      for (let i = 0; i < length; i++) {
+        stepBeatOffsets.push(i);
+      }
+      step += length;
+    });
+    
+    return {
+      timeSignature: `${numerator}/${denominator}`,
+      numerator,
+      denominator,
+      grouping,
+      beatsPerBar: beatSteps.length,
+      beatSteps,
+      beatStarts,
+      stepBeatOffsets,
+      accentGroups,
+      stepsPerBar: step,
+      quarterNotesPerBar: step / 4,
+      stepAccents: this.buildStepAccents(beatStarts, accentGroups, step)
+    };
+  }
+
+  /**
+   * Resolve swing from an explicit amount or the style default
+   * @param {Object} styleRules - Style timing rules
+   * @param {number} [swing] - Swing percentage (50 = straight, 66 = triplet, 75 = 3:1)
+   * @param {string} [resolution] - Swung note value ('8n' or '16n')
+   * @returns {Object} Swing with amount (percent), resolution and steps per swung note
+   */
+  resolveSwing(styleRules, swing, resolution) {
+    const amount = swing === undefined || swing === null ? styleRules.swing : swing;
+    const swingResolution = resolution || styleRules.swingResolution || '16n';
+    const [minSwing, maxSwing] = this.swingRange;
+    
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < minSwing || amount > maxSwing) {
+      throw new Error(`Swing must be between ${minSwing} and ${maxSwing} percent`);
+    }
+    
+    if (!this.swingResolutions[swingResolution]) {
+      throw new Error(`Unknown swing resolution "${swingResolution}": use one of ${Object.keys(this.swingResolutions).join(', ')}`);
+    }
+    
+    return {
+      amount,
+      resolution: swingResolution,
+      steps: this.swingResolutions[swingResolution]
+    };
+  }
+
+  /**
+   * Parse a beat grouping such as '3+2+2' and check it adds up to the meter
+   * @private
+   */
+  parseBeatGrouping(beatGrouping, numerator) {
+    const grouping = Array.isArray(beatGrouping) ?
+      beatGrouping.map(Number) :
+      String(beatGrouping).split('+').map(part => parseInt(part.trim()));
+    
+    const total = grouping.reduce((sum, units) => sum + units, 0);
+    if (grouping.some(units => !Number.isInteger(units) || units < 1) || total !== numerator) {
+      throw new Error(`Invalid beat grouping "${beatGrouping}": groups must be positive and add up to ${numerator}`);
+    }
+    
+    return grouping;
+  }
+
+  /**
+   * Default grouping: threes for compound meters, twos for even meters,
+   * and a leading three for odd meters (5 = 3+2, 7 = 3+2+2)
+   * @private
+   */
+  getDefaultGrouping(numerator) {
+    if (numerator <= 3) return [numerator];
+    if (numerator % 3 === 0) return Array(numerator / 3).fill(3);
+    if (numerator % 2 === 0) return Array(numerator / 2).fill(2);
+    return [3, ...Array((numerator - 3) / 2).fill(2)];
+  }
+
+  /**
+   * Accent weight for every step of a bar: downbeat, group starts, beats, off-beats
+   * @private
+   */
+  buildStepAccents(beatStarts, accentGroups, stepsPerBar) {
+    const accents = Array(stepsPerBar).fill(0.4);
+    
+    // Every 8th note position gets a light accent
+    for (let step = 0; step < stepsPerBar; step += 2) {
+      accents[step] = 0.5;
+    }
+    
+    beatStarts.forEach(start => {
+      accents[start] = 0.6;
+    });
+    
+    let beatIndex = 0;
+    accentGroups.forEach(groupBeats => {
+      accents[beatStarts[beatIndex]] = 0.8;
+      beatIndex += groupBeats;
+    });
+    
+    accents[0] = 1.0;
+    return accents;
   }
 
   /**
    * Configure timing engine with musical parameters
    * @param {Object} config - Timing configuration
-   * @param {number} config.bpm - Beats per minute
-   * @param {string} config.timeSignature - Time signature ('4/4' or '3/4')
+   * @param {number} config.bpm - Beats per minute (quarter notes)
+   * @param {string} config.timeSignature - Time signature ('4/4', '3/4', '6/8', '7/8', ...)
+   * @param {string|Array<number>} [config.beatGrouping] - Beat grouping such as '3+2+2'
    * @param {number} config.bars - Number of bars
    * @param {string} config.keyword - Style keyword for timing rules
+   * @param {Array<Object>} [config.tempoMap] - Tempo points for tempo changes (see TempoMap)
+   * @param {number} [config.swing] - Swing percentage (50-75), defaults to the style's swing
+   * @param {string} [config.swingResolution] - Swung note value ('8n' or '16n')
    * @returns {Object} Timing configuration object
    */
-  configure({ bpm, timeSignature, bars, keyword }) {
+  configure({ bpm, timeSignature, beatGrouping, bars, keyword, tempoMap: tempoPoints = [], swing, swingResolution }) {
     // Get style-specific timing rules
     const styleRules = this.styleTimingRules[keyword] || this.styleTimingRules.default;
+    const swingConfig = this.resolveSwing(styleRules, swing, swingResolution);
     
     // Calculate basic timing values
-    const beatsPerBar = timeSignature === '4/4' ? 4 : 3;
-    const stepsPerBeat = 4; // 16th note resolution
-    const stepsPerBar = beatsPerBar * stepsPerBeat;
+    const meter = this.parseTimeSignature(timeSignature, beatGrouping);
+    const beatsPerBar = meter.beatsPerBar;
+    const stepsPerBeat = 4; // 16th note resolution (steps per quarter note)
+    const stepsPerBar = meter.stepsPerBar;
     const totalSteps = stepsPerBar * bars;
     
-    // Calculate time durations
-    const beatDurationMs = (60 / bpm) * 1000; // Duration of one beat in milliseconds
+    // Calculate time durations (at the starting tempo)
+    const beatDurationMs = (60 / bpm) * 1000; // Duration of one quarter note in milliseconds
     const stepDurationMs = beatDurationMs / stepsPerBeat; // Duration of one 16th note
-    const barDurationMs = beatDurationMs * beatsPerBar;
-    const totalDurationMs = barDurationMs * bars;
+    const barDurationMs = stepDurationMs * stepsPerBar;
+    
+    // The tempo map gives the real length once tempo changes are applied
+    const tempoMap = new TempoMap({
+      bpm,
+      points: tempoPoints || [],
+      stepsPerBar,
+      totalSteps,
+      sampleRate: this.sampleRate
+    });
+    const totalDurationMs = tempoMap.totalSeconds * 1000;
     
     // Calculate sample-accurate timing
     const samplesPerBeat = Math.round((this.sampleRate * 60) / bpm);
     const samplesPerStep = Math.round(samplesPerBeat / stepsPerBeat);
-    const totalSamples = Math.round((this.sampleRate * totalDurationMs) / 1000);
+    const totalSamples = tempoMap.totalSamples;
     
     const config = {
       bpm,
-      timeSignature,
+      timeSignature: meter.timeSignature,
+      beatGrouping: meter.grouping,
       bars,
       keyword,
       styleRules,
+      swing: swingConfig,
       beatsPerBar,
+      totalBeats: beatsPerBar * bars,
+      beatSteps: meter.beatSteps,
+      beatStarts: meter.beatStarts,
+      stepBeatOffsets: meter.stepBeatOffsets,
+      accentGroups: meter.accentGroups,
+      stepAccents: meter.stepAccents,
+      quarterNotesPerBar: meter.quarterNotesPerBar,
       stepsPerBeat,
       stepsPerBar,
       totalSteps,
@@ -104,13 +390,21 @@ class TimingEngine {
       samplesPerBeat,
       samplesPerStep,
       totalSamples,
+      tempoMap,
       sampleRate: this.sampleRate,
-      ppq: this.ppq
+      ppq: this.ppq,
+      subdivisions: this.subdivisions
     };
     
     console.log(`⏰ Timing Engine configured:`);
-    console.log(`   BPM: ${bpm}, Time Sig: ${timeSignature}, Bars: ${bars}`);
+    console.log(`   BPM: ${bpm}, Time Sig: ${meter.timeSignature} (${meter.grouping.join('+')}), Bars: ${bars}`);
     console.log(`   Step duration: ${stepDurationMs.toFixed(2)}ms`);
+    if (swingConfig.amount > 50) {
+      console.log(`   Swing: ${swingConfig.amount}% (${swingConfig.resolution})`);
+    }
+    if (tempoMap.hasTempoChanges()) {
+      console.log(`   Tempo map: ${tempoMap.points.map(point => `${point.bpm}@${point.step} (${point.ramp})`).join(' → ')}`);
+    }
     console.log(`   Total duration: ${(totalDurationMs / 1000).toFixed(2)}s`);
     console.log(`   Style rules: ${JSON.stringify(styleRules)}`);
     
@@ -118,27 +412,56 @@ class TimingEngine {
   }
 
   /**
-   * Apply swing quantization to a step position
+   * Apply swing to a normalized position (drum and melodic events alike)
+   * 
+   * Each pair of swung notes (two 8ths or two 16ths, counted from the start of
+   * the beat) is split swing% : (100 - swing)%, and grid steps inside the pair
+   * are stretched to match, so 16ths under 8th swing keep their order. A beat
+   * with a leftover half pair (the 3 in 3+2+2) leaves that half straight.
    * @param {number} stepPosition - Original step position (0-1)
    * @param {Object} timingConfig - Timing configuration
    * @returns {number} Swing-adjusted step position
    */
   applySwing(stepPosition, timingConfig) {
-    const { swing } = timingConfig.styleRules;
+    const swing = timingConfig.swing;
     
-    if (swing === 0) return stepPosition; // No swing
+    if (!swing || swing.amount <= 50) return stepPosition; // Straight
     
     const totalSteps = timingConfig.totalSteps;
-    const absoluteStep = stepPosition * totalSteps;
-    const stepInBeat = absoluteStep % timingConfig.stepsPerBeat;
+    const exactStep = stepPosition * totalSteps;
+    const absoluteStep = Math.round(exactStep);
     
-    // Apply swing to off-beats (steps 1 and 3 in each beat group)
-    if (stepInBeat === 1 || stepInBeat === 3) {
-      const swingOffset = swing * (timingConfig.stepDurationMs / timingConfig.totalDurationMs);
-      return Math.min(1, stepPosition + swingOffset);
-    }
+    // Tuplets and 32nd/64th notes between grid steps keep their own spacing
+    if (Math.abs(exactStep - absoluteStep) > 1e-6) return stepPosition;
+    
+    const stepInBeat = timingConfig.stepBeatOffsets[absoluteStep % timingConfig.stepsPerBar];
+    const beatLength = timingConfig.beatSteps[this.getBeatIndex(absoluteStep % timingConfig.stepsPerBar, timingConfig)];
+    const pairSteps = swing.steps * 2;
+    const stepInPair = stepInBeat % pairSteps;
+    const pairStart = stepInBeat - stepInPair;
+    
+    // Leftover half pair at the end of an uneven beat stays straight
+    if (stepInPair === 0 || pairStart + pairSteps > beatLength) return stepPosition;
     
-    return stepPosition;
+    const ratio = swing.amount / 100;
+    const swungInPair = stepInPair < swing.steps ?
+      stepInPair * 2 * ratio :
+      pairSteps * ratio + (stepInPair - swing.steps) * 2 * (1 - ratio);
+    
+    // Offset in steps, so it follows tempo changes through the tempo map
+    return Math.min(1, stepPosition + (swungInPair - stepInPair) / totalSteps);
+  }
+
+  /**
+   * Index of the beat containing a step of the bar
+   * @private
+   */
+  getBeatIndex(barStep, timingConfig) {
+    let beatIndex = 0;
+    while (beatIndex + 1 < timingConfig.beatStarts.length && timingConfig.beatStarts[beatIndex + 1] <= barStep) {
+      beatIndex++;
+    }
+    return beatIndex;
   }
 
   /**
@@ -149,7 +472,18 @@ class TimingEngine {
    * @returns {number} Humanized step position
    */
   applyHumanization(stepPosition, timingConfig, randomFn = Math.random) {
-    const { humanization, jitter } = timingConfig.styleRules;
+    // Convert variation to step position offset
+    const stepOffset = this.getTimingVariation(timingConfig.styleRules, randomFn) / timingConfig.totalSteps;
+    
+    return Math.max(0, Math.min(1, stepPosition + stepOffset));
+  }
+
+  /**
+   * Random timing variation in steps from the style's humanization and jitter
+   * @private
+   */
+  getTimingVariation(styleRules, randomFn) {
+    const { humanization, jitter } = styleRules;
     
     let variation = 0;
     
@@ -163,19 +497,120 @@ class TimingEngine {
       variation += (randomFn() - 0.5) * jitter * 2;
     }
     
-    // Convert variation to step position offset
-    const stepOffset = variation * (timingConfig.stepDurationMs / timingConfig.totalDurationMs);
+    return variation;
+  }
+
+  /**
+   * Humanize a pattern's timing and velocity (in place)
+   * 
+   * Each event gets a `timingOffset` in steps, applied after swing when the
+   * audio is rendered, made of:
+   * - per-voice random variation (hi-hats looser than kick)
+   * - slow tempo drift shared by all voices
+   * - velocity/timing correlation (louder hits slightly early)
+   * - ghost notes pushed ahead of the beat (style `ghostNoteTiming`)
+   * Hits on style accents are played tighter and a little louder.
+   * 
+   * @param {Object} pattern - Pattern with events
+   * @param {Object} timingConfig - Timing configuration
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Seed for reproducible humanization
+   * @param {number} [options.amount=1] - Humanization amount (0 = quantized, 1 = style default)
+   * @returns {Object} Humanization report for metadata
+   */
+  humanizePattern(pattern, timingConfig, { seed = Date.now(), amount = 1 } = {}) {
+    const model = this.humanizationModel;
+    const styleRules = timingConfig.styleRules;
+    const humanization = (styleRules.humanization || 0) + (styleRules.jitter || 0);
+    const { totalSteps, stepsPerBar } = timingConfig;
     
-    return Math.max(0, Math.min(1, stepPosition + stepOffset));
+    // Seeded random generator, independent of the pattern generator's sequence
+    let randomIndex = 0;
+    const random = () => {
+      const x = Math.sin(seed + randomIndex++) * 10000;
+      return x - Math.floor(x);
+    };
+    
+    // Slow drift: two seeded sine waves with periods of about two bars and 3/4 bar
+    const driftAmplitude = humanization * model.driftScale * amount;
+    const phases = [random() * Math.PI * 2, random() * Math.PI * 2];
+    const driftPeriod = stepsPerBar * model.driftPeriodBars;
+    const drift = step => driftAmplitude * (
+      0.7 * Math.sin((2 * Math.PI * step) / driftPeriod + phases[0]) +
+      0.3 * Math.sin((2 * Math.PI * step) / (stepsPerBar * 0.75) + phases[1])
+    );
+    
+    const accentSteps = new Set(this.getAccentPositions(timingConfig).map(position => Math.round(position * totalSteps)));
+    const ghostNoteTiming = styleRules.ghostNoteTiming !== undefined ? styleRules.ghostNoteTiming : model.ghostNoteTiming;
+    const velocitySpread = (model.baseVelocitySpread + (styleRules.humanization || 0)) * amount;
+    
+    const timingOffsets = [];
+    const velocityChanges = [];
+    const chordOffsets = new Map(); // Notes of a comped chord move together
+    
+    pattern.events.forEach(event => {
+      const voice = this.voiceHumanization[event.isMelodicNote ? 'melodic' : event.note] || this.voiceHumanization.default;
+      const step = event.position * totalSteps;
+      const accented = accentSteps.has(Math.round(step)) && Math.abs(step - Math.round(step)) < 1e-6;
+      const tightness = accented ? model.accentTightness : 1;
+      
+      // Velocity first, so timing can follow it
+      const velocityDeviation = (random() - 0.5) * 2; // -1 to 1
+      const velocityChange = velocityDeviation * velocitySpread * voice.velocity + (accented ? model.accentBoost * amount : 0);
+      
+      let offset = this.getTimingVariation(styleRules, random) * voice.timing * tightness * amount;
+      offset -= velocityDeviation * humanization * voice.timing * model.correlation * amount;
+      offset += drift(step);
+      
+      if (event.ghost) {
+        offset -= ghostNoteTiming * amount;
+      }
+      
+      if (event.chordHit !== undefined) {
+        if (chordOffsets.has(event.chordHit)) {
+          offset = chordOffsets.get(event.chordHit);
+        } else {
+          chordOffsets.set(event.chordHit, offset);
+        }
+      }
+      
+      const velocity = Math.max(0.1, Math.min(1.0, event.velocity + velocityChange));
+      velocityChanges.push(velocity - event.velocity);
+      timingOffsets.push(offset);
+      
+      event.velocity = velocity;
+      event.timingOffset = offset;
+    });
+    
+    const stepMs = timingConfig.stepDurationMs;
+    const round = value => Math.round(value * 100) / 100;
+    const maxAbs = values => values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    const meanAbs = values => (values.length > 0 ? values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length : 0);
+    
+    return {
+      amount,
+      seed,
+      timingMs: { average: round(meanAbs(timingOffsets) * stepMs), max: round(maxAbs(timingOffsets) * stepMs) },
+      velocity: { average: round(meanAbs(velocityChanges)), max: round(maxAbs(velocityChanges)) },
+      driftMs: round(driftAmplitude * stepMs),
+      ghostNoteLeadMs: round(ghostNoteTiming * amount * stepMs),
+      accentedEvents: pattern.events.filter(event => accentSteps.has(Math.round(event.position * totalSteps))).length
+    };
   }
 
   /**
    * Get accent positions for the given style
+   * Style accent placements are written for 4/4; other meters accent the
+   * downbeat and the start of each beat group.
    * @param {Object} timingConfig - Timing configuration
    * @returns {Array<number>} Array of step positions where accents should occur
    */
   getAccentPositions(timingConfig) {
-    const { accentPlacement } = timingConfig.styleRules;
+    const accentPlacement = timingConfig.timeSignature === '4/4' ?
+      timingConfig.styleRules.accentPlacement :
+      timingConfig.stepAccents
+        .map((accent, step) => (accent >= 0.8 ? step + 1 : null))
+        .filter(step => step !== null);
     const stepsPerBar = timingConfig.stepsPerBar;
     const totalSteps = timingConfig.totalSteps;
     
@@ -202,7 +637,7 @@ class TimingEngine {
    * @returns {number} Sample position in audio buffer
    */
   stepToSamplePosition(stepPosition, timingConfig) {
-    return Math.round(stepPosition * timingConfig.totalSamples);
+    return timingConfig.tempoMap.positionToSample(stepPosition);
   }
 
   /**
@@ -212,7 +647,7 @@ class TimingEngine {
    * @returns {number} Time in milliseconds
    */
   stepToMilliseconds(stepPosition, timingConfig) {
-    return stepPosition * timingConfig.totalDurationMs;
+    return timingConfig.tempoMap.positionToMs(stepPosition);
   }
 
   /**
@@ -0,0 +1,312 @@
+/**
+ * Voicing Engine - Voice-led chord voicings for harmonic instruments
+ *
+ * Each chord is voiced from its pitch classes by trying every inversion at
+ * every octave in the instrument's range and keeping the playable voicing that
+ * moves the voices least from the previous chord, staying near the
+ * instrument's sweet spot.
+ * - Styles: 'closed' (within an octave), 'open' (second voice up an octave)
+ *   and 'drop2' (second voice from the top down an octave)
+ * - Extensions: with more chord tones than voices the fifth is left out
+ *   first, then the root when a bass voice plays it (rootless voicings)
+ * - No two voices share a pitch, and no interval sits below its low interval
+ *   limit (a major third under Bb2 sounds muddy)
+ * - Slash chords keep their bass note at the bottom
+ *
+ * Instrument rules give organ, keyboard, string and guitar their idioms:
+ * sustained close organ chords, a left-hand bass under right-hand keyboard
+ * voicings, string sections spread wide with the bass below, and guitar
+ * drop-2 grips that fit the hand.
+ */
+
+class VoicingEngine {
+  constructor() {
+    this.styles = ['closed', 'open', 'drop2'];
+    
+    // Lowest MIDI note the lower voice of each interval (in semitones) sounds clear from
+    this.lowIntervalLimits = {
+      1: 52, 2: 51, 3: 48, 4: 46, 5: 45, 6: 46, 7: 34,
+      8: 41, 9: 41, 10: 41, 11: 41, 13: 40, 14: 39
+    };
+    
+    // Idiomatic rules per instrument
+    // voices: upper chord voices; bass: a separate bass voice under them
+    // maxSpan: widest upper voicing (semitones)
+    // maxBassGap: widest gap from the bass to the upper voices
+    this.instrumentRules = {
+      organ: { style: 'closed', voices: 4, bass: false, maxSpan: 12, movementWeight: 1.5 },
+      keyboard: { style: 'closed', voices: 3, bass: true, maxSpan: 14, maxBassGap: 19, movementWeight: 1 },
+      string: { style: 'open', voices: 3, bass: true, maxSpan: 24, maxBassGap: 24, movementWeight: 1 },
+      guitar: { style: 'drop2', voices: 4, bass: false, maxSpan: 19, movementWeight: 1, noSeconds: true }
+    };
+    
+    // Rules for other instruments that play chords
+    this.defaultRules = { style: 'closed', voices: 3, bass: false, maxSpan: 12, movementWeight: 1 };
+  }
+
+  /**
+   * Check whether an instrument has its own voicing rules
+   * @param {string} instrument - Instrument name
+   * @returns {boolean}
+   */
+  hasRules(instrument) {
+    return Boolean(this.instrumentRules[instrument]);
+  }
+
+  /**
+   * Validate a voicing style name
+   * @param {string} style - 'closed', 'open' or 'drop2'
+   * @returns {string} The style
+   */
+  resolveStyle(style) {
+    if (!this.styles.includes(style)) {
+      throw new Error(`Unknown voicing: ${style} - use ${this.styles.join(', ')}`);
+    }
+    return style;
+  }
+
+  /**
+   * Voice a chord progression
+   * @param {Array<Object>} harmony - Chords as { tones, bass } pitch classes (tones from the root up)
+   * @param {string} instrument - Instrument name (selects the idiomatic rules)
+   * @param {Object} instrumentSpec - Instrument spec with range and sweetSpot (MIDI notes)
+   * @param {Object} [options]
+   * @param {string} [options.style] - Voicing style; defaults to the instrument's
+   * @returns {Object} { style, chords } - Chords as ascending MIDI notes
+   */
+  voice(harmony, instrument, instrumentSpec, { style = null } = {}) {
+    const baseRules = this.instrumentRules[instrument] || this.defaultRules;
+    const rules = { ...baseRules, style: style ? this.resolveStyle(style) : baseRules.style };
+    
+    // Open and drop-2 voicings of a closed-voicing instrument span an octave more
+    if (baseRules.style === 'closed' && rules.style !== 'closed') {
+      rules.maxSpan += 12;
+    }
+    
+    let previous = null;
+    const chords = harmony.map(chord => {
+      const voicing = this.voiceChord(chord, previous, rules, instrumentSpec);
+      previous = voicing;
+      return voicing;
+    });
+    
+    return { style: rules.style, chords };
+  }
+
+  /**
+   * Pick the best voicing of one chord
+   * @private
+   */
+  voiceChord(chord, previous, rules, instrumentSpec) {
+    const candidates = this.getCandidates(chord, rules, instrumentSpec);
+    
+    // Loosen the spacing rules before giving up on a chord in a narrow range
+    const playable = candidates.filter(notes => this.isPlayable(notes, chord, rules, true));
+    const pool = playable.length > 0 ? playable : candidates.filter(notes => this.isPlayable(notes, chord, rules, false));
+    
+    if (pool.length === 0) {
+      return [this.placeInRange(chord.bass, instrumentSpec.range, instrumentSpec.sweetSpot[0])];
+    }
+    
+    let best = null;
+    let bestCost = Infinity;
+    pool.forEach(notes => {
+      const cost = this.getCost(notes, previous, chord, rules, instrumentSpec);
+      if (cost < bestCost) {
+        best = notes;
+        bestCost = cost;
+      }
+    });
+    
+    return best;
+  }
+
+  /**
+   * All voicings of a chord: every inversion of the upper voices at every octave,
+   * over each placement of the bass voice
+   * @private
+   */
+  getCandidates(chord, rules, instrumentSpec) {
+    const [low, high] = instrumentSpec.range;
+    const separateBass = rules.bass || chord.bass !== chord.tones[0];
+    const maxBassGap = rules.bass ? rules.maxBassGap : 12; // A slash chord's bass stays close under the chord
+    const { tones: upperTones, voices } = this.selectTones(chord, rules);
+    const candidates = [];
+    
+    for (let inversion = 0; inversion < upperTones.length; inversion++) {
+      const order = [...upperTones.slice(inversion), ...upperTones.slice(0, inversion)];
+      
+      for (let start = low; start < low + 12; start++) {
+        if (start % 12 !== order[0]) continue;
+        
+        for (let bottom = start; bottom <= high; bottom += 12) {
+          const upper = this.applyStyle(this.stackClosed(order, bottom, voices), rules.style);
+          if (upper[0] < low || upper[upper.length - 1] > high) continue;
+          
+          if (!separateBass) {
+            candidates.push(upper);
+            continue;
+          }
+          
+          // A bass voice (the root, or a slash chord's bass) under the upper voices
+          for (let bass = this.placeInRange(chord.bass, [low, high], low); bass < upper[0]; bass += 12) {
+            if (upper[0] - bass <= maxBassGap) {
+              candidates.push([bass, ...upper]);
+            }
+          }
+        }
+      }
+    }
+    
+    return candidates;
+  }
+
+  /**
+   * Choose the pitch classes of the upper voices, leaving out tones that do not fit
+   * @private
+   */
+  selectTones(chord, rules) {
+    const root = chord.tones[0];
+    const fifth = (root + 7) % 12;
+    
+    // Without a bass voice, a slash chord's bass takes one of the voices
+    const slashBass = chord.bass !== root;
+    const voices = slashBass && !rules.bass ? rules.voices - 1 : rules.voices;
+    let tones = [...new Set(chord.tones)].filter(tone => !slashBass || tone !== chord.bass);
+    
+    // Too many tones: leave out the perfect fifth, then the root over a bass voice
+    if (tones.length > voices && tones.includes(fifth)) {
+      tones = tones.filter(tone => tone !== fifth);
+    }
+    if (tones.length > voices && rules.bass && chord.bass === root) {
+      tones = tones.filter(tone => tone !== root);
+    }
+    
+    // Close-position order above the root (a 9th sits between the root and the third)
+    tones = tones.slice(0, voices).sort((a, b) => (a - root + 12) % 12 - (b - root + 12) % 12);
+    return { tones, voices };
+  }
+
+  /**
+   * Stack pitch classes upwards in close position from a bottom note,
+   * doubling from the bottom an octave up when there are more voices than tones
+   * @private
+   */
+  stackClosed(order, bottom, voices) {
+    const notes = [bottom];
+    for (let i = 1; i < order.length; i++) {
+      notes.push(notes[i - 1] + ((order[i] - notes[i - 1] - 1) % 12 + 12) % 12 + 1);
+    }
+    for (let i = 0; notes.length < voices; i++) {
+      notes.push(notes[i] + 12);
+    }
+    return notes;
+  }
+
+  /**
+   * Spread a close voicing into the voicing style
+   * @private
+   */
+  applyStyle(notes, style) {
+    const voiced = [...notes];
+    if (style === 'open' && voiced.length >= 3) {
+      voiced[1] += 12; // Second voice up an octave
+    } else if (style === 'drop2' && voiced.length >= 3) {
+      voiced[voiced.length - 2] -= 12; // Second voice from the top down an octave
+    }
+    return voiced.sort((a, b) => a - b);
+  }
+
+  /**
+   * Check spacing: distinct pitches, span, low interval limits and (for guitar) no adjacent semitones
+   * @private
+   */
+  isPlayable(notes, chord, rules, strict) {
+    for (let i = 1; i < notes.length; i++) {
+      const interval = notes[i] - notes[i - 1];
+      if (interval <= 0) return false; // Collapsed voices
+      
+      if (!strict) continue;
+      if (interval < 15 && notes[i - 1] < (this.lowIntervalLimits[interval] || 0)) return false;
+      if (rules.noSeconds && interval === 1) return false;
+    }
+    
+    if (!strict) return true;
+    
+    const upper = this.getUpperVoices(notes, chord, rules);
+    return upper[upper.length - 1] - upper[0] <= rules.maxSpan;
+  }
+
+  /**
+   * Cost of a voicing: voice movement from the previous chord, distance from the
+   * sweet spot, and (without a bass voice) inversions over root position
+   * @private
+   */
+  getCost(notes, previous, chord, rules, instrumentSpec) {
+    const [sweetLow, sweetHigh] = instrumentSpec.sweetSpot;
+    const upper = this.getUpperVoices(notes, chord, rules);
+    let cost = 0;
+    
+    // Upper voices out of the sweet spot
+    upper.forEach(note => {
+      cost += Math.max(0, sweetLow - note, note - sweetHigh) * 0.5;
+    });
+    
+    if (previous) {
+      const previousUpper = rules.bass ? previous.slice(1) : previous;
+      cost += this.getMovement(previousUpper, upper) * rules.movementWeight;
+      
+      // The bass may leap, but prefers the nearer octave
+      if (rules.bass && previous.length > 1) {
+        cost += Math.abs(notes[0] - previous[0]) * 0.25;
+      }
+    } else {
+      // First chord: centred in the sweet spot
+      const centre = (sweetLow + sweetHigh) / 2;
+      const average = upper.reduce((sum, note) => sum + note, 0) / upper.length;
+      cost += Math.abs(average - centre) * 0.5;
+      
+      // Bass voice about an octave under the chord
+      if (rules.bass) {
+        cost += Math.abs(upper[0] - 12 - notes[0]) * 0.25;
+      }
+    }
+    
+    if (!rules.bass && notes[0] % 12 !== chord.bass) {
+      cost += 2; // Inversion
+    }
+    
+    return cost;
+  }
+
+  /**
+   * Voices above a bass voice or a slash chord's bass
+   * @private
+   */
+  getUpperVoices(notes, chord, rules) {
+    return (rules.bass || chord.bass !== chord.tones[0]) && notes.length > 1 ? notes.slice(1) : notes;
+  }
+
+  /**
+   * Total semitones the voices move, each voice to its nearest note in the next chord
+   * @private
+   */
+  getMovement(from, to) {
+    if (from.length === to.length) {
+      return from.reduce((sum, note, index) => sum + Math.abs(note - to[index]), 0);
+    }
+    return to.reduce((sum, note) => sum + Math.min(...from.map(previous => Math.abs(previous - note))), 0);
+  }
+
+  /**
+   * Lowest note of a pitch class at or above a floor, inside the range
+   * @private
+   */
+  placeInRange(pitchClass, range, floor) {
+    let note = floor + ((pitchClass - floor) % 12 + 12) % 12;
+    if (note > range[1]) note -= 12;
+    return Math.max(range[0], note);
+  }
+}
+
+module.exports = { VoicingEngine };
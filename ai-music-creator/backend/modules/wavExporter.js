@@ -7,11 +7,17 @@
  * - Support for velocity-based volume adjustments
  * - Proper WAV file format with standard headers
  * - Audio resampling to match project sample rate (44.1kHz)
+ * - Melodic note-off: notes stop at their duration with a release shaped by the
+ *   instrument's articulation, and sustaining sounds loop their sample to
+ *   hold notes longer than it
+ * - Pitch shifting of melodic samples loaded for a nearby pitch
  */
 
 const fs = require('fs');
 const path = require('path');
 const { WaveFile } = require('wavefile');
+const { TimingEngine } = require('./timingEngine');
+const { PitchShifter } = require('./pitchShifter');
 
 class WavExporter {
   constructor() {
@@ -24,6 +30,35 @@ class WavExporter {
     this.velocityCurve = 1.8; // Slightly less aggressive curve
     this.fadeInSamples = 256; // Prevent clicks - longer fade (5.8ms)
     this.fadeOutSamples = 256; // Prevent clicks - longer fade (5.8ms)
+    
+    // Release after note-off per instrument articulation (MelodicPatternGenerator.INSTRUMENT_SPECS).
+    // Plucked and struck sounds decay on their own and play out their sample;
+    // held sounds (bowed, blown, sung, organ and synth) loop it to sustain.
+    this.RELEASE_ENVELOPES = {
+      plucked: { releaseMs: 60, loop: false },
+      percussive: { releaseMs: 120, loop: false },
+      bowed: { releaseMs: 250, loop: true },
+      sustained: { releaseMs: 40, loop: true },
+      flowing: { releaseMs: 150, loop: true },
+      bold: { releaseMs: 100, loop: true },
+      woody: { releaseMs: 120, loop: true },
+      sung: { releaseMs: 200, loop: true },
+      electronic: { releaseMs: 30, loop: true },
+      default: { releaseMs: 100, loop: false }
+    };
+    this.staccatoReleaseMs = 25; // Detached notes stop short
+    this.legatoReleaseMs = 80;   // Held notes overlap the next one at least this long
+    
+    // Sustain loop: the middle of the sample (past the attack, before its own
+    // release), joined with a crossfade
+    this.loopRegion = [0.25, 0.75];
+    this.loopCrossfadeMs = 20;
+    
+    // Swing uses the timing engine's model so drums and melody swing alike
+    this.timingEngine = new TimingEngine();
+    
+    // Melodic samples of a nearby pitch are shifted to their note
+    this.pitchShifter = new PitchShifter();
   }
 
   /**
@@ -35,24 +70,28 @@ class WavExporter {
    * @param {string} config.outputPath - Output file path
    * @param {string} config.songName - Song name for metadata
    * @param {Object} config.generationMetadata - Additional generation metadata
+   * @param {Function} [config.onProgress] - Called with (stage, data) as export stages complete
+   * @param {AbortSignal} [config.signal] - Aborts mixing before the file is written
    * @returns {Promise<void>}
    */
-  async export({ pattern, timingConfig, instrumentData, outputPath, songName, generationMetadata = {} }) {
+  async export({ pattern, timingConfig, instrumentData, outputPath, songName, generationMetadata = {}, onProgress = () => {}, signal = null }) {
     console.log(`🎙️  Exporting ${pattern.events.length} events to WAV...`);
     console.log(`📊 Target: ${this.targetSampleRate}Hz, ${this.bitDepth}-bit, ${this.channels} channel(s)`);
     
     try {
       // Create audio buffer
-      const audioBuffer = await this.createAudioBuffer(pattern, timingConfig, instrumentData);
+      const audioBuffer = await this.createAudioBuffer(pattern, timingConfig, instrumentData, signal);
       
       // Apply master processing
       this.applyMasterProcessing(audioBuffer);
+      onProgress('buffer-mixed', { samples: audioBuffer.length });
       
       // Create WAV file
       const wavFile = this.createWavFile(audioBuffer, songName);
       
       // Write to file
       await this.writeWavFile(wavFile, outputPath);
+      onProgress('file-written', { filename: path.basename(outputPath) });
       
       // Generate metadata file
       await this.exportMetadata({ 
@@ -71,7 +110,9 @@ class WavExporter {
       console.log(`📁 File size: ${this.formatFileSize(fs.statSync(outputPath).size)}`);
       
     } catch (error) {
-      console.error(`❌ WAV export failed:`, error);
+      if (error.name !== 'AbortError') {
+        console.error(`❌ WAV export failed:`, error);
+      }
       throw error;
     }
   }
@@ -80,7 +121,7 @@ class WavExporter {
    * Create audio buffer with precise event timing
    * @private
    */
-  async createAudioBuffer(pattern, timingConfig, instrumentData) {
+  async createAudioBuffer(pattern, timingConfig, instrumentData, signal = null) {
     const bufferLength = timingConfig.totalSamples;
     const audioBuffer = new Float32Array(bufferLength);
     
@@ -88,8 +129,35 @@ class WavExporter {
     
     let eventsProcessed = 0;
     
+    // Chord notes are scaled by 1/√n so a chord sits near the level of a single note
+    const chordSizes = new Map();
+    pattern.events.forEach(event => {
+      if (event.chordHit !== undefined) {
+        chordSizes.set(event.chordHit, (chordSizes.get(event.chordHit) || 0) + 1);
+      }
+    });
+    
+    // Decode each sample once, however many chords it plays in
+    const decodedSamples = new Map();
+    
+    // Melodic notes release the way the instrument sounds
+    const envelope = this.getReleaseEnvelope(pattern.metadata && pattern.metadata.articulation);
+    
     // Process each pattern event
     for (const event of pattern.events) {
+      if (signal) {
+        // Yield periodically so a pending cancel message can be delivered
+        if (eventsProcessed % 16 === 0) {
+          await new Promise(resolve => setImmediate(resolve));
+        }
+        
+        if (signal.aborted) {
+          const error = new Error('Audio rendering was aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
+      }
+      
       const sample = instrumentData.noteMapping[event.note];
       
       if (!sample || !sample.audioData) {
@@ -98,18 +166,31 @@ class WavExporter {
       }
       
       // Calculate precise sample position
-      const samplePosition = this.calculateSamplePosition(event.position, timingConfig);
+      const samplePosition = this.calculateSamplePosition(event.position, timingConfig, event);
       
       // Load and process sample audio
-      const sampleAudio = await this.loadSampleAudio(sample.audioData);
+      if (!decodedSamples.has(sample)) {
+        const decoded = await this.loadSampleAudio(sample.audioData);
+        // Samples loaded for a nearby pitch are shifted to their note
+        decodedSamples.set(sample, sample.pitchShift ? this.pitchShifter.shift(decoded, sample.pitchShift) : decoded);
+      }
+      const sampleAudio = decodedSamples.get(sample);
+      
+      // Melodic notes stop at their duration instead of playing out the whole sample
+      const noteAudio = event.isMelodicNote && event.duration > 0 ?
+        this.shapeNote(sampleAudio, this.calculateNoteLength(event, timingConfig), envelope, event.phrasing) :
+        sampleAudio;
       
       // Apply velocity scaling
-      const velocityGain = this.calculateVelocityGain(event.velocity);
+      let velocityGain = this.calculateVelocityGain(event.velocity);
+      if (chordSizes.get(event.chordHit) > 1) {
+        velocityGain /= Math.sqrt(chordSizes.get(event.chordHit));
+      }
       
       // Mix sample into buffer
       this.mixSampleIntoBuffer(
         audioBuffer, 
-        sampleAudio, 
+        noteAudio, 
         samplePosition, 
         velocityGain,
         event.ghost
@@ -126,37 +207,28 @@ class WavExporter {
    * Calculate exact sample position from normalized position
    * @private
    */
-  calculateSamplePosition(normalizedPosition, timingConfig) {
-    // Apply swing if configured
+  calculateSamplePosition(normalizedPosition, timingConfig, event = {}) {
+    // Apply swing if configured (runs, tuplets and grooved events keep their own timing)
     let adjustedPosition = normalizedPosition;
     
-    if (timingConfig.styleRules && timingConfig.styleRules.swing > 0) {
-      adjustedPosition = this.applySwingTiming(normalizedPosition, timingConfig);
+    if (timingConfig.swing && !event.subdivision && !event.groove) {
+      adjustedPosition = this.timingEngine.applySwing(normalizedPosition, timingConfig);
     }
     
-    // Convert to sample position with rounding for precision
-    const samplePosition = Math.round(adjustedPosition * timingConfig.totalSamples);
-    
-    return Math.max(0, Math.min(timingConfig.totalSamples - 1, samplePosition));
-  }
-
-  /**
-   * Apply swing timing adjustment
-   * @private
-   */
-  applySwingTiming(position, timingConfig) {
-    const swing = timingConfig.styleRules.swing;
-    const totalSteps = timingConfig.totalSteps;
-    const absoluteStep = position * totalSteps;
-    const stepInBeat = absoluteStep % 4; // Assuming 4 steps per beat
-    
-    // Apply swing to off-beats (steps 1 and 3)
-    if (Math.floor(stepInBeat) === 1 || Math.floor(stepInBeat) === 3) {
-      const swingOffset = swing * 0.1; // 10% max swing adjustment
-      return Math.min(1, position + (swingOffset / totalSteps));
+    // Humanization offsets (in steps) ride on top of swing
+    if (event.timingOffset) {
+      adjustedPosition += event.timingOffset / timingConfig.totalSteps;
     }
     
-    return position;
+    // Convert to sample position through the tempo map (handles tempo changes)
+    const samplePosition = timingConfig.tempoMap ?
+      timingConfig.tempoMap.positionToSample(adjustedPosition) :
+      Math.round(adjustedPosition * timingConfig.totalSamples);
+    
+    // Strummed strings start a few milliseconds after the beat
+    const onsetDelay = event.onsetDelayMs ? Math.round(event.onsetDelayMs / 1000 * this.targetSampleRate) : 0;
+    
+    return Math.max(0, Math.min(timingConfig.totalSamples - 1, samplePosition + onsetDelay));
   }
 
   /**
@@ -260,6 +332,94 @@ class WavExporter {
     return outputSamples;
   }
 
+  /**
+   * Release envelope of an instrument articulation
+   * @private
+   */
+  getReleaseEnvelope(articulation) {
+    return this.RELEASE_ENVELOPES[articulation] || this.RELEASE_ENVELOPES.default;
+  }
+
+  /**
+   * Length of a melodic note in samples, from its duration in beats
+   * Measured through the tempo map, so notes stretch and shrink with tempo changes.
+   * @private
+   */
+  calculateNoteLength(event, timingConfig) {
+    const totalBeats = timingConfig.bars * timingConfig.quarterNotesPerBar;
+    const offPosition = event.position + event.duration / totalBeats;
+    const toSample = position => (timingConfig.tempoMap ?
+      timingConfig.tempoMap.positionToSample(position) :
+      Math.round(position * timingConfig.totalSamples));
+    
+    return Math.max(1, toSample(offPosition) - toSample(event.position));
+  }
+
+  /**
+   * Cut a sample to a note: it sounds for the note's length, then releases
+   * Sustaining envelopes loop samples shorter than the note and its release.
+   * @private
+   */
+  shapeNote(sampleAudio, noteLength, envelope, phrasing = null) {
+    let releaseMs = envelope.releaseMs;
+    if (phrasing === 'staccato') {
+      releaseMs = Math.min(releaseMs, this.staccatoReleaseMs);
+    } else if (phrasing === 'legato') {
+      releaseMs = Math.max(releaseMs, this.legatoReleaseMs);
+    }
+    
+    const releaseSamples = Math.round(releaseMs / 1000 * this.targetSampleRate);
+    const soundingLength = noteLength + releaseSamples;
+    const source = envelope.loop && soundingLength > sampleAudio.length ?
+      this.loopSample(sampleAudio, soundingLength) :
+      sampleAudio;
+    
+    const shaped = source.slice(0, Math.min(soundingLength, source.length));
+    
+    // Release from note-off (a sample that ends first has already decayed)
+    for (let i = noteLength; i < shaped.length; i++) {
+      const remaining = 1 - (i - noteLength) / releaseSamples;
+      shaped[i] *= remaining * remaining;
+    }
+    
+    return shaped;
+  }
+
+  /**
+   * Extend a sample to a length by repeating its sustain region
+   * Each repeat crossfades in over the end of the one before, so the seam
+   * does not click.
+   * @private
+   */
+  loopSample(sampleAudio, length) {
+    const loopStart = Math.floor(sampleAudio.length * this.loopRegion[0]);
+    const loopEnd = Math.floor(sampleAudio.length * this.loopRegion[1]);
+    const loopLength = loopEnd - loopStart;
+    
+    if (loopLength < 2) return sampleAudio;
+    
+    const crossfade = Math.min(Math.round(this.loopCrossfadeMs / 1000 * this.targetSampleRate), Math.floor(loopLength / 2));
+    const looped = new Float32Array(length);
+    looped.set(sampleAudio.subarray(0, Math.min(loopEnd, length)));
+    
+    let end = loopEnd;
+    while (end < length) {
+      const from = end - crossfade;
+      for (let i = 0; i < loopLength && from + i < length; i++) {
+        const sample = sampleAudio[loopStart + i];
+        if (i < crossfade) {
+          const fade = i / crossfade;
+          looped[from + i] = looped[from + i] * (1 - fade) + sample * fade;
+        } else {
+          looped[from + i] = sample;
+        }
+      }
+      end = from + loopLength;
+    }
+    
+    return looped;
+  }
+
   /**
    * Calculate velocity-based gain
    * @private
@@ -455,7 +615,9 @@ class WavExporter {
       wav.fromBuffer(buffer);
       
       // Validate format
-      const expectedDuration = timingConfig.totalDurationMs / 1000;
+      const expectedDuration = timingConfig.tempoMap ?
+        timingConfig.tempoMap.totalSeconds :
+        timingConfig.totalDurationMs / 1000;
       const actualDuration = wav.data.chunkSize / (wav.fmt.sampleRate * wav.fmt.numChannels * (wav.fmt.bitsPerSample / 8));
       const durationError = Math.abs(expectedDuration - actualDuration);
       
@@ -582,9 +744,11 @@ class WavExporter {
       timing: {
         bpm: timingConfig.bpm,
         timeSignature: timingConfig.timeSignature || '4/4',
+        beatGrouping: (timingConfig.beatGrouping || []).join('+'),
         totalBeats: timingConfig.totalBeats,
         totalSteps: timingConfig.totalSteps,
-        swing: timingConfig.styleRules?.swing || 0,
+        swing: timingConfig.swing || null,
+        tempoMap: timingConfig.tempoMap && timingConfig.tempoMap.hasTempoChanges() ? timingConfig.tempoMap.toJSON() : null,
         stepResolution: timingConfig.stepResolution || 16
       },
       
@@ -612,6 +776,15 @@ class WavExporter {
         interpretedParams: generationMetadata.interpretedParams || null
       },
       
+      // Song form with section markers (arrangements only)
+      arrangement: generationMetadata.arrangement || null,
+      
+      // Drum pattern as step notation (drum renders only)
+      notation: generationMetadata.notation || null,
+      
+      // Humanization report (if applied)
+      humanization: generationMetadata.humanization || null,
+      
       // Spotify warnings (if any)
       spotifyWarnings: generationMetadata.spotifyWarnings || null,
       
@@ -627,6 +800,16 @@ class WavExporter {
     };
   }
 
+  /**
+   * Format seconds as m:ss.s for section markers
+   * @private
+   */
+  formatTimestamp(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const remainder = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${remainder}`;
+  }
+
   /**
    * Analyze pattern events for statistics
    * @private
@@ -683,7 +866,10 @@ class WavExporter {
     const instruments = [];
     
     if (instrumentData.noteMapping) {
-      Object.entries(instrumentData.noteMapping).forEach(([note, sample]) => {
+      Object.entries(instrumentData.noteMapping).forEach(([note, mappedSample]) => {
+        // Notes without an available sample are still listed
+        const sample = mappedSample || {};
+        
         // Extract filename from path
         const filename = sample.path ? sample.path.split('/').pop() : 'Unknown';
         
@@ -693,7 +879,9 @@ class WavExporter {
           instrumentName: sample.instrumentFamily || instrumentData.type || 'Unknown',
           sampleFile: filename,
           nsynthNote: `${sample.pitch || 'Unknown'}-${sample.velocity || 'Unknown'}`,
-          noteType: sample.noteType || note
+          noteType: sample.noteType || note,
+          pitchShift: sample.pitchShift || 0,
+          pitchShiftMethod: this.pitchShifter.getMethod(sample.pitchShift || 0)
         });
       });
     }
@@ -733,12 +921,12 @@ class WavExporter {
 - Duration: ${metadata.audioFormat.duration.toFixed(3)} seconds
 
 ## Timing Configuration
-- BPM: ${metadata.timing.bpm}
-- Time Signature: ${metadata.timing.timeSignature}
+- BPM: ${metadata.timing.bpm}${metadata.timing.tempoMap ? ` (tempo map: ${metadata.timing.tempoMap.map(point => `${point.bpm} at step ${point.step}${point.ramp !== 'jump' ? ` ${point.ramp}` : ''}`).join(', ')})` : ''}
+- Time Signature: ${metadata.timing.timeSignature}${metadata.timing.beatGrouping ? ` (${metadata.timing.beatGrouping})` : ''}
 - Total Beats: ${metadata.timing.totalBeats}
 - Total Steps: ${metadata.timing.totalSteps}
 - Step Resolution: ${metadata.timing.stepResolution} (steps per beat)
-- Swing: ${metadata.timing.swing > 0 ? `${(metadata.timing.swing * 100).toFixed(1)}%` : 'None'}
+- Swing: ${metadata.timing.swing && metadata.timing.swing.amount > 50 ? `${metadata.timing.swing.amount}% (${metadata.timing.swing.resolution})` : 'None'}
 
 ## Pattern Analysis
 - Total Events: ${metadata.pattern.totalEvents}
@@ -758,14 +946,35 @@ ${Object.entries(metadata.pattern.timingDistribution)
   .map(([position, count]) => `- ${position}: ${count} events`)
   .join('\n')}${Object.keys(metadata.pattern.timingDistribution).length > 10 ? '\n- ... (showing first 10 positions)' : ''}
 
-## Instruments Used
+${metadata.arrangement ? `## Arrangement
+- Form: ${metadata.arrangement.form} (${metadata.arrangement.totalBars} bars, ${this.formatTimestamp(metadata.arrangement.totalSeconds)})
+${metadata.arrangement.sections.map(section => `- Bar ${section.startBar}: ${section.name} (bars ${section.startBar}-${section.endBar}, ${this.formatTimestamp(section.startSeconds)})`).join('\n')}
+
+` : ''}${metadata.notation ? `## Step Notation
+Paste into \`generateBeat({ notation })\` to render this pattern again:
+
+\`\`\`
+${metadata.notation}
+\`\`\`
+
+` : ''}${metadata.humanization ? `## Humanization
+- Amount: ${Math.round(metadata.humanization.amount * 100)}%
+- Timing Variation: ±${metadata.humanization.timingMs.average}ms average, ${metadata.humanization.timingMs.max}ms max
+- Velocity Variation: ±${metadata.humanization.velocity.average} average, ${metadata.humanization.velocity.max} max
+- Tempo Drift: ±${metadata.humanization.driftMs}ms
+- Ghost Note Lead: ${metadata.humanization.ghostNoteLeadMs}ms
+- Accented Events: ${metadata.humanization.accentedEvents}
+- Seed: ${metadata.humanization.seed}
+
+` : ''}## Instruments Used
 ${metadata.instruments.map((inst, index) => `
 ### Instrument ${index + 1} - ${inst.noteType}
 - Note Mapping: ${inst.note}
 - Instrument Family: ${inst.instrumentFamily}
 - Note Type: ${inst.noteType} 
 - NSynth Sample: ${inst.nsynthNote}
-- Sample File: ${inst.sampleFile}`).join('')}
+- Sample File: ${inst.sampleFile}${inst.pitchShift ? `
+- Pitch Shift: ${inst.pitchShift > 0 ? '+' : ''}${inst.pitchShift} semitones (${inst.pitchShiftMethod})` : ''}`).join('')}
 
 ## Generation Details
 - Style: ${metadata.generation.style}
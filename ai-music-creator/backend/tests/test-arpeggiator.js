@@ -0,0 +1,68 @@
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎹 Arpeggiator Test Suite');
+
+function testArpeggiator() {
+  const melodicGenerator = new MelodicPatternGenerator();
+
+  const arpeggiate = (instrument, genre, arp = null, options = {}) => melodicGenerator.generateMelodicPattern({ instrument, genre, bpm: 120, bars: 1, seed: 11, part: 'arp', arp, ...options });
+  const notes = events => events.map(event => event.note);
+  const ascending = run => run.every((note, index) => index === 0 || note > run[index - 1]);
+  const names = events => events.map(event => melodicGenerator.noteToString(event.note)).join(' ');
+
+  // House synth arps climb in 16ths over two octaves with the genre's gate
+  const house = arpeggiate('synth_lead', 'house', { latch: false }, { progression: 'I-IV' });
+  const firstChord = notes(house.events.slice(0, 6));
+  suite.check(house.metadata.arpeggio.rate === '16n' && house.events.length === 16, `House arps in 16ths: ${house.events.length} notes in a bar`);
+  suite.check(house.events.every(event => event.duration === 0.25 * 0.5), 'House arp notes are gated to half a 16th');
+  suite.check(ascending(firstChord), `House synth lead runs up: ${names(house.events.slice(0, 6))}`);
+  suite.check(firstChord[5] - firstChord[0] > 12, `The run spans two octaves (${firstChord[5] - firstChord[0]} semitones)`);
+  suite.check(house.events[6].note === firstChord[0], `The run starts over at ${melodicGenerator.noteToString(house.events[6].note)}`);
+
+  // Down and up-down runs, without repeating the turning notes
+  const down = arpeggiate('keyboard', 'pop', { direction: 'down', rate: '16n' }, { progression: 'I' });
+  const upDown = arpeggiate('synth_lead', 'pop', { direction: 'up-down', rate: '16n' }, { progression: 'I' });
+  const upDownNotes = notes(upDown.events);
+  const turns = upDownNotes.every((note, index) => index === 0 || note !== upDownNotes[index - 1]);
+  suite.check(ascending(notes(down.events.slice(0, 4)).reverse()), `Down runs: ${names(down.events.slice(0, 4))}`);
+  suite.check(upDownNotes.slice(0, 5).join() === [...upDownNotes.slice(0, 3), upDownNotes[1], upDownNotes[0]].join(),
+    `Up-down runs: ${names(upDown.events.slice(0, 5))}`);
+  suite.check(turns, 'Up-down runs do not repeat their turning notes');
+
+  // Triplet rates land on triplet steps and tag their notes
+  const triplets = arpeggiate('keyboard', 'lo-fi', { rate: '8t' });
+  const tripletSteps = triplets.events.map(event => event.time * 3);
+  suite.check(triplets.events.length === 12, `Lo-fi keys in eighth triplets: ${triplets.events.length} notes in a bar`);
+  suite.check(tripletSteps.every(step => Math.abs(step - Math.round(step)) < 1e-9), 'Triplet notes land on triplet steps');
+  suite.check(triplets.events.every(event => event.subdivision === '8t'), 'Triplet notes are tagged 8t');
+
+  // As played follows the chord's spelling (root, third, fifth) whatever the voicing
+  const asPlayed = arpeggiate('keyboard', 'pop', { direction: 'as-played', rate: '16n' }, { progression: 'I', key: 'D', mode: 'major' });
+  const spelled = asPlayed.events.slice(0, 4).map(event => melodicGenerator.NOTES[event.note % 12]);
+  suite.check(spelled[0] === 'D', `As played in D starts on the root: ${spelled.join(' ')}`);
+  suite.check(spelled.indexOf('F#') < spelled.indexOf('A'), 'As played puts the third before the fifth');
+
+  // Latched runs keep their place across a chord change, unlatched ones restart
+  const run = latch => arpeggiate('synth_lead', 'pop', { direction: 'up', rate: '16n', octaves: 2, latch }, { progression: 'I-IV' });
+  const latched = run(true);
+  const unlatched = run(false);
+  const ivRoot = melodicGenerator.NOTES[unlatched.events[8].note % 12];
+  suite.check(ivRoot === 'F', `Unlatched IV restarts on ${ivRoot}`);
+  suite.check(latched.events[8].note !== unlatched.events[8].note, `Latched IV carries on at ${melodicGenerator.noteToString(latched.events[8].note)}`);
+
+  [{ direction: 'sideways' }, { rate: '4n' }, { octaves: 5 }, { gate: 0 }, { latch: 'yes' }].forEach(arp => {
+    let rejection = null;
+    try {
+      arpeggiate('keyboard', 'pop', arp);
+    } catch (error) {
+      rejection = error.message;
+    }
+    suite.check(rejection !== null, `Invalid setting ${JSON.stringify(arp)} is rejected (${rejection})`);
+  });
+
+  suite.finish('arpeggiator');
+}
+
+// Run the tests
+testArpeggiator();
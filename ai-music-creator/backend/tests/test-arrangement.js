@@ -0,0 +1,49 @@
+const { ArrangementGenerator } = require('../modules/arrangementGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🗂️  Arrangement Test Suite');
+
+function testArrangement() {
+  const timingEngine = new TimingEngine();
+
+  // The short form at 120 BPM: intro 2, verse 4, chorus 4 and outro 2 bars of 2 seconds each
+  const arrange = (arrangement, tempoMap = []) => {
+    const arrangementGenerator = new ArrangementGenerator();
+    const plan = arrangementGenerator.plan(arrangement, { keyword: 'pop', bpm: 120, quarterNotesPerBar: 4 });
+    const timingConfig = timingEngine.configure({ bpm: 120, timeSignature: '4/4', bars: plan.totalBars, keyword: 'pop', tempoMap });
+    return arrangementGenerator.generate({ keyword: 'pop', timingConfig, plan, seed: 42 });
+  };
+  const column = (sections, key) => sections.map(section => section[key]).join();
+
+  const pattern = arrange('short');
+  const { sections } = pattern.arrangement;
+  suite.check(column(sections, 'type') === 'intro,verse,chorus,outro', `Short form: ${sections.map(section => `${section.name} (${section.bars})`).join(' → ')}`);
+  suite.check(pattern.arrangement.totalBars === 12, `Short form: ${pattern.arrangement.totalBars} bars`);
+  suite.check(column(sections, 'startBar') === '1,3,7,11', `Sections start at bars ${column(sections, 'startBar')}`);
+  suite.check(column(sections, 'endBar') === '2,6,10,12', `Sections end at bars ${column(sections, 'endBar')}`);
+  suite.check(column(sections, 'startSeconds') === '0,4,12,20', `Sections start at ${column(sections, 'startSeconds')}s`);
+  suite.check(pattern.arrangement.totalSeconds === 24, `Song length: ${pattern.arrangement.totalSeconds}s`);
+
+  // Every event is tagged with the section its bar is in
+  const misplaced = pattern.events.filter(event => event.section !== undefined &&
+    !(event.bar + 1 >= sections[event.section].startBar && event.bar + 1 <= sections[event.section].endBar));
+  suite.check(misplaced.length === 0, `${pattern.events.length} events in their sections (${misplaced.length} misplaced)`);
+
+  // Start times follow the tempo map: 60 BPM from bar 7 makes each chorus and outro bar 4 seconds
+  const slowed = arrange('short', [{ bar: 7, bpm: 60 }]).arrangement;
+  suite.check(column(slowed.sections, 'startSeconds') === '0,4,12,28', `With a tempo drop at bar 7: sections start at ${column(slowed.sections, 'startSeconds')}s`);
+  suite.check(slowed.totalSeconds === 36, `With a tempo drop at bar 7: ${slowed.totalSeconds}s in all`);
+
+  // Fitting the form to a length keeps the sections back to back
+  const fitted = arrange({ form: 'short', bars: 16 }).arrangement;
+  const contiguous = fitted.sections.every((section, index) => index === 0 ? section.startBar === 1 : section.startBar === fitted.sections[index - 1].endBar + 1);
+  suite.check(fitted.totalBars === 16, `Fitted to ${fitted.totalBars} bars`);
+  suite.check(contiguous && fitted.sections[fitted.sections.length - 1].endBar === 16,
+    `Fitted sections run back to back to the end: ${fitted.sections.map(section => `${section.startBar}-${section.endBar}`).join(', ')}`);
+
+  suite.finish('arrangement');
+}
+
+// Run the tests
+testArrangement();
@@ -0,0 +1,69 @@
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎸 Bassline Test Suite');
+
+function testBassline() {
+  const melodicGenerator = new MelodicPatternGenerator();
+  const basslineGenerator = melodicGenerator.basslineGenerator;
+  const patternGenerator = new PatternGenerator();
+  const timingEngine = new TimingEngine();
+
+  const bassline = (genre, kick, options = {}) => melodicGenerator.generateMelodicPattern({ instrument: 'bass', genre, bpm: 100, bars: 2, seed: 5, kick, ...options });
+  const steps = events => events.map(event => Math.round(event.time * 4));
+
+  // The kick lane of a generated drum pattern
+  const timingConfig = timingEngine.configure({ bpm: 100, timeSignature: '4/4', bars: 2, keyword: 'funk' });
+  const drums = patternGenerator.generate({ keyword: 'funk', timingConfig, seed: 'bass' });
+  const lane = basslineGenerator.getKickLane(drums, timingConfig.totalSteps);
+  const laneOk = lane.length > 0 && lane.every(hit => drums.events.some(event =>
+    patternGenerator.drumKit.getGroup(event.note) === 'kick' && Math.round(event.position * timingConfig.totalSteps) === hit.step));
+  suite.check(laneOk, `Kick lane of a funk pattern: steps ${lane.map(hit => hit.step).join(' ')}`);
+
+  // Bass plays a bassline by default, every kick hit sounds a note at the kick's velocity
+  const kick = [{ step: 0, velocity: 1 }, { step: 6, velocity: 0.7 }, { step: 10, velocity: 0.9 }, { step: 16, velocity: 1 }, { step: 22, velocity: 0.7 }, { step: 26, velocity: 0.9 }];
+  const root = bassline('pop', kick);
+  const locked = kick.every(hit => root.events.some(event => Math.round(event.time * 4) === hit.step && event.velocity === Math.max(0.6, hit.velocity)));
+  suite.check(root.metadata.part === 'bassline', `Bass plays part "${root.metadata.part}" by default`);
+  suite.check(root.metadata.bassline.style === 'root', `Pop bass plays the "${root.metadata.bassline.style}" style`);
+  suite.check(locked, `Pop bass locks to the kick: ${root.metadata.bassline.notesOnKick}/${root.events.length} notes on kick hits`);
+
+  // Funk octave pops an eighth after the kick (one chord, so no approach notes)
+  const funk = bassline('funk', kick, { progression: 'I' });
+  const pops = funk.events.filter(event => !kick.some(hit => hit.step === Math.round(event.time * 4)));
+  suite.check(pops.length === kick.length, `Funk bass pops once after each kick, on steps ${steps(pops).join(' ')}`);
+  suite.check(pops.every(pop => pop.note === funk.events[0].note + 12), 'Funk pops sound an octave above the root');
+  suite.check(pops.every(pop => pop.velocity > 0.7), `Funk pops are accented (${pops.map(pop => pop.velocity.toFixed(2)).join(', ')})`);
+
+  // Walking bass: a note on every beat, approaching each chord by a half or scale step
+  const walking = bassline('jazz', null, { progression: 'ii7-V7-Imaj7-vi7' });
+  const quarters = steps(walking.events).join(' ') === Array.from({ length: 8 }, (_, beat) => beat * 4).join(' ');
+  const approaches = walking.events.filter((event, index) => index % 2 === 1 && index < 7)
+    .every((event, index) => Math.abs(walking.events[index * 2 + 2].note - event.note) <= 2);
+  suite.check(walking.metadata.bassline.style === 'walking', `Jazz bass plays the "${walking.metadata.bassline.style}" style`);
+  suite.check(quarters, `Jazz walks a note on every beat: ${walking.events.map(event => event.note).join(' ')}`);
+  suite.check(approaches, 'Walking lines approach each chord by a half or scale step');
+
+  // House bass fills the off-beats between four-on-the-floor kicks, in the bass register
+  const fourOnTheFloor = [0, 4, 8, 12, 16, 20, 24, 28];
+  const house = bassline('house', fourOnTheFloor, { progression: 'I-V-vi-IV' });
+  const offbeats = house.events.filter(event => Math.round(event.time * 4) % 8 !== 0).every(event => Math.round(event.time * 4) % 4 === 2);
+  const inRange = house.events.every(event => event.note >= 28 && event.note <= 52);
+  suite.check(offbeats, `House off-beat bass on steps ${steps(house.events).join(' ')}`);
+  suite.check(inRange, `House bass stays in the bass register (${Math.min(...house.events.map(event => event.note))}-${Math.max(...house.events.map(event => event.note))})`);
+
+  const errors = [];
+  try {
+    melodicGenerator.generateMelodicPattern({ instrument: 'flute', genre: 'pop', bpm: 100, bars: 1, part: 'bassline' });
+  } catch (error) {
+    errors.push(error.message);
+  }
+  suite.check(errors.length === 1, `Instruments without a low register cannot play basslines (${errors[0]})`);
+
+  suite.finish('bassline');
+}
+
+// Run the tests
+testBassline();
@@ -125,11 +125,16 @@ class BeatGeneratorTester {
       { bpm: 120, bars: 1, expectedDuration: 2.0 }, // 4/4 at 120 BPM = 2 seconds
       { bpm: 60, bars: 1, expectedDuration: 4.0 },  // 4/4 at 60 BPM = 4 seconds  
       { bpm: 200, bars: 2, expectedDuration: 2.4 }, // 4/4 at 200 BPM, 2 bars = 2.4 seconds
-      { bpm: 90, bars: 1, timeSignature: '3/4', expectedDuration: 2.0 } // 3/4 at 90 BPM = 2 seconds
+      { bpm: 90, bars: 1, timeSignature: '3/4', expectedDuration: 2.0 }, // 3/4 at 90 BPM = 2 seconds
+      { bpm: 120, bars: 1, timeSignature: '6/8', expectedDuration: 1.5 }, // 6/8 at 120 BPM = 1.5 seconds
+      { bpm: 120, bars: 2, timeSignature: '7/8', expectedDuration: 3.5 }, // 7/8 at 120 BPM = 1.75s per bar
+      { bpm: 120, bars: 2, tempoMap: [{ bar: 2, bpm: 60 }], expectedDuration: 6.0 }, // 2s bar at 120, then 4s bar at 60
+      { bpm: 120, bars: 2, tempoMap: [{ bar: 3, bpm: 60, ramp: 'linear' }], expectedDuration: 8 * Math.log(2) }, // Ritardando 120 → 60
+      { bpm: 120, bars: 12, arrangement: 'short', expectedDuration: 24.0 } // Short song form: 12 bars at 120 BPM
     ];
     
     for (const test of timingTests) {
-      const testName = `Timing ${test.bpm}BPM ${test.bars}bar ${test.timeSignature || '4/4'}`;
+      const testName = `Timing ${test.bpm}BPM ${test.bars}bar ${test.timeSignature || '4/4'}${test.tempoMap ? ' tempo map' : ''}${test.arrangement ? ' arrangement' : ''}`;
       console.log(`🎯 ${testName}`);
       
       try {
@@ -140,10 +145,16 @@ class BeatGeneratorTester {
           keyword: 'default'
         };
         
-        // Only set timeSignature if it's defined in the test
+        // Only set timeSignature, tempoMap and arrangement if they're defined in the test
         if (test.timeSignature) {
           options.timeSignature = test.timeSignature;
         }
+        if (test.tempoMap) {
+          options.tempoMap = test.tempoMap;
+        }
+        if (test.arrangement) {
+          options.arrangement = test.arrangement;
+        }
         
         const outputPath = await generateBeat(options);
         const actualDuration = await this.measureWavDuration(outputPath);
@@ -181,7 +192,7 @@ class BeatGeneratorTester {
   async testStyleImplementation() {
     console.log('🎨 Testing Style Implementation...\n');
     
-    const styles = ['jazz', 'funk', 'house', 'lo-fi', 'pop', 'upbeat'];
+    const styles = ['jazz', 'funk', 'house', 'lo-fi', 'pop', 'upbeat', 'bossa', 'trap'];
     
     for (const style of styles) {
       console.log(`🎵 Testing ${style} style...`);
@@ -254,6 +265,38 @@ class BeatGeneratorTester {
       {
         name: "3/4 time signature",
         options: { songName: "ThreeFourTest", timeSignature: "3/4", keyword: "jazz" }
+      },
+      {
+        name: "5/4 time signature",
+        options: { songName: "FiveFourTest", timeSignature: "5/4", keyword: "jazz" }
+      },
+      {
+        name: "6/8 compound time",
+        options: { songName: "SixEightTest", timeSignature: "6/8", keyword: "rock" }
+      },
+      {
+        name: "7/8 with 3+2+2 grouping",
+        options: { songName: "SevenEightTest", timeSignature: "7/8", beatGrouping: "3+2+2", keyword: "trap" }
+      },
+      {
+        name: "Quintuplet fills",
+        options: { songName: "QuintupletFillTest", bars: 4, subdivision: "16q", keyword: "funk" }
+      },
+      {
+        name: "MPC swing on melodic notes",
+        options: { songName: "SwingMelodyTest", instrument: "mallet", swing: 62, swingResolution: "8n", keyword: "pop" }
+      },
+      {
+        name: "Song arrangement fitted to 60 seconds",
+        options: { songName: "ArrangementTest", arrangement: { form: "pop", seconds: 60 }, bpm: 120, keyword: "pop", seed: 42 }
+      },
+      {
+        name: "Euclidean mode with custom lanes",
+        options: { songName: "EuclideanTest", mode: "euclidean", euclidean: { kick: { hits: 5, steps: 16 }, clave: { note: "tom", hits: 3, steps: 8, accents: "X.." } }, bars: 2, keyword: "funk" }
+      },
+      {
+        name: "Energy curve and complexity",
+        options: { songName: "EnergyCurveTest", energy: [0.2, 0.5, 0.8, 1], complexity: 0.9, bars: 4, keyword: "funk", seed: 42 }
       }
     ];
     
@@ -313,7 +356,32 @@ class BeatGeneratorTester {
       },
       {
         name: "Invalid time signature",
-        options: { songName: "InvalidTime", timeSignature: "5/4" },
+        options: { songName: "InvalidTime", timeSignature: "5/3" },
+        shouldPass: false
+      },
+      {
+        name: "Invalid subdivision",
+        options: { songName: "InvalidSubdivision", subdivision: "7n" },
+        shouldPass: false
+      },
+      {
+        name: "Invalid swing amount",
+        options: { songName: "InvalidSwing", swing: 80 },
+        shouldPass: false
+      },
+      {
+        name: "Invalid arrangement form",
+        options: { songName: "InvalidArrangement", arrangement: "symphony" },
+        shouldPass: false
+      },
+      {
+        name: "Invalid euclidean lane",
+        options: { songName: "InvalidLane", mode: "euclidean", euclidean: { kick: { hits: 9, steps: 8 } } },
+        shouldPass: false
+      },
+      {
+        name: "Invalid energy curve",
+        options: { songName: "InvalidEnergy", energy: [0.5, 1.5] },
         shouldPass: false
       },
       {
@@ -0,0 +1,103 @@
+const { WaveFile } = require('wavefile');
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { WavExporter } = require('../modules/wavExporter');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎸 Comping Test Suite');
+
+// A short decaying tone as a sample buffer
+function buildTone(frequency) {
+  const sampleRate = 44100;
+  const samples = new Float32Array(4410);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate) * Math.exp(-i / 2000);
+  }
+
+  const wav = new WaveFile();
+  wav.fromScratch(1, sampleRate, '32f', samples);
+  return { audioData: { buffer: Buffer.from(wav.toBuffer()) } };
+}
+
+async function testComping() {
+  const melodicGenerator = new MelodicPatternGenerator();
+  const timingEngine = new TimingEngine();
+  const exporter = new WavExporter();
+
+  const comp = (instrument, genre, bars = 1, seed = 7) => melodicGenerator.generateMelodicPattern({ instrument, genre, bpm: 110, bars, seed, part: 'comp' });
+  const groupHits = events => Object.values(events.reduce((hits, event) => {
+    (hits[event.chordHit] = hits[event.chordHit] || []).push(event);
+    return hits;
+  }, {}));
+
+  // Chords sound together: every hit starts its notes at the same time
+  const organ = comp('organ', 'house');
+  const organHits = groupHits(organ.events);
+  const together = organHits.every(hit => hit.length >= 3 && hit.every(event => event.time === hit[0].time && event.duration === hit[0].duration));
+  const housePatterns = melodicGenerator.compingEngine.PATTERNS.house.map(pattern => pattern.name);
+  suite.check(together, `House organ plays ${organHits.length} chords with their notes together`);
+  suite.check(housePatterns.includes(organ.metadata.comping.pattern), `House organ comps with the house pattern "${organ.metadata.comping.pattern}"`);
+
+  // Pads hold each chord until the next chord change
+  const pads = comp('string', 'pop', 4, 1);
+  const padHits = groupHits(pads.events);
+  const held = padHits.every(hit => hit[0].duration === 4);
+  suite.check(pads.metadata.comping.type === 'pad', `Pop strings comp as a pad (${pads.metadata.comping.pattern})`);
+  suite.check(padHits.length === 4, `Pads play ${padHits.length} chords over 4 bars`);
+  suite.check(held, `Pads hold each chord to the next: ${padHits.map(hit => hit[0].duration).join(' + ')} beats`);
+
+  // Guitar strums: down strokes low to high, up strokes high to low on the top strings
+  const strums = groupHits(comp('guitar', 'funk').events);
+  const strokes = strums.map(hit => (hit[0].stroke === 'down' ? '↓' : '↑')).join('');
+  const ordered = strums.every(hit => {
+    const notes = hit.map(event => event.note);
+    return hit[0].stroke === 'down' ?
+      notes.every((note, index) => index === 0 || note > notes[index - 1]) :
+      hit.length <= 3 && notes.every((note, index) => index === 0 || note < notes[index - 1]);
+  });
+  const delayed = strums.every(hit => hit.every((event, index) => index === 0 ? event.onsetDelayMs === 0 : event.onsetDelayMs > hit[index - 1].onsetDelayMs));
+  const tapered = strums.every(hit => hit.every((event, index) => index === 0 || event.velocity < hit[index - 1].velocity));
+  suite.check(strokes.includes('↓') && strokes.includes('↑'), `Funk guitar strums down and up: ${strokes}`);
+  suite.check(ordered, 'Down strokes run low to high, up strokes high to low on the top strings');
+  suite.check(delayed, 'Each string starts after the one before');
+  suite.check(tapered, 'Strings get softer through the stroke');
+
+  // Humanization moves a chord's notes together
+  const timingConfig = timingEngine.configure({ bpm: 110, timeSignature: '4/4', bars: 1, keyword: 'house' });
+  const pattern = {
+    events: organ.events.map(event => ({ ...event, position: event.time / 4, isMelodicNote: true }))
+  };
+  timingEngine.humanizePattern(pattern, timingConfig, { seed: 3 });
+  const humanizedTogether = groupHits(pattern.events).every(hit => hit.every(event => event.timingOffset === hit[0].timingOffset));
+  suite.check(humanizedTogether, 'Humanized chords keep their notes together');
+
+  // Simultaneous notes mix to the sum of their parts (at a chord's level), strums start late
+  const straightConfig = timingEngine.configure({ bpm: 120, timeSignature: '4/4', bars: 1, keyword: 'default', swing: 50 });
+  const instrumentData = { noteMapping: { 60: buildTone(261.63), 64: buildTone(329.63) } };
+  const render = events => exporter.createAudioBuffer({ events }, straightConfig, instrumentData);
+  const lowNote = await render([{ note: 60, position: 0, velocity: 0.8 }]);
+  const highNote = await render([{ note: 64, position: 0, velocity: 0.8 }]);
+  const chord = await render([{ note: 60, position: 0, velocity: 0.8, chordHit: 0 }, { note: 64, position: 0, velocity: 0.8, chordHit: 0 }]);
+  const strum = await render([{ note: 64, position: 0, velocity: 0.8, onsetDelayMs: 10 }]);
+
+  const mixError = chord.reduce((max, value, i) => Math.max(max, Math.abs(value - (lowNote[i] + highNote[i]) / Math.SQRT2)), 0);
+  const strumStart = strum.findIndex(value => value !== 0) - highNote.findIndex(value => value !== 0);
+  suite.check(mixError < 1e-6, `Chord notes mix at a chord's level (error ${mixError.toExponential(1)})`);
+  suite.check(strumStart === 441, `A 10ms strum delay starts ${strumStart} samples late`);
+
+  const errors = [];
+  try {
+    comp('flute', 'pop');
+  } catch (error) {
+    errors.push(error.message);
+  }
+  suite.check(errors.length === 1, `Single-note instruments cannot comp (${errors[0]})`);
+
+  suite.finish('comping');
+}
+
+// Run the tests
+testComping().catch(error => {
+  console.error('❌ Comping tests failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,32 @@
+const { DrumKit } = require('../modules/drumKit');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🥁 Drum Kit Test Suite');
+
+function testDrumKit() {
+  const drumKit = new DrumKit();
+
+  const sideStick = drumKit.getFallbackChain('side-stick').join(' → ');
+  suite.check(sideStick === 'side-stick → rimshot → snare', `Side stick falls back: ${sideStick}`);
+
+  const tambourine = drumKit.getFallbackChain('tambourine').join(' → ');
+  suite.check(tambourine === 'tambourine → hihat-open → hihat', `Tambourine falls back: ${tambourine}`);
+
+  const kick = drumKit.getFallbackChain('kick').join(' → ');
+  suite.check(kick === 'kick', `Kick has no fallback (${kick})`);
+  suite.check(drumKit.getFallbackChain('gong').length === 0, 'Unknown voices have an empty chain');
+
+  // Every tom note belongs to the generic 'tom' too, but maps to its own tom
+  const toms = [41, 43, 45, 47, 48, 50].map(note => `${note}: ${drumKit.getVoiceForNote(note)}`).join(', ');
+  suite.check(toms === '41: tom-low, 43: tom-low, 45: tom-mid, 47: tom-mid, 48: tom-high, 50: tom-high', `Tom notes map to the most specific tom (${toms})`);
+
+  const others = [37, 40, 44, 82].map(note => drumKit.getVoiceForNote(note)).join(', ');
+  suite.check(others === 'side-stick, rimshot, hihat-pedal, shaker', `GM notes 37, 40, 44 and 82: ${others}`);
+
+  suite.check(drumKit.getVoiceForNote(99) === null, 'Notes outside the kit map to no voice');
+
+  suite.finish('drum kit');
+}
+
+// Run the tests
+testDrumKit();
@@ -0,0 +1,52 @@
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { BeatGenerator } = require('../core/beatGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🥁 Drum Tuplet Test Suite');
+
+function testDrumTuplets() {
+  const log = console.log;
+  const warn = console.warn;
+  console.log = console.warn = () => {};
+  const timingEngine = new TimingEngine();
+  const beatGenerator = new BeatGenerator();
+  const generate = options => {
+    const timingConfig = timingEngine.configure({ bpm: 140, timeSignature: '4/4', bars: 1, keyword: 'trap' });
+    const pattern = new PatternGenerator().generate({ keyword: 'trap', timingConfig, seed: 808, ...options });
+    return { pattern, timingConfig };
+  };
+
+  const { pattern, timingConfig } = generate({ energy: 1 });
+  const sparse = generate({ energy: 0 });
+  const grid = beatGenerator.buildPatternGrid(pattern, timingConfig);
+  console.log = log;
+  console.warn = warn;
+
+  const stepsOf = events => events.map(event => +(event.position * timingConfig.totalSteps).toFixed(2));
+  const runOf = (events, subdivision) => events.filter(event => event.note === 'hihat' && event.subdivision === subdivision);
+
+  // Trap hi-hats play six 16th triplets across beat 3, marked as 3:2 tuplets
+  const triplets = runOf(pattern.events, '16t');
+  suite.check(triplets.length === 6 && triplets.every(event => event.tuplet.ratio === '3:2' && event.tuplet.count === 6) &&
+    stepsOf(triplets).every((step, index) => Math.abs(step - (8 + index * 2 / 3)) < 0.01),
+    `16th triplet hi-hats at steps ${stepsOf(triplets).join(', ')}`);
+
+  // A 32nd roll leads into the next bar
+  const roll = runOf(pattern.events, '32n');
+  suite.check(roll.length === 4 && stepsOf(roll).join() === '14,14.5,15,15.5',
+    `32nd hi-hat roll at steps ${stepsOf(roll).join(', ')}`);
+
+  // The triplets sit on a beat, so they stay at any energy; the off-beat roll goes with the optional hits
+  suite.check(runOf(sparse.pattern.events, '16t').length === 6 && runOf(sparse.pattern.events, '32n').length === 0,
+    `At energy 0: ${runOf(sparse.pattern.events, '16t').length} triplet hats, ${runOf(sparse.pattern.events, '32n').length} roll hits`);
+
+  // The grid prints each tuplet group under its bar
+  const tupletLines = grid.bars[0].tuplets.map(tuplet => tuplet.display);
+  suite.check(tupletLines.length === 2, `Grid tuplet lines: ${tupletLines.join(' | ')}`);
+
+  suite.finish('drum tuplet');
+}
+
+// Run the tests
+testDrumTuplets();
@@ -0,0 +1,41 @@
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('⚡ Energy and Complexity Test Suite');
+
+function testEnergyComplexity() {
+  const timingConfig = new TimingEngine().configure({ bpm: 100, timeSignature: '4/4', bars: 4, keyword: 'funk' });
+
+  // Four bars of funk from the same seed, so only the control differs
+  const generate = dynamics => new PatternGenerator().generate({ keyword: 'funk', timingConfig, seed: 42, ...dynamics }).events;
+  const stepOf = event => Math.round(event.position * timingConfig.totalSteps);
+  const hits = events => events.filter(event => !event.ghost && !event.fill);
+  const ghosts = events => events.filter(event => event.ghost);
+
+  const byEnergy = [0, 0.5, 1].map(energy => generate({ energy }));
+  const hitCounts = byEnergy.map(events => hits(events).length);
+  suite.check(hitCounts[0] < hitCounts[1] && hitCounts[1] < hitCounts[2], `Energy 0 / 0.5 / 1: ${hitCounts.join(' / ')} hits`);
+
+  const offBeat = hits(byEnergy[0]).filter(event => stepOf(event) % 4 !== 0);
+  suite.check(offBeat.length === 0, `Energy 0 keeps only the beats (${offBeat.length} off-beat hits)`);
+
+  // An energy curve builds bar by bar
+  const curve = hits(generate({ energy: [0, 1] }));
+  const perBar = [0, 1, 2, 3].map(bar => curve.filter(event => event.bar === bar).length);
+  suite.check(perBar.every((count, bar) => bar === 0 || count >= perBar[bar - 1]) && perBar[3] > perBar[0],
+    `Energy curve [0, 1]: ${perBar.join(', ')} hits per bar`);
+
+  const byComplexity = [0, 0.5, 1].map(complexity => generate({ complexity }));
+  const ghostCounts = byComplexity.map(events => ghosts(events).length);
+  suite.check(ghostCounts[0] < ghostCounts[1] && ghostCounts[1] < ghostCounts[2], `Complexity 0 / 0.5 / 1: ${ghostCounts.join(' / ')} ghost notes`);
+
+  // High complexity adds 16th hi-hats between the 8ths
+  const hiHatSixteenths = byComplexity.map(events => events.filter(event => event.note.startsWith('hihat') && stepOf(event) % 2 === 1).length);
+  suite.check(hiHatSixteenths[2] > hiHatSixteenths[1], `16th hi-hats at complexity 0.5 / 1: ${hiHatSixteenths[1]} / ${hiHatSixteenths[2]}`);
+
+  suite.finish('energy and complexity');
+}
+
+// Run the tests
+testEnergyComplexity();
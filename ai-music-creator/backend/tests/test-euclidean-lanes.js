@@ -0,0 +1,55 @@
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🔁 Euclidean Lane Test Suite');
+
+function testEuclideanLanes() {
+  const patternGenerator = new PatternGenerator();
+  const timingConfig = new TimingEngine().configure({ bpm: 120, timeSignature: '4/4', bars: 1, keyword: 'euclidean' });
+  const show = rhythm => rhythm.map(onset => (onset ? 'x' : '.')).join('');
+
+  // One bar with only the given cowbell lane (the preset lanes removed)
+  const lane = cowbell => new PatternGenerator().generate({
+    keyword: 'euclidean',
+    mode: 'euclidean',
+    timingConfig,
+    seed: 7,
+    euclidean: { kick: null, snare: null, hihat: null, tom: null, cowbell }
+  }).events;
+  const stepsOf = events => events.map(event => event.step - 1).join();
+
+  const tresillo = show(patternGenerator.euclideanRhythm(3, 8));
+  suite.check(tresillo === 'x..x..x.', `E(3,8) = ${tresillo}`);
+
+  // The cinquillo x.xx.xx., started from its third hit
+  const cinquillo = show(patternGenerator.euclideanRhythm(5, 8));
+  suite.check(cinquillo === 'x.x.xx.x', `E(5,8) = ${cinquillo}`);
+
+  const rotated = show(patternGenerator.euclideanRhythm(3, 8, 1));
+  suite.check(rotated === '.x..x..x', `E(3,8) rotated by 1 = ${rotated}`);
+
+  // Rotation moves every hit of a lane one step later
+  const unshifted = lane({ hits: 3, steps: 8 });
+  const shifted = lane({ hits: 3, steps: 8, rotation: 1 });
+  suite.check(stepsOf(unshifted) === '0,3,6,8,11,14', `E(3,8) lane hits steps ${stepsOf(unshifted)}`);
+  suite.check(stepsOf(shifted) === '1,4,7,9,12,15', `Rotated lane hits steps ${stepsOf(shifted)}`);
+
+  const silent = lane({ probability: 0 });
+  suite.check(silent.length === 0, `probability: 0 lane plays ${silent.length} hits`);
+
+  const full = lane({ probability: 1 });
+  suite.check(full.length === 16, `probability: 1 lane plays ${full.length} hits`);
+
+  // An accent mask lifts the marked steps above the others (+0.25 over velocity variation of ±0.05)
+  const accented = lane({ probability: 1, velocity: 0.6, accents: 'X...' });
+  const onBeats = accented.filter(event => (event.step - 1) % 4 === 0).map(event => event.velocity);
+  const offBeats = accented.filter(event => (event.step - 1) % 4 !== 0).map(event => event.velocity);
+  suite.check(Math.min(...onBeats) > Math.max(...offBeats),
+    `Accented steps at ${Math.min(...onBeats).toFixed(2)}+, the rest at most ${Math.max(...offBeats).toFixed(2)}`);
+
+  suite.finish('euclidean lane');
+}
+
+// Run the tests
+testEuclideanLanes();
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GenerationQueue } = require('../core/generationQueue');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('📥 Generation Queue Test Suite');
+
+// Stand-in for generationWorker.js: each job's `outcome` parameter says how its render ends
+const workerSource = `
+const { parentPort, workerData } = require('worker_threads');
+const { outcome } = workerData.params;
+
+if (outcome === 'complete') {
+  parentPort.postMessage({ type: 'result', outputPath: '/generated/' + workerData.params.songName + '.wav' });
+} else if (outcome === 'transient' || outcome === 'fail') {
+  parentPort.postMessage({ type: 'error', error: outcome + ' failure', aborted: false, transient: outcome === 'transient' });
+} else if (outcome === 'crash') {
+  throw Object.assign(new Error('too many open files'), { code: process.env.CRASH_CODE || 'EMFILE' });
+} else if (outcome === 'exit') {
+  process.exit(1);
+} else if (outcome === 'hang') {
+  parentPort.on('message', message => {
+    if (message.type === 'cancel') {
+      parentPort.postMessage({ type: 'error', error: 'aborted', aborted: true, transient: false });
+    }
+  });
+}
+`;
+
+async function testGenerationQueue() {
+  const log = console.log;
+  const warn = console.warn;
+  const error = console.error;
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'generation-queue-'));
+  const storePath = path.join(directory, 'jobs.json');
+  const workerScript = path.join(directory, 'worker.js');
+  fs.writeFileSync(workerScript, workerSource);
+
+  const createQueue = () => {
+    const queue = new GenerationQueue({ outputPath: directory, storePath, maxRetries: 2, retryDelayMs: 10, cancelGraceMs: 500 });
+    queue.workerScript = workerScript;
+    return queue;
+  };
+  const settled = (queue, id) => new Promise(resolve => {
+    const onStatus = job => {
+      if (job.id === id && GenerationQueue.isTerminal(job)) {
+        queue.off('status', onStatus);
+        resolve(job);
+      }
+    };
+    queue.on('status', onStatus);
+  });
+  const started = (queue, id) => new Promise(resolve => {
+    const onStatus = job => {
+      if (job.id === id && job.status === 'running') {
+        queue.off('status', onStatus);
+        resolve(job);
+      }
+    };
+    queue.on('status', onStatus);
+  });
+
+  console.log = console.warn = console.error = () => {};
+
+  // A job that was running when the server stopped is resumed, one left cancelling is cancelled
+  const interrupted = (id, status) => ({
+    id, type: 'beat', params: { songName: id, outcome: 'complete' }, status, attempts: 1, result: null, error: null,
+    createdAt: new Date().toISOString(), startedAt: new Date().toISOString(), completedAt: null
+  });
+  fs.writeFileSync(storePath, JSON.stringify({ jobs: [interrupted('interrupted', 'running'), interrupted('stopping', 'cancelling')] }));
+  const restarted = createQueue();
+  const resumed = await settled(restarted, 'interrupted');
+  const stopping = restarted.getJob('stopping');
+
+  // Queued jobs are dropped before they start, running jobs are aborted
+  const queue = createQueue();
+  const running = queue.enqueueBeat({ songName: 'running', outcome: 'hang' });
+  const queued = queue.enqueueBeat({ songName: 'queued', outcome: 'complete' });
+  await started(queue, running.id);
+  const cancelledQueued = queue.cancel(queued.id);
+  const runningCancelled = settled(queue, running.id);
+  const cancelling = queue.cancel(running.id);
+  const cancelledRunning = await runningCancelled;
+
+  // Only transient failures are retried: reported as transient, or a worker crash with a transient code
+  const outcomes = {};
+  for (const outcome of ['transient', 'fail', 'crash', 'exit']) {
+    const job = queue.enqueueBeat({ songName: outcome, outcome });
+    outcomes[outcome] = await settled(queue, job.id);
+  }
+  process.env.CRASH_CODE = 'ERR_INVALID_ARG_TYPE';
+  const permanentCrash = queue.enqueueBeat({ songName: 'permanent', outcome: 'crash' });
+  outcomes.permanentCrash = await settled(queue, permanentCrash.id);
+  delete process.env.CRASH_CODE;
+
+  console.log = log;
+  console.warn = warn;
+  console.error = error;
+
+  suite.check(resumed.status === 'completed' && resumed.attempts === 2 && resumed.result.filename === 'interrupted.wav' && stopping.status === 'cancelled',
+    `Interrupted running job resumed and ${resumed.status} on attempt ${resumed.attempts}, cancelling job ${stopping.status}`);
+
+  suite.check(cancelledQueued.status === 'cancelled' && cancelledQueued.attempts === 0 && queue.getJob(queued.id).startedAt === null,
+    `Queued job ${cancelledQueued.status} without starting`);
+
+  suite.check(cancelling.status === 'cancelling' && cancelledRunning.status === 'cancelled',
+    `Running job ${cancelling.status}, then ${cancelledRunning.status}`);
+
+  const summary = names => names.map(name => `${name} ${outcomes[name].status} after ${outcomes[name].attempts}`).join(', ');
+  suite.check(outcomes.transient.status === 'failed' && outcomes.transient.attempts === 3 && outcomes.crash.attempts === 3,
+    `Transient failures are retried up to the limit (${summary(['transient', 'crash'])})`);
+
+  suite.check(['fail', 'exit', 'permanentCrash'].every(outcome => outcomes[outcome].status === 'failed' && outcomes[outcome].attempts === 1),
+    `Other failures are not retried (${summary(['fail', 'exit', 'permanentCrash'])})`);
+
+  const stored = JSON.parse(fs.readFileSync(storePath, 'utf8')).jobs;
+  suite.check(stored.length === queue.jobs.size && stored.every(job => GenerationQueue.isTerminal(job)),
+    `All ${stored.length} jobs persisted in their final state`);
+
+  fs.rmSync(directory, { recursive: true, force: true });
+
+  suite.finish('generation queue');
+}
+
+// Run the tests
+testGenerationQueue();
@@ -0,0 +1,129 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { WaveFile } = require('wavefile');
+const { GrooveEngine } = require('../modules/grooveEngine');
+const { TimingEngine } = require('../modules/timingEngine');
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎚️  Groove Engine Test Suite');
+
+// Known feel: every odd 16th 0.25 steps late and softer
+const expectedOffset = 0.25;
+const expectedVelocity = [1.0, 0.5];
+
+/**
+ * Build a one-track MIDI file with one bar of swung 16th hi-hats on channel 10
+ */
+function buildMidiLoop(ticksPerQuarter = 480) {
+  const ticksPerStep = ticksPerQuarter / 4;
+  const events = [];
+  let lastTick = 0;
+  
+  const writeVarLen = value => {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+      bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+  };
+  
+  for (let step = 0; step < 16; step++) {
+    const offbeat = step % 2 === 1;
+    const tick = Math.round((step + (offbeat ? expectedOffset : 0)) * ticksPerStep);
+    const velocity = offbeat ? 50 : 100;
+    
+    events.push(...writeVarLen(tick - lastTick), 0x99, 42, velocity);
+    events.push(...writeVarLen(20), 0x89, 42, 0);
+    lastTick = tick + 20;
+  }
+  events.push(0x00, 0xff, 0x2f, 0x00); // End of track
+  
+  const header = Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, ticksPerQuarter >> 8, ticksPerQuarter & 0xff]);
+  const trackHeader = Buffer.from([0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 0]);
+  trackHeader.writeUInt32BE(events.length, 4);
+  
+  return Buffer.concat([header, trackHeader, Buffer.from(events)]);
+}
+
+/**
+ * Render the same feel as clicks into a two-bar WAV loop
+ */
+function buildAudioLoop(bpm = 100, sampleRate = 44100) {
+  const stepSeconds = 15 / bpm;
+  const samples = new Float32Array(Math.round(32 * stepSeconds * sampleRate));
+  
+  for (let step = 0; step < 32; step++) {
+    const offbeat = step % 2 === 1;
+    const start = Math.round((step + (offbeat ? expectedOffset : 0)) * stepSeconds * sampleRate);
+    const level = offbeat ? 0.4 : 0.8;
+    
+    for (let i = 0; i < 800 && start + i < samples.length; i++) {
+      samples[start + i] = level * Math.exp(-i / 150) * (i % 2 === 0 ? 1 : -1);
+    }
+  }
+  
+  const wav = new WaveFile();
+  wav.fromScratch(1, sampleRate, '32f', samples);
+  return Buffer.from(wav.toBuffer());
+}
+
+function checkTemplate(label, groove) {
+  const offbeatTiming = groove.timing.filter((_, step) => step % 2 === 1);
+  const onbeatTiming = groove.timing.filter((_, step) => step % 2 === 0);
+  const velocityRatio = groove.velocity[1] / groove.velocity[0];
+  
+  const timingOk = offbeatTiming.every(offset => Math.abs(offset - expectedOffset) < 0.05) &&
+    onbeatTiming.every(offset => Math.abs(offset) < 0.05);
+  const velocityOk = Math.abs(velocityRatio - expectedVelocity[1] / expectedVelocity[0]) < 0.1;
+  
+  suite.check(timingOk && velocityOk, `${label}: off-beat offset ${offbeatTiming[0]}, velocity ratio ${velocityRatio.toFixed(2)}${groove.bpm ? `, ${groove.bpm} BPM` : ''}`);
+}
+
+async function testGrooveEngine() {
+  const groovePath = fs.mkdtempSync(path.join(os.tmpdir(), 'grooves-'));
+  const engine = new GrooveEngine({ groovePath });
+  
+  console.log('🎹 Extracting from MIDI...');
+  const midiGroove = engine.extractFromMidi(buildMidiLoop(), { name: 'midi-swing' });
+  checkTemplate('MIDI groove', midiGroove);
+  
+  console.log('\n🥁 Extracting from audio loop...');
+  const audioGroove = engine.extractFromAudio(buildAudioLoop(100), { name: 'audio-swing', bpm: 100 });
+  checkTemplate('Audio groove (known BPM)', audioGroove);
+  
+  const estimatedGroove = engine.extractFromAudio(buildAudioLoop(100), { name: 'audio-estimated' });
+  checkTemplate('Audio groove (estimated BPM)', estimatedGroove);
+  
+  console.log('\n💾 Saving and loading...');
+  engine.saveGroove(midiGroove);
+  const loaded = engine.loadGroove('midi-swing');
+  const listed = engine.listGrooves().map(groove => groove.name);
+  suite.check(loaded.timing.join() === midiGroove.timing.join() && listed.includes('midi-swing'), `Saved grooves: ${listed.join(', ')}`);
+  
+  console.log('\n🎛️  Applying at 50% strength...');
+  const log = console.log;
+  console.log = () => {};
+  const timingConfig = new TimingEngine().configure({ bpm: 120, timeSignature: '4/4', bars: 1, keyword: 'upbeat' });
+  const pattern = new PatternGenerator().generate({ keyword: 'upbeat', timingConfig, seed: 7 });
+  console.log = log;
+  
+  const hihat = pattern.events.find(event => event.note === 'hihat' && event.step === 2);
+  const before = { position: hihat.position, velocity: hihat.velocity };
+  engine.applyGroove(pattern, timingConfig, loaded, 0.5);
+  const shiftSteps = (hihat.position - before.position) * timingConfig.totalSteps;
+  const applied = Math.abs(shiftSteps - expectedOffset * 0.5) < 0.02 && hihat.velocity < before.velocity;
+  suite.check(applied, `Step 2 hi-hat moved ${shiftSteps.toFixed(3)} steps, velocity ${before.velocity.toFixed(2)} → ${hihat.velocity.toFixed(2)}`);
+  
+  engine.deleteGroove('midi-swing');
+  fs.rmSync(groovePath, { recursive: true, force: true });
+  
+  suite.finish('groove');
+}
+
+// Run the tests
+testGrooveEngine().catch(error => {
+  console.error('❌ Groove tests failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BeatGenerator } = require('../core/beatGenerator');
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🤲 Humanization Test Suite');
+
+async function testHumanization() {
+  const log = console.log;
+  const warn = console.warn;
+  const error = console.error;
+  const outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'humanization-'));
+  const timingEngine = new TimingEngine();
+
+  // The "## Humanization" section of a render's metadata file, or null if it has none
+  const render = async options => {
+    const wavPath = await new BeatGenerator().generateBeat({ keyword: 'funk', bars: 2, outputPath, ...options });
+    const metadata = fs.readFileSync(wavPath.replace('.wav', '.md'), 'utf8');
+    const section = metadata.match(/## Humanization\n([\s\S]*?)\n\n/);
+    return section ? section[1] : null;
+  };
+
+  // A seeded pattern as the render pipeline builds and humanizes it
+  const humanize = (seed, amount, keyword = 'funk') => {
+    const timingConfig = timingEngine.configure({ bpm: 110, timeSignature: '4/4', bars: 4, keyword });
+    const pattern = new PatternGenerator().generate({ keyword, timingConfig, seed });
+    const quantized = pattern.events.map(event => ({ ...event }));
+    timingEngine.humanizePattern(pattern, timingConfig, { seed, amount });
+    return { quantized, events: pattern.events };
+  };
+
+  console.log = console.warn = console.error = () => {};
+  const first = await render({ songName: 'Seeded_1', seed: 42 });
+  const second = await render({ songName: 'Seeded_2', seed: 42 });
+  const quantizedRender = await render({ songName: 'Quantized', seed: 42, humanize: 0 });
+  const seededEvents = [humanize(42, 1), humanize(42, 1)].map(({ events }) => JSON.stringify(events));
+  const still = humanize(42, 0);
+
+  // Timing spread per voice over several seeded patterns (tempo drift moves every voice alike)
+  const offsets = { kick: [], hihat: [] };
+  [1, 2, 3, 4, 5].forEach(seed => {
+    humanize(seed, 1, 'pop').events.forEach(event => {
+      if (offsets[event.note]) offsets[event.note].push(event.timingOffset);
+    });
+  });
+  console.log = log;
+  console.warn = warn;
+  console.error = error;
+
+  // A seeded render humanizes identically every time
+  suite.check(first !== null && first === second && seededEvents[0] === seededEvents[1],
+    `Seeded renders match: ${first ? first.split('\n').find(line => line.startsWith('- Timing')) : 'no humanization'}`);
+
+  // humanize: 0 leaves the grid alone
+  const onGrid = still.events.every((event, index) => event.timingOffset === 0 && event.velocity === still.quantized[index].velocity);
+  suite.check(quantizedRender === null && onGrid, `humanize: 0 renders quantized (${still.events.length} events on the grid)`);
+
+  // Hi-hats drift further from the grid than the kick
+  const spread = values => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  };
+  const kickSpread = spread(offsets.kick);
+  const hihatSpread = spread(offsets.hihat);
+  suite.check(hihatSpread > kickSpread,
+    `Timing spread: hi-hat ${hihatSpread.toFixed(3)} steps, kick ${kickSpread.toFixed(3)} steps`);
+
+  fs.rmSync(outputPath, { recursive: true, force: true });
+
+  suite.finish('humanization');
+}
+
+// Run the tests
+testHumanization().catch(error => {
+  console.error('❌ Humanization tests failed:', error);
+  process.exitCode = 1;
+});
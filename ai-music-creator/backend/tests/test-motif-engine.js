@@ -0,0 +1,93 @@
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎶 Motif Engine Test Suite');
+
+function testMotifEngine() {
+  const melodicGenerator = new MelodicPatternGenerator();
+
+  const melody = (instrument, genre, bars, seed, options = {}) => melodicGenerator.generateMelodicPattern({ instrument, genre, bpm: 110, bars, seed, key: 'C', mode: 'ionian', ...options });
+
+  // Scale steps between two notes of C major
+  const scalePitches = melodicGenerator.generateScale('C', 'ionian');
+  const scaleIndex = note => Math.floor(note / 12) * 7 + scalePitches.indexOf(note % 12);
+
+  // Notes of each unit (a bar) and their contour in scale steps from the unit's first note
+  const units = (result, unitSteps = 16) => {
+    const grouped = [];
+    result.events.forEach(event => {
+      const unit = Math.floor(event.time * 4 / unitSteps + 1e-9);
+      (grouped[unit] = grouped[unit] || []).push(event);
+    });
+    return grouped.map(events => ({ events, contour: events.map(event => scaleIndex(event.note) - scaleIndex(events[0].note)) }));
+  };
+
+  // Units follow their technique: the same shape, its inversion or its augmentation (cadence notes aside)
+  const expected = (motif, technique) => {
+    if (technique === 'inversion' || technique === 'response') return motif.contour.map(degree => -degree);
+    if (technique === 'augmentation') return motif.contour.filter((degree, index) => motif.rhythm[index] * 2 < motif.beats * 4);
+    return motif.contour;
+  };
+  const developed = result => units(result).every((unit, index) => {
+    const technique = result.metadata.motif.plan[index];
+    const shape = expected(result.metadata.motif, technique);
+    const cadence = index === result.metadata.motif.phrases.antecedent - 1 || index === result.metadata.motif.plan.length - 1;
+    const compared = cadence ? shape.length - 1 : shape.length;
+    return unit.contour.length === shape.length && unit.contour.slice(0, compared).join() === shape.slice(0, compared).join();
+  });
+
+  // A period over I-vi-IV-V, I-vi-V-I: the antecedent ends on V, the consequent on I
+  const eightBars = [1, 2, 3, 4, 5, 6].map(seed => melody('flute', 'pop', 8, seed, { progression: 'I-vi-IV-V-I-vi-V-I' }));
+  const allDeveloped = eightBars.every(developed);
+  const techniques = new Set(eightBars.flatMap(result => result.metadata.motif.plan));
+  suite.check(allDeveloped, 'Every bar follows its technique: the same shape, its inversion or its augmentation');
+  suite.check(['repetition', 'sequence', 'inversion', 'augmentation'].every(technique => techniques.has(technique)),
+    `Eight-bar melodies develop the motif by ${[...techniques].join(', ')}`);
+
+  // Every unit of the consequent answers the antecedent in the same order
+  const plan = eightBars[0].metadata.motif.plan;
+  suite.check(plan[0] === 'statement' && plan[4] === 'response', `Call and response: ${plan.join(' → ')}`);
+  suite.check(plan.slice(1, 4).join() === plan.slice(5).join(), 'The consequent develops the motif in the antecedent\'s order');
+
+  // The response brings back the motif's rhythm
+  const statement = units(eightBars[0])[0].events.map(event => event.time * 4);
+  const response = units(eightBars[0])[4].events.map(event => event.time * 4 - 64);
+  suite.check(statement.join() === response.join(), `Motif rhythm ${statement.join(' ')} returns in the response`);
+
+  // Cadences: the antecedent stops on a chord tone other than the tonic, the melody ends on the tonic, held
+  const halfCadences = eightBars.map(result => {
+    const antecedentEnd = units(result)[3].events;
+    return antecedentEnd[antecedentEnd.length - 1];
+  });
+  const finals = eightBars.map(result => result.events[result.events.length - 1]);
+  suite.check(halfCadences.every(note => [7, 11, 2].includes(note.note % 12)), 'Half cadences stop on a note of V');
+  suite.check(finals.every(note => note.note % 12 === 0), 'Final cadences land on the tonic');
+  suite.check(finals.every(note => note.time + note.duration === 32), 'The final tonic is held to the end');
+
+  // Any bar count and meter, inside the instrument's range
+  const shapes = [['flute', 1, {}], ['bass', 3, { part: 'melody' }], ['vocal', 5, {}], ['reed', 2, { meter: { stepsPerBar: 12, beatsPerBar: 3 } }], ['synth_lead', 16, {}]];
+  const fits = shapes.map(([instrument, bars, options]) => {
+    const result = melody(instrument, 'jazz', bars, 9, options);
+    const [low, high] = melodicGenerator.INSTRUMENT_SPECS[instrument].range;
+    const stepsPerBar = options.meter ? options.meter.stepsPerBar : 16;
+    return {
+      label: `${instrument} ${bars} bar${bars > 1 ? 's' : ''}: ${result.events.length} notes`,
+      filled: result.events.length > bars,
+      inRange: result.events.every(event => event.note >= low && event.note <= high),
+      inTime: result.events.every(event => event.time >= 0 && (event.time + event.duration) * 4 <= bars * stepsPerBar + 1e-9)
+    };
+  });
+  suite.check(fits.every(fit => fit.filled), `Melodies of any length and meter: ${fits.map(fit => fit.label).join(', ')}`);
+  suite.check(fits.every(fit => fit.inRange), 'Every note is inside the instrument\'s range');
+  suite.check(fits.every(fit => fit.inTime), 'Every note ends inside the pattern');
+
+  // One-bar patterns state and answer a half-bar motif
+  const oneBar = melody('keyboard', 'house', 1, 4);
+  suite.check(oneBar.metadata.motif.beats === 2, `One bar: a ${oneBar.metadata.motif.beats}-beat motif`);
+  suite.check(oneBar.metadata.motif.plan.join() === 'statement,response', `One bar: ${oneBar.metadata.motif.plan.join(' → ')}`);
+
+  suite.finish('motif');
+}
+
+// Run the tests
+testMotifEngine();
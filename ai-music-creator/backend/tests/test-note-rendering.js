@@ -0,0 +1,91 @@
+const { WaveFile } = require('wavefile');
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { WavExporter } = require('../modules/wavExporter');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎻 Note Rendering Test Suite');
+
+async function testNoteRendering() {
+  const melodicGenerator = new MelodicPatternGenerator();
+  const wavExporter = new WavExporter();
+  const timingEngine = new TimingEngine();
+  const sampleRate = wavExporter.targetSampleRate;
+
+  const log = console.log;
+  console.log = () => {};
+  const timingConfig = timingEngine.configure({ bpm: 120, timeSignature: '4/4', bars: 1, keyword: 'default' });
+  console.log = log;
+
+  const melody = (instrument, phrasing) => melodicGenerator.generateMelodicPattern({ instrument, genre: 'pop', bpm: 120, bars: 1, seed: 3, phrasing });
+
+  // Legato holds each note to the next, staccato shortens the written lengths
+  const written = melody('string', null);
+  const legato = melody('string', 'legato');
+  const staccato = melody('string', 'staccato');
+  const held = legato.events.every((event, index) => {
+    const next = legato.events[index + 1];
+    return Math.abs(event.time + event.duration - (next ? next.time : 4)) < 1e-9 && event.phrasing === 'legato';
+  });
+  const detached = staccato.events.every((event, index) => event.duration <= written.events[index].duration / 2 + 1e-9 && event.duration <= 0.5);
+  suite.check(held && detached && legato.metadata.articulation === 'bowed' && legato.metadata.phrasing === 'legato',
+    `Legato ${legato.events.map(event => event.duration).join(' ')}, staccato ${staccato.events.map(event => event.duration).join(' ')} beats`);
+
+  // A beat at 120 BPM lasts half a second
+  const beat = wavExporter.calculateNoteLength({ position: 0.25, duration: 1 }, timingConfig);
+  suite.check(Math.abs(beat - sampleRate / 2) <= 1, `One beat at 120 BPM: ${beat} samples`);
+
+  // A short plucked note stops after its release instead of ringing for the whole sample
+  const sixteenth = Math.round(sampleRate / 8);
+  const ringing = new Float32Array(sampleRate * 4).fill(0.5);
+  const plucked = wavExporter.getReleaseEnvelope('plucked');
+  const pluckedNote = wavExporter.shapeNote(ringing, sixteenth, plucked);
+  const pluckedRelease = Math.round(plucked.releaseMs / 1000 * sampleRate);
+  suite.check(pluckedNote.length === sixteenth + pluckedRelease && pluckedNote[pluckedNote.length - 1] < 0.001,
+    `Plucked 16th note: ${pluckedNote.length} of ${ringing.length} samples, ${plucked.releaseMs}ms release`);
+
+  // Bowed notes longer than their sample loop its sustain without dips at the seams
+  const bowed = wavExporter.getReleaseEnvelope('bowed');
+  const shortSample = new Float32Array(sampleRate).fill(0.5);
+  const bowedNote = wavExporter.shapeNote(shortSample, sampleRate * 2, bowed);
+  const sustained = bowedNote.subarray(0, sampleRate * 2).every(sample => Math.abs(sample - 0.5) < 1e-6);
+  suite.check(bowedNote.length > shortSample.length * 2 && sustained,
+    `Bowed two-second note from a one-second sample: ${(bowedNote.length / sampleRate).toFixed(2)}s with its release`);
+
+  // Staccato notes cut their release short, legato notes let it overlap the next note
+  const staccatoNote = wavExporter.shapeNote(ringing, sixteenth, bowed, 'staccato');
+  const legatoNote = wavExporter.shapeNote(ringing, sixteenth, plucked, 'legato');
+  suite.check(staccatoNote.length - sixteenth === Math.round(wavExporter.staccatoReleaseMs / 1000 * sampleRate) &&
+    legatoNote.length - sixteenth === Math.round(wavExporter.legatoReleaseMs / 1000 * sampleRate),
+    `Staccato release ${wavExporter.staccatoReleaseMs}ms, legato release ${wavExporter.legatoReleaseMs}ms`);
+
+  // Rendered melodic notes fall silent after note-off; drum hits play out their sample
+  const wav = new WaveFile();
+  wav.fromScratch(1, sampleRate, '16', new Int16Array(sampleRate * 2).fill(8000));
+  const audioData = { buffer: Buffer.from(wav.toBuffer()) };
+  const instrumentData = { noteMapping: { 60: { audioData }, kick: { audioData } } };
+  const render = async (events, metadata) => {
+    console.log = () => {};
+    const buffer = await wavExporter.createAudioBuffer({ events, metadata }, timingConfig, instrumentData);
+    console.log = log;
+    return buffer;
+  };
+  const note = await render([{ note: 60, position: 0, velocity: 0.8, duration: 0.5, isMelodicNote: true }], { articulation: 'plucked' });
+  const drum = await render([{ note: 'kick', position: 0, velocity: 0.8 }]);
+  const afterRelease = Math.round(sampleRate / 4 + pluckedRelease) + 10;
+  suite.check(note[sixteenth] > 0 && note[afterRelease] === 0 && drum[afterRelease] > 0,
+    `An eighth note stops at sample ${afterRelease - 10}, a drum hit rings on`);
+
+  const errors = [];
+  try {
+    melody('flute', 'marcato');
+  } catch (error) {
+    errors.push(error.message);
+  }
+  suite.check(errors.length === 1, `Unknown phrasings are rejected (${errors[0]})`);
+
+  suite.finish('note rendering');
+}
+
+// Run the tests
+testNoteRendering();
@@ -0,0 +1,110 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { PatternTrainer } = require('../modules/patternTrainer');
+const { PatternGenerator } = require('../modules/patternGenerator');
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎓 Pattern Trainer Test Suite');
+
+// Two bar states the corpus alternates between (General MIDI notes)
+const barA = { 36: [0, 8], 38: [4, 12], 42: [0, 2, 4, 6, 8, 10, 12, 14] };
+const barB = { 36: [0, 6, 8, 14], 38: [4, 12], 42: [0, 2, 4, 6, 8, 10, 12, 14] };
+
+/**
+ * Build a one-track drum MIDI file (channel 10) from bars of { note: steps }
+ */
+function buildMidiFile(bars, { ticksPerQuarter = 480, timeSignature = [4, 2] } = {}) {
+  const ticksPerStep = ticksPerQuarter / 4;
+  const hits = [];
+  
+  bars.forEach((bar, barIndex) => {
+    Object.entries(bar).forEach(([note, steps]) => {
+      steps.forEach(step => hits.push({ tick: (barIndex * 16 + step) * ticksPerStep, note: Number(note) }));
+    });
+  });
+  hits.sort((a, b) => a.tick - b.tick);
+  
+  const writeVarLen = value => {
+    const bytes = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+      bytes.unshift((value & 0x7f) | 0x80);
+    }
+    return bytes;
+  };
+  
+  // Time signature meta event, then note-ons (velocity 0 note-offs are ignored by the parser)
+  const events = [0x00, 0xff, 0x58, 0x04, timeSignature[0], timeSignature[1], 24, 8];
+  let lastTick = 0;
+  hits.forEach(hit => {
+    events.push(...writeVarLen(hit.tick - lastTick), 0x99, hit.note, hit.note === 42 ? 60 : 110);
+    lastTick = hit.tick;
+  });
+  events.push(0x00, 0xff, 0x2f, 0x00);
+  
+  const header = Buffer.from([0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, ticksPerQuarter >> 8, ticksPerQuarter & 0xff]);
+  const trackHeader = Buffer.from([0x4d, 0x54, 0x72, 0x6b, 0, 0, 0, 0]);
+  trackHeader.writeUInt32BE(events.length, 4);
+  
+  return Buffer.concat([header, trackHeader, Buffer.from(events)]);
+}
+
+const barState = (bar, note) => Array.from({ length: 16 }, (_, step) => (bar[note].includes(step) ? 'x' : '.')).join('');
+
+async function testPatternTrainer() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pattern-models-'));
+  const corpus = path.join(root, 'corpus');
+  const modelPath = path.join(root, 'models');
+  
+  fs.mkdirSync(path.join(corpus, 'more'), { recursive: true });
+  fs.writeFileSync(path.join(corpus, 'loop1.mid'), buildMidiFile([barA, barB, barA, barB]));
+  fs.writeFileSync(path.join(corpus, 'more', 'loop2.mid'), buildMidiFile([barA, barB]));
+  fs.writeFileSync(path.join(corpus, 'waltz.mid'), buildMidiFile([barA], { timeSignature: [3, 2] }));
+  
+  console.log('📚 Training from corpus...');
+  const trainer = new PatternTrainer({ modelPath });
+  const model = trainer.trainFromDirectory(corpus, { name: 'test-rock' });
+  
+  suite.check(model.corpus.files === 2, `Corpus: ${model.corpus.files} 4/4 files, subfolders included`);
+  suite.check(model.corpus.bars === 6, `Corpus: ${model.corpus.bars} bars`);
+  suite.check(model.corpus.skipped === 1, `Corpus: ${model.corpus.skipped} file in another meter skipped (3/4 loop)`);
+  
+  const kick = model.voices.kick;
+  const probabilities = [0, 6, 1].map(step => kick.probability[step]);
+  suite.check(probabilities.join() === '1,0.5,0',
+    `Kick step probabilities: step 1 = ${probabilities[0]}, step 7 = ${probabilities[1]}, step 2 = ${probabilities[2]}`);
+  
+  const stateA = barState(barA, 36);
+  const stateB = barState(barB, 36);
+  suite.check(kick.transitions[stateA][stateB] === 3, `Kick chain: ${stateA} → ${stateB} seen ${kick.transitions[stateA][stateB]} times`);
+  suite.check(!kick.transitions[stateA][stateA], `Kick chain: ${stateA} never repeats`);
+  
+  suite.check(trainer.listModels().some(entry => entry.name === 'test-rock'), 'Model listed');
+  suite.check(Boolean(trainer.loadModel('test-rock').voices.hihat), 'Saved model loads with its hi-hat voice');
+  
+  console.log('\n🎲 Sampling...');
+  const timingConfig = new TimingEngine().configure({ bpm: 100, timeSignature: '4/4', bars: 4, keyword: 'default' });
+  const first = new PatternGenerator({ modelPath }).generate({ keyword: 'test-rock', timingConfig, seed: 11 });
+  const second = new PatternGenerator({ modelPath }).generate({ keyword: 'funk', model: 'test-rock', timingConfig, seed: 11 });
+  
+  suite.check(first.mode === 'trained', `A model name as keyword samples the model (mode ${first.mode})`);
+  suite.check(JSON.stringify(first.events) === JSON.stringify(second.events),
+    `Seeded sampling is reproducible (${first.events.length} events)`);
+  
+  const kickBars = Array.from({ length: 4 }, (_, bar) => Array.from({ length: 16 }, (_, step) =>
+    (first.events.some(event => event.note === 'kick' && !event.fill && Math.round(event.position * 64) === bar * 16 + step) ? 'x' : '.')).join(''));
+  suite.check(kickBars.every(state => state === stateA || state === stateB),
+    `Sampled kick bars come from the corpus: ${kickBars.join(' ')}`);
+  
+  trainer.deleteModel('test-rock');
+  fs.rmSync(root, { recursive: true, force: true });
+  
+  suite.finish('trainer');
+}
+
+// Run the tests
+testPatternTrainer().catch(error => {
+  console.error('❌ Trainer tests failed:', error);
+  process.exitCode = 1;
+});
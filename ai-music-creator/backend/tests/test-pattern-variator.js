@@ -0,0 +1,73 @@
+const { BeatGenerator } = require('../core/beatGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🧬 Pattern Variation Test Suite');
+
+// Generation metadata as recorded for a seeded render
+const metadata = {
+  style: 'funk',
+  seed: 42,
+  parameters: { bpm: 110, timeSignature: '4/4', beatGrouping: '4', subdivision: '16n', swing: '50% (16n)', humanize: 1, bars: 2, mode: 'template' }
+};
+
+async function testPatternVariations() {
+  const generator = new BeatGenerator();
+
+  const first = generator.generateVariations({ metadata, count: 4, seed: 7, similarity: 0.6 });
+  const second = generator.generateVariations({ metadata, count: 4, seed: 7, similarity: 0.6 });
+  const identical = generator.generateVariations({ pattern: first.source.pattern, keyword: 'funk', bars: 2, count: 1, seed: 1, similarity: 1 });
+  const timingConfig = generator.timingEngine.configure({ bpm: 110, timeSignature: '4/4', bars: 2, keyword: 'funk' });
+
+  first.variations.forEach(variation => {
+    console.log(`   ${variation.index + 1}: ${variation.grid.bars.map(bar => bar.display).join(' ')}`);
+  });
+
+  suite.check(JSON.stringify(first.variations) === JSON.stringify(second.variations),
+    'Same source, similarity and seed give the same variations');
+
+  suite.check(new Set(first.variations.map(variation => JSON.stringify(variation.pattern.events))).size === 4,
+    'Each variation is different');
+
+  const anchors = pattern => pattern.events
+    .filter(event => generator.patternVariator.isAnchor(event, timingConfig))
+    .map(event => `${event.note}@${event.position}:${event.velocity}`)
+    .sort()
+    .join();
+  suite.check(first.variations.every(variation => anchors(variation.pattern) === anchors(first.source.pattern)),
+    'Hits on the primary beats are untouched');
+
+  suite.check(JSON.stringify(identical.variations[0].pattern.events) === JSON.stringify(first.source.pattern.events),
+    'Similarity 1 returns the source pattern');
+
+  // A render of a variation records its lineage, which rebuilds it from metadata
+  const variation = first.variations[2].pattern;
+  const rebuilt = generator.generateVariations({
+    metadata: { ...metadata, parameters: { ...metadata.parameters, variation: variation.variation.lineage } },
+    count: 1
+  });
+  suite.check(JSON.stringify(rebuilt.source.pattern.events) === JSON.stringify(variation.events),
+    'A variation is rebuilt from its render metadata');
+
+  [
+    [{}, 'no source'],
+    [{ metadata: { ...metadata, seed: 'Random' } }, 'an unseeded render'],
+    [{ metadata, similarity: 1.5 }, 'similarity out of range'],
+    [{ metadata, count: 0 }, 'count out of range']
+  ].forEach(([options, label]) => {
+    let rejection = null;
+    try {
+      generator.generateVariations(options);
+    } catch (error) {
+      rejection = error.message;
+    }
+    suite.check(rejection !== null, `A request with ${label} is rejected (${rejection})`);
+  });
+
+  suite.finish('variation');
+}
+
+// Run the tests
+testPatternVariations().catch(error => {
+  console.error('❌ Variation tests failed:', error);
+  process.exitCode = 1;
+});
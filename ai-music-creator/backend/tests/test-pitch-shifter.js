@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { WaveFile } = require('wavefile');
+const { PitchShifter } = require('../modules/pitchShifter');
+const { InstrumentSelector } = require('../modules/instrumentSelector');
+const { WavExporter } = require('../modules/wavExporter');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎚️  Pitch Shifter Test Suite');
+
+async function testPitchShifter() {
+  const pitchShifter = new PitchShifter();
+  const sampleRate = 44100;
+
+  const sine = (frequency, seconds, start = 0) => Float32Array.from({ length: Math.round(sampleRate * seconds) },
+    (_, i) => (i < start * sampleRate ? 0 : 0.5 * Math.sin(2 * Math.PI * frequency * i / sampleRate)));
+
+  // Frequency from rising zero crossings in the middle of the audio
+  const frequencyOf = samples => {
+    const from = Math.floor(samples.length / 4);
+    const to = Math.floor(samples.length * 3 / 4);
+    let crossings = 0;
+    for (let i = from + 1; i < to; i++) {
+      if (samples[i - 1] < 0 && samples[i] >= 0) crossings++;
+    }
+    return crossings * sampleRate / (to - from);
+  };
+  const inTune = (samples, expected) => Math.abs(1200 * Math.log2(frequencyOf(samples) / expected)) < 10;
+
+  const a4 = sine(440, 1);
+
+  // Small shifts resample: a whole tone up is in tune and a little shorter
+  const wholeTone = pitchShifter.shift(a4, 2);
+  suite.check(pitchShifter.getMethod(2) === 'resample', `A 2 semitone shift uses ${pitchShifter.getMethod(2)}`);
+  suite.check(inTune(wholeTone, 493.88), `A4 up 2 semitones: ${frequencyOf(wholeTone).toFixed(1)}Hz`);
+  suite.check(Math.abs(wholeTone.length - a4.length / Math.pow(2, 2 / 12)) <= 1, `Resampled A4 shortens to ${wholeTone.length} samples`);
+
+  // Larger shifts are time-corrected back to the sample's length
+  const fifth = pitchShifter.shift(a4, 7);
+  suite.check(inTune(fifth, 659.26), `A4 up a fifth: ${frequencyOf(fifth).toFixed(1)}Hz`);
+  suite.check(fifth.length === a4.length, `A4 up a fifth keeps its ${fifth.length} samples`);
+
+  const octaveDown = pitchShifter.shift(a4, -12);
+  suite.check(inTune(octaveDown, 220), `A4 down an octave: ${frequencyOf(octaveDown).toFixed(1)}Hz`);
+  suite.check(octaveDown.length === a4.length, `A4 down an octave keeps its ${octaveDown.length} samples`);
+
+  // Time correction keeps an onset where it was
+  const late = sine(440, 1, 0.5);
+  const shiftedLate = pitchShifter.shift(late, -7);
+  const onset = shiftedLate.findIndex(sample => Math.abs(sample) > 0.1);
+  suite.check(Math.abs(onset / sampleRate - 0.5) < 0.03, `An onset at 0.5s stays at ${(onset / sampleRate).toFixed(3)}s a fifth down`);
+
+  // Notes missing from the library come from the nearest pitch, with the shift recorded
+  const library = fs.mkdtempSync(path.join(os.tmpdir(), 'pitch-shift-'));
+  const wav = new WaveFile();
+  wav.fromScratch(1, sampleRate, '16', Int16Array.from(sine(261.63, 1), sample => Math.round(sample * 32767)));
+  fs.writeFileSync(path.join(library, '60-100.wav'), wav.toBuffer());
+
+  const instrumentSelector = new InstrumentSelector();
+  instrumentSelector.nsynthDownloader.instrumentFolders.flute = library;
+  const d4 = await instrumentSelector.loadMelodicSample(62, 'flute', {});
+  const c4 = await instrumentSelector.loadMelodicSample(60, 'flute', {});
+  suite.check(d4.pitch === 60, `MIDI 62 is played from the nearest sample, MIDI ${d4.pitch}`);
+  suite.check(d4.pitchShift === 2, `The borrowed sample records its shift of ${d4.pitchShift} semitones`);
+  suite.check(c4.pitchShift === 0, `A sample at its own pitch is not shifted (${c4.pitchShift})`);
+
+  // Rendered notes sound at their pitch, and the metadata reports each shift
+  const wavExporter = new WavExporter();
+  const timingConfig = { totalSamples: sampleRate, totalSteps: 16, bars: 1, quarterNotesPerBar: 4 };
+  const rendered = await wavExporter.createAudioBuffer({ events: [{ note: 62, position: 0, velocity: 0.8, isMelodicNote: true }] }, timingConfig, { noteMapping: { 62: d4 } });
+  const details = wavExporter.getInstrumentDetails({ type: 'flute', noteMapping: { 60: c4, 62: d4 } });
+  const shifts = details.map(detail => `${detail.note}: ${detail.pitchShift} (${detail.pitchShiftMethod})`);
+  suite.check(inTune(rendered, 293.66), `D4 renders at ${frequencyOf(rendered).toFixed(1)}Hz`);
+  suite.check(details[1].pitchShift === 2 && details[0].pitchShift === 0, `Metadata reports each shift: ${shifts.join(', ')}`);
+
+  fs.rmSync(library, { recursive: true, force: true });
+
+  suite.finish('pitch shifting');
+}
+
+// Run the tests
+testPitchShifter();
@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connect } = require('socket.io-client');
+const { BeatGenerator } = require('../core/beatGenerator');
+const { GenerationQueue } = require('../core/generationQueue');
+const { TestSuite } = require('./testSuite');
+
+// The server creates its uploads/generated/cache/data directories in the working directory
+const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'progress-events-'));
+process.chdir(workingDirectory);
+
+const { server, generationQueue } = require('../core/server');
+
+const suite = new TestSuite('📶 Progress Events Test Suite');
+
+async function testGeneratorProgress() {
+  const generator = new BeatGenerator();
+  const events = [];
+  generator.on('progress', event => events.push(event));
+
+  await generator.generateBeat({ songName: 'Progress', keyword: 'funk', bars: 2, seed: 42, jobId: 'job-42', outputPath: workingDirectory });
+
+  const stages = events.map(event => event.stage).join(', ');
+  suite.check(stages === 'timing-configured, pattern-generated, instruments-selected, buffer-mixed, file-written, completed',
+    `Stages in order: ${stages}`);
+
+  const percents = events.map(event => event.percent).join('/');
+  suite.check(percents === '10/30/50/80/95/100', `Percentages: ${percents}`);
+
+  suite.check(events.every(event => event.jobId === 'job-42' && event.songName === 'Progress'),
+    'Every event carries the job id and song name');
+
+  // pattern-generated carries the drum grid, one entry per 16th step of each bar
+  const { grid } = events.find(event => event.stage === 'pattern-generated');
+  suite.check(grid.stepsPerBar === 16 && grid.timeSignature === '4/4' && grid.bars.length === 2,
+    `Grid payload: ${grid.bars.length} bars of ${grid.stepsPerBar} steps in ${grid.timeSignature}`);
+  suite.check(grid.bars.every((bar, index) => bar.bar === index + 1 && bar.steps.length === 16 && bar.steps.every(symbol => symbol in grid.legend)),
+    `Grid steps use the legend symbols: ${grid.bars.map(bar => bar.display).join(' ')}`);
+}
+
+async function testProgressRooms() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Two finished jobs to subscribe to (cancelled so no render sends progress of its own)
+  const jobs = [generationQueue.enqueueBeat({ songName: 'Room_A' }), generationQueue.enqueueBeat({ songName: 'Room_B' })];
+  jobs.forEach(job => generationQueue.cancel(job.id));
+  for (let wait = 0; wait < 100 && !jobs.every(job => GenerationQueue.isTerminal(generationQueue.getJob(job.id))); wait++) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  // Clients subscribed to job A, to job B and to nothing
+  const clients = await Promise.all([jobs[0].id, jobs[1].id, null].map(jobId => new Promise(resolve => {
+    const socket = connect(baseUrl, { transports: ['websocket'] });
+    const client = { socket, progress: [] };
+    socket.on('generation-progress', event => client.progress.push(event));
+    socket.on('connect', () => {
+      if (!jobId) return resolve(client);
+      socket.once('generation-status', () => resolve(client));
+      socket.emit('subscribe-job', jobId);
+    });
+  })));
+
+  jobs.forEach(job => generationQueue.emit('progress', { jobId: job.id, stage: 'timing-configured', percent: 10 }));
+
+  // The server answers a ping after the progress it has already sent, so a pong means every event has arrived
+  await Promise.all(clients.map(({ socket }) => new Promise(resolve => {
+    socket.once('pong', resolve);
+    socket.emit('ping');
+  })));
+
+  const received = clients.map(client => client.progress.map(event => event.jobId));
+  suite.check(received[0].length === 1 && received[0][0] === jobs[0].id, `Job A subscriber received ${received[0].length} event(s), for job A`);
+  suite.check(received[1].length === 1 && received[1][0] === jobs[1].id, `Job B subscriber received ${received[1].length} event(s), for job B`);
+  suite.check(received[2].length === 0, `Unsubscribed client received ${received[2].length} events`);
+
+  clients.forEach(({ socket }) => socket.disconnect());
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+async function testProgressEvents() {
+  await testGeneratorProgress();
+  await testProgressRooms();
+
+  process.chdir(os.tmpdir());
+  fs.rmSync(workingDirectory, { recursive: true, force: true });
+
+  suite.finish('progress event');
+}
+
+// Run the tests
+testProgressEvents().catch(error => {
+  console.error('❌ Progress event tests failed:', error);
+  process.exitCode = 1;
+  server.close();
+});
@@ -1,9 +1,8 @@
 const { PromptInterpreter } = require('../modules/promptInterpreter');
 const { BeatGenerator } = require('../core/beatGenerator');
+const { TestSuite } = require('./testSuite');
 
-console.log('🎭 Prompt Interpreter Test Suite');
-console.log('================================');
-console.log();
+const suite = new TestSuite('🎭 Prompt Interpreter Test Suite');
 
 async function testPromptInterpreter() {
   const interpreter = new PromptInterpreter();
@@ -66,13 +65,53 @@ async function testPromptInterpreter() {
       
       console.log('\n🎶 GENERATING SAMPLE...');
       const outputPath = await beatGenerator.generateBeat(testConfig);
-      console.log(`✅ Generated: ${outputPath}`);
+      suite.check(true, `Generated: ${outputPath}`);
       
     } catch (error) {
-      console.error(`❌ Error processing prompt: ${error.message}`);
+      suite.check(false, `Error processing prompt: ${error.message}`);
     }
   }
   
+  console.log('\n🎼 KEY AND MODE TEST');
+  console.log('==================');
+
+  // Keys with accidentals and modes reach the melodic generator
+  const keyPrompts = [
+    ['moody keyboard in F# minor', 'F#', 'minor'],
+    ['chill guitar groove in Bb', 'Bb', null],
+    ['E flat dorian bass jam', 'Eb', 'dorian'],
+    ['sad piano in a minor key', 'A', 'minor'],
+    ['a minor change of heart', null, 'minor']
+  ];
+
+  for (const [prompt, key, scale] of keyPrompts) {
+    const specificParams = interpreter.extractSpecificParams(interpreter.tokenizePrompt(prompt), prompt);
+    suite.check((specificParams.key || null) === key && (scale === null || specificParams.scale === scale),
+      `"${prompt}" → ${specificParams.key || 'no key'} ${specificParams.scale || ''}`);
+  }
+
+  const beatParams = interpreter.toBeatGeneratorParams(await interpreter.interpretPrompt('dark keyboard groove in C# minor'));
+  const melody = beatGenerator.melodicPatternGenerator.generateMelodicPattern({
+    instrument: beatParams.instrument, genre: beatParams.keyword, bpm: beatParams.bpm, bars: 1, key: beatParams.key, mode: beatParams.scale, seed: 7
+  });
+  suite.check(melody.metadata.key === 'C#' && melody.metadata.mode === 'aeolian', `Melody in ${melody.metadata.key} ${melody.metadata.mode} (${melody.metadata.scale.join(' ')})`);
+
+  // Chord words ask for comping, on instruments that play chords, and arpeggio words for arps
+  const compPrompts = [
+    ['strummed acoustic guitar', 'comp'],
+    ['house organ stabs', 'comp'],
+    ['flute chords', null],
+    ['organ melody', null],
+    ['arpeggiated piano chords', 'arp'],
+    ['dreamy flute arpeggios', 'arp'],
+    ['arpeggiated drums', null]
+  ];
+
+  for (const [prompt, part] of compPrompts) {
+    const params = interpreter.toBeatGeneratorParams(await interpreter.interpretPrompt(prompt));
+    suite.check(params.part === part, `"${prompt}" → ${params.instrument} ${params.part || 'melody'}`);
+  }
+
   console.log('\n📈 LEXICON EXPANSION TEST');
   console.log('========================');
   
@@ -91,9 +130,12 @@ async function testPromptInterpreter() {
     console.log(`📚 Lexicon expanded: ${before} → ${after} adjectives`);
   }
   
-  console.log('\n✅ Prompt Interpreter tests completed!');
   console.log('\n📚 Final lexicon size:', Object.keys(interpreter.getLexicon()).length, 'adjectives');
+  suite.finish('prompt interpreter');
 }
 
 // Run the tests
-testPromptInterpreter().catch(console.error);
\ No newline at end of file
+testPromptInterpreter().catch(error => {
+  console.error('❌ Prompt interpreter tests failed:', error);
+  process.exitCode = 1;
+});
\ No newline at end of file
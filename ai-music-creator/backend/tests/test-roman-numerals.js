@@ -0,0 +1,70 @@
+const { RomanNumeralParser } = require('../modules/romanNumeralParser');
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎼 Roman Numeral Test Suite');
+
+const NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+async function testRomanNumerals() {
+  const parser = new RomanNumeralParser();
+  const melodicGenerator = new MelodicPatternGenerator();
+
+  // Chord names in C, e.g. 'GBDF' or 'FAC/C'
+  const spell = (symbol, mode = 'ionian') => {
+    const chord = parser.parse(symbol, melodicGenerator.MODES[mode]);
+    const { tones, bass } = parser.toPitchClasses(chord, 0);
+    return `${tones.map(tone => NOTES[tone]).join('')}${bass !== tones[0] ? `/${NOTES[bass]}` : ''}`;
+  };
+
+  const expectChord = (symbol, expected, label, mode) => {
+    const spelled = spell(symbol, mode);
+    suite.check(spelled === expected, `${label}: ${symbol}${mode ? ` in ${mode}` : ''} = ${spelled}`);
+  };
+
+  // Case, quality symbols and extensions
+  [
+    ['V', 'GBD'], ['vi', 'ACE'], ['vii°', 'BDF'], ['III+', 'EG#C'],
+    ['V7', 'GBDF'], ['Imaj7', 'CEGB'], ['ii9', 'DFACE'], ['viiø7', 'BDFA'], ['vii°7', 'BDFG#']
+  ].forEach(([symbol, expected]) => expectChord(symbol, expected, 'Chord'));
+
+  // Borrowed chords: accidentals from major, plain numerals from the mode
+  expectChord('bVII', 'A#DF', 'Borrowed chord');
+  expectChord('bVI', 'G#CD#', 'Borrowed chord');
+  expectChord('VI', spell('bVI', 'aeolian'), 'Mode chord', 'aeolian');
+
+  expectChord('V/V', 'DF#A', 'Secondary chord');
+  expectChord('V7/ii', 'AC#EG', 'Secondary chord');
+  expectChord('vii°/V', 'F#AC', 'Secondary chord');
+
+  expectChord('IV/1', 'FAC/C', 'Slash chord');
+  expectChord('I/3', 'CEG/E', 'Slash chord');
+  expectChord('V/b7', 'GBD/A#', 'Slash chord');
+
+  // The interpreted progression drives the chords
+  const melody = melodicGenerator.generateMelodicPattern({
+    instrument: 'organ', genre: 'pop', bpm: 100, bars: 1, key: 'A', progression: 'i-bVII-bVI-V7', seed: 4
+  });
+  const chordRoots = melody.metadata.chords.map(chord => chord[0].replace(/-?\d+$/, ''));
+  suite.check(melodicGenerator.MODES[melody.metadata.mode][2] === 3, `A lowercase i picks a minor mode (${melody.metadata.mode})`);
+  suite.check(chordRoots.join(' ') === 'A G F E', `Progression in A: ${melody.metadata.chords.map(chord => chord.join(' ')).join(' | ')}`);
+  suite.check(melody.metadata.chords[3].length === 4, `V7 plays ${melody.metadata.chords[3].length} notes`);
+
+  ['X', 'IIV', 'Vmaj', 'V/', 'V/X'].forEach(symbol => {
+    let rejection = null;
+    try {
+      parser.parse(symbol);
+    } catch (error) {
+      rejection = error.message;
+    }
+    suite.check(rejection !== null, `Invalid symbol "${symbol}" is rejected (${rejection})`);
+  });
+
+  suite.finish('Roman numeral');
+}
+
+// Run the tests
+testRomanNumerals().catch(error => {
+  console.error('❌ Roman numeral tests failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GrooveEngine } = require('../modules/grooveEngine');
+const { TestSuite } = require('./testSuite');
+
+// The server creates its uploads/generated/cache/data directories in the working directory
+const workingDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'server-routes-'));
+process.chdir(workingDirectory);
+
+const log = console.log;
+console.log = () => {};
+const { server, generationQueue } = require('../core/server');
+console.log = log;
+
+const suite = new TestSuite('🌐 Server Routes Test Suite');
+
+async function testServerRoutes() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, body) => {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Cancel a job and wait until it has stopped
+  const cancelJob = async statusUrl => {
+    const cancelled = await request('DELETE', statusUrl);
+    let job = cancelled.body.job;
+    for (let wait = 0; wait < 100 && !['completed', 'failed', 'cancelled'].includes(job.status); wait++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      job = (await request('GET', statusUrl)).body.job;
+    }
+    return { status: cancelled.status, job };
+  };
+
+  // Invalid options are rejected before a job is queued, for prompts as for structured requests
+  const badBeat = await request('POST', '/api/generate', { songName: 'routes', bpm: 300 });
+  suite.check(badBeat.status === 400, `POST /api/generate with bpm 300: ${badBeat.status} (${badBeat.body.error})`);
+
+  const noPrompt = await request('POST', '/api/generate/prompt', { bpm: 120 });
+  suite.check(noPrompt.status === 400, `POST /api/generate/prompt without a prompt: ${noPrompt.status} (${noPrompt.body.error})`);
+
+  const badOverrides = [{ bars: 3 }, { bpm: 300 }, { humanize: 2 }];
+  for (const overrides of badOverrides) {
+    const response = await request('POST', '/api/generate/prompt', { prompt: 'chill lofi beat', ...overrides });
+    suite.check(response.status === 400, `POST /api/generate/prompt with ${JSON.stringify(overrides)}: ${response.status} (${response.body.error})`);
+  }
+
+  // A valid prompt is queued and can be looked up and cancelled
+  console.log = () => {};
+  const queued = await request('POST', '/api/generate/prompt', { prompt: 'chill lofi beat', bpm: 90 });
+  console.log = log;
+  suite.check(queued.status === 202 && queued.body.statusUrl === `/api/jobs/${queued.body.jobId}`,
+    `POST /api/generate/prompt with a valid prompt: ${queued.status} (${queued.body.status})`);
+
+  // The job store (prompts and params) is kept out of the served directories
+  const storeDownload = await fetch(`${baseUrl}/cache/generation-jobs.json`);
+  suite.check(storeDownload.status === 404 && fs.existsSync(path.join('data', 'generation-jobs.json')),
+    `Job store saved in data/, GET /cache/generation-jobs.json: ${storeDownload.status}`);
+
+  const found = await request('GET', queued.body.statusUrl);
+  const missing = await request('GET', '/api/jobs/no-such-job');
+  suite.check(found.status === 200 && found.body.job.type === 'prompt' && missing.status === 404,
+    `GET /api/jobs/:id: ${found.status} for the job, ${missing.status} for an unknown id`);
+
+  console.log = () => {};
+  const { status, job } = await cancelJob(queued.body.statusUrl);
+  const again = await request('DELETE', queued.body.statusUrl);
+  console.log = log;
+  suite.check(status === 202 && job.status === 'cancelled' && again.status === 409,
+    `DELETE /api/jobs/:id: ${status}, job ${job.status}, then ${again.status} once finished`);
+
+  // Rendered variations are queued as one job each
+  const metadata = { style: 'funk', seed: 42, parameters: { bpm: 110, timeSignature: '4/4', bars: 2, mode: 'template' } };
+  console.log = () => {};
+  const variations = await request('POST', '/api/variations', { metadata, count: 2, seed: 7, render: true, songName: 'routes' });
+  const variationJobs = variations.body.variations.map(variation => variation.statusUrl);
+  const variationsStopped = await Promise.all(variationJobs.map(cancelJob));
+  console.log = log;
+  suite.check(variations.status === 202 && variationJobs.length === 2 && variationsStopped.every(stopped => stopped.job.type === 'beat'),
+    `POST /api/variations with render: ${variations.status}, ${variationJobs.length} jobs queued`);
+
+  // One invalid job in a batch queues none of them
+  const jobCount = generationQueue.jobs.size;
+  let batchError = null;
+  try {
+    generationQueue.enqueueBeats([{ songName: 'routes_1' }, { songName: 'routes_2', bpm: 300 }]);
+  } catch (error) {
+    batchError = error.message;
+  }
+  suite.check(batchError && generationQueue.jobs.size === jobCount, `A batch with an invalid job queues nothing (${batchError})`);
+
+  // Saved grooves are read through the groove routes, never as static files
+  console.log = () => {};
+  new GrooveEngine({ groovePath: path.join('data', 'grooves') }).saveGroove({ name: 'routes', steps: 16, timing: Array(16).fill(0), velocity: Array(16).fill(1) });
+  console.log = log;
+  const groove = await request('GET', '/api/grooves/routes');
+  const grooveDownloads = await Promise.all(['/cache/grooves/routes.json', '/data/grooves/routes.json'].map(route => fetch(`${baseUrl}${route}`)));
+  suite.check(groove.status === 200 && groove.body.groove.name === 'routes' && grooveDownloads.every(response => response.status === 404),
+    `GET /api/grooves/:name: ${groove.status}, static groove files: ${grooveDownloads.map(response => response.status).join(', ')}`);
+
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  process.chdir(os.tmpdir());
+  fs.rmSync(workingDirectory, { recursive: true, force: true });
+
+  suite.finish('server route');
+}
+
+// Run the tests
+testServerRoutes().catch(error => {
+  console.error('❌ Server route tests failed:', error);
+  process.exitCode = 1;
+  server.close();
+});
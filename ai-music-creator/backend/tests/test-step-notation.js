@@ -0,0 +1,80 @@
+const { StepNotation } = require('../modules/stepNotation');
+const { BeatGenerator } = require('../core/beatGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🔤 Step Notation Test Suite');
+
+// Two-bar kick under one-bar snare and hi-hat lanes, with comments, bar lines and beat spaces
+const notation = `
+  # Half-time shuffle
+  kick:  X.....x...X.....|X.....x...X...x.
+  snare: .... X..g .... X...
+  hihat: x.x.x.x.x.x.x.x.
+`;
+
+async function testStepNotation() {
+  const log = console.log;
+  const stepNotation = new StepNotation();
+
+  const pattern = stepNotation.parse(notation);
+  const timingConfig = { stepsPerBar: 16, totalSteps: 32, bars: 2 };
+  const text = stepNotation.serialize(pattern, timingConfig);
+  console.log(text.split('\n').map(line => `   ${line}`).join('\n'));
+
+  suite.check(pattern.bars === 2 && pattern.events.filter(event => event.note === 'hihat').length === 16,
+    `Short lanes repeat under the longest (${pattern.bars} bars, ${pattern.events.length} events)`);
+
+  const ghost = pattern.events.find(event => event.note === 'snare' && event.step === 8);
+  suite.check(ghost && ghost.ghost && stepNotation.getSymbol(ghost) === 'g' && pattern.events[0].velocity >= 0.8,
+    'Accents, hits and ghost notes keep their level');
+
+  suite.check(stepNotation.serialize(stepNotation.parse(text), timingConfig) === text,
+    'Serialized notation parses back to the same pattern');
+
+  const waltz = stepNotation.parse('kick: x.....\nhihat: x.x.x.', { stepsPerBar: 6 });
+  suite.check(waltz.bars === 1 && waltz.events.length === 4, 'Bar length follows the meter (3/8)');
+
+  // Renders accept notation and set the length from it
+  const generator = new BeatGenerator();
+  console.log = () => {};
+  const config = generator.validateAndMergeOptions({ songName: 'notation', notation });
+  const variations = generator.generateVariations({ notation, keyword: 'funk', count: 1, seed: 5 });
+  console.log = log;
+
+  suite.check(config.bars === 2 && config.pattern.events.length === pattern.events.length && variations.source.notation === text,
+    'generateBeat options take notation as the pattern');
+
+  // Notation is not limited to the 1, 2 or 4 bars of generated patterns
+  const phrases = [3, 5, 8].map(bars => {
+    const lanes = `kick: ${'X...x...'.repeat(bars * 2)}\nsnare: ....X.......X...`;
+    console.log = () => {};
+    const phrase = generator.validateAndMergeOptions({ songName: 'phrase', notation: lanes, keyword: 'funk' });
+    console.log = log;
+    return phrase.bars;
+  });
+  suite.check(phrases.join() === '3,5,8', `Notation sets any whole number of bars (${phrases.join(', ')})`);
+
+  const errors = [
+    ['kick x...x...x...x...', 'missing colon'],
+    ['cowbel: x...x...x...x...', 'unknown voice'],
+    ['kick: x...x...x...x..o', 'unknown step'],
+    ['kick: x...x...x...', 'partial bar'],
+    [`kick: ${'x...'.repeat(8)}\nsnare: ${'x...'.repeat(12)}`, 'lanes that do not repeat evenly']
+  ].filter(([text]) => {
+    try {
+      stepNotation.parse(text);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  });
+  suite.check(errors.length === 0, `Invalid notation is rejected${errors.length ? ` (accepted: ${errors.map(([, label]) => label).join(', ')})` : ''}`);
+
+  suite.finish('notation');
+}
+
+// Run the tests
+testStepNotation().catch(error => {
+  console.error('❌ Notation tests failed:', error);
+  process.exitCode = 1;
+});
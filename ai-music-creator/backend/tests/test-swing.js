@@ -0,0 +1,43 @@
+const { TimingEngine } = require('../modules/timingEngine');
+const { WavExporter } = require('../modules/wavExporter');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('💃 Swing Test Suite');
+
+function testSwing() {
+  const timingEngine = new TimingEngine();
+  const wavExporter = new WavExporter();
+
+  // At 120 BPM a 16th lasts 0.125s, 5512.5 samples at 44.1kHz
+  const swung = (swing, swingResolution) => timingEngine.configure({ bpm: 120, timeSignature: '4/4', bars: 1, keyword: 'rock', swing, swingResolution });
+  const straight = swung(50, '16n');
+
+  // A drum hit and a melodic note on the same step, and how many samples swing moves each
+  const offsets = (timingConfig, step) => {
+    const drum = { position: step / 16, note: 'snare', velocity: 0.8 };
+    const melodic = { position: step / 16, note: 'C4', velocity: 0.8, isMelodicNote: true, duration: 0.5 };
+    return [drum, melodic].map(event =>
+      wavExporter.calculateSamplePosition(event.position, timingConfig, event) - wavExporter.calculateSamplePosition(event.position, straight, event));
+  };
+
+  // 8th swing at 66%: the off-beat 8th takes 2.64 of the beat's 4 steps, 0.64 × 5512.5 = 3528 samples late
+  const eighths = swung(66, '8n');
+  const [drumEighth, melodicEighth] = offsets(eighths, 2);
+  suite.check(drumEighth === 3528, `8n swing moves the off-beat drum hit ${drumEighth} samples`);
+  suite.check(melodicEighth === drumEighth, `8n swing moves the melodic note on the same step ${melodicEighth} samples`);
+
+  // 16th swing at 66%: the second 16th of each pair lands at 1.32 steps, 0.32 × 5512.5 = 1764 samples late
+  const sixteenths = swung(66, '16n');
+  const [drumSixteenth, melodicSixteenth] = offsets(sixteenths, 1);
+  suite.check(drumSixteenth === 1764, `16n swing moves the off-beat drum hit ${drumSixteenth} samples`);
+  suite.check(melodicSixteenth === drumSixteenth, `16n swing moves the melodic note on the same step ${melodicSixteenth} samples`);
+
+  // Beats stay where they are
+  const onBeat = [...offsets(eighths, 4), ...offsets(sixteenths, 4)];
+  suite.check(onBeat.every(offset => offset === 0), `Events on the beat stay put (${onBeat.join(', ')} samples)`);
+
+  suite.finish('swing');
+}
+
+// Run the tests
+testSwing();
@@ -0,0 +1,70 @@
+const { TempoMap } = require('../modules/tempoMap');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('⏱️  Tempo Map Test Suite');
+
+// Four 4/4 bars starting at 120 BPM, where a 16th lasts 15 / 120 = 0.125s
+const tempoMap = points => new TempoMap({ bpm: 120, points, stepsPerBar: 16, totalSteps: 64 });
+const near = (actual, expected) => Math.abs(actual - expected) < 1e-6;
+
+function testTempoMap() {
+  const steady = tempoMap([]);
+  suite.check(near(steady.stepToSeconds(16), 2), `Steady 120 BPM: bar 2 at ${steady.stepToSeconds(16)}s`);
+  suite.check(near(steady.totalSeconds, 8), `Steady 120 BPM: ${steady.totalSeconds}s in all`);
+  suite.check(steady.totalSamples === 352800, `Steady 120 BPM: ${steady.totalSamples} samples at 44.1kHz`);
+
+  // Jump: 120 holds for two bars (4s), then 60 BPM doubles the length of each 16th
+  const jump = tempoMap([{ bar: 3, bpm: 60 }]);
+  suite.check(jump.tempoAt(31) === 120 && jump.tempoAt(32) === 60,
+    `Jump tempo: ${jump.tempoAt(31)} BPM before bar 3, ${jump.tempoAt(32)} BPM from it`);
+  suite.check(near(jump.stepToSeconds(32), 4) && near(jump.stepToSeconds(48), 8),
+    `Jump times: bar 3 at ${jump.stepToSeconds(32)}s, bar 4 at ${jump.stepToSeconds(48)}s`);
+  suite.check(near(jump.totalSeconds, 12), `Jump length: ${jump.totalSeconds}s in all`);
+
+  // Linear 120 → 240 over 64 steps: t(s) = 8 ln(bpm(s) / 120)
+  const linear = tempoMap([{ step: 64, bpm: 240, ramp: 'linear' }]);
+  suite.check(linear.tempoAt(32) === 180, `Linear tempo halfway: ${linear.tempoAt(32)} BPM`);
+  suite.check(near(linear.stepToSeconds(32), 8 * Math.log(1.5)), `Linear time halfway: ${linear.stepToSeconds(32).toFixed(6)}s (8 ln 1.5)`);
+  suite.check(near(linear.totalSeconds, 8 * Math.log(2)), `Linear length: ${linear.totalSeconds.toFixed(6)}s in all (8 ln 2)`);
+
+  // Curve 2, 120 → 240 over 64 steps: bpm = 120 (1 + u²), so the whole ramp takes 8 atan(1) = 2π seconds
+  const curve = tempoMap([{ step: 64, bpm: 240, ramp: 'curve' }]);
+  suite.check(curve.tempoAt(32) === 150, `Curved tempo halfway: ${curve.tempoAt(32)} BPM (default curve ${curve.points[1].curve})`);
+  suite.check(near(curve.stepToSeconds(32), 8 * Math.atan(0.5)), `Curved time halfway: ${curve.stepToSeconds(32).toFixed(6)}s (8 atan ½)`);
+  suite.check(near(curve.totalSeconds, 2 * Math.PI), `Curved length: ${curve.totalSeconds.toFixed(6)}s in all (2π)`);
+
+  // Bar and beat positions count quarter notes from 1
+  suite.check(tempoMap([{ bar: 2, beat: 3, bpm: 100 }]).points[1].step === 24, 'Bar 2 beat 3 is step 24');
+
+  const rejects = points => {
+    try {
+      tempoMap(points);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  const unordered = rejects([{ bar: 3, bpm: 100 }, { bar: 2, bpm: 110 }]);
+  suite.check(unordered !== null, `Unordered points are rejected (${unordered})`);
+
+  const sameStep = rejects([{ step: 16, bpm: 100 }, { bar: 2, bpm: 110, ramp: 'linear' }]);
+  suite.check(sameStep !== null, `Two points on one step are rejected (${sameStep})`);
+
+  const badRamp = rejects([{ bar: 2, bpm: 100, ramp: 'exponential' }]);
+  suite.check(badRamp !== null, `Unknown ramps are rejected (${badRamp})`);
+
+  const outside = rejects([{ bar: 6, bpm: 100 }]);
+  suite.check(outside !== null, `Points past the end are rejected (${outside})`);
+
+  const badBpm = rejects([{ bar: 2, bpm: 500 }]);
+  suite.check(badBpm !== null, `Out-of-range tempos are rejected (${badBpm})`);
+
+  const badCurve = rejects([{ bar: 2, bpm: 100, ramp: 'curve', curve: 0 }]);
+  suite.check(badCurve !== null, `Curves must be positive (${badCurve})`);
+
+  suite.finish('tempo map');
+}
+
+// Run the tests
+testTempoMap();
@@ -0,0 +1,47 @@
+const { TimingEngine } = require('../modules/timingEngine');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎼 Time Signature Test Suite');
+
+function testTimeSignatures() {
+  const timingEngine = new TimingEngine();
+  const meter = (timeSignature, beatGrouping) => timingEngine.configure({ bpm: 120, timeSignature, beatGrouping, bars: 1, keyword: 'rock' });
+
+  // Accents: downbeat 1.0, group starts 0.8, other beats 0.6, 8th notes 0.5, the rest 0.4
+  const accents = (stepsPerBar, marks) => Array.from({ length: stepsPerBar }, (_, step) => marks[step] || (step % 2 === 0 ? 0.5 : 0.4)).join();
+
+  // 7/8 defaults to 3+2+2: beats of 6, 4 and 4 16ths
+  const sevenEight = meter('7/8');
+  suite.check(sevenEight.stepsPerBar === 14, `7/8: ${sevenEight.stepsPerBar} steps per bar`);
+  suite.check(sevenEight.beatGrouping.join('+') === '3+2+2', `7/8 grouped ${sevenEight.beatGrouping.join('+')} by default`);
+  suite.check(sevenEight.beatStarts.join() === '0,6,10', `7/8 beat starts: ${sevenEight.beatStarts.join(', ')}`);
+  suite.check(sevenEight.stepAccents.join() === accents(14, { 0: 1, 6: 0.8, 10: 0.8 }), `7/8 step accents: ${sevenEight.stepAccents.join(' ')}`);
+
+  const regrouped = meter('7/8', '2+2+3');
+  suite.check(regrouped.beatStarts.join() === '0,4,8', `7/8 as 2+2+3 beat starts: ${regrouped.beatStarts.join(', ')}`);
+
+  // 12/8 is four dotted-quarter beats
+  const twelveEight = meter('12/8');
+  suite.check(twelveEight.stepsPerBar === 24, `12/8: ${twelveEight.stepsPerBar} steps per bar`);
+  suite.check(twelveEight.beatsPerBar === 4, `12/8: ${twelveEight.beatsPerBar} beats per bar`);
+  suite.check(twelveEight.beatStarts.join() === '0,6,12,18', `12/8 beat starts: ${twelveEight.beatStarts.join(', ')}`);
+  suite.check(twelveEight.stepAccents.join() === accents(24, { 0: 1, 6: 0.8, 12: 0.8, 18: 0.8 }), `12/8 step accents: ${twelveEight.stepAccents.join(' ')}`);
+
+  // In 5/4 every quarter is a beat and the 3+2 grouping only adds a secondary accent on beat 4
+  const fiveFour = meter('5/4');
+  suite.check(fiveFour.beatStarts.join() === '0,4,8,12,16', `5/4 beat starts: ${fiveFour.beatStarts.join(', ')}`);
+  suite.check(fiveFour.stepAccents.join() === accents(20, { 0: 1, 4: 0.6, 8: 0.6, 12: 0.8, 16: 0.6 }), `5/4 step accents: ${fiveFour.stepAccents.join(' ')}`);
+
+  let groupingError = null;
+  try {
+    meter('7/8', '3+3');
+  } catch (error) {
+    groupingError = error.message;
+  }
+  suite.check(groupingError !== null, `Groupings must add up to the meter (${groupingError})`);
+
+  suite.finish('time signature');
+}
+
+// Run the tests
+testTimeSignatures();
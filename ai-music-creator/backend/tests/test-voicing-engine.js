@@ -0,0 +1,85 @@
+const { VoicingEngine } = require('../modules/voicingEngine');
+const { MelodicPatternGenerator } = require('../modules/melodicPatternGenerator');
+const { TestSuite } = require('./testSuite');
+
+const suite = new TestSuite('🎹 Voicing Engine Test Suite');
+
+async function testVoicingEngine() {
+  const engine = new VoicingEngine();
+  const melodicGenerator = new MelodicPatternGenerator();
+
+  const harmony = (progression, tonic = 0) => melodicGenerator.parseProgression(progression)
+    .map(chord => melodicGenerator.romanNumerals.toPitchClasses(chord, tonic));
+  const spell = chords => chords.map(chord => chord.map(note => melodicGenerator.noteToString(note)).join(' ')).join(' | ');
+  const movement = chords => chords.slice(1).reduce((sum, chord, index) => sum + engine.getMovement(chords[index], chord), 0);
+  const progression = 'I-vi-IV-V7-Imaj7-ii9-V7/V-IV/1-bVII-i';
+  const instruments = ['organ', 'keyboard', 'string', 'guitar'];
+
+  // Every voicing is playable: distinct pitches inside the instrument's range
+  const collapsed = [];
+  const outOfRange = [];
+  instruments.forEach(instrument => {
+    const spec = melodicGenerator.INSTRUMENT_SPECS[instrument];
+    [0, 4, 7, 10].forEach(tonic => {
+      engine.styles.forEach(style => {
+        const { chords } = engine.voice(harmony(progression, tonic), instrument, spec, { style });
+        const label = `${instrument} ${style} in ${melodicGenerator.NOTES[tonic]}`;
+        if (chords.some(chord => chord.some((note, index) => index > 0 && note <= chord[index - 1]))) collapsed.push(label);
+        if (chords.some(chord => chord.some(note => note < spec.range[0] || note > spec.range[1]))) outOfRange.push(label);
+      });
+    });
+  });
+  suite.check(collapsed.length === 0, `No collapsed voices${collapsed.length ? ` (${collapsed.join(', ')})` : ''}`);
+  suite.check(outOfRange.length === 0, `No notes out of range${outOfRange.length ? ` (${outOfRange.join(', ')})` : ''}`);
+
+  // Voice leading moves less than root-position triads
+  const organ = engine.voice(harmony('I-IV-V-vi-IV-V-I'), 'organ', melodicGenerator.INSTRUMENT_SPECS.organ);
+  const rootPosition = harmony('I-IV-V-vi-IV-V-I').map(({ tones }) => tones.map(tone => 60 + tone));
+  console.log(`   organ: ${spell(organ.chords)}`);
+  suite.check(movement(organ.chords) < movement(rootPosition),
+    `Organ voices move ${movement(organ.chords)} semitones (root position: ${movement(rootPosition)})`);
+
+  // No muddy low intervals under the keyboard's left hand
+  const keyboard = engine.voice(harmony('I-vi-ii7-V7', 4), 'keyboard', melodicGenerator.INSTRUMENT_SPECS.keyboard);
+  const muddy = keyboard.chords.some(chord => chord.some((note, index) =>
+    index > 0 && note - chord[index - 1] < 15 && chord[index - 1] < (engine.lowIntervalLimits[note - chord[index - 1]] || 0)));
+  const bassOnRoot = keyboard.chords.every((chord, index) => chord[0] % 12 === harmony('I-vi-ii7-V7', 4)[index].bass);
+  console.log(`   keyboard: ${spell(keyboard.chords)}`);
+  suite.check(bassOnRoot, 'Keyboard: left-hand bass on the root');
+  suite.check(!muddy, 'Keyboard: no intervals below their low limits');
+
+  // Styles: closed within an octave, open and drop-2 spread wider
+  const seventh = harmony('Imaj7');
+  const spans = engine.styles.map(style => {
+    const [chord] = engine.voice(seventh, 'organ', melodicGenerator.INSTRUMENT_SPECS.organ, { style }).chords;
+    return chord[chord.length - 1] - chord[0];
+  });
+  suite.check(spans[0] <= 12, `Closed voicing spans ${spans[0]} semitones`);
+  suite.check(spans[1] > 12, `Open voicing spans ${spans[1]} semitones`);
+  suite.check(spans[2] > 12, `Drop-2 voicing spans ${spans[2]} semitones`);
+
+  // Guitar grips and slash chord basses
+  const guitar = engine.voice(harmony('I-IV/1-V/2-vi7'), 'guitar', melodicGenerator.INSTRUMENT_SPECS.guitar);
+  const noClusters = guitar.chords.every(chord => chord.every((note, index) => index === 0 || note - chord[index - 1] !== 1));
+  const grips = [0, 3].every(index => guitar.chords[index][3] - guitar.chords[index][0] <= 19);
+  console.log(`   guitar: ${spell(guitar.chords)}`);
+  suite.check(grips, 'Guitar: drop-2 grips within reach');
+  suite.check(noClusters, 'Guitar: no semitone clusters');
+  suite.check(guitar.chords[1][0] % 12 === 0 && guitar.chords[2][0] % 12 === 2, 'Guitar: slash basses at the bottom (IV/1 on C, V/2 on D)');
+
+  const errors = [];
+  try {
+    engine.resolveStyle('drop3');
+  } catch (error) {
+    errors.push(error.message);
+  }
+  suite.check(errors.length === 1, `Unknown voicing styles are rejected (${errors[0]})`);
+
+  suite.finish('voicing');
+}
+
+// Run the tests
+testVoicingEngine().catch(error => {
+  console.error('❌ Voicing tests failed:', error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,49 @@
+/**
+ * Test Suite - Shared reporting for the module test scripts
+ *
+ * Prints the suite banner, a ✅/❌ line per check and a closing
+ * "📊 passed/total" line, and sets a failing exit code when any check fails
+ * so a broken check fails the script.
+ */
+
+class TestSuite {
+  /**
+   * @param {string} title - Banner line, e.g. '🎹 Arpeggiator Test Suite'
+   */
+  constructor(title) {
+    this.results = [];
+    
+    console.log(title);
+    console.log('='.repeat(title.length));
+    console.log();
+  }
+
+  /**
+   * Record one check
+   * @param {boolean} passed - Whether the check passed
+   * @param {string} label - What was checked (and what was found)
+   * @returns {boolean} passed
+   */
+  check(passed, label) {
+    this.results.push(Boolean(passed));
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+    return Boolean(passed);
+  }
+
+  /**
+   * Print the summary and fail the process if any check failed
+   * @param {string} name - Name of the tests in the summary ('arpeggiator' → "6/6 arpeggiator tests passed")
+   * @returns {boolean} Whether every check passed
+   */
+  finish(name) {
+    const passed = this.results.filter(Boolean).length;
+    console.log(`\n📊 ${passed}/${this.results.length} ${name} tests passed`);
+    
+    if (passed !== this.results.length) {
+      process.exitCode = 1;
+    }
+    return passed === this.results.length;
+  }
+}
+
+module.exports = { TestSuite };
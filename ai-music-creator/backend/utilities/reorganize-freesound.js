@@ -6,23 +6,18 @@
 
 const fs = require('fs');
 const path = require('path');
+const { DrumKit } = require('../modules/drumKit');
 
 class FreesoundReorganizer {
   constructor() {
     this.sourceDir = './samples/freesound';
     this.targetDir = './freesound-data';
+    this.drumKit = new DrumKit();
     
     // MIDI note mappings for different instrument types
     this.instrumentMappings = {
-      drums: {
-        // Map drum types to specific MIDI notes (GM Drum Map standard)
-        kick: [36, 35], // C2, B1 - Kick drums  
-        snare: [38, 40], // D2, E2 - Snare drums
-        hihat: [42, 44, 46], // F#2, G#2, A#2 - Hi-hats (closed, pedal, open)
-        tom: [41, 43, 45, 47, 48, 50], // F2, G2, A2, B2, C3, D3 - Toms
-        ride: [51, 53, 59], // D#3, F3, B3 - Ride cymbals
-        crash: [49, 52, 55, 57], // C#3, E3, G3, A3 - Crash cymbals
-      },
+      // Map drum voices to their General MIDI notes (GM Drum Map standard)
+      drums: Object.fromEntries(this.drumKit.getVoiceNames().map(voice => [voice, this.drumKit.getNotes(voice)])),
       piano: {
         // Map to standard piano range (C3-C6)
         base: [48, 50, 52, 53, 55, 57, 59, 60, 62, 64, 65, 67, 69, 71, 72] // C3 to C5
@@ -196,17 +191,42 @@ class FreesoundReorganizer {
   }
 
   /**
-   * Identify drum type from filename
+   * Identify drum type (a DrumKit voice) from filename
    */
   identifyDrumType(filename) {
     const name = filename.toLowerCase();
     
-    if (name.includes('kick')) return 'kick';
-    if (name.includes('snare')) return 'snare'; 
-    if (name.includes('hihat') || name.includes('hat')) return 'hihat';
-    if (name.includes('tom')) return 'tom';
-    if (name.includes('ride')) return 'ride';
-    if (name.includes('crash')) return 'crash';
+    const has = (...words) => words.some(word => name.includes(word));
+    
+    // Whole words only (letters on neither side), so "trim" is no rimshot and "flow" no low tom;
+    // unlike \b this splits on underscores, as in "snare_rim_01"
+    const hasWord = (...words) => new RegExp(`(^|[^a-z])(${words.join('|')})(?![a-z])`).test(name);
+    
+    // Most specific names first: "snare rim" is a rimshot, "open hat" an open hi-hat
+    if (has('kick')) return 'kick';
+    if (hasWord('side[ -]?stick', 'cross[ -]?stick')) return 'side-stick';
+    if (hasWord('rim(shot)?s?')) return 'rimshot';
+    if (hasWord('(hand)?claps?')) return 'clap';
+    if (has('snare')) return 'snare'; 
+    if (has('hihat', 'hat')) {
+      if (hasWord('open')) return 'hihat-open';
+      if (hasWord('pedal', 'foot')) return 'hihat-pedal';
+      return 'hihat';
+    }
+    if (has('tom')) {
+      // Tom sizes are often written together with "tom" ("lowtom", "tom_low")
+      if (hasWord('(tom)?(floor|low)(tom)?')) return 'tom-low';
+      if (hasWord('(tom)?mid(tom)?')) return 'tom-mid';
+      if (hasWord('(tom)?(high|rack)(tom)?', 'hi[ -]?tom')) return 'tom-high';
+      return 'tom';
+    }
+    if (hasWord('china')) return 'china';
+    if (hasWord('splash')) return 'splash';
+    if (has('ride')) return 'ride';
+    if (has('crash')) return 'crash';
+    if (hasWord('cowbells?')) return 'cowbell';
+    if (hasWord('tambourines?', 'tamb')) return 'tambourine';
+    if (hasWord('shakers?', 'maracas?')) return 'shaker';
     
     // Default based on order if no clear match
     return 'kick'; // Default fallback